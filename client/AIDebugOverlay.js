@@ -0,0 +1,84 @@
+import * as THREE from 'three';
+
+const LABEL_HEIGHT = 2.5; // Metres above the unit's origin
+
+/**
+ * AIDebugOverlay - Shows which behavior tree node each nearby AI unit is running
+ *
+ * Debug builds only (isDebugOn): toggled with F3, the server then sends
+ * AI_DEBUG packets [{ id, node, role, squadId, leader, order, hp }] for units around us,
+ * drawn as HTML labels over the unit meshes.
+ */
+export default class AIDebugOverlay {
+    constructor(camera) {
+        this.camera = camera;
+        this.enabled = false;
+        this.units = new Map(); // id -> { node, role, squadId, leader, order, hp }
+        this.labels = new Map(); // id -> HTMLElement
+        this.projected = new THREE.Vector3();
+
+        this.container = document.createElement('div');
+        this.container.style.cssText = 'position: absolute; top: 0; left: 0; width: 100%; height: 100%; pointer-events: none; z-index: 20; display: none;';
+        document.body.appendChild(this.container);
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.container.style.display = enabled ? 'block' : 'none';
+        if (!enabled) this.clear();
+    }
+
+    onData(units) {
+        if (!this.enabled || !Array.isArray(units)) return;
+        this.units.clear();
+        units.forEach(unit => this.units.set(unit.id, unit));
+    }
+
+    /**
+     * @param {Function} getMesh - (id) => THREE.Object3D of a replicated unit, or null
+     */
+    update(getMesh) {
+        if (!this.enabled) return;
+
+        for (const [id, label] of this.labels) {
+            if (!this.units.has(id)) {
+                label.remove();
+                this.labels.delete(id);
+            }
+        }
+
+        this.units.forEach((unit, id) => {
+            let label = this.labels.get(id);
+            if (!label) {
+                label = document.createElement('div');
+                label.style.cssText = 'position: absolute; transform: translate(-50%, -100%); color: #ff0; font-size: 14px; text-shadow: 1px 1px 0 #000; white-space: nowrap; text-align: center;';
+                this.container.appendChild(label);
+                this.labels.set(id, label);
+            }
+
+            const mesh = getMesh(id);
+            if (mesh) {
+                this.projected.copy(mesh.position);
+                this.projected.y += LABEL_HEIGHT;
+                this.projected.project(this.camera);
+            }
+            // Not rendered (yet), or behind the camera
+            if (!mesh || this.projected.z > 1) {
+                label.style.display = 'none';
+                return;
+            }
+
+            label.style.display = 'block';
+            label.style.left = `${(this.projected.x + 1) / 2 * window.innerWidth}px`;
+            label.style.top = `${(1 - this.projected.y) / 2 * window.innerHeight}px`;
+            const tags = [unit.leader ? 'LEADER' : null, unit.role, unit.order].filter(Boolean).join(' ');
+            label.textContent = `${unit.node || '-'}${tags ? ` [${tags}]` : ''} ${Math.round(unit.hp)}hp`;
+        });
+    }
+
+    clear() {
+        this.labels.forEach(label => label.remove());
+        this.labels.clear();
+        this.units.clear();
+    }
+}
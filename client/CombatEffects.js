@@ -0,0 +1,122 @@
+import * as THREE from 'three';
+import { weaponConfig } from '../shared/config.js';
+
+const TRACER_LIFETIME = 0.08;    // Seconds a hitscan tracer stays visible
+const EXPLOSION_LIFETIME = 0.5;  // Seconds an explosion flash takes to fade out
+
+/**
+ * CombatEffects - Visuals for server-side weapon events
+ *
+ * Nothing here affects gameplay: the server decides hits, and the client
+ * only draws tracers for WEAPON_FIRED, flies projectiles along the same
+ * ballistic path until WEAPON_IMPACT arrives, and flashes explosions.
+ */
+export default class CombatEffects {
+    constructor(scene) {
+        this.scene = scene;
+        this.tracers = [];            // [{ line, age }]
+        this.projectiles = new Map(); // projectileId -> { mesh, velocity, gravity, age, lifetime }
+        this.explosions = [];         // [{ mesh, age, radius }]
+
+        this.tracerMaterial = new THREE.LineBasicMaterial({ color: 0xffee88, transparent: true, opacity: 0.9 });
+        this.projectileGeometry = new THREE.SphereGeometry(0.15, 8, 8);
+        this.projectileMaterial = new THREE.MeshBasicMaterial({ color: 0xffaa33 });
+        this.explosionGeometry = new THREE.SphereGeometry(1, 16, 12);
+    }
+
+    /**
+     * WEAPON_FIRED: { shooter, weapon, origin, direction, end?, hit?, projectileId? }
+     */
+    onFired(event) {
+        const weapon = weaponConfig.weapons[event.weapon];
+        if (!weapon) return;
+
+        if (weapon.type === 'projectile') {
+            const mesh = new THREE.Mesh(this.projectileGeometry, this.projectileMaterial);
+            mesh.position.set(event.origin.x, event.origin.y, event.origin.z);
+            this.scene.add(mesh);
+            this.projectiles.set(event.projectileId, {
+                mesh,
+                velocity: new THREE.Vector3(event.direction.x, event.direction.y, event.direction.z).multiplyScalar(weapon.speed),
+                gravity: weaponConfig.gravity * (weapon.gravityScale || 0),
+                age: 0,
+                lifetime: weapon.lifetime
+            });
+            return;
+        }
+
+        const geometry = new THREE.BufferGeometry().setFromPoints([
+            new THREE.Vector3(event.origin.x, event.origin.y, event.origin.z),
+            new THREE.Vector3(event.end.x, event.end.y, event.end.z)
+        ]);
+        const line = new THREE.Line(geometry, this.tracerMaterial);
+        this.scene.add(line);
+        this.tracers.push({ line, age: 0 });
+    }
+
+    /**
+     * WEAPON_IMPACT: { projectileId, weapon, point, radius }
+     */
+    onImpact(event) {
+        const projectile = this.projectiles.get(event.projectileId);
+        if (projectile) {
+            this.scene.remove(projectile.mesh);
+            this.projectiles.delete(event.projectileId);
+        }
+
+        if (!(event.radius > 0)) return;
+        const material = new THREE.MeshBasicMaterial({ color: 0xff6600, transparent: true, opacity: 0.8 });
+        const mesh = new THREE.Mesh(this.explosionGeometry, material);
+        mesh.position.set(event.point.x, event.point.y, event.point.z);
+        mesh.scale.setScalar(0.1);
+        this.scene.add(mesh);
+        this.explosions.push({ mesh, age: 0, radius: event.radius });
+    }
+
+    update(dt) {
+        this.tracers = this.tracers.filter(tracer => {
+            tracer.age += dt;
+            if (tracer.age < TRACER_LIFETIME) return true;
+            this.scene.remove(tracer.line);
+            tracer.line.geometry.dispose();
+            return false;
+        });
+
+        for (const [id, projectile] of this.projectiles) {
+            projectile.age += dt;
+            // Missed WEAPON_IMPACT (out of event range): drop it when the server would have
+            if (projectile.age >= projectile.lifetime) {
+                this.scene.remove(projectile.mesh);
+                this.projectiles.delete(id);
+                continue;
+            }
+            projectile.velocity.y += projectile.gravity * dt;
+            projectile.mesh.position.addScaledVector(projectile.velocity, dt);
+        }
+
+        this.explosions = this.explosions.filter(explosion => {
+            explosion.age += dt;
+            const t = explosion.age / EXPLOSION_LIFETIME;
+            if (t >= 1) {
+                this.scene.remove(explosion.mesh);
+                explosion.mesh.material.dispose();
+                return false;
+            }
+            explosion.mesh.scale.setScalar(Math.max(0.1, explosion.radius * Math.sqrt(t)));
+            explosion.mesh.material.opacity = 0.8 * (1 - t);
+            return true;
+        });
+    }
+
+    /**
+     * Remove everything (relogin)
+     */
+    clear() {
+        this.tracers.forEach(tracer => this.scene.remove(tracer.line));
+        this.projectiles.forEach(projectile => this.scene.remove(projectile.mesh));
+        this.explosions.forEach(explosion => this.scene.remove(explosion.mesh));
+        this.tracers = [];
+        this.projectiles.clear();
+        this.explosions = [];
+    }
+}
@@ -0,0 +1,62 @@
+import NetworkManager from '../shared/NetworkManager.js';
+
+const RESOURCES = ['technology', 'military', 'food', 'trade'];
+const LABELS = { technology: 'TECH', military: 'MIL', food: 'FOOD', trade: 'TRADE' };
+
+/**
+ * EconomyOverview - Faction treasuries, shown under the standings (P)
+ *
+ * Filled from LOGIN's economy and the ECONOMY packets { maxStock, factions:
+ * [{ id, name, color, specialty, stock, income }] }; income is per minute.
+ */
+export default class EconomyOverview {
+    constructor(socket) {
+        this.element = document.getElementById('economy-rows');
+        this.data = null;
+
+        socket.on(NetworkManager.Packet.LOGIN, (data) => this.onData(data && data.economy));
+        socket.on(NetworkManager.Packet.ECONOMY, (data) => this.onData(data));
+    }
+
+    onData(data) {
+        if (!data || !Array.isArray(data.factions)) return;
+        this.data = data;
+        this.render();
+    }
+
+    render() {
+        if (!this.element || !this.data) return;
+
+        const header = document.createElement('div');
+        header.className = 'eco-row eco-header';
+        header.append(this.cell('eco-name', ''), ...RESOURCES.map(resource => this.cell('eco-value', LABELS[resource])));
+
+        this.element.replaceChildren(header, ...this.data.factions.map(entry => this.renderRow(entry)));
+    }
+
+    renderRow(entry) {
+        const row = document.createElement('div');
+        row.className = 'eco-row';
+
+        const name = this.cell('eco-name', entry.name);
+        name.style.color = `#${entry.color.toString(16).padStart(6, '0')}`;
+        row.appendChild(name);
+
+        RESOURCES.forEach(resource => {
+            const income = entry.income[resource] || 0;
+            const value = this.cell('eco-value', `${entry.stock[resource]}`);
+            if (resource === entry.specialty) value.classList.add('specialty');
+            if (entry.stock[resource] >= this.data.maxStock) value.classList.add('full');
+            value.title = `${income >= 0 ? '+' : ''}${income}/min`;
+            row.appendChild(value);
+        });
+        return row;
+    }
+
+    cell(className, text) {
+        const cell = document.createElement('div');
+        cell.className = className;
+        cell.textContent = text;
+        return cell;
+    }
+}
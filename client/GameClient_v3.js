@@ -1,11 +1,21 @@
 import * as THREE from 'three';
 import { io } from 'socket.io-client';
 import NetworkController from './NetworkController.js';
+import MovementPredictor from './MovementPredictor.js';
+import CombatEffects from './CombatEffects.js';
+import AIDebugOverlay from './AIDebugOverlay.js';
+import ReputationPanel from './ReputationPanel.js';
+import EconomyOverview from './EconomyOverview.js';
+import InventoryWindow from './InventoryWindow.js';
 import { ModelRig, ModelViewer } from '../model.js';
 import NetworkManager from '../shared/NetworkManager.js';
-import { appearanceDefaults, clientConfig, gameplayConfig, isDebugOn, renderingConfig } from '../shared/config.js';
+import { appearanceDefaults, clientConfig, gameplayConfig, isDebugOn, itemConfig, renderingConfig, serverConfig, weaponConfig } from '../shared/config.js';
 import POIMeshGenerator from './POIMeshGenerator.js';
 
+const SESSION_STORAGE_KEY = 'cyberia.session'; // { username, token } of the last login
+const LOOT_TIER_COLORS = { 1: 0x6b5a3a, 2: 0x5a6b3a, 3: 0x3a5a7a, 4: 0x6a3a7a, 5: 0x9a7a2a }; // POI cache crates by lootTier
+const STATION_COLORS = { GARAGE: 0x3a4a5a, FORGE: 0x7a3a1a, SCRAPPER: 0x5a5a3a }; // Workbenches by their first station type
+
 class GameClient {
     constructor() {
         this.scene = null;
@@ -20,6 +30,18 @@ class GameClient {
         this.net = new NetworkController(this.socket);
         this.entities = new Map(); // id -> { mesh, rig? }
         this.vehicles = new Map(); // id -> { mesh, type }
+        this.ragdolls = new Map(); // id -> { mesh, torso, head }
+        this.lootContainers = new Map(); // id -> mesh
+        this.resourceNodes = new Map(); // id -> { mesh, deposit, ring }
+        this.lootCaches = new Map(); // id -> { mesh }
+        this.stations = new Map(); // id -> { mesh }
+        this.isDead = false; // Between DEATH and RESPAWN: death screen up, no movement sent
+
+        // Local avatar prediction; inputs are sampled at the server tick rate
+        this.predictor = new MovementPredictor((x, z) => this.getGroundHeight(x, z));
+        this.inputStep = 1 / serverConfig.tickRate;
+        this.inputAccumulator = 0;
+        this.lastFrameTime = performance.now();
 
         // POI Mesh Generator for terrain POIs
         this.poiMeshGenerator = new POIMeshGenerator();
@@ -34,7 +56,8 @@ class GameClient {
             interact: false,
             crouch: false,      // Shift key - throttle down for helicopter
             yawLeft: false,     // Z key - yaw left
-            yawRight: false     // C key - yaw right
+            yawRight: false,    // C key - yaw right
+            fire: false         // Left mouse button (while pointer is locked)
         };
 
         // Track current mounted vehicle for UI
@@ -131,15 +154,42 @@ class GameClient {
         this.moonMesh = new THREE.Mesh(moonGeo, moonMat);
         this.scene.add(this.moonMesh);
 
+        this.combatEffects = new CombatEffects(this.scene);
+        this.aiDebugOverlay = this.isDebugOn ? new AIDebugOverlay(this.camera) : null;
+        this.reputationPanel = new ReputationPanel(this.socket, (text) => this.addChatLine(text));
+        this.economyOverview = new EconomyOverview(this.socket);
+        this.inventoryWindow = new InventoryWindow(this.socket, (text) => this.addChatLine(text));
+
         // 2. Network Callbacks
         this.net.onLogin = (data) => {
-            // No world data on login anymore
-            console.log("Logged in, requesting initial chunks...");
-            this.updateChunks(); 
+            // No world data on login anymore, the server streams chunks around us
+            console.log("Logged in, waiting for chunks...");
+
+            // A resumed session starts a new replication stream; drop what the old one showed
+            [this.entities, this.vehicles, this.ragdolls].forEach(map => {
+                map.forEach(entity => this.scene.remove(entity.mesh));
+                map.clear();
+            });
+            this.lootContainers.forEach(mesh => this.scene.remove(mesh));
+            this.lootContainers.clear();
+            this.resourceNodes.forEach(node => this.scene.remove(node.mesh));
+            this.resourceNodes.clear();
+            this.lootCaches.forEach(cache => this.scene.remove(cache.mesh));
+            this.lootCaches.clear();
+            this.stations.forEach(station => this.scene.remove(station.mesh));
+            this.stations.clear();
+            this.combatEffects.clear();
+            if (this.aiDebugOverlay) {
+                // The server forgets the subscription with the old player
+                this.aiDebugOverlay.clear();
+                if (this.aiDebugOverlay.enabled) this.socket.emit(NetworkManager.Packet.AI_DEBUG, true);
+            }
+            this.setDead(false);
 
             // After login, update local player data from server
             if (data.state.players && data.state.players[this.net.myId]) {
                 const p = data.state.players[this.net.myId];
+                this.predictor.reset(p);
                 this.username = p.username || this.username;
                 this.hairColor = p.hairColor || this.hairColor;
                 this.skinColor = p.skinColor || this.skinColor;
@@ -149,10 +199,63 @@ class GameClient {
             }
         };
 
+        this.net.onInputAck = (ack) => this.predictor.reconcile(ack);
+
+        this.net.onEntityLeave = (kind, id) => {
+            // AI tanks are units but render through the vehicle path, so check both maps
+            [this.entities, this.vehicles, this.ragdolls].forEach(map => {
+                const entity = map.get(id);
+                if (entity) {
+                    this.scene.remove(entity.mesh);
+                    map.delete(id);
+                }
+            });
+        };
+
         this.chunks = new Map(); // "x,z" -> { mesh, objects[] }
         this.socket.on(NetworkManager.Packet.CHUNK_DATA, (chunkData) => {
             this.loadChunk(chunkData);
         });
+        this.socket.on(NetworkManager.Packet.CHUNK_UNLOAD, (chunks) => {
+            if (!Array.isArray(chunks)) return;
+            chunks.forEach(c => this.unloadChunk(c.x, c.z));
+        });
+
+        this.socket.on(NetworkManager.Packet.WEAPON_FIRED, (event) => this.combatEffects.onFired(event));
+        this.socket.on(NetworkManager.Packet.WEAPON_IMPACT, (event) => this.combatEffects.onImpact(event));
+        this.socket.on(NetworkManager.Packet.HIT, (event) => this.onHit(event));
+        this.socket.on(NetworkManager.Packet.KILL, (event) => this.onKill(event));
+        this.socket.on(NetworkManager.Packet.DEATH, (event) => this.onDeath(event));
+        this.socket.on(NetworkManager.Packet.RESPAWN, (data) => {
+            this.setDead(false);
+            if (data && data.position) this.predictor.reset(data.position);
+        });
+        this.socket.on(NetworkManager.Packet.LOOT_TAKEN, (data) => {
+            if (!data) return;
+            const names = data.items.map(item => `${item.count}x ${this.getItemName(item.itemId)}`).join(', ');
+            const text = data.items.length > 0 ? `Picked up ${names} from ${data.owner}` : 'Inventory full';
+            this.addChatLine(data.remaining > 0 ? `[LOOT] ${text} (${data.remaining} left)` : `[LOOT] ${text}`);
+        });
+        this.socket.on(NetworkManager.Packet.LOOT_TAKE, (result) => {
+            if (result && !result.success) this.addChatLine(`[LOOT] ${result.reason}`);
+        });
+        this.socket.on(NetworkManager.Packet.CRAFT, (result) => {
+            if (result && !result.success) this.addChatLine(`[CRAFT] ${result.reason}`);
+        });
+        this.socket.on(NetworkManager.Packet.CRAFTED, (data) => {
+            if (!data) return;
+            const names = (stacks) => stacks.map(item => `${item.count}x ${this.getItemName(item.itemId)}`).join(', ');
+            if (data.items.length > 0) this.addChatLine(`[CRAFT] ${data.name} done: ${names(data.items)}`);
+            if (data.dropped.length > 0) this.addChatLine(`[CRAFT] Inventory full, dropped ${names(data.dropped)}`);
+        });
+        this.socket.on(NetworkManager.Packet.VEHICLE_REPAIR, (result) => {
+            if (!result) return;
+            this.addChatLine(result.success ? `[GARAGE] ${result.vehicleType} repaired with ${result.parts}x ${this.getItemName('parts')}` : `[GARAGE] ${result.reason}`);
+        });
+        this.socket.on(NetworkManager.Packet.RESOURCE_MINED, (data) => {
+            if (!data) return;
+            this.addChatLine(data.success ? `[MINED] ${data.count}x ${this.getItemName(data.item)}` : `[MINED] ${data.reason}`);
+        });
 
         this.socket.on(NetworkManager.Packet.VEHICLE_MOUNTED, (data) => {
             if (!data || !data.vehicleId) return;
@@ -203,11 +306,26 @@ class GameClient {
                 hpContainer.innerHTML = `<span>INTEGRITY:</span> <div style="flex: 1; height: 10px; background: #330000; border: 1px solid #0f0;"><div style="width: ${(data.health/data.maxHealth)*100}%; height: 100%; background: #0f0;"></div></div>`;
                 menu.appendChild(hpContainer);
 
+                // Component damage (engine, wheels / tracks / rotor)
+                Object.entries(data.components || {}).forEach(([name, health]) => {
+                    const row = document.createElement('div');
+                    row.style.cssText = "display: flex; justify-content: space-between; font-size: 18px;";
+                    row.innerHTML = `<span>${name.toUpperCase()}</span><span style="color: ${health > 50 ? '#0f0' : health > 0 ? '#ff0' : '#f00'}">${health > 0 ? `${health}%` : 'DESTROYED'}</span>`;
+                    menu.appendChild(row);
+                });
+
+                if (data.wrecked) {
+                    const wreckNote = document.createElement('div');
+                    wreckNote.textContent = 'BURNT-OUT WRECK';
+                    wreckNote.style.cssText = "font-size: 20px; text-align: center; color: #f00;";
+                    menu.appendChild(wreckNote);
+                }
+
                 // Seats
                 const seatGrid = document.createElement('div');
                 seatGrid.style.cssText = "display: grid; grid-template-columns: 1fr 1fr; gap: 10px;";
                 
-                data.seats.forEach(seat => {
+                (data.wrecked ? [] : data.seats).forEach(seat => {
                     const btn = document.createElement('button');
                     btn.textContent = seat.name;
                     btn.disabled = seat.occupied;
@@ -237,6 +355,10 @@ class GameClient {
                 });
                 menu.appendChild(seatGrid);
 
+            } else if (data.type === 'CACHE') {
+                this.buildCacheMenu(menu, data);
+            } else if (data.type === 'STATION') {
+                this.buildStationMenu(menu, data);
             } else {
                 // Fallback Generic Menu
                 data.options.forEach(opt => {
@@ -272,6 +394,13 @@ class GameClient {
             this.socket.on(NetworkManager.Packet.INTERACT_DEBUG, (data) => {
                 console.log('[Server Interaction Debug]', data);
             });
+            this.socket.on(NetworkManager.Packet.AI_DEBUG, (units) => this.aiDebugOverlay.onData(units));
+            document.addEventListener('keydown', (e) => {
+                if (e.code !== 'F3') return;
+                e.preventDefault();
+                this.aiDebugOverlay.setEnabled(!this.aiDebugOverlay.enabled);
+                this.socket.emit(NetworkManager.Packet.AI_DEBUG, this.aiDebugOverlay.enabled);
+            });
         }
         
         // 3. Input Listeners
@@ -505,7 +634,7 @@ class GameClient {
             });
         }
 
-        this.chunks.set(key, { mesh, waterMesh, objects, poiMeshes, roadMeshes, biomeMap: data.biomeMap });
+        this.chunks.set(key, { mesh, waterMesh, objects, poiMeshes, roadMeshes, biomeMap: data.biomeMap, heightMap: data.heightMap, size });
     }
 
     /**
@@ -569,32 +698,64 @@ class GameClient {
         return mesh;
     }
 
-    updateChunks() {
-        if (!this.net.myId || !this.entities.has(this.net.myId)) return;
-        
-        const myPos = this.entities.get(this.net.myId).mesh.position;
-        const chunkSize = 32; 
-        const renderDist = 3;
-
-        const cx = Math.floor(myPos.x / chunkSize);
-        const cz = Math.floor(myPos.z / chunkSize);
-
-        const toReq = [];
-        
-        for (let z = cz - renderDist; z <= cz + renderDist; z++) {
-            for (let x = cx - renderDist; x <= cx + renderDist; x++) {
-                const key = `${x},${z}`;
-                if (!this.chunks.has(key)) {
-                    toReq.push({ x, z });
-                    // Mark pending so we don't spam requests
-                    this.chunks.set(key, { pending: true }); 
-                }
-            }
+    /**
+     * Terrain height at a world position from the streamed heightmaps,
+     * interpolated over the same triangles as the server's trimesh collider
+     * @returns {number|null} Null if the chunk isn't loaded
+     */
+    getGroundHeight(x, z) {
+        const chunkSize = 32;
+        const cx = Math.floor(x / chunkSize);
+        const cz = Math.floor(z / chunkSize);
+        const chunk = this.chunks.get(`${cx},${cz}`);
+        if (!chunk || !chunk.heightMap) return null;
+
+        const stride = chunk.size + 1;
+        const lx = x - cx * chunkSize;
+        const lz = z - cz * chunkSize;
+        const ix = Math.min(chunk.size - 1, Math.floor(lx));
+        const iz = Math.min(chunk.size - 1, Math.floor(lz));
+        const fx = lx - ix;
+        const fz = lz - iz;
+
+        const h = (gx, gz) => {
+            const v = chunk.heightMap[gz * stride + gx];
+            return isNaN(v) ? 0 : v;
+        };
+        const ha = h(ix, iz);
+        const hb = h(ix + 1, iz);
+        const hc = h(ix, iz + 1);
+        const hd = h(ix + 1, iz + 1);
+
+        // Quad split along the b-c diagonal: triangles (a, c, b) and (b, c, d)
+        if (fx + fz <= 1) {
+            return ha + (hb - ha) * fx + (hc - ha) * fz;
         }
+        return hd + (hc - hd) * (1 - fx) + (hb - hd) * (1 - fz);
+    }
 
-        if (toReq.length > 0) {
-            this.socket.emit(NetworkManager.Packet.CHUNK_REQUEST, toReq);
-        }
+    /**
+     * Remove a chunk the server no longer streams to us.
+     * Only geometries (and the per-chunk terrain/water materials) are disposed;
+     * POI materials are shared by POIMeshGenerator.
+     */
+    unloadChunk(x, z) {
+        const key = `${x},${z}`;
+        const chunk = this.chunks.get(key);
+        if (!chunk) return;
+
+        const meshes = [chunk.mesh, chunk.waterMesh, ...(chunk.objects || []), ...(chunk.poiMeshes || []), ...(chunk.roadMeshes || [])];
+        meshes.forEach(m => {
+            if (!m) return;
+            this.scene.remove(m);
+            m.traverse(child => {
+                if (child.geometry) child.geometry.dispose();
+            });
+        });
+        if (chunk.mesh) chunk.mesh.material.dispose();
+        if (chunk.waterMesh) chunk.waterMesh.material.dispose();
+
+        this.chunks.delete(key);
     }
 
     setupLogin() {
@@ -642,20 +803,52 @@ class GameClient {
             console.log("Selected Class:", this.playerClass);
         });
 
+        // Session from an earlier visit: the alias can rejoin without its passphrase
+        const passwordInput = document.getElementById('password-input');
+        const errorText = document.getElementById('login-error');
+        const storedSession = this.loadSession();
+        if (storedSession) usernameInput.value = storedSession.username;
+
+        this.net.onAuthResult = (result) => {
+            if (result.success) {
+                this.username = result.username;
+                if (result.token) this.saveSession({ username: result.username, token: result.token });
+                return;
+            }
+
+            if (!result.takenOver) this.saveSession(null);
+            errorText.textContent = result.reason || 'ACCESS DENIED';
+            overlay.style.display = '';
+            if (document.pointerLockElement) document.exitPointerLock();
+        };
+
         btn.addEventListener('click', () => {
-            if (usernameInput.value.length > 0) {
-                this.username = usernameInput.value;
-                document.body.requestPointerLock();
-                overlay.style.display = 'none';
-                this.socket.emit('join', {
-                    username: this.username,
-                    hairColor: this.hairColor,
-                    skinColor: this.skinColor,
-                    playerClass: this.playerClass,
-                    outfit: this.outfit,
-                    hairStyle: this.hairStyle
-                });
+            const username = usernameInput.value.trim();
+            if (username.length === 0) return;
+
+            const session = this.loadSession();
+            let credentials;
+            if (passwordInput.value.length > 0) {
+                credentials = { username, password: passwordInput.value };
+            } else if (session && session.username.toLowerCase() === username.toLowerCase()) {
+                credentials = { token: session.token };
+            } else {
+                errorText.textContent = 'PASSPHRASE REQUIRED';
+                return;
             }
+
+            errorText.textContent = '';
+            passwordInput.value = '';
+            this.username = username;
+            document.body.requestPointerLock();
+            overlay.style.display = 'none';
+            this.net.join(credentials, {
+                hairColor: this.hairColor,
+                skinColor: this.skinColor,
+                playerClass: this.playerClass,
+                outfit: this.outfit,
+                hairStyle: this.hairStyle
+            });
         });
 
         document.addEventListener('pointerlockchange', () => {
@@ -666,6 +859,22 @@ class GameClient {
         });
     }
 
+    loadSession() {
+        try {
+            return JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY));
+        } catch (e) {
+            return null;
+        }
+    }
+
+    saveSession(session) {
+        if (session) {
+            localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+        } else {
+            localStorage.removeItem(SESSION_STORAGE_KEY);
+        }
+    }
+
     setupInput() {
         const onKey = (e, down) => {
             if (document.activeElement === document.getElementById('chat-input')) return;
@@ -680,24 +889,40 @@ class GameClient {
                 case 'ShiftRight': this.input.crouch = down; break;
                 case 'KeyZ': this.input.yawLeft = down; break;
                 case 'KeyC': this.input.yawRight = down; break;
+                case 'Digit1': case 'Digit2': case 'Digit3':
+                case 'Digit4': case 'Digit5': case 'Digit6':
+                    if (down) this.inventoryWindow.activateHotbarSlot(Number(e.code.slice(5)) - 1);
+                    break;
             }
         };
 
         document.addEventListener('keydown', (e) => onKey(e, true));
         document.addEventListener('keyup', (e) => onKey(e, false));
-        
-        // Inventory Toggle
+
+        // Fire while held; only in game (pointer locked), not while clicking menus
+        document.addEventListener('mousedown', (e) => {
+            if (e.button === 0 && this.isLocked) this.input.fire = true;
+        });
+        document.addEventListener('mouseup', (e) => {
+            if (e.button === 0) this.input.fire = false;
+        });
+
+        // Inventory window
         document.addEventListener('keydown', (e) => {
             if (e.code === 'KeyI' && e.target.tagName !== 'INPUT') {
-                const inv = document.getElementById('inventory-window');
-                if(inv) {
-                    inv.style.display = inv.style.display === 'flex' ? 'none' : 'flex';
-                    if (inv.style.display === 'flex') document.exitPointerLock();
-                    else document.body.requestPointerLock();
-                }
+                if (this.inventoryWindow.toggle()) document.exitPointerLock();
+                else document.body.requestPointerLock();
             }
         });
         
+        // Reputation panel
+        document.addEventListener('keydown', (e) => {
+            if (e.code === 'KeyP' && e.target.tagName !== 'INPUT') {
+                if (this.reputationPanel.toggle()) document.exitPointerLock();
+                else document.body.requestPointerLock();
+            }
+        });
+
         document.addEventListener('mousemove', (e) => {
             if (this.isLocked) {
                 const sensitivity = 0.002;
@@ -731,15 +956,95 @@ class GameClient {
         });
         
         this.socket.on(NetworkManager.Packet.CHAT, (msg) => {
-            const div = document.createElement('div');
-            div.textContent = `[${msg.type}] ${msg.senderId}: ${msg.content}`;
-            const container = document.getElementById('chat-messages');
-            if (container) {
-                container.appendChild(div);
-                container.scrollTop = container.scrollHeight;
-            }
+            this.addChatLine(`[${msg.type}] ${msg.senderId}: ${msg.content}`);
         });
     }
+
+    getItemName(itemId) {
+        const item = itemConfig.items[itemId];
+        return item ? item.name : itemId;
+    }
+
+    addChatLine(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        const container = document.getElementById('chat-messages');
+        if (container) {
+            container.appendChild(div);
+            container.scrollTop = container.scrollHeight;
+        }
+    }
+
+    /**
+     * HIT: { attacker, target, weapon, damage, health, point }
+     */
+    onHit(event) {
+        if (event.attacker.kind === 'player' && event.attacker.id === this.net.myId) {
+            this.flashElement('hit-marker', 150);
+        }
+        if (event.target.kind === 'player' && event.target.id === this.net.myId) {
+            this.flashElement('damage-flash', 250);
+        }
+    }
+
+    /**
+     * KILL: { killer, victim, weapon }
+     */
+    onKill(event) {
+        const feed = document.getElementById('kill-feed');
+        if (!feed) return;
+
+        const weapon = weaponConfig.weapons[event.weapon];
+        const entry = document.createElement('div');
+        entry.className = 'kill-entry';
+        if (event.killer.id === this.net.myId || event.victim.id === this.net.myId) entry.classList.add('mine');
+        entry.textContent = `${event.killer.name} ${weapon ? weapon.icon : '☠'} ${event.victim.name}`;
+        feed.prepend(entry);
+
+        while (feed.children.length > 5) feed.lastChild.remove();
+        setTimeout(() => entry.remove(), 6000);
+    }
+
+    /**
+     * DEATH: { killer, weapon, respawnIn } - death screen with a countdown until RESPAWN
+     */
+    onDeath(event) {
+        this.setDead(true);
+
+        const killerEl = document.getElementById('death-killer');
+        if (killerEl) {
+            const weapon = event.weapon && weaponConfig.weapons[event.weapon];
+            killerEl.textContent = event.killer
+                ? `KILLED BY ${event.killer.name.toUpperCase()}${weapon ? ` (${weapon.name.toUpperCase()})` : ''}`
+                : '';
+        }
+
+        const respawnAt = performance.now() + (event.respawnIn || 0);
+        const timerEl = document.getElementById('death-timer');
+        clearInterval(this.deathTimer);
+        const tick = () => {
+            const seconds = Math.max(0, Math.ceil((respawnAt - performance.now()) / 1000));
+            if (timerEl) timerEl.textContent = seconds > 0 ? `RESPAWNING IN ${seconds}` : 'RESPAWNING...';
+        };
+        tick();
+        this.deathTimer = setInterval(tick, 250);
+    }
+
+    setDead(dead) {
+        this.isDead = dead;
+        this.input.fire = false;
+        if (!dead) clearInterval(this.deathTimer);
+        const screen = document.getElementById('death-screen');
+        if (screen) screen.classList.toggle('visible', dead);
+    }
+
+    flashElement(id, duration) {
+        const el = document.getElementById(id);
+        if (!el) return;
+        el.classList.add('visible');
+        clearTimeout(el.flashTimer);
+        el.flashTimer = setTimeout(() => el.classList.remove('visible'), duration);
+    }
     
     /**
      * Creates procedural composite meshes for vehicles
@@ -1429,6 +1734,11 @@ class GameClient {
     animate() {
         requestAnimationFrame(() => this.animate());
 
+        const now = performance.now();
+        const frameDt = Math.min((now - this.lastFrameTime) / 1000, 0.25);
+        this.lastFrameTime = now;
+        this.frameDt = frameDt;
+
         // 1. Day/Night Cycle (Slower)
         this.dayTime += 0.00002;
         if (this.dayTime > 1) this.dayTime -= 1;
@@ -1493,7 +1803,12 @@ class GameClient {
         if (snapshot && snapshot.state) {
             this.updateEntities(snapshot.state);
             this.updateVehicles(snapshot.state);
+            this.updateRagdolls(snapshot.state);
         }
+        this.updateLootContainers();
+        this.updateResourceNodes();
+        this.updateLootCaches();
+        this.updateStations();
 
         // 3. Third Person Camera Logic
         const camDir = new THREE.Vector3(0, 0, -1).applyAxisAngle(new THREE.Vector3(0, 1, 0), this.cameraRotation.y);
@@ -1536,25 +1851,48 @@ class GameClient {
             inputY = finalMove.z;
         }
 
-        // Send input including helicopter-specific controls
-        this.net.sendInput({
+        // Send input at the server tick rate; each step is predicted locally
+        // (the server applies every input with the same fixed dt)
+        // Dead: keep acking inputs but don't move (the server ignores them anyway)
+        if (this.isDead) {
+            inputX = 0;
+            inputY = 0;
+        }
+
+        const input = {
             x: inputX,
             y: inputY,
             viewDir: { x: viewDir.x, y: viewDir.y, z: viewDir.z },
-            jump: this.input.jump,
+            jump: this.input.jump && !this.isDead,
             interact: this.input.interact,
             crouch: this.input.crouch,
             yawLeft: this.input.yawLeft,
-            yawRight: this.input.yawRight
-        });
-        this.input.interact = false;
+            yawRight: this.input.yawRight,
+            fire: this.input.fire && this.isLocked && !this.isDead,
+            viewTime: this.net.SI.serverTime // Server time of what we see, for lag compensation
+        };
+        this.inputAccumulator = Math.min(this.inputAccumulator + frameDt, this.inputStep * 5);
+        while (this.inputAccumulator >= this.inputStep) {
+            const seq = this.net.sendInput(input);
+            this.predictor.applyInput(seq, input);
+            this.inputAccumulator -= this.inputStep;
+            // One-shot actions go out with the first step only
+            input.interact = false;
+            this.input.interact = false;
+        }
+
+        this.combatEffects.update(frameDt);
+        if (this.aiDebugOverlay) {
+            // AI tanks and trucks render through the vehicle path
+            this.aiDebugOverlay.update(id => {
+                const entity = this.entities.get(id) || this.vehicles.get(id);
+                return entity ? entity.mesh : null;
+            });
+        }
 
         // Handle helicopter UI visibility based on mounted vehicle
         this.updateVehicleMountUI();
         
-        // Chunk Update
-        this.updateChunks();
-
         // Update Camera Position
         if (this.net.myId && this.entities.has(this.net.myId)) {
             const me = this.entities.get(this.net.myId);
@@ -1733,11 +2071,13 @@ class GameClient {
         const validIds = new Set();
         if (Array.isArray(state)) {
             state.forEach(data => {
-                // Skip Vehicles
-                if (['JEEP', 'TANK', 'HELICOPTER'].includes(data.type)) return;
+                // Skip Vehicles and ragdolls (own render paths)
+                if (['JEEP', 'TANK', 'HELICOPTER', 'RAGDOLL'].includes(data.type)) return;
 
                 const id = data.id;
                 if (!id) return;
+                // Left our view; don't resurrect it from older interpolation snapshots
+                if (!this.net.isReplicated(data.type ? 'units' : 'players', id)) return;
                 validIds.add(id);
                 
                 if (!this.entities.has(id)) {
@@ -1811,16 +2151,21 @@ class GameClient {
 
                 entity.mountedVehicle = data.mountedVehicle || null;
 
-                // Hide the player model while they are inside a vehicle
-                if (!data.type && data.mountedVehicle) {
+                // Hide the player model while they are inside a vehicle or dead (the ragdoll stands in)
+                if (!data.type && (data.mountedVehicle || data.dead)) {
                     entity.mesh.visible = false;
                 } else {
                     entity.mesh.visible = true;
                 }
 
-                // Interpolation handles pos
+                // Interpolation handles pos, except our own avatar on foot which is predicted
                 const prevPos = entity.mesh.position.clone();
-                entity.mesh.position.set(data.x, data.y, data.z);
+                if (id === this.net.myId && this.predictor.enabled && !data.mountedVehicle) {
+                    const p = this.predictor.getRenderPosition(this.inputAccumulator / this.inputStep, this.frameDt || 0);
+                    entity.mesh.position.set(p.x, p.y, p.z);
+                } else {
+                    entity.mesh.position.set(data.x, data.y, data.z);
+                }
                 
                 if (entity.rig) {
                     const dist = entity.mesh.position.distanceTo(prevPos);
@@ -1848,6 +2193,298 @@ class GameClient {
         }
     }
 
+    /**
+     * Ragdolls: group at the torso position, torso box rotated to the
+     * interpolated pose, head sphere at its replicated offset
+     */
+    updateRagdolls(stateArray) {
+        const validIds = new Set();
+
+        stateArray.forEach(data => {
+            if (data.type !== 'RAGDOLL' || !this.net.isReplicated('ragdolls', data.id)) return;
+            validIds.add(data.id);
+
+            let ragdoll = this.ragdolls.get(data.id);
+            if (!ragdoll) {
+                const mat = new THREE.MeshStandardMaterial({ color: 0x554444, roughness: 0.9 });
+                const mesh = new THREE.Group();
+                const torso = new THREE.Mesh(new THREE.BoxGeometry(0.6, 0.8, 0.4), mat);
+                const head = new THREE.Mesh(new THREE.SphereGeometry(0.2, 12, 8), mat);
+                mesh.add(torso);
+                mesh.add(head);
+                this.scene.add(mesh);
+                ragdoll = { mesh, torso, head };
+                this.ragdolls.set(data.id, ragdoll);
+            }
+
+            ragdoll.mesh.position.set(data.x, data.y, data.z);
+            ragdoll.torso.quaternion.set(data.qx, data.qy, data.qz, data.qw);
+            const offset = data.head || [0, 0.6, 0];
+            ragdoll.head.position.set(offset[0], offset[1], offset[2]);
+        });
+
+        for (const [id, ragdoll] of this.ragdolls) {
+            if (!validIds.has(id)) {
+                this.scene.remove(ragdoll.mesh);
+                this.ragdolls.delete(id);
+            }
+        }
+    }
+
+    /**
+     * Loot containers don't move; drawn straight from the replicated state
+     */
+    updateLootContainers() {
+        const loot = this.net.networkState.loot || {};
+
+        for (const [id, data] of Object.entries(loot)) {
+            if (this.lootContainers.has(id)) continue;
+            const mesh = new THREE.Mesh(
+                new THREE.BoxGeometry(0.8, 0.6, 0.8),
+                new THREE.MeshStandardMaterial({ color: 0x886622, emissive: 0x221100, roughness: 0.7 })
+            );
+            mesh.position.set(data.x, data.y + 0.3, data.z);
+            mesh.userData = { type: 'LOOT', lootId: id, owner: data.owner };
+            this.scene.add(mesh);
+            this.lootContainers.set(id, mesh);
+        }
+
+        for (const [id, mesh] of this.lootContainers) {
+            if (!loot[id]) {
+                this.scene.remove(mesh);
+                this.lootContainers.delete(id);
+            }
+        }
+    }
+
+    /**
+     * POI caches: a crate tinted by loot tier, dark while waiting to refill
+     */
+    updateLootCaches() {
+        const caches = this.net.networkState.caches || {};
+
+        for (const [id, data] of Object.entries(caches)) {
+            let cache = this.lootCaches.get(id);
+            if (!cache) {
+                const mesh = new THREE.Mesh(
+                    new THREE.BoxGeometry(1.0, 0.8, 1.0),
+                    new THREE.MeshStandardMaterial({ color: LOOT_TIER_COLORS[data.tier] || LOOT_TIER_COLORS[1], roughness: 0.6 })
+                );
+                mesh.position.set(data.x, data.y + 0.4, data.z);
+                mesh.userData = { type: 'CACHE', cacheId: id };
+                this.scene.add(mesh);
+                cache = { mesh };
+                this.lootCaches.set(id, cache);
+            }
+            cache.mesh.material.emissive.setHex(data.empty ? 0x000000 : 0x222211);
+            cache.mesh.material.opacity = data.empty ? 0.5 : 1;
+            cache.mesh.material.transparent = data.empty;
+        }
+
+        for (const [id, cache] of this.lootCaches) {
+            if (!caches[id]) {
+                this.scene.remove(cache.mesh);
+                this.lootCaches.delete(id);
+            }
+        }
+    }
+
+    /**
+     * POI workbenches, turned like the edge of the footprint they stand at
+     */
+    updateStations() {
+        const stations = this.net.networkState.stations || {};
+
+        for (const [id, data] of Object.entries(stations)) {
+            if (this.stations.has(id)) continue;
+            const mesh = new THREE.Mesh(
+                new THREE.BoxGeometry(2.0, 1.0, 1.0),
+                new THREE.MeshStandardMaterial({ color: STATION_COLORS[data.stations[0]] || STATION_COLORS.GARAGE, roughness: 0.5, metalness: 0.4 })
+            );
+            mesh.position.set(data.x, data.y + 0.5, data.z);
+            mesh.rotation.y = -data.rotation;
+            mesh.userData = { type: 'STATION', stationId: id };
+            this.scene.add(mesh);
+            this.stations.set(id, { mesh });
+        }
+
+        for (const [id, station] of this.stations) {
+            if (!stations[id]) {
+                this.scene.remove(station.mesh);
+                this.stations.delete(id);
+            }
+        }
+    }
+
+    /**
+     * INTERACT_MENU for a workbench: recipes, the craft queue and, at a
+     * garage, the vehicle parked in the bay
+     */
+    buildStationMenu(menu, data) {
+        const title = document.createElement('div');
+        title.textContent = data.name.toUpperCase();
+        title.style.cssText = "font-size: 24px; text-align: center; border-bottom: 1px solid #0f0; padding-bottom: 5px;";
+        menu.appendChild(title);
+
+        const subtitle = document.createElement('div');
+        subtitle.textContent = data.stations.join(' / ').toUpperCase() + (data.owner ? ` - ${data.owner}` : '');
+        subtitle.style.cssText = "font-size: 16px; text-align: center;";
+        menu.appendChild(subtitle);
+        menu.style.width = '380px';
+
+        const buttonStyle = "background: #002200; color: #0f0; border: 1px solid #0f0; padding: 6px; cursor: pointer; font-family: inherit; font-size: 16px; text-align: left;";
+        const stacks = (items) => Object.entries(items).map(([itemId, count]) => `${count}x ${this.getItemName(itemId)}`).join(', ');
+
+        if (data.garage) {
+            const garage = document.createElement('div');
+            garage.style.cssText = "border: 1px solid #0f0; padding: 8px; display: flex; flex-direction: column; gap: 6px;";
+            const vehicle = data.garage.vehicle;
+            const status = document.createElement('div');
+            status.style.fontSize = '18px';
+            if (!vehicle) {
+                status.textContent = 'BAY EMPTY - PARK A VEHICLE HERE';
+                garage.appendChild(status);
+            } else {
+                const components = Object.entries(vehicle.components).map(([name, health]) => `${name.toUpperCase()} ${health}%`).join('  ');
+                status.textContent = `${vehicle.type} ${vehicle.health}/${vehicle.maxHealth}  ${components}`;
+                garage.appendChild(status);
+
+                const repair = document.createElement('button');
+                repair.style.cssText = buttonStyle;
+                if (data.garage.partsNeeded > 0) {
+                    repair.textContent = `REPAIR (${data.garage.partsNeeded} parts, you have ${data.garage.parts})`;
+                    repair.disabled = data.garage.parts === 0;
+                    repair.onclick = () => this.socket.emit(NetworkManager.Packet.VEHICLE_REPAIR, { stationId: data.targetId });
+                } else {
+                    repair.textContent = 'NO REPAIRS NEEDED';
+                    repair.disabled = true;
+                }
+                garage.appendChild(repair);
+            }
+            menu.appendChild(garage);
+        }
+
+        const list = document.createElement('div');
+        list.style.cssText = "display: flex; flex-direction: column; gap: 4px; max-height: 260px; overflow-y: auto;";
+        data.recipes.forEach(recipe => {
+            const btn = document.createElement('button');
+            btn.textContent = `${recipe.name} (${recipe.time}s): ${stacks(recipe.inputs)} -> ${stacks(recipe.outputs)}`;
+            btn.style.cssText = buttonStyle;
+            if (!recipe.canCraft) btn.style.opacity = '0.5';
+            // The server answers with the updated menu
+            btn.onclick = () => this.socket.emit(NetworkManager.Packet.CRAFT, { stationId: data.targetId, recipeId: recipe.id });
+            list.appendChild(btn);
+        });
+        menu.appendChild(list);
+
+        if (data.queue.length > 0) {
+            const queue = document.createElement('div');
+            queue.style.fontSize = '16px';
+            queue.textContent = 'QUEUE: ' + data.queue.map(job => `${job.name} ${Math.ceil(job.remaining / 1000)}s`).join(', ');
+            menu.appendChild(queue);
+        }
+    }
+
+    /**
+     * INTERACT_MENU for a POI cache: one button per item, plus take all
+     */
+    buildCacheMenu(menu, data) {
+        const title = document.createElement('div');
+        title.textContent = `${data.name.toUpperCase()} ${'★'.repeat(data.tier)}`;
+        title.style.cssText = "font-size: 24px; text-align: center; border-bottom: 1px solid #0f0; padding-bottom: 5px;";
+        menu.appendChild(title);
+
+        if (data.owner) {
+            const warning = document.createElement('div');
+            warning.textContent = `${data.owner} TERRITORY - TAKING IS THEFT`;
+            warning.style.cssText = "font-size: 16px; text-align: center; color: #ff0;";
+            menu.appendChild(warning);
+        }
+
+        const close = () => {
+            menu.remove();
+            document.body.requestPointerLock();
+        };
+        const take = (index) => this.socket.emit(NetworkManager.Packet.LOOT_TAKE, { containerId: data.targetId, index });
+
+        if (data.items.length === 0) {
+            const empty = document.createElement('div');
+            const restock = data.respawnIn !== null ? ` - RESTOCKS IN ${Math.ceil(data.respawnIn / 1000)}s` : '';
+            empty.textContent = `EMPTY${restock}`;
+            empty.style.cssText = "font-size: 20px; text-align: center;";
+            menu.appendChild(empty);
+            return;
+        }
+
+        const buttonStyle = "background: #002200; color: #0f0; border: 1px solid #0f0; padding: 8px; cursor: pointer; font-family: inherit; font-size: 18px;";
+        data.items.forEach((item, index) => {
+            const definition = itemConfig.items[item.itemId];
+            const btn = document.createElement('button');
+            btn.textContent = `${definition ? definition.icon : '?'} ${this.getItemName(item.itemId)} x${item.count}`;
+            btn.style.cssText = buttonStyle;
+            if (definition) btn.style.borderColor = `#${itemConfig.rarities[definition.rarity].toString(16).padStart(6, '0')}`;
+            btn.onclick = () => {
+                // The server answers with the updated menu
+                take(index);
+                menu.remove();
+            };
+            menu.appendChild(btn);
+        });
+
+        const takeAll = document.createElement('button');
+        takeAll.textContent = 'TAKE ALL';
+        takeAll.style.cssText = buttonStyle;
+        takeAll.onclick = () => {
+            take(null);
+            close();
+        };
+        menu.appendChild(takeAll);
+    }
+
+    /**
+     * Resource nodes don't move either: the deposit shrinks with what is
+     * left, the ring under it shows the owner (red while contested)
+     */
+    updateResourceNodes() {
+        const nodes = this.net.networkState.resources || {};
+
+        for (const [id, data] of Object.entries(nodes)) {
+            let node = this.resourceNodes.get(id);
+            if (!node) {
+                const mesh = new THREE.Group();
+                let deposit;
+                if (data.kind === 'ORE') {
+                    deposit = new THREE.Mesh(new THREE.DodecahedronGeometry(1.0), new THREE.MeshStandardMaterial({ color: 0x7a5a3a, roughness: 1.0, flatShading: true }));
+                } else if (data.kind === 'CROPS') {
+                    deposit = new THREE.Mesh(new THREE.BoxGeometry(2.4, 0.6, 2.4), new THREE.MeshStandardMaterial({ color: 0x6a9a2a, roughness: 0.9 }));
+                } else {
+                    deposit = new THREE.Mesh(new THREE.BoxGeometry(2.0, 1.0, 1.6), new THREE.MeshStandardMaterial({ color: 0x666a70, metalness: 0.6, roughness: 0.5 }));
+                }
+                deposit.position.y = 0.5;
+                const ring = new THREE.Mesh(new THREE.RingGeometry(1.6, 1.9, 24), new THREE.MeshBasicMaterial({ color: 0x888888, side: THREE.DoubleSide }));
+                ring.rotation.x = -Math.PI / 2;
+                ring.position.y = 0.05;
+                mesh.add(deposit, ring);
+                mesh.position.set(data.x, data.y, data.z);
+                mesh.userData = { type: 'RESOURCE', nodeId: id };
+                this.scene.add(mesh);
+                node = { mesh, deposit, ring };
+                this.resourceNodes.set(id, node);
+            }
+
+            const fill = data.capacity > 0 ? data.amount / data.capacity : 0;
+            node.deposit.scale.setScalar(data.depleted ? 0.2 : 0.4 + 0.6 * fill);
+            node.ring.material.color.setHex(data.contested ? 0xff3333 : (data.ownerColor ?? 0x888888));
+        }
+
+        for (const [id, node] of this.resourceNodes) {
+            if (!nodes[id]) {
+                this.scene.remove(node.mesh);
+                this.resourceNodes.delete(id);
+            }
+        }
+    }
+
     /**
      * Updates vehicles from state array (used in animate loop)
      * Handles creation, positioning, and animation of all vehicle types
@@ -1861,6 +2498,7 @@ class GameClient {
             if (!['JEEP', 'TANK', 'HELICOPTER'].includes(data.type)) return;
 
             const id = data.id;
+            if (!this.net.isReplicated('vehicles', id) && !this.net.isReplicated('units', id)) return;
             validIds.add(id);
 
             if (!this.vehicles.has(id)) {
@@ -1888,6 +2526,8 @@ class GameClient {
             } else if (data.type === 'HELICOPTER') {
                 this.animateHelicopter(mesh, data, entity);
             }
+
+            this.updateWreckVisuals(entity, data);
         });
 
         // Remove missing vehicles
@@ -1898,6 +2538,58 @@ class GameClient {
             }
         }
     }
+
+    /**
+     * Destroyed vehicles are charred black once, and carry flames while burning
+     */
+    updateWreckVisuals(entity, data) {
+        if (data.wrecked && !entity.charred) {
+            entity.charred = true;
+            entity.mesh.traverse(child => {
+                if (!child.isMesh || !child.material || !child.material.color) return;
+                // Materials may be shared with intact vehicles
+                child.material = child.material.clone();
+                child.material.color.multiplyScalar(0.15);
+            });
+        }
+
+        if (data.burning && !entity.fire) {
+            entity.fire = this.createFire();
+            entity.mesh.add(entity.fire);
+        } else if (!data.burning && entity.fire) {
+            entity.mesh.remove(entity.fire);
+            entity.fire = null;
+        }
+
+        if (entity.fire) {
+            entity.fire.children.forEach(flame => {
+                if (flame.isLight) {
+                    flame.intensity = 1.5 + Math.random();
+                } else {
+                    const s = 0.8 + Math.random() * 0.4;
+                    flame.scale.set(s, s * (1 + Math.random() * 0.4), s);
+                }
+            });
+        }
+    }
+
+    createFire() {
+        const fire = new THREE.Group();
+        const flameMaterial = new THREE.MeshBasicMaterial({ color: 0xff5500, transparent: true, opacity: 0.8 });
+        const flameGeometry = new THREE.ConeGeometry(0.4, 1.4, 6);
+
+        [{ x: 0, z: 0 }, { x: 0.5, z: 0.6 }, { x: -0.4, z: -0.7 }].forEach(offset => {
+            const flame = new THREE.Mesh(flameGeometry, flameMaterial);
+            flame.position.set(offset.x, 1.0, offset.z);
+            fire.add(flame);
+        });
+
+        const light = new THREE.PointLight(0xff6600, 2, 12);
+        light.position.set(0, 1.5, 0);
+        fire.add(light);
+
+        return fire;
+    }
 }
 
 new GameClient();
\ No newline at end of file
@@ -0,0 +1,210 @@
+import NetworkManager from '../shared/NetworkManager.js';
+import { itemConfig } from '../shared/config.js';
+
+const EQUIPMENT_LABELS = { weapon: 'WEAPON', armor: 'ARMOR', tool: 'TOOL' };
+
+/**
+ * InventoryWindow - Bag, equipment and hotbar, toggled with I
+ *
+ * Filled from INVENTORY packets { slots, equipment, weight, maxWeight }; the
+ * server checks every action and answers with { success, reason }:
+ * - Drag a slot onto another: ITEM_MOVE { from, to } (shift-drag moves half
+ *   the stack), onto the drop zone: ITEM_DROP { slot }
+ * - Right-click: use a consumable (ITEM_USE { slot }), equip gear or take it off
+ * - Hotbar keys 1-6 do the same for the first bag slots
+ */
+export default class InventoryWindow {
+    /**
+     * @param {Function} log - (text) => writes a line to the chat log
+     */
+    constructor(socket, log) {
+        this.socket = socket;
+        this.log = log;
+        this.state = null;
+        this.dragFrom = null; // Slot being dragged (bag index or equipment name)
+
+        this.element = document.getElementById('inventory-window');
+        this.bagElement = document.getElementById('inventory-bag');
+        this.equipmentElement = document.getElementById('inventory-equipment');
+        this.weightElement = document.getElementById('inventory-weight');
+        this.hotbarSlots = [...document.querySelectorAll('#hotbar .slot')];
+        this.setupDropZone();
+        this.hotbarSlots.forEach((slot, index) => {
+            slot.addEventListener('click', () => this.activateHotbarSlot(index));
+        });
+
+        socket.on(NetworkManager.Packet.INVENTORY, (state) => this.onState(state));
+        [NetworkManager.Packet.ITEM_MOVE, NetworkManager.Packet.ITEM_DROP, NetworkManager.Packet.ITEM_USE].forEach(packet => {
+            socket.on(packet, (result) => {
+                if (result && !result.success) this.log(`[ITEM] ${result.reason}`);
+            });
+        });
+    }
+
+    /**
+     * @returns {boolean} Now visible
+     */
+    toggle() {
+        if (!this.element) return false;
+        return this.element.classList.toggle('visible');
+    }
+
+    onState(state) {
+        if (!state || !Array.isArray(state.slots)) return;
+        this.state = state;
+        this.render();
+    }
+
+    getStack(ref) {
+        if (!this.state) return null;
+        return typeof ref === 'string' ? this.state.equipment[ref] : this.state.slots[ref];
+    }
+
+    // ========================================================================
+    // Actions
+    // ========================================================================
+
+    move(from, to, count) {
+        this.socket.emit(NetworkManager.Packet.ITEM_MOVE, { from, to, count });
+    }
+
+    /**
+     * Right-click / hotbar key: use consumables, put gear on or take it off
+     */
+    quickAction(ref) {
+        const stack = this.getStack(ref);
+        const item = stack && itemConfig.items[stack.itemId];
+        if (!item) return;
+
+        if (typeof ref === 'string') {
+            const free = this.state.slots.findIndex(slot => !slot);
+            if (free === -1) this.log('[ITEM] Inventory full');
+            else this.move(ref, free);
+        } else if (item.use) {
+            this.socket.emit(NetworkManager.Packet.ITEM_USE, { slot: ref });
+        } else if (item.type in itemConfig.equipment) {
+            this.move(ref, item.type);
+        }
+    }
+
+    activateHotbarSlot(index) {
+        if (index < itemConfig.hotbarSlots) this.quickAction(index);
+    }
+
+    setupDropZone() {
+        const zone = document.getElementById('inventory-drop');
+        if (!zone) return;
+        zone.addEventListener('dragover', (e) => e.preventDefault());
+        zone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            if (this.dragFrom !== null) this.socket.emit(NetworkManager.Packet.ITEM_DROP, { slot: this.dragFrom });
+            this.dragFrom = null;
+        });
+    }
+
+    // ========================================================================
+    // Rendering
+    // ========================================================================
+
+    render() {
+        if (!this.state) return;
+        const { slots, equipment, weight, maxWeight } = this.state;
+
+        if (this.bagElement) this.bagElement.replaceChildren(...slots.map((stack, index) => this.renderSlot(index, stack)));
+        if (this.equipmentElement) {
+            this.equipmentElement.replaceChildren(...Object.keys(itemConfig.equipment).map(name => {
+                const slot = this.renderSlot(name, equipment[name]);
+                slot.classList.add('equipment');
+                const label = document.createElement('div');
+                label.className = 'inv-label';
+                label.textContent = EQUIPMENT_LABELS[name] || name;
+                slot.prepend(label);
+                return slot;
+            }));
+        }
+        if (this.weightElement) {
+            this.weightElement.textContent = `${weight} / ${maxWeight} kg`;
+            this.weightElement.classList.toggle('full', weight >= maxWeight);
+        }
+        this.renderHotbar();
+    }
+
+    renderSlot(ref, stack) {
+        const slot = document.createElement('div');
+        slot.className = 'inv-slot';
+        if (typeof ref === 'number' && ref < itemConfig.hotbarSlots) slot.classList.add('hotbar');
+
+        slot.addEventListener('dragover', (e) => e.preventDefault());
+        slot.addEventListener('drop', (e) => {
+            e.preventDefault();
+            const from = this.dragFrom;
+            this.dragFrom = null;
+            if (from === null || from === ref) return;
+            const source = this.getStack(from);
+            const count = e.shiftKey && source && source.count > 1 ? Math.floor(source.count / 2) : undefined;
+            this.move(from, ref, count);
+        });
+
+        if (!stack) return slot;
+        const item = itemConfig.items[stack.itemId];
+        slot.draggable = true;
+        slot.addEventListener('dragstart', () => { this.dragFrom = ref; });
+        slot.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            this.quickAction(ref);
+        });
+        this.fillSlot(slot, stack, item);
+        return slot;
+    }
+
+    fillSlot(slot, stack, item) {
+        const icon = document.createElement('div');
+        icon.className = 'item-icon';
+        icon.textContent = item ? item.icon : '?';
+        slot.appendChild(icon);
+
+        if (stack.count > 1) {
+            const count = document.createElement('div');
+            count.className = 'inv-count';
+            count.textContent = stack.count;
+            slot.appendChild(count);
+        }
+
+        if (item) {
+            slot.style.borderColor = `#${itemConfig.rarities[item.rarity].toString(16).padStart(6, '0')}`;
+            slot.title = `${item.name} (${item.rarity})\n${item.weight} kg each${item.use ? '\nRight-click to use' : ''}`;
+        } else {
+            slot.title = stack.itemId;
+        }
+    }
+
+    /**
+     * Hotbar: key bind plus the first bag slots; the equipped weapon with its ammo at the end
+     */
+    renderHotbar() {
+        this.hotbarSlots.forEach((slot, index) => {
+            const stack = this.state.slots[index];
+            const item = stack && itemConfig.items[stack.itemId];
+            const icon = slot.querySelector('.item-icon');
+            if (icon) icon.textContent = item ? item.icon : '';
+            slot.title = item ? `${item.name}${stack.count > 1 ? ` x${stack.count}` : ''}` : '';
+        });
+
+        const weapon = document.getElementById('hotbar-weapon');
+        if (!weapon) return;
+        const stack = this.state.equipment.weapon;
+        const item = stack && itemConfig.items[stack.itemId];
+        if (!item) {
+            weapon.textContent = 'UNARMED';
+            return;
+        }
+        const ammo = item.ammo ? this.countItem(item.ammo) : null;
+        weapon.textContent = ammo === null ? `${item.icon} ${item.name}` : `${item.icon} ${item.name} ${ammo}`;
+        weapon.classList.toggle('empty', ammo === 0);
+    }
+
+    countItem(itemId) {
+        return [...this.state.slots, ...Object.values(this.state.equipment)]
+            .reduce((sum, stack) => sum + (stack && stack.itemId === itemId ? stack.count : 0), 0);
+    }
+}
@@ -0,0 +1,127 @@
+import { stepCharacter } from '../shared/CharacterMovement.js';
+import { serverConfig } from '../shared/config.js';
+
+const MAX_PENDING_INPUTS = 120;  // ~2s at 60Hz; older inputs are assumed lost
+const SNAP_DISTANCE = 2.0;       // Corrections larger than this teleport instead of blending
+const ERROR_DECAY_RATE = 10;     // How fast small corrections are blended out (1/s)
+
+/**
+ * MovementPredictor - Client-side prediction for the local on-foot avatar
+ *
+ * Every input sent to the server is also applied locally with the shared
+ * movement code. When the server acks an input (INPUT_ACK) we reset to its
+ * authoritative state and replay the inputs it hasn't applied yet. Small
+ * differences are blended out over a few frames instead of snapping.
+ */
+export default class MovementPredictor {
+    constructor(getGroundHeight) {
+        this.getGroundHeight = getGroundHeight;
+        this.dt = 1 / serverConfig.tickRate; // Server applies each input with this dt
+
+        this.state = null;      // { x, y, z, verticalVelocity, grounded }
+        this.previous = null;   // State before the last step, for render interpolation
+        this.pending = [];      // [{ seq, input }] sent but not yet acked
+        this.errorOffset = { x: 0, y: 0, z: 0 };
+        this.enabled = false;   // Off while mounted or before the first position is known
+    }
+
+    /**
+     * Start predicting from a known position (login, respawn, dismount)
+     */
+    reset(position) {
+        this.state = {
+            x: position.x,
+            y: position.y,
+            z: position.z,
+            verticalVelocity: 0,
+            grounded: false
+        };
+        this.previous = { ...this.state };
+        this.pending = [];
+        this.errorOffset = { x: 0, y: 0, z: 0 };
+        this.enabled = true;
+    }
+
+    /**
+     * Apply an input that was just sent with sequence number `seq`
+     */
+    applyInput(seq, input) {
+        this.pending.push({ seq, input });
+        if (this.pending.length > MAX_PENDING_INPUTS) this.pending.shift();
+
+        if (!this.enabled) return;
+        this.previous = { ...this.state };
+        this.step(this.state, input);
+    }
+
+    step(state, input) {
+        // Terrain not streamed in yet: hold still and let the server correct us
+        if (this.getGroundHeight(state.x, state.z) === null) return;
+        stepCharacter(state, input, this.dt, this.getGroundHeight);
+    }
+
+    /**
+     * Server applied inputs up to ack.seq and ended up at ack's position
+     * @param {Object} ack - { seq, x, y, z, vy, grounded, mounted }
+     */
+    reconcile(ack) {
+        this.pending = this.pending.filter(p => p.seq > ack.seq);
+
+        if (ack.mounted) {
+            // Vehicles are not predicted
+            this.enabled = false;
+            return;
+        }
+
+        if (!this.enabled) {
+            this.reset(ack);
+            return;
+        }
+
+        const before = { x: this.state.x, y: this.state.y, z: this.state.z };
+
+        this.state = {
+            x: ack.x,
+            y: ack.y,
+            z: ack.z,
+            verticalVelocity: ack.vy,
+            grounded: ack.grounded
+        };
+        for (const { input } of this.pending) {
+            this.previous = { ...this.state };
+            this.step(this.state, input);
+        }
+        if (this.pending.length === 0) this.previous = { ...this.state };
+
+        const dx = before.x - this.state.x;
+        const dy = before.y - this.state.y;
+        const dz = before.z - this.state.z;
+        if (dx * dx + dy * dy + dz * dz > SNAP_DISTANCE * SNAP_DISTANCE) {
+            this.errorOffset = { x: 0, y: 0, z: 0 };
+        } else {
+            this.errorOffset.x += dx;
+            this.errorOffset.y += dy;
+            this.errorOffset.z += dz;
+        }
+    }
+
+    /**
+     * Position to draw the local avatar at this frame
+     * @param {number} alpha - Fraction of the current input step elapsed (0..1)
+     * @param {number} frameDt - Seconds since the last frame
+     */
+    getRenderPosition(alpha, frameDt) {
+        const decay = Math.exp(-ERROR_DECAY_RATE * frameDt);
+        this.errorOffset.x *= decay;
+        this.errorOffset.y *= decay;
+        this.errorOffset.z *= decay;
+
+        const p = this.previous;
+        const s = this.state;
+        return {
+            x: p.x + (s.x - p.x) * alpha + this.errorOffset.x,
+            y: p.y + (s.y - p.y) * alpha + this.errorOffset.y,
+            z: p.z + (s.z - p.z) * alpha + this.errorOffset.z
+        };
+    }
+}
@@ -1,5 +1,6 @@
 import NetworkManager from '../shared/NetworkManager.js';
-import { gameplayConfig } from '../shared/config.js';
+import { decodeSnapshot, getSchema, readSnapshotHeader } from '../shared/SnapshotCodec.js';
+import { gameplayConfig, replicationConfig } from '../shared/config.js';
 
 // Access global from UMD bundle
 const { SnapshotInterpolation } = Snap;
@@ -11,26 +12,106 @@ export default class NetworkController {
         this.interpolationBuffer = [];
         this.bufferSize = gameplayConfig.interpolationBufferSize; // Keep last 20 updates
         this.networkState = {}; // Local complete state
+        this.netIds = new Map(); // netId -> { kind, id }, assigned by ENTITY_ENTER
+        this.snapshotHistory = new Map(); // seq -> Map<netId, dynamic fields>, baselines for deltas
+        this.lastSeq = -1;
+        this.awaitingResync = false;
+        this.inputSeq = 0; // Sequence number of the next input sent (acked by INPUT_ACK)
+        this.onInputAck = null; // Callback (ack) with the server's result for our inputs
         this.myId = null;
+        this.session = null; // { username, token } from AUTH_RESULT, reused when the socket reconnects
+        this.joinData = null; // Last 'join' payload (appearance), re-sent after re-authenticating
+        this.reconnectToken = null; // From LOGIN; resumes our held player if the connection drops
+        this.onAuthResult = null; // Callback (result)
         this.worldData = null; // Store world data here
         this.onLogin = null; // Callback
+        this.onEntityLeave = null; // Callback (kind, id) when the server stops replicating an entity
         
         this.setupListeners();
     }
 
+    /**
+     * Authenticate and join the world
+     * @param {Object} credentials - { username, password } or { token }
+     * @param {Object} joinData - Appearance sent with 'join' once authenticated
+     */
+    join(credentials, joinData) {
+        this.joinData = joinData;
+        this.socket.emit(NetworkManager.Packet.AUTH, credentials);
+    }
+
     setupListeners() {
+        // socket.io reconnected with a new socket: resume the session, the
+        // server hands our existing player over to it
+        this.socket.on('connect', () => {
+            if (!this.joinData || !(this.session || this.reconnectToken)) return;
+            // The reconnect token works inside the server's grace period, the session after it
+            this.socket.emit(NetworkManager.Packet.AUTH, {
+                reconnectToken: this.reconnectToken,
+                token: this.session ? this.session.token : null
+            });
+        });
+
+        this.socket.on(NetworkManager.Packet.AUTH_RESULT, (result) => {
+            if (result.success) {
+                if (result.token) this.session = { username: result.username, token: result.token };
+                // A resumed player is put back in the world without a 'join'
+                if (!result.resumed && this.joinData) this.socket.emit('join', this.joinData);
+            } else if (!result.takenOver) {
+                this.session = null;
+            }
+            if (this.onAuthResult) this.onAuthResult(result);
+        });
+
         this.socket.on(NetworkManager.Packet.LOGIN, (data) => {
-            console.log('Logged in as:', data.id);
+            console.log('Logged in as:', data.username, data.id);
             this.myId = data.id;
+            this.reconnectToken = data.reconnectToken || null;
             this.networkState = data.state;
             this.worldData = data.world;
+
+            // Fresh replication stream (first login or a resumed session)
+            this.netIds.clear();
+            this.snapshotHistory.clear();
+            this.lastSeq = -1;
+            this.awaitingResync = false;
             
             if (this.onLogin) this.onLogin(data);
         });
 
-        this.socket.on(NetworkManager.Packet.UPDATE, (delta) => {
-            // 1. Apply Delta to reconstruct full state
-            this.networkState = NetworkManager.applyDelta(this.networkState, delta);
+        this.socket.on(NetworkManager.Packet.INPUT_ACK, (ack) => {
+            if (this.onInputAck) this.onInputAck(ack);
+        });
+
+        // Entity came into view: full state, later UPDATEs are deltas against it
+        this.socket.on(NetworkManager.Packet.ENTITY_ENTER, (enter) => {
+            for (const [kind, entities] of Object.entries(enter)) {
+                if (!this.networkState[kind]) this.networkState[kind] = {};
+                for (const [id, data] of Object.entries(entities)) {
+                    this.networkState[kind][id] = data;
+                    this.netIds.set(data.netId, { kind, id });
+                }
+            }
+        });
+
+        // Entity left view (or was removed from the world)
+        this.socket.on(NetworkManager.Packet.ENTITY_LEAVE, (leave) => {
+            for (const [kind, ids] of Object.entries(leave)) {
+                ids.forEach(id => {
+                    const data = this.networkState[kind] && this.networkState[kind][id];
+                    if (data) {
+                        this.netIds.delete(data.netId);
+                        delete this.networkState[kind][id];
+                    }
+                    if (this.onEntityLeave) this.onEntityLeave(kind, id);
+                });
+            }
+        });
+
+        this.socket.on(NetworkManager.Packet.UPDATE, (buffer) => {
+            // 1. Rebuild the full snapshot from its baseline and apply it to networkState
+            const update = this.applySnapshot(buffer);
+            if (!update) return;
             
             // 2. Transform to Array for Snapshot Interpolation
             const entities = [];
@@ -49,14 +130,20 @@ export default class NetworkController {
                     entities.push({ id, ...data });
                 }
             }
+            if (this.networkState.ragdolls) {
+                for (const [id, data] of Object.entries(this.networkState.ragdolls)) {
+                    entities.push({ id, ...data });
+                }
+            }
 
             const snapshot = {
-                id: delta.timestamp.toString(),
-                time: delta.timestamp,
+                id: update.timestamp.toString(),
+                time: update.timestamp,
                 state: entities
             };
             
-            this.SI.vault.add(snapshot);
+            // snapshot.add (not vault.add) also tracks the server clock offset for viewTime
+            this.SI.snapshot.add(snapshot);
             
             // Manual buffer implementation (backup)
             this.interpolationBuffer.push(snapshot);
@@ -66,8 +153,93 @@ export default class NetworkController {
         });
     }
 
+    /**
+     * Decode an UPDATE against our copy of its baseline snapshot.
+     * Acks the result so the server can use it as the next baseline,
+     * and asks for a keyframe if the baseline is gone (missed packets).
+     * @returns {Object|null} Decoded snapshot, or null if it couldn't be applied
+     */
+    applySnapshot(buffer) {
+        const header = readSnapshotHeader(buffer);
+        if (!header) return null;
+
+        // Old or duplicate packet
+        if (header.seq <= this.lastSeq) return null;
+
+        let baseline = null;
+        if (!header.keyframe) {
+            baseline = this.snapshotHistory.get(header.baselineSeq);
+            if (!baseline) {
+                // Gap we can't repair locally; wait for a keyframe
+                this.requestResync();
+                return null;
+            }
+        }
+
+        // Copy the baseline so older snapshots stay intact as baselines
+        const snapshot = new Map();
+        if (baseline) {
+            for (const [netId, fields] of baseline) snapshot.set(netId, { ...fields });
+        }
+
+        const update = decodeSnapshot(buffer, (netId) => {
+            const ref = this.netIds.get(netId);
+            const entity = ref && this.networkState[ref.kind] && this.networkState[ref.kind][ref.id];
+            const schema = entity && getSchema(ref.kind, entity);
+            if (!schema) return null;
+
+            const target = snapshot.get(netId) || {};
+            snapshot.set(netId, target);
+            return { schema, target };
+        });
+        if (!update) {
+            this.requestResync();
+            return null;
+        }
+
+        update.tombstones.forEach(netId => snapshot.delete(netId));
+
+        // Everything older than our baseline can never be referenced again
+        this.snapshotHistory.set(header.seq, snapshot);
+        for (const seq of this.snapshotHistory.keys()) {
+            if (seq > header.seq - replicationConfig.historySize && seq >= header.baselineSeq) break;
+            if (seq !== header.seq) this.snapshotHistory.delete(seq);
+        }
+        this.lastSeq = header.seq;
+        if (header.keyframe) this.awaitingResync = false;
+        this.socket.emit(NetworkManager.Packet.SNAPSHOT_ACK, header.seq);
+
+        for (const [netId, fields] of snapshot) {
+            const ref = this.netIds.get(netId);
+            const entity = ref && this.networkState[ref.kind] && this.networkState[ref.kind][ref.id];
+            if (entity) Object.assign(entity, fields);
+        }
+
+        return update;
+    }
+
+    requestResync() {
+        if (this.awaitingResync) return;
+        this.awaitingResync = true;
+        this.socket.emit(NetworkManager.Packet.RESYNC);
+    }
+
+    /**
+     * True if the server currently replicates this entity to us.
+     * Interpolation still holds ~100ms of older snapshots after an entity leaves.
+     */
+    isReplicated(kind, id) {
+        return !!(this.networkState[kind] && this.networkState[kind][id]);
+    }
+
+    /**
+     * Send one input step to the server
+     * @returns {number} The input's sequence number
+     */
     sendInput(inputData) {
-        this.socket.emit(NetworkManager.Packet.ACTION, { input: inputData });
+        const seq = this.inputSeq++;
+        this.socket.emit(NetworkManager.Packet.ACTION, { input: { ...inputData, seq } });
+        return seq;
     }
 
     sendChat(content, type = 'GLOBAL', teamId = null) {
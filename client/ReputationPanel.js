@@ -0,0 +1,105 @@
+import NetworkManager from '../shared/NetworkManager.js';
+
+/**
+ * ReputationPanel - Standings with the four factions, toggled with P
+ *
+ * Filled from REPUTATION packets { faction, min, max, factions: [{ id, name,
+ * color, reputation, standing, price, relation, canEnlist }], update } and
+ * logs each update to chat. The buttons send ENLIST { faction } to join a
+ * faction or { faction: null } to resign.
+ */
+export default class ReputationPanel {
+    /**
+     * @param {Function} log - (text) => writes a line to the chat log
+     */
+    constructor(socket, log) {
+        this.socket = socket;
+        this.log = log;
+        this.data = null;
+        this.element = document.getElementById('reputation-panel');
+
+        socket.on(NetworkManager.Packet.REPUTATION, (data) => this.onData(data));
+        socket.on(NetworkManager.Packet.ENLIST, (result) => {
+            if (result && !result.success) this.log(`[FACTION] ${result.reason}`);
+        });
+    }
+
+    /**
+     * @returns {boolean} Now visible
+     */
+    toggle() {
+        if (!this.element) return false;
+        return this.element.classList.toggle('visible');
+    }
+
+    onData(data) {
+        if (!data || !Array.isArray(data.factions)) return;
+        this.data = data;
+        if (data.update) this.logUpdate(data.update);
+        this.render();
+    }
+
+    getName(factionId) {
+        const faction = this.data.factions.find(f => f.id === factionId);
+        return faction ? faction.name : factionId;
+    }
+
+    logUpdate(update) {
+        if (update.reason === 'enlist') this.log(`[FACTION] Enlisted with ${this.getName(this.data.faction)}`);
+        else if (update.reason === 'resign') this.log('[FACTION] Resigned');
+        else if (update.reason === 'expelled') this.log('[FACTION] Expelled from your faction');
+
+        const parts = update.changes.map(change => `${this.getName(change.faction)} ${change.delta > 0 ? '+' : ''}${change.delta}`);
+        if (parts.length > 0) this.log(`[REP] ${parts.join(', ')} (${update.reason})`);
+    }
+
+    render() {
+        if (!this.element || !this.data) return;
+        const { faction, min, max, factions } = this.data;
+        const enlisted = factions.find(f => f.id === faction);
+
+        const allegiance = this.element.querySelector('#reputation-allegiance');
+        allegiance.textContent = enlisted ? `ENLISTED: ${enlisted.name}` : 'NEUTRAL - NO ALLEGIANCE';
+
+        const rows = this.element.querySelector('#reputation-rows');
+        rows.replaceChildren(...factions.map(entry => this.renderRow(entry, entry === enlisted, min, max)));
+    }
+
+    renderRow(entry, isEnlisted, min, max) {
+        const color = `#${entry.color.toString(16).padStart(6, '0')}`;
+        const row = document.createElement('div');
+        row.className = 'rep-row';
+
+        const name = document.createElement('div');
+        name.className = 'rep-name';
+        name.style.color = color;
+        name.textContent = entry.name;
+
+        // Bar grows from the middle: right for positive, left for negative
+        const bar = document.createElement('div');
+        bar.className = 'rep-bar';
+        const fill = document.createElement('div');
+        fill.className = 'rep-bar-fill';
+        const fraction = entry.reputation >= 0 ? entry.reputation / max : entry.reputation / -min;
+        fill.style.background = color;
+        fill.style.width = `${Math.abs(fraction) * 50}%`;
+        fill.style.left = fraction >= 0 ? '50%' : `${50 + fraction * 50}%`;
+        bar.appendChild(fill);
+        bar.title = `${entry.reputation} - prices ${entry.price === null ? 'refused' : `x${entry.price}`}`;
+
+        const standing = document.createElement('div');
+        standing.className = 'rep-standing';
+        standing.textContent = entry.standing;
+        if (entry.relation === 'HOSTILE') standing.style.color = '#f33';
+
+        const button = document.createElement('button');
+        button.textContent = isEnlisted ? 'RESIGN' : 'ENLIST';
+        button.disabled = !isEnlisted && !entry.canEnlist;
+        button.addEventListener('click', () => {
+            this.socket.emit(NetworkManager.Packet.ENLIST, { faction: isEnlisted ? null : entry.id });
+        });
+
+        row.append(name, bar, standing, button);
+        return row;
+    }
+}
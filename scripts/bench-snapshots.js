@@ -0,0 +1,145 @@
+/**
+ * bench-snapshots.js - Bytes per tick: binary snapshots vs the old JSON deltas
+ *
+ * Simulates N players walking around one viewer and measures, per tick,
+ * what one client receives with:
+ * - the old global broadcast (serializeState + NetworkManager.getDelta as JSON)
+ * - the same JSON deltas, limited to the entities ReplicationManager keeps in
+ *   the viewer's interest set, to separate what filtering saves from what the
+ *   binary encoding saves
+ * - ReplicationManager (binary UPDATE + ENTITY_ENTER/LEAVE JSON), with the
+ *   client acking every snapshot (keyframes included at their normal interval)
+ *
+ * Usage: node scripts/bench-snapshots.js [players=50] [ticks=600]
+ */
+
+import NetworkManager from '../shared/NetworkManager.js';
+import { appearanceDefaults } from '../shared/config.js';
+import { readSnapshotHeader } from '../shared/SnapshotCodec.js';
+import ReplicationManager, { EntityKind } from '../server/ReplicationManager.js';
+
+const PLAYER_COUNT = parseInt(process.argv[2], 10) || 50;
+const TICKS = parseInt(process.argv[3], 10) || 600;
+const AREA = 200; // Players wander in a 400m x 400m square around the viewer
+const TICK_DT = 1 / 60;
+
+// Deterministic so runs are comparable
+let seed = 1;
+function random() {
+    seed = (seed * 16807) % 2147483647;
+    return (seed - 1) / 2147483646;
+}
+
+const players = [];
+for (let i = 0; i < PLAYER_COUNT; i++) {
+    players.push({
+        id: `player_${i}`,
+        x: (random() * 2 - 1) * AREA,
+        y: 10,
+        z: (random() * 2 - 1) * AREA,
+        heading: random() * Math.PI * 2,
+        // Some players stand still, like in a real session
+        speed: random() < 0.3 ? 0 : 4 + random() * 6
+    });
+}
+
+function serializePlayer(p) {
+    return {
+        x: Number(p.x.toFixed(3)),
+        y: Number(p.y.toFixed(3)),
+        z: Number(p.z.toFixed(3)),
+        hp: 100,
+        faction: 'NEUTRAL',
+        hairColor: appearanceDefaults.hairColor,
+        skinColor: appearanceDefaults.skinColor,
+        outfit: appearanceDefaults.outfit,
+        hairStyle: appearanceDefaults.hairStyle,
+        username: p.id,
+        mountedVehicle: null
+    };
+}
+
+function byteLength(payload) {
+    if (payload instanceof ArrayBuffer) return payload.byteLength;
+    return Buffer.byteLength(JSON.stringify(payload));
+}
+
+// Binary path: capture what one client is sent; the client acks every UPDATE
+const sent = { update: 0, enterLeave: 0 };
+const replication = new ReplicationManager();
+const viewerSocket = {
+    emit: (packet, payload) => {
+        if (packet === NetworkManager.Packet.UPDATE) {
+            sent.update += byteLength(payload);
+            replication.acknowledge('viewer', readSnapshotHeader(payload).seq);
+        } else {
+            sent.enterLeave += byteLength(payload);
+        }
+    }
+};
+viewerSocket.volatile = viewerSocket;
+replication.addClient('viewer', viewerSocket);
+
+let jsonBytes = 0;
+let lastState = {};
+let filteredJsonBytes = 0;
+let lastFilteredState = {};
+let inViewTotal = 0;
+const viewerKnown = replication.clients.get('viewer').known;
+
+for (let tick = 0; tick < TICKS; tick++) {
+    for (const p of players) {
+        p.heading += (random() - 0.5) * 0.1;
+        p.x += Math.cos(p.heading) * p.speed * TICK_DT;
+        p.z += Math.sin(p.heading) * p.speed * TICK_DT;
+    }
+
+    const timestamp = 1700000000000 + Math.round(tick * TICK_DT * 1000);
+
+    // New: per-client binary snapshots
+    const entities = players.map(p => {
+        const data = serializePlayer(p);
+        return { kind: EntityKind.PLAYER, id: p.id, tier: 'character', position: data, data };
+    });
+    const viewers = new Map([['viewer', { position: { x: 0, y: 10, z: 0 }, alwaysRelevant: new Set() }]]);
+    replication.replicate(entities, timestamp, viewers);
+    inViewTotal += viewerKnown.size;
+
+    // Old: one global state, delta against the previous tick, JSON
+    const state = { timestamp, players: {}, units: {}, vehicles: {} };
+    const filteredState = { timestamp, players: {}, units: {}, vehicles: {} };
+    players.forEach(p => {
+        state.players[p.id] = serializePlayer(p);
+        // Same interest set as the binary path (after this tick's enters/leaves)
+        if (viewerKnown.has(`${EntityKind.PLAYER}:${p.id}`)) {
+            filteredState.players[p.id] = state.players[p.id];
+        }
+    });
+    const delta = NetworkManager.getDelta(lastState, state);
+    if (delta) {
+        delta.timestamp = timestamp;
+        jsonBytes += byteLength(delta);
+    }
+    lastState = state;
+
+    const filteredDelta = NetworkManager.getDelta(lastFilteredState, filteredState);
+    if (filteredDelta) {
+        filteredDelta.timestamp = timestamp;
+        filteredJsonBytes += byteLength(filteredDelta);
+    }
+    lastFilteredState = filteredState;
+}
+
+const perTick = (bytes) => (bytes / TICKS).toFixed(1);
+const binaryTotal = sent.update + sent.enterLeave;
+
+const percent = (part, whole) => `${(100 * part / whole).toFixed(1)}%`;
+
+console.log(`Players: ${PLAYER_COUNT}, ticks: ${TICKS}, in view: ${(inViewTotal / TICKS).toFixed(1)} on average`);
+console.log(`JSON getDelta (global broadcast): ${perTick(jsonBytes)} bytes/tick`);
+console.log(`JSON getDelta (interest set):     ${perTick(filteredJsonBytes)} bytes/tick`);
+console.log(`Binary UPDATE:                    ${perTick(sent.update)} bytes/tick`);
+console.log(`ENTITY_ENTER/LEAVE:               ${perTick(sent.enterLeave)} bytes/tick`);
+console.log(`Binary total:                     ${perTick(binaryTotal)} bytes/tick`);
+console.log(`Filtering: interest-set JSON is ${percent(filteredJsonBytes, jsonBytes)} of global JSON`);
+console.log(`Encoding:  binary is ${percent(binaryTotal, filteredJsonBytes)} of interest-set JSON`);
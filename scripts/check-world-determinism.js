@@ -0,0 +1,85 @@
+/**
+ * check-world-determinism.js - Golden snapshot of world generation
+ *
+ * Generates the world for worldConfig.seed the way the server does at boot
+ * (geopolitical layer + terrain stitching) and compares its fingerprint
+ * (GeopoliticalMacroLayer.getWorldFingerprint: all POIs, resource deposits
+ * and a fixed set of chunks) with the committed value in world-golden.json.
+ *
+ * A mismatch means generation changed: either a path is no longer
+ * deterministic, or the change was intended and the golden value needs
+ * updating with --update (commit the new file with the change).
+ *
+ * Usage: node scripts/check-world-determinism.js [--update]
+ * (runs the full geopolitical init, expect several minutes)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { worldConfig } from '../shared/config.js';
+import WorldGenerator from '../server/WorldGenerator.js';
+import GeopoliticalMacroLayer from '../server/GeopoliticalMacroLayer.js';
+
+const GOLDEN_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), 'world-golden.json');
+const UPDATE = process.argv.includes('--update');
+
+// Spawn area, plus chunks far from it in every direction
+const CHUNKS = [];
+for (let dz = -1; dz <= 1; dz++) {
+    for (let dx = -1; dx <= 1; dx++) {
+        CHUNKS.push({ x: dx, z: dz });
+    }
+}
+CHUNKS.push({ x: 40, z: 25 }, { x: -150, z: 90 }, { x: 700, z: -1200 }, { x: -3000, z: -3000 });
+
+const generator = new WorldGenerator(worldConfig.seed, worldConfig.chunkSize, worldConfig.seaLevel);
+const geopoliticalLayer = new GeopoliticalMacroLayer(generator, worldConfig.seed);
+await geopoliticalLayer.initialize();
+if (!geopoliticalLayer.isInitialized) {
+    console.error('[Determinism] Geopolitical layer failed to initialize');
+    process.exit(1);
+}
+generator.setHeightModifier((chunkX, chunkZ, heightMap) => {
+    return geopoliticalLayer.processChunkHeightmap(chunkX, chunkZ, heightMap);
+});
+
+// Also cover terrain stitching: the chunks under the first few POIs
+const pois = [...geopoliticalLayer.poiManager.placedPOIs.values()].slice(0, 4);
+for (const poi of pois) {
+    CHUNKS.push({
+        x: Math.floor(poi.position.x / worldConfig.chunkSize),
+        z: Math.floor(poi.position.z / worldConfig.chunkSize)
+    });
+}
+
+const result = {
+    seed: worldConfig.seed,
+    pois: geopoliticalLayer.poiManager.placedPOIs.size,
+    chunks: CHUNKS,
+    fingerprint: geopoliticalLayer.getWorldFingerprint(CHUNKS)
+};
+
+if (UPDATE) {
+    fs.writeFileSync(GOLDEN_PATH, JSON.stringify(result, null, 2) + '\n');
+    console.log(`[Determinism] Golden fingerprint updated: ${result.fingerprint}`);
+    process.exit(0);
+}
+
+if (!fs.existsSync(GOLDEN_PATH)) {
+    console.error(`[Determinism] No golden file at ${GOLDEN_PATH} (run with --update)`);
+    process.exit(1);
+}
+
+const golden = JSON.parse(fs.readFileSync(GOLDEN_PATH, 'utf8'));
+if (golden.seed !== result.seed) {
+    console.error(`[Determinism] Golden file is for seed '${golden.seed}', world seed is '${result.seed}' (run with --update)`);
+    process.exit(1);
+}
+if (golden.fingerprint !== result.fingerprint) {
+    console.error('[Determinism] World fingerprint changed');
+    console.error(`  expected ${golden.fingerprint} (${golden.pois} POIs)`);
+    console.error(`  got      ${result.fingerprint} (${result.pois} POIs)`);
+    process.exit(1);
+}
+console.log(`[Determinism] OK: ${result.fingerprint} (${result.pois} POIs, ${CHUNKS.length} chunks)`);
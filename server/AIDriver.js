@@ -0,0 +1,265 @@
+import RAPIER from '@dimforge/rapier3d-compat';
+import { aiDriverConfig } from '../shared/config.js';
+import { rotateVectorByQuat, getHitDistance } from './Vehicle.js';
+
+/**
+ * AIDriver.js - Drives a Vehicle for an AI unit through the same
+ * applyDriverInput controls a player uses
+ *
+ * - Ground vehicles: a PID on the heading error steers, the throttle is the
+ *   wanted speed (slowing down for the last waypoint). Jeeps back up to
+ *   close targets behind them, tanks pivot on the spot.
+ * - Helicopters: spool the rotor to hover RPM, then hold altitude above the
+ *   ground with the collective, turn the nose to the goal with the tail
+ *   rotor and fly forward by pitching down (attitude PIDs on pitch and roll)
+ */
+
+const GRAVITY = 9.81;
+
+function clamp(value, limit) {
+    return Math.max(-limit, Math.min(limit, value));
+}
+
+/**
+ * Angle in (-PI, PI]
+ */
+function wrapAngle(angle) {
+    while (angle > Math.PI) angle -= Math.PI * 2;
+    while (angle <= -Math.PI) angle += Math.PI * 2;
+    return angle;
+}
+
+class PID {
+    /**
+     * @param {Object} gains - { kp, ki, kd, limit } (output clamped to ±limit)
+     */
+    constructor(gains) {
+        this.gains = gains;
+        this.integral = 0;
+        this.previousError = null;
+    }
+
+    /**
+     * @param {number} rate - Measured rate of change of the controlled value
+     *   (damps on it instead of differentiating the error)
+     */
+    update(error, dt, rate = null) {
+        const { kp, ki, kd, limit } = this.gains;
+        if (ki) this.integral = clamp(this.integral + error * dt, limit / ki);
+
+        let derivative = 0;
+        if (rate !== null) derivative = -rate;
+        else if (this.previousError !== null && dt > 0) derivative = (error - this.previousError) / dt;
+        this.previousError = error;
+
+        return clamp(kp * error + ki * this.integral + kd * derivative, limit);
+    }
+
+    reset() {
+        this.integral = 0;
+        this.previousError = null;
+    }
+}
+
+export class AIDriver {
+    /**
+     * @param {Vehicle} vehicle
+     * @param {string} unitType - AIUnit type, picks the cruise speed
+     */
+    constructor(vehicle, unitType, config = aiDriverConfig) {
+        this.vehicle = vehicle;
+        this.config = config;
+        this.cruiseSpeed = config.cruiseSpeed[unitType] || 10;
+        this.brakeDecel = vehicle.type === 'HELICOPTER' ? config.helicopter.brakeDecel : config.brakeDecel;
+        this.turning = false; // Pivoting or backing up: not stuck even if barely moving
+
+        this.steer = new PID(config.steer);
+        if (vehicle.type === 'HELICOPTER') {
+            const heli = config.helicopter;
+            this.climb = new PID(heli.climb);
+            this.heading = new PID(heli.heading);
+            this.pitch = new PID(heli.attitude);
+            this.roll = new PID(heli.attitude);
+        }
+    }
+
+    /**
+     * Apply this tick's controls
+     * @param {Object|null} goal - {x, y, z} to head for, null: stop (hover)
+     * @param {boolean} stopping - Goal is the end of the path: arrive slowly
+     */
+    update(goal, stopping, dt) {
+        const vehicle = this.vehicle;
+        if (!vehicle.chassis || vehicle.wrecked) return;
+
+        if (vehicle.type === 'HELICOPTER') {
+            vehicle.applyDriverInput(this.fly(goal, stopping, dt), dt);
+        } else {
+            vehicle.applyDriverInput(this.drive(goal, stopping, dt), dt);
+        }
+    }
+
+    /**
+     * Orientation and velocity of the chassis
+     */
+    getFrame() {
+        const chassis = this.vehicle.chassis;
+        const rotation = chassis.rotation();
+        return {
+            position: chassis.translation(),
+            velocity: chassis.linvel(),
+            angularVelocity: chassis.angvel(),
+            forward: rotateVectorByQuat({ x: 0, y: 0, z: 1 }, rotation),
+            right: rotateVectorByQuat({ x: 1, y: 0, z: 0 }, rotation),
+            up: rotateVectorByQuat({ x: 0, y: 1, z: 0 }, rotation)
+        };
+    }
+
+    /**
+     * Speed to aim for with `distance` left to go
+     */
+    getWantedSpeed(distance, stopping) {
+        if (!stopping) return this.cruiseSpeed;
+        return Math.min(this.cruiseSpeed, Math.sqrt(2 * this.brakeDecel * distance));
+    }
+
+    // ========================================================================
+    // Ground vehicles
+    // ========================================================================
+
+    drive(goal, stopping, dt) {
+        this.turning = false;
+        if (!goal) {
+            // Zero throttle: the vehicle's drive force brakes to a stop
+            this.steer.reset();
+            return { x: 0, y: 0 };
+        }
+
+        const { position, forward, angularVelocity } = this.getFrame();
+        const dx = goal.x - position.x;
+        const dz = goal.z - position.z;
+        const distance = Math.hypot(dx, dz);
+        // Positive: goal lies to the right (+yaw turns forward towards +X)
+        const error = wrapAngle(Math.atan2(dx, dz) - Math.atan2(forward.x, forward.z));
+        const maxSpeed = this.vehicle.config.maxSpeed;
+
+        // Tanks pivot towards goals off to the side
+        if (this.vehicle.type === 'TANK' && Math.abs(error) > this.config.turnInPlaceAngle) {
+            this.turning = true;
+            return { x: Math.sign(error), y: 0 };
+        }
+
+        // Jeeps can't turn on the spot: back up to close goals behind them
+        if (this.vehicle.type !== 'TANK' && Math.abs(error) > Math.PI * 0.6 && distance < this.config.reverseDistance) {
+            this.turning = true;
+            const rearError = wrapAngle(error + Math.PI);
+            // Reversing swaps the steering
+            const steer = -this.steer.update(rearError, dt, angularVelocity.y);
+            const speed = this.getWantedSpeed(distance, stopping) * 0.5;
+            return { x: steer, y: speed / maxSpeed };
+        }
+
+        const steer = this.steer.update(error, dt, angularVelocity.y);
+        // Ease off in sharp turns, but keep rolling so the wheels can steer
+        const alignment = Math.max(this.config.turnThrottle, Math.cos(error));
+        const speed = this.getWantedSpeed(distance, stopping) * alignment;
+        if (alignment < 0.5) this.turning = true;
+        return { x: steer, y: -speed / maxSpeed }; // -y is forward
+    }
+
+    // ========================================================================
+    // Helicopters
+    // ========================================================================
+
+    fly(goal, stopping, dt) {
+        const vehicle = this.vehicle;
+        const heli = this.config.helicopter;
+        const input = { throttleUp: false, throttleDown: false, pitch: 0, roll: 0, yaw: 0, collective: 0 };
+        this.turning = false;
+
+        // Engine: hold the rotor just above the RPM whose lift carries the weight
+        const hoverRPM = this.getHoverRPM() * (1 + heli.rpmMargin);
+        if (vehicle.targetRPM < hoverRPM) input.throttleUp = true;
+        else if (vehicle.targetRPM > hoverRPM + vehicle.config.rotor.spoolDownRate * dt) input.throttleDown = true;
+
+        // Sit on the skids until the rotor is up to speed
+        if (vehicle.isGrounded && vehicle.currentRPM < hoverRPM * 0.95) {
+            this.turning = true;
+            return input;
+        }
+
+        const { position, velocity, angularVelocity, forward, right, up } = this.getFrame();
+
+        // Altitude: climb rate towards cruise height above the ground (level
+        // flight when the ground is out of reach), collective trims it
+        const ground = this.getGroundDistance(position);
+        const wantedClimb = ground === null ? 0 : clamp((heli.cruiseAltitude - ground) * heli.climbGain, heli.maxClimbRate);
+        input.collective = this.climb.update(wantedClimb - velocity.y, dt);
+
+        // Forward and sideways directions on the horizontal plane
+        const flatLength = Math.hypot(forward.x, forward.z) || 1;
+        const ahead = { x: forward.x / flatLength, z: forward.z / flatLength };
+        const side = { x: ahead.z, z: -ahead.x };
+
+        // Wanted velocity: towards the goal, slowing down for the end of the
+        // path; the nose turns to the goal unless it's right below us
+        const wanted = { x: 0, z: 0 };
+        const yawRate = angularVelocity.x * up.x + angularVelocity.y * up.y + angularVelocity.z * up.z;
+        let headingError = 0;
+        if (goal) {
+            const dx = goal.x - position.x;
+            const dz = goal.z - position.z;
+            const distance = Math.hypot(dx, dz);
+            if (distance > 0.1) {
+                const speed = this.getWantedSpeed(distance, stopping);
+                wanted.x = dx / distance * speed;
+                wanted.z = dz / distance * speed;
+            }
+            if (distance > heli.turnDistance) {
+                headingError = wrapAngle(Math.atan2(dx, dz) - Math.atan2(ahead.x, ahead.z));
+            }
+        }
+        input.yaw = this.heading.update(headingError, dt, yawRate);
+
+        // Tilt the rotor to accelerate: nose down to speed up, bank to slide sideways
+        const forwardError = (wanted.x - velocity.x) * ahead.x + (wanted.z - velocity.z) * ahead.z;
+        const sideError = (wanted.x - velocity.x) * side.x + (wanted.z - velocity.z) * side.z;
+        const wantedPitch = clamp(Math.atan(forwardError * heli.speedGain / GRAVITY), heli.maxTilt);
+        const wantedBank = clamp(Math.atan(sideError * heli.speedGain / GRAVITY), heli.maxTilt);
+
+        // Current attitude: nose-down pitch and right-side-down bank, both positive
+        const pitchAngle = -Math.asin(clamp(forward.y, 1));
+        const bankAngle = -Math.asin(clamp(right.y, 1));
+        const pitchRate = angularVelocity.x * right.x + angularVelocity.y * right.y + angularVelocity.z * right.z;
+        const bankRate = -(angularVelocity.x * forward.x + angularVelocity.y * forward.y + angularVelocity.z * forward.z);
+
+        // Positive pitch input tips the nose down, positive roll lifts the right side
+        input.pitch = this.pitch.update(wantedPitch - pitchAngle, dt, pitchRate);
+        input.roll = -this.roll.update(wantedBank - bankAngle, dt, bankRate);
+        return input;
+    }
+
+    /**
+     * RPM whose lift carries the helicopter's weight (see Vehicle.applyHoldInput)
+     */
+    getHoverRPM() {
+        const rotor = this.vehicle.config.rotor;
+        const hoverLift = Math.min(1, (this.vehicle.chassis.mass() * GRAVITY) / rotor.maxLiftForce);
+        const effectiveRatio = Math.pow(hoverLift, 1 / (rotor.liftExponent || 1.4));
+        return (rotor.liftThreshold + effectiveRatio * (1.0 - rotor.liftThreshold)) * rotor.maxRPM;
+    }
+
+    /**
+     * Height of the skids above whatever is below, null if nothing is in range
+     */
+    getGroundDistance(position) {
+        const own = new Set(this.vehicle.colliders.map(collider => collider.handle));
+        const ray = new RAPIER.Ray(position, { x: 0, y: -1, z: 0 });
+        const hit = this.vehicle.world.castRay(ray, this.config.helicopter.probeDistance, true, undefined, undefined,
+            undefined, undefined, (collider) => !own.has(collider.handle));
+        if (!hit) return null;
+        return getHitDistance(hit) - this.vehicle.config.skids.dropHeight;
+    }
+}
+
+export default AIDriver;
@@ -1,4 +1,7 @@
 import RAPIER from '@dimforge/rapier3d-compat';
+import { aiDriverConfig, deathConfig, itemConfig, navigationConfig, weaponConfig } from '../shared/config.js';
+import Vehicle from './Vehicle.js';
+import AIDriver from './AIDriver.js';
 
 class AIUnit {
     constructor(id, type, teamId, world, position, physicsSystems) {
@@ -7,13 +10,33 @@ class AIUnit {
         this.teamId = teamId;
         this.world = world;
         this.physicsSystems = physicsSystems;
+        this.weaponSystem = null; // Set by WarDirector
+        this.navigation = null; // NavigationSystem, set by WarDirector
         
-        this.state = 'IDLE'; // IDLE, MOVE, CHASE, ATTACK, HARVEST, RETURN
-        this.target = null; // Position or Entity ID
+        this.behavior = null; // BehaviorTree for this type, set by WarDirector
+        this.squad = null; // Squad (Squad.add sets these three)
+        this.squadId = null;
+        this.blackboard = null; // Squad's Blackboard
+        this.role = null; // Optional job within the squad ('garrison', 'escort', ...)
+        this.memory = {}; // Per-unit state of behavior nodes
+        this.behaviorNode = null; // Action the tree ran last tick ('combat > engage'), for debugging
+
+        this.target = null; // Enemy being fought, a perception contact { id, kind, teamId, position }
         this.path = [];
+        this.pathGoal = null; // Where the current path is heading
+        this.pathComplete = true; // False: the path ends short of pathGoal (plan again there)
+        this.progressTimer = 0; // Seconds since the last stuck check
+        this.progressPosition = null; // Where we stood at the last stuck check
+        this.pathPlannedAt = 0; // When planPath last ran (failed plans are retried after retryTime)
+
+        this.vehicle = null; // Vehicle driven (tanks, trucks, helicopters), its chassis is our rigidBody
+        this.driver = null; // AIDriver working the vehicle's controls
+        this.driveGoal = null; // Waypoint the driver heads for this tick (null: stop / hover)
+        this.driveStopping = false; // driveGoal is the end of the path
         
         this.stats = this.getStats(type);
         this.hp = this.stats.hp;
+        this.inventory = this.createLoadout(); // Carried items, dropped as loot on death
         
         this.initPhysics(position);
     }
@@ -28,109 +51,155 @@ class AIUnit {
         }
     }
 
+    /**
+     * What a unit on foot carries: the item for its weapon (weaponConfig.unitWeapons)
+     * and some of that item's ammo. Vehicle crews carry nothing.
+     */
+    createLoadout() {
+        if (aiDriverConfig.vehicleTypes[this.type]) return [];
+        const weapon = weaponConfig.unitWeapons[this.type];
+        const entry = Object.entries(itemConfig.items).find(([, item]) => item.weapon === weapon);
+        if (!entry) return [];
+
+        const [itemId, item] = entry;
+        const loadout = [{ itemId, count: 1, metadata: {} }];
+        if (item.ammo) {
+            const [min, max] = deathConfig.unitAmmo;
+            loadout.push({ itemId: item.ammo, count: min + Math.floor(Math.random() * (max - min + 1)), metadata: {} });
+        }
+        return loadout;
+    }
+
     initPhysics(pos) {
+        const vehicleType = aiDriverConfig.vehicleTypes[this.type];
+        if (vehicleType) {
+            this.initVehicle(vehicleType, pos);
+            return;
+        }
+
         let bodyDesc = RAPIER.RigidBodyDesc.dynamic().setTranslation(pos.x, pos.y, pos.z);
         let colliderDesc;
 
-        if (this.type === 'HELICOPTER') {
-            bodyDesc.setGravityScale(0.5); // Lighter gravity
-            colliderDesc = RAPIER.ColliderDesc.cuboid(1, 1, 2);
-        } else if (this.type === 'TANK') {
-            bodyDesc.setAdditionalMass(2000);
-            colliderDesc = RAPIER.ColliderDesc.cuboid(1.5, 1, 2.5);
-        } else if (this.type === 'TRUCK') {
-            bodyDesc.setAdditionalMass(1000);
-            colliderDesc = RAPIER.ColliderDesc.cuboid(1, 1, 2);
-        } else {
-            // Soldier
+        if (this.type === 'SOLDIER') {
             bodyDesc.lockRotations();
             colliderDesc = RAPIER.ColliderDesc.capsule(0.5, 0.5);
+        } else {
+            colliderDesc = RAPIER.ColliderDesc.cuboid(1, 1, 2);
         }
 
         this.rigidBody = this.world.createRigidBody(bodyDesc);
         this.collider = this.world.createCollider(colliderDesc, this.rigidBody);
     }
 
-    update(dt, worldData, enemies) {
-        if (this.hp <= 0) return;
+    /**
+     * Crew a real Vehicle (same id as the unit) from the driver's seat. Its
+     * health is ours: weapons damage the vehicle, and we die when it's wrecked.
+     */
+    initVehicle(vehicleType, pos) {
+        this.vehicle = new Vehicle(this.id, vehicleType, this.world, pos);
+        this.vehicle.aiDriver = this;
+        this.vehicle.seats[0] = this.id;
+        this.driver = new AIDriver(this.vehicle, this.type);
 
-        const pos = this.rigidBody.translation();
+        this.rigidBody = this.vehicle.chassis;
+        this.collider = this.vehicle.colliders[0];
+        this.stats.hp = this.vehicle.maxHealth;
+        this.hp = this.vehicle.health;
+    }
 
-        // 1. Perception
-        const nearbyEnemies = this.scanForEnemies(pos, enemies);
-
-        // 2. State Machine Transition
-        if (this.type === 'SOLDIER' || this.type === 'TANK') {
-            if (nearbyEnemies.length > 0) {
-                this.target = nearbyEnemies[0];
-                this.state = 'ATTACK';
-            } else if (this.state === 'ATTACK' && nearbyEnemies.length === 0) {
-                this.state = 'IDLE';
-                this.target = null;
-            }
-        }
+    /**
+     * @param {number} dt
+     * @param {Object} context - { worldData, units, perception, faction, now } from WarDirector
+     */
+    update(dt, context) {
+        // Dead units are removed by WarDirector before their next update
+        if (this.hp <= 0) return;
 
-        // 3. State Execution
-        switch (this.state) {
-            case 'IDLE':
-                // Random patrol if soldier
-                if (this.type === 'SOLDIER' && Math.random() < 0.01) {
-                    this.moveTo({ 
-                        x: pos.x + (Math.random() - 0.5) * 50, 
-                        y: pos.y, 
-                        z: pos.z + (Math.random() - 0.5) * 50 
-                    });
-                }
-                break;
-
-            case 'MOVE':
-            case 'RETURN':
-                this.executeMove(dt);
-                break;
-
-            case 'ATTACK':
-                if (this.target) {
-                    const dist = this.distance(pos, this.target.position);
-                    if (dist < this.stats.range) {
-                        this.stopMove();
-                        this.fireWeapon(this.target);
-                    } else {
-                        // Chase
-                        this.moveTo(this.target.position);
-                        this.executeMove(dt);
-                    }
-                }
-                break;
-                
-            case 'HARVEST':
-                // Truck logic handled by Director mostly, or simple timer here
-                break;
+        if (this.vehicle) {
+            this.hp = this.vehicle.wrecked ? 0 : this.vehicle.health;
+            if (this.hp <= 0) return;
         }
-        
-        // Helicopter Flight Logic
-        if (this.type === 'HELICOPTER') {
-            // Hover logic: Apply force to counteract gravity + bobbing
-            const hoverHeight = 20;
-            const currentHeight = pos.y;
-            const error = hoverHeight - currentHeight;
-            const upForce = (9.81 * this.rigidBody.mass()) + (error * 50);
-            this.rigidBody.applyImpulse({ x: 0, y: upForce * dt, z: 0 }, true);
+
+        if (this.behavior) {
+            const ctx = { ...context, unit: this, blackboard: this.blackboard, dt };
+            this.behavior.tick(ctx);
+            this.behaviorNode = ctx.activeNode;
         }
-    }
 
-    scanForEnemies(pos, enemies) {
-        return enemies.filter(e => {
-            return e.teamId !== this.teamId && this.distance(pos, e.position) < 50;
-        });
+        // The tree set where to drive (executeMove); otherwise brake or hover
+        if (this.driver) {
+            this.driver.update(this.driveGoal, this.driveStopping, dt);
+            this.driveGoal = null;
+        }
     }
 
     distance(a, b) {
         return Math.sqrt(Math.pow(a.x - b.x, 2) + Math.pow(a.z - b.z, 2));
     }
 
+    /**
+     * Head for a position this tick (plans a path on the first call)
+     * @param {Object} goal - {x, y, z}
+     * @param {number} dt
+     * @param {number} radius - Close enough
+     * @returns {string} 'arrived', 'moving' or 'unreachable'
+     */
+    travel(goal, dt, radius = navigationConfig.arrivalDistance) {
+        const current = this.rigidBody.translation();
+        if (this.driver) radius = Math.max(radius, aiDriverConfig.waypointRadius);
+        if (this.distance(current, goal) < radius) {
+            if (this.pathGoal) this.clearPath();
+            return 'arrived';
+        }
+
+        if (!this.moveTo(goal)) return 'unreachable';
+        this.executeMove(dt);
+        return 'moving';
+    }
+
+    /**
+     * @returns {boolean} False if there's no way there (for now)
+     */
     moveTo(targetPos) {
-        this.path = [targetPos]; // Simplified: Direct line. A* would go here.
-        this.state = this.state === 'RETURN' ? 'RETURN' : 'MOVE';
+        // Called every tick: keep the path until the goal has really moved
+        if (this.pathGoal && this.distance(this.pathGoal, targetPos) < navigationConfig.repathDistance) {
+            if (this.path.length > 0) return true;
+            // Don't run a failed search again every tick
+            if (Date.now() - this.pathPlannedAt < navigationConfig.retryTime) return false;
+        }
+
+        this.pathGoal = { x: targetPos.x, y: targetPos.y, z: targetPos.z };
+        this.planPath();
+        return this.path.length > 0;
+    }
+
+    clearPath() {
+        this.path = [];
+        this.pathGoal = null;
+        this.pathComplete = true;
+        this.stopMove();
+    }
+
+    /**
+     * Path from here to pathGoal. Units without a movement profile
+     * (helicopters) or without navigation head straight for it.
+     */
+    planPath() {
+        const current = this.rigidBody.translation();
+        this.progressTimer = 0;
+        this.progressPosition = { x: current.x, y: current.y, z: current.z };
+        this.pathPlannedAt = Date.now();
+
+        const profile = navigationConfig.unitProfiles[this.type];
+        if (!this.navigation || !profile) {
+            this.path = [this.pathGoal];
+            this.pathComplete = true;
+            return;
+        }
+
+        const result = this.navigation.findPath(current, this.pathGoal, profile);
+        this.path = result.path;
+        this.pathComplete = result.complete;
     }
 
     executeMove(dt) {
@@ -143,14 +212,34 @@ class AIUnit {
         const dz = target.z - current.z;
         const dist = Math.sqrt(dx*dx + dz*dz);
 
-        if (dist < 2.0) {
+        // Vehicles can't turn tightly enough to hit every waypoint exactly
+        const arrival = this.driver ? aiDriverConfig.waypointRadius : navigationConfig.arrivalDistance;
+        if (dist < arrival) {
             this.path.shift(); // Reached waypoint
-            if (this.path.length === 0) this.state = 'IDLE';
+            if (this.path.length === 0) {
+                // A partial path stops short of the goal: plan the next leg from here
+                if (!this.pathComplete && this.distance(current, this.pathGoal) > navigationConfig.arrivalDistance) {
+                    this.planPath();
+                }
+                if (this.path.length === 0) {
+                    this.stopMove();
+                    // Keep the goal of a failed leg so moveTo waits retryTime before searching again
+                    if (this.pathComplete) this.pathGoal = null;
+                }
+            }
             return;
         }
 
         // Normalize
         const moveDir = { x: dx/dist, z: dz/dist };
+
+        // Vehicles are driven there (AIDriver, after the tree has run)
+        if (this.driver) {
+            this.driveGoal = target;
+            this.driveStopping = this.path.length === 1;
+            this.checkProgress(dt, current, moveDir);
+            return;
+        }
         
         // Apply Velocity directly for simple AI navigation
         // Or Impulse if we want physical pushing
@@ -167,17 +256,113 @@ class AIUnit {
         
         // Face direction
         // (Simplified rotation logic omitted for brevity, would use torque)
+
+        this.checkProgress(dt, current, moveDir);
+    }
+
+    /**
+     * Every stuckTime seconds: if we barely moved, something the nav data
+     * doesn't know about is in the way. Avoid the cell ahead and replan.
+     */
+    checkProgress(dt, current, moveDir) {
+        // Pivoting or backing up doesn't get us anywhere yet, but isn't stuck
+        if (this.driver && this.driver.turning) {
+            this.progressTimer = 0;
+            this.progressPosition = { x: current.x, y: current.y, z: current.z };
+            return;
+        }
+
+        this.progressTimer += dt;
+        if (this.progressTimer < navigationConfig.stuckTime) return;
+
+        const moved = this.progressPosition ? this.distance(current, this.progressPosition) : Infinity;
+        this.progressTimer = 0;
+        this.progressPosition = { x: current.x, y: current.y, z: current.z };
+        if (moved >= navigationConfig.stuckDistance || !this.navigation || !this.pathGoal) return;
+
+        const cellSize = navigationConfig.cellSize;
+        this.navigation.markBlocked({ x: current.x + moveDir.x * cellSize, z: current.z + moveDir.z * cellSize });
+        this.planPath();
     }
 
     stopMove() {
+        if (this.driver) {
+            this.driveGoal = null;
+            return;
+        }
         const linVel = this.rigidBody.linvel();
         this.rigidBody.setLinvel({ x: 0, y: linVel.y, z: 0 }, true);
     }
 
     fireWeapon(target) {
-        // Rate of fire limiter would go here
-        // console.log(`${this.type} ${this.id} firing at ${target.id}`);
-        // Raycast shoot or spawn projectile
+        // Rate of fire is limited by WeaponSystem
+        const weaponId = weaponConfig.unitWeapons[this.type];
+        if (!this.weaponSystem || !weaponId || !target || !target.position) return;
+
+        const pos = this.rigidBody.translation();
+        const origin = { x: pos.x, y: pos.y + 0.6, z: pos.z };
+        const aim = {
+            x: target.position.x - origin.x,
+            y: target.position.y - origin.y,
+            z: target.position.z - origin.z
+        };
+        const length = Math.sqrt(aim.x * aim.x + aim.y * aim.y + aim.z * aim.z);
+        if (length < 0.01) return;
+
+        const direction = { x: aim.x / length, y: aim.y / length, z: aim.z / length };
+        this.weaponSystem.fire(this.getShooter(), weaponId, origin, direction, Date.now());
+    }
+
+    getShooter() {
+        return {
+            kind: 'unit',
+            id: this.id,
+            entity: this,
+            teamId: this.teamId,
+            ignoreBodies: new Set([this.rigidBody.handle])
+        };
+    }
+
+    getVelocity() {
+        const v = this.rigidBody.linvel();
+        return { x: v.x, y: v.y, z: v.z };
+    }
+
+    /**
+     * Remove the unit's body from the world (after death)
+     */
+    destroy() {
+        if (this.vehicle) {
+            this.leaveVehicle();
+            return;
+        }
+        this.world.removeRigidBody(this.rigidBody);
+    }
+
+    /**
+     * Give up the driver's seat. The vehicle stays in the world: as a wreck
+     * (VehicleDamageSystem clears it) or for whoever took it over.
+     */
+    leaveVehicle() {
+        const vehicle = this.vehicle;
+        if (vehicle.aiDriver === this) vehicle.aiDriver = null;
+        if (vehicle.seats[0] === this.id) vehicle.seats[0] = null;
+        this.driver = null;
+    }
+
+    /**
+     * Take damage
+     * @returns {boolean} True if this killed the unit
+     */
+    applyDamage(amount, point = null, attacker = null) {
+        if (this.vehicle) {
+            const destroyed = this.vehicle.applyDamage(amount, point, attacker);
+            this.hp = this.vehicle.health;
+            return destroyed;
+        }
+        if (this.hp <= 0) return false;
+        this.hp = Math.max(0, this.hp - amount);
+        return this.hp === 0;
     }
 }
 
@@ -0,0 +1,195 @@
+/**
+ * AccountManager.js - Local accounts and session tokens
+ *
+ * - Accounts are { name, passwordHash, createdAt, lastLogin }, keyed by the
+ *   lower-cased name so names are unique regardless of case
+ * - Passwords are hashed with scrypt and a per-account salt
+ * - Logging in returns a session token; a socket that reconnects presents
+ *   the token instead of the password and gets the same identity back
+ *
+ * Storage uses the same stores as PersistenceManager (JsonFileStore / MemoryStore).
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+import { promisify } from 'util';
+import { accountConfig } from '../shared/config.js';
+import { JsonFileStore, MemoryStore } from './PersistenceManager.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+const HASH_PREFIX = 'scrypt';
+const KEY_LENGTH = 64;
+const NAME_PATTERN = /[^A-Za-z0-9_-]/g;
+
+export class AccountManager {
+    constructor(store, config = accountConfig) {
+        this.store = store;
+        this.config = config;
+
+        this.accounts = new Map(); // lower-cased name -> account
+        this.sessions = new Map(); // token -> { key, expiresAt }
+
+        this.pendingSave = null;  // Write in progress
+        this.saveDirty = false;   // Accounts changed since that write started
+    }
+
+    static createStore(config, rootDir) {
+        if (config.driver === 'memory') {
+            return new MemoryStore();
+        }
+        return new JsonFileStore(path.resolve(rootDir, config.dataDir, config.fileName));
+    }
+
+    async load() {
+        let saved = null;
+        try {
+            saved = await this.store.load();
+        } catch (err) {
+            console.error('[Accounts] Failed to load accounts:', err);
+        }
+
+        if (saved && saved.accounts) {
+            for (const account of saved.accounts) {
+                this.accounts.set(account.name.toLowerCase(), account);
+            }
+        }
+        console.log(`[Accounts] ${this.accounts.size} accounts loaded`);
+    }
+
+    /**
+     * Write the accounts. Writes never overlap (the store reuses one temp
+     * file): a save during a write is folded into one more write afterwards.
+     * @returns {Promise} Settles once the accounts as they are now are written
+     */
+    save() {
+        this.saveDirty = true;
+        if (!this.pendingSave) {
+            this.pendingSave = this.flush().finally(() => {
+                this.pendingSave = null;
+            });
+        }
+        return this.pendingSave;
+    }
+
+    async flush() {
+        while (this.saveDirty) {
+            this.saveDirty = false;
+            try {
+                await this.store.save({ accounts: [...this.accounts.values()] });
+            } catch (err) {
+                console.error('[Accounts] Failed to save accounts:', err);
+            }
+        }
+    }
+
+    /**
+     * Strip everything but letters, digits, '_' and '-', and clamp the length
+     * @returns {string|null} Sanitized name, or null if too short
+     */
+    sanitizeName(name) {
+        if (typeof name !== 'string') return null;
+        const clean = name.trim().replace(NAME_PATTERN, '').substring(0, this.config.nameMaxLength);
+        return clean.length >= this.config.nameMinLength ? clean : null;
+    }
+
+    async hashPassword(password) {
+        const salt = crypto.randomBytes(16).toString('hex');
+        const hash = await scrypt(password, salt, KEY_LENGTH);
+        return `${HASH_PREFIX}$${salt}$${hash.toString('hex')}`;
+    }
+
+    async verifyPassword(password, stored) {
+        const [prefix, salt, expected] = (stored || '').split('$');
+        if (prefix !== HASH_PREFIX || !salt || !expected) return false;
+
+        const hash = await scrypt(password, salt, KEY_LENGTH);
+        const expectedBuffer = Buffer.from(expected, 'hex');
+        return expectedBuffer.length === hash.length && crypto.timingSafeEqual(hash, expectedBuffer);
+    }
+
+    /**
+     * Log in with a name and password. Unknown names are registered.
+     * @returns {Promise<Object>} { success, name, token, created } or { success: false, reason }
+     */
+    async login(name, password) {
+        const cleanName = this.sanitizeName(name);
+        if (!cleanName) {
+            return { success: false, reason: `Name must be ${this.config.nameMinLength}-${this.config.nameMaxLength} letters, digits, '_' or '-'` };
+        }
+        if (typeof password !== 'string' || password.length < this.config.passwordMinLength) {
+            return { success: false, reason: `Password must be at least ${this.config.passwordMinLength} characters` };
+        }
+
+        const key = cleanName.toLowerCase();
+        let account = this.accounts.get(key);
+        let created = false;
+
+        if (account) {
+            if (!await this.verifyPassword(password, account.passwordHash)) {
+                return { success: false, reason: 'Wrong password' };
+            }
+        } else {
+            account = {
+                name: cleanName,
+                passwordHash: await this.hashPassword(password),
+                createdAt: Date.now(),
+                lastLogin: 0
+            };
+            // Another socket may have registered the name while we were hashing
+            if (this.accounts.has(key)) return { success: false, reason: 'Name already taken' };
+            this.accounts.set(key, account);
+            created = true;
+            console.log(`[Accounts] Registered ${account.name}`);
+        }
+
+        account.lastLogin = Date.now();
+        await this.save();
+
+        return { success: true, name: account.name, token: this.createSession(key), created };
+    }
+
+    /**
+     * Resume a session from its token
+     * @returns {Object} { success, name, token } or { success: false, reason }
+     */
+    resume(token) {
+        const session = typeof token === 'string' ? this.sessions.get(token) : null;
+        if (!session || session.expiresAt < Date.now()) {
+            if (session) this.sessions.delete(token);
+            return { success: false, reason: 'Session expired' };
+        }
+
+        const account = this.accounts.get(session.key);
+        if (!account) {
+            this.sessions.delete(token);
+            return { success: false, reason: 'Session expired' };
+        }
+
+        session.expiresAt = Date.now() + this.config.sessionTTL;
+        return { success: true, name: account.name, token };
+    }
+
+    /**
+     * Random URL-safe token (sessions, reconnect tokens)
+     */
+    createToken() {
+        return crypto.randomBytes(24).toString('base64url');
+    }
+
+    createSession(key) {
+        this.pruneSessions();
+        const token = this.createToken();
+        this.sessions.set(token, { key, expiresAt: Date.now() + this.config.sessionTTL });
+        return token;
+    }
+
+    pruneSessions() {
+        const now = Date.now();
+        for (const [token, session] of this.sessions) {
+            if (session.expiresAt < now) this.sessions.delete(token);
+        }
+    }
+}
+
+export default AccountManager;
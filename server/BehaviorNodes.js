@@ -0,0 +1,482 @@
+/**
+ * BehaviorNodes.js - Reusable behavior tree leaves for AI units
+ *
+ * Every leaf gets the tick context and its node's params:
+ *   ctx = { unit, blackboard, dt, now, units, perception, treasury, resourceNodes,
+ *           faction, worldData }
+ * units are { id, teamId, position } of every AI unit; enemies are known
+ * only through perception (PerceptionSystem.js).
+ * unit.squad (Squad.js) and the blackboard's order drive the squad nodes.
+ * Conditions return a boolean, actions a Status. Actions move the unit
+ * through unit.travel and keep their progress in unit.memory, since the
+ * tree itself is re-evaluated from the root every tick.
+ *
+ * Positions are physics coords ({x, y: height, z}); POIs store height in z
+ * and are converted where they are read.
+ */
+
+import RAPIER from '@dimforge/rapier3d-compat';
+import { behaviorConfig, squadConfig } from '../shared/config.js';
+import { Status } from './BehaviorTree.js';
+
+const EYE_HEIGHT = 1.5;
+const COVER_DIRECTIONS = 8;
+
+function travelStatus(result) {
+    if (result === 'arrived') return Status.SUCCESS;
+    return result === 'moving' ? Status.RUNNING : Status.FAILURE;
+}
+
+function isAlive(unit) {
+    return unit && unit.hp > 0;
+}
+
+function setTarget(ctx, enemy) {
+    const { unit, blackboard } = ctx;
+    const previous = unit.target ? unit.target.id : null;
+    const next = enemy ? enemy.id : null;
+
+    unit.target = enemy;
+    // Cover and flank positions were chosen against the old target
+    if (previous !== next) {
+        delete unit.memory.cover;
+        delete unit.memory.flank;
+    }
+    if (blackboard) blackboard.setEngagement(unit.id, next);
+}
+
+/**
+ * Is the straight line from an enemy's eyes to a point blocked by anything
+ * (terrain, buildings, other units) except the unit itself?
+ */
+function isHiddenFrom(unit, point, enemyPosition) {
+    const from = { x: enemyPosition.x, y: enemyPosition.y + EYE_HEIGHT, z: enemyPosition.z };
+    const to = { x: point.x, y: point.y + EYE_HEIGHT, z: point.z };
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const dz = to.z - from.z;
+    const length = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    if (length < 1) return false;
+
+    // Start a little way out so the enemy's own body doesn't count as cover
+    const direction = { x: dx / length, y: dy / length, z: dz / length };
+    const offset = Math.min(1.5, length / 2);
+    const origin = { x: from.x + direction.x * offset, y: from.y + direction.y * offset, z: from.z + direction.z * offset };
+    const ray = new RAPIER.Ray(origin, direction);
+    const hit = unit.world.castRay(ray, length - offset - 0.5, true, undefined, undefined, undefined, unit.rigidBody);
+    return !!hit;
+}
+
+/**
+ * Travel to the unit's formation slot (RUNNING while in it too)
+ */
+function keepFormation(ctx) {
+    const { unit, dt } = ctx;
+    const slot = unit.squad && unit.squad.getSlot(unit);
+    if (!slot) return Status.FAILURE;
+
+    // Slots move with the leader: aim at the slot itself, not a cached path to it
+    const result = unit.travel(slot, dt, squadConfig.slotTolerance);
+    return result === 'unreachable' ? Status.FAILURE : Status.RUNNING;
+}
+
+function groundHeight(unit, x, z, fallback) {
+    const navigation = unit.navigation;
+    if (!navigation) return fallback;
+    const { gx, gz } = navigation.worldToCell(x, z);
+    const cell = navigation.getCell(gx, gz);
+    return cell ? cell.height : fallback;
+}
+
+export const conditions = {
+    /**
+     * Sees an enemy (unit or player). Picks the nearest as unit.target.
+     */
+    hasEnemy(ctx) {
+        const { unit, now } = ctx;
+        const pos = unit.rigidBody.translation();
+        const visible = ctx.perception ? ctx.perception.getVisibleEnemies(unit, now) : [];
+        if (visible.length === 0) {
+            if (unit.target) setTarget(ctx, null);
+            return false;
+        }
+
+        let nearest = visible[0];
+        let nearestDist = unit.distance(pos, nearest.position);
+        for (const enemy of visible) {
+            const dist = unit.distance(pos, enemy.position);
+            if (dist < nearestDist) {
+                nearest = enemy;
+                nearestDist = dist;
+            }
+        }
+
+        setTarget(ctx, nearest);
+        return true;
+    },
+
+    /**
+     * A squad member reported an enemy recently
+     */
+    squadThreat(ctx) {
+        return !!(ctx.blackboard && ctx.blackboard.getLatestThreat(ctx.now, behaviorConfig.threatMemory));
+    },
+
+    /**
+     * { below } - Health under this fraction of the maximum
+     */
+    lowHealth(ctx, params) {
+        const { unit } = ctx;
+        return unit.hp / unit.stats.hp < (params.below ?? 0.3);
+    },
+
+    targetInRange(ctx) {
+        const { unit } = ctx;
+        if (!unit.target) return false;
+        return unit.distance(unit.rigidBody.translation(), unit.target.position) < unit.stats.range;
+    },
+
+    /**
+     * { radius } - More known enemies around the target than friends around the unit
+     */
+    outnumbered(ctx, params) {
+        const { unit } = ctx;
+        if (!unit.target) return false;
+        const radius = params.radius ?? 30;
+        const pos = unit.rigidBody.translation();
+        let friends = 0;
+        for (const other of ctx.units || []) {
+            // Includes the unit itself
+            if (other.teamId === unit.teamId && unit.distance(pos, other.position) < radius) friends++;
+        }
+        let enemies = 0;
+        for (const contact of ctx.perception ? ctx.perception.getContacts(unit) : []) {
+            if (unit.distance(unit.target.position, contact.position) < radius) enemies++;
+        }
+        return enemies > friends;
+    },
+
+    /**
+     * Another squad member is already fighting the unit's target
+     */
+    allyEngaging(ctx) {
+        const { unit, blackboard } = ctx;
+        if (!unit.target || !blackboard) return false;
+        return blackboard.countEngaged(unit.target.id, unit.id) > 0;
+    },
+
+    isLeader(ctx) {
+        return !!(ctx.unit.squad && ctx.unit.squad.leader === ctx.unit);
+    },
+
+    /**
+     * { order } - The squad's current order is of this OrderType
+     */
+    orderIs(ctx, params) {
+        const order = ctx.blackboard && ctx.blackboard.order;
+        return !!order && order.type === params.order;
+    },
+
+    /**
+     * { radius } - A member fell too far behind the leader
+     */
+    squadScattered(ctx, params) {
+        return !!ctx.unit.squad && ctx.unit.squad.isScattered(params.radius);
+    },
+
+    hasConvoy(ctx) {
+        return !!(ctx.blackboard && isAlive(ctx.blackboard.convoy));
+    },
+
+    /**
+     * { role } - The unit's job within its squad
+     */
+    hasRole(ctx, params) {
+        return ctx.unit.role === params.role;
+    }
+};
+
+export const actions = {
+    /**
+     * { chase } - Fire at the target when in range, close in otherwise
+     * (chase: false fails instead, for units holding a position)
+     */
+    engage(ctx, params) {
+        const { unit, dt } = ctx;
+        if (!unit.target) return Status.FAILURE;
+
+        const pos = unit.rigidBody.translation();
+        if (unit.distance(pos, unit.target.position) < unit.stats.range) {
+            unit.clearPath();
+            unit.fireWeapon(unit.target);
+            return Status.RUNNING;
+        }
+        if (params.chase === false) return Status.FAILURE;
+
+        return unit.travel(unit.target.position, dt) === 'unreachable' ? Status.FAILURE : Status.RUNNING;
+    },
+
+    /**
+     * { radius } - Move to a nearby spot the target can't see.
+     * SUCCESS once there (fight from it), FAILURE if there is none.
+     */
+    takeCover(ctx, params) {
+        const { unit, dt } = ctx;
+        if (!unit.target) return Status.FAILURE;
+
+        const memory = unit.memory;
+        if (!memory.cover) {
+            const pos = unit.rigidBody.translation();
+            const radius = params.radius ?? 12;
+            let best = null;
+            for (let i = 0; i < COVER_DIRECTIONS; i++) {
+                const angle = (i / COVER_DIRECTIONS) * Math.PI * 2;
+                const x = pos.x + Math.cos(angle) * radius;
+                const z = pos.z + Math.sin(angle) * radius;
+                const point = { x, y: groundHeight(unit, x, z, pos.y), z };
+                if (!isHiddenFrom(unit, point, unit.target.position)) continue;
+                // Prefer cover that keeps us close to the fight
+                const dist = unit.distance(point, unit.target.position);
+                if (!best || dist < best.dist) best = { point, dist };
+            }
+            memory.cover = best ? { point: best.point, reached: false } : { point: null };
+        }
+
+        const cover = memory.cover;
+        if (!cover.point) return Status.FAILURE;
+        if (cover.reached) return Status.SUCCESS;
+
+        const status = travelStatus(unit.travel(cover.point, dt));
+        if (status === Status.SUCCESS) cover.reached = true;
+        if (status === Status.FAILURE) cover.point = null;
+        return status;
+    },
+
+    /**
+     * { distance } - Swing round to the target's side before attacking,
+     * while another squad member keeps it busy. SUCCESS once in position.
+     */
+    flank(ctx, params) {
+        const { unit, dt } = ctx;
+        if (!unit.target) return Status.FAILURE;
+
+        const memory = unit.memory;
+        if (!memory.flank) {
+            const pos = unit.rigidBody.translation();
+            const target = unit.target.position;
+            const dx = pos.x - target.x;
+            const dz = pos.z - target.z;
+            const length = Math.sqrt(dx * dx + dz * dz) || 1;
+            const distance = params.distance ?? Math.min(unit.stats.range * 0.8, length);
+            // Perpendicular to the line of fire, on whichever side we already lean towards
+            const side = (unit.id.length + Math.round(pos.x)) % 2 === 0 ? 1 : -1;
+            const x = target.x + (-dz / length) * side * distance;
+            const z = target.z + (dx / length) * side * distance;
+            memory.flank = { point: { x, y: groundHeight(unit, x, z, pos.y), z }, reached: false };
+        }
+
+        const flank = memory.flank;
+        if (flank.reached) return Status.SUCCESS;
+
+        const status = travelStatus(unit.travel(flank.point, dt, 4));
+        if (status === Status.SUCCESS) flank.reached = true;
+        return status;
+    },
+
+    /**
+     * { radius } - Fall back to the squad's home
+     */
+    retreat(ctx, params) {
+        const { unit, blackboard, dt } = ctx;
+        if (!blackboard || !blackboard.home) return Status.FAILURE;
+        if (unit.target) setTarget(ctx, null);
+        return travelStatus(unit.travel(blackboard.home, dt, params.radius ?? 10));
+    },
+
+    /**
+     * Go and look where a squad member last saw an enemy
+     */
+    investigate(ctx) {
+        const { unit, blackboard, dt, now } = ctx;
+        const threat = blackboard && blackboard.getLatestThreat(now, behaviorConfig.threatMemory);
+        if (!threat) return Status.FAILURE;
+
+        const status = travelStatus(unit.travel(threat.position, dt, 5));
+        // Nothing here any more
+        if (status !== Status.RUNNING) blackboard.threats.delete(threat.id);
+        return status;
+    },
+
+    /**
+     * { radius, points } - Walk the squad's patrol loop around home
+     */
+    patrol(ctx, params) {
+        const { unit, blackboard, dt } = ctx;
+        if (!blackboard || !blackboard.home) return Status.FAILURE;
+
+        if (!blackboard.patrolRoute) {
+            const radius = params.radius ?? 40;
+            const count = params.points ?? 4;
+            const home = blackboard.home;
+            blackboard.patrolRoute = [];
+            for (let i = 0; i < count; i++) {
+                const angle = (i / count) * Math.PI * 2;
+                const x = home.x + Math.cos(angle) * radius;
+                const z = home.z + Math.sin(angle) * radius;
+                blackboard.patrolRoute.push({ x, y: groundHeight(unit, x, z, home.y), z });
+            }
+        }
+
+        const route = blackboard.patrolRoute;
+        const memory = unit.memory;
+        memory.patrolIndex = (memory.patrolIndex ?? 0) % route.length;
+
+        const result = unit.travel(route[memory.patrolIndex], dt, 4);
+        // Skip waypoints we can't reach rather than stalling on them
+        if (result !== 'moving') memory.patrolIndex = (memory.patrolIndex + 1) % route.length;
+        return Status.RUNNING;
+    },
+
+    /**
+     * { distance } - Stay close to the squad's convoy truck: in the column
+     * behind it when we're part of its squad, within distance otherwise
+     */
+    escortConvoy(ctx, params) {
+        const { unit, blackboard, dt } = ctx;
+        const convoy = blackboard && blackboard.convoy;
+        if (!isAlive(convoy)) return Status.FAILURE;
+
+        if (unit.squad && unit.squad.leader === convoy) return keepFormation(ctx);
+
+        const result = unit.travel(convoy.rigidBody.translation(), dt, params.distance ?? 8);
+        return result === 'unreachable' ? Status.FAILURE : Status.RUNNING;
+    },
+
+    /**
+     * Squad members: keep to the formation slot around the leader
+     */
+    followLeader(ctx) {
+        return keepFormation(ctx);
+    },
+
+    /**
+     * Leader: head for the order's position, then hold there (RUNNING).
+     * The order is marked reached on arrival.
+     */
+    advance(ctx) {
+        const { unit, blackboard, dt } = ctx;
+        const order = blackboard && blackboard.order;
+        if (!order) return Status.FAILURE;
+
+        const result = unit.travel(order.position, dt, order.radius);
+        if (result === 'unreachable') return Status.FAILURE;
+        if (result === 'arrived') order.reached = true;
+        return Status.RUNNING;
+    },
+
+    /**
+     * Stand still, stepping back if pushed away from the order's position
+     */
+    holdPosition(ctx) {
+        const { unit, blackboard, dt } = ctx;
+        const order = blackboard && blackboard.order;
+        if (!order) {
+            unit.stopMove();
+            return Status.RUNNING;
+        }
+        return unit.travel(order.position, dt, order.radius) === 'unreachable' ? Status.FAILURE : Status.RUNNING;
+    },
+
+    /**
+     * Leader: wait for stragglers
+     */
+    regroup(ctx) {
+        ctx.unit.clearPath();
+        return Status.RUNNING;
+    },
+
+    /**
+     * { radius, wander } - Hold the settlement being defended (or home):
+     * come back when outside radius, otherwise now and then step to another
+     * spot inside it
+     */
+    garrison(ctx, params) {
+        const { unit, blackboard, dt } = ctx;
+        if (!blackboard) return Status.FAILURE;
+
+        const order = blackboard.order;
+        const home = order && order.type === 'defend' ? order.position : blackboard.home;
+        if (!home) return Status.FAILURE;
+        const radius = params.radius ?? (order && order.type === 'defend' ? order.radius : 25);
+        const memory = unit.memory;
+        const pos = unit.rigidBody.translation();
+
+        if (!memory.post && (unit.distance(pos, home) > radius || Math.random() < (params.wander ?? 0.01))) {
+            const angle = Math.random() * Math.PI * 2;
+            const distance = Math.random() * radius * 0.8;
+            const x = home.x + Math.cos(angle) * distance;
+            const z = home.z + Math.sin(angle) * distance;
+            memory.post = { x, y: groundHeight(unit, x, z, home.y), z };
+        }
+
+        if (memory.post && unit.travel(memory.post, dt) !== 'moving') delete memory.post;
+        return Status.RUNNING;
+    },
+
+    /**
+     * { load, duration } - Truck run: drive to the nearest resource node
+     * (ResourceNodeSystem), work it for duration seconds, then deliver what
+     * it gave to the faction treasury at home. SUCCESS when delivered.
+     */
+    harvest(ctx, params) {
+        const { unit, blackboard, treasury, resourceNodes, dt, now } = ctx;
+        if (!blackboard || !blackboard.home || !treasury || !resourceNodes) return Status.FAILURE;
+
+        const memory = unit.memory;
+        if (!memory.harvest) {
+            const node = resourceNodes.findHarvestNode(unit.teamId, blackboard.home, now);
+            if (!node) return Status.FAILURE;
+            memory.harvest = { node, load: 0, loaded: false, doneAt: null };
+        }
+
+        const job = memory.harvest;
+        const destination = job.loaded ? blackboard.home : job.node.position;
+        const result = unit.travel(destination, dt, 10);
+
+        if (result === 'unreachable') {
+            delete memory.harvest;
+            return Status.FAILURE;
+        }
+        if (result !== 'arrived') return Status.RUNNING;
+
+        if (!job.loaded) {
+            // Working the node (standing there also claims it)
+            if (job.doneAt === null) job.doneAt = now + (params.duration ?? 0) * 1000;
+            if (now < job.doneAt) {
+                unit.stopMove();
+                return Status.RUNNING;
+            }
+
+            job.load = resourceNodes.harvest(job.node, params.load ?? 50, now);
+            if (job.load <= 0) {
+                // Someone emptied it first
+                delete memory.harvest;
+                return Status.FAILURE;
+            }
+            job.loaded = true;
+            return Status.RUNNING;
+        }
+
+        const stored = treasury.deposit(unit.teamId, job.node.resource, job.load);
+        console.log(`${unit.teamId} delivered ${Math.round(stored)} ${job.node.resource} from ${job.node.id}`);
+        delete memory.harvest;
+        return Status.SUCCESS;
+    },
+
+    idle(ctx) {
+        ctx.unit.stopMove();
+        return Status.SUCCESS;
+    }
+};
+
+export default { conditions, actions };
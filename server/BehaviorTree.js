@@ -0,0 +1,182 @@
+/**
+ * BehaviorTree.js - Data-driven behavior trees for AI units
+ *
+ * Trees are plain objects (behaviorConfig.trees, one per unit type):
+ * - { selector: [...] } runs children in order until one doesn't fail
+ * - { sequence: [...] } runs children in order until one doesn't succeed
+ * - { condition: 'name', ...params } / { action: 'name', ...params } are
+ *   leaves from a node library (BehaviorNodes.js). A condition only answers
+ *   SUCCESS or FAILURE, { not: true } inverts it.
+ * Any node may carry a `name`, shown in the AI debug overlay.
+ *
+ * Trees are stateless and shared by every unit of a type; the whole tree is
+ * evaluated from the root each tick. State lives on the unit (unit.memory)
+ * or on its squad's Blackboard.
+ */
+
+export const Status = Object.freeze({
+    SUCCESS: 'success',
+    FAILURE: 'failure',
+    RUNNING: 'running'
+});
+
+/**
+ * What a squad knows, shared by all of its members
+ */
+export class Blackboard {
+    /**
+     * @param {Object} home - Squad's base or settlement (physics coords)
+     */
+    constructor(home) {
+        this.home = home;
+        this.patrolRoute = null;   // [{x, y, z}] shared patrol loop, built on first use
+        this.order = null;         // { type, position, radius, cellId, settlementId } (Squad.setOrder)
+        this.convoy = null;        // Unit the escorts follow (a harvest truck)
+        this.threats = new Map();  // enemyId -> { id, position, seenAt } reported by members
+        this.engagements = new Map(); // enemyId -> Set of member ids attacking it
+    }
+
+    reportThreat(enemy, now) {
+        const p = enemy.position;
+        this.threats.set(enemy.id, { id: enemy.id, position: { x: p.x, y: p.y, z: p.z }, seenAt: now });
+    }
+
+    /**
+     * Most recently seen threat still remembered
+     * @returns {Object|null} { id, position, seenAt }
+     */
+    getLatestThreat(now, memory) {
+        let latest = null;
+        for (const [id, threat] of this.threats) {
+            if (now - threat.seenAt > memory) {
+                this.threats.delete(id);
+            } else if (!latest || threat.seenAt > latest.seenAt) {
+                latest = threat;
+            }
+        }
+        return latest;
+    }
+
+    /**
+     * Record which enemy a member is attacking (null: none)
+     */
+    setEngagement(unitId, enemyId) {
+        for (const [id, attackers] of this.engagements) {
+            if (id === enemyId) continue;
+            attackers.delete(unitId);
+            if (attackers.size === 0) this.engagements.delete(id);
+        }
+        if (enemyId === null) return;
+        if (!this.engagements.has(enemyId)) this.engagements.set(enemyId, new Set());
+        this.engagements.get(enemyId).add(unitId);
+    }
+
+    /**
+     * Squad members other than unitId attacking enemyId
+     */
+    countEngaged(enemyId, unitId) {
+        const attackers = this.engagements.get(enemyId);
+        if (!attackers) return 0;
+        return attackers.size - (attackers.has(unitId) ? 1 : 0);
+    }
+}
+
+class Composite {
+    constructor(name, children) {
+        this.name = name;
+        this.children = children;
+    }
+}
+
+class Selector extends Composite {
+    tick(ctx, path) {
+        for (const child of this.children) {
+            const status = child.tick(ctx, this.name ? [...path, this.name] : path);
+            if (status !== Status.FAILURE) return status;
+        }
+        return Status.FAILURE;
+    }
+}
+
+class Sequence extends Composite {
+    tick(ctx, path) {
+        for (const child of this.children) {
+            const status = child.tick(ctx, this.name ? [...path, this.name] : path);
+            if (status !== Status.SUCCESS) return status;
+        }
+        return Status.SUCCESS;
+    }
+}
+
+class Condition {
+    constructor(name, fn, params) {
+        this.name = name;
+        this.fn = fn;
+        this.params = params;
+        this.invert = params.not === true;
+    }
+
+    tick(ctx) {
+        const result = !!this.fn(ctx, this.params);
+        return result !== this.invert ? Status.SUCCESS : Status.FAILURE;
+    }
+}
+
+class Action {
+    constructor(name, fn, params) {
+        this.name = name;
+        this.fn = fn;
+        this.params = params;
+    }
+
+    tick(ctx, path) {
+        const status = this.fn(ctx, this.params);
+        // The deepest action that didn't fail is what the unit is doing now
+        if (status !== Status.FAILURE) ctx.activeNode = [...path, this.name].join(' > ');
+        return status;
+    }
+}
+
+export class BehaviorTree {
+    /**
+     * @param {Object} definition - Root node (see header)
+     * @param {Object} library - { conditions: { name: fn }, actions: { name: fn } }
+     */
+    constructor(definition, library) {
+        this.root = this.compile(definition, library);
+    }
+
+    compile(def, library) {
+        const { name, ...params } = def;
+
+        if (Array.isArray(def.selector)) {
+            return new Selector(name, def.selector.map(child => this.compile(child, library)));
+        }
+        if (Array.isArray(def.sequence)) {
+            return new Sequence(name, def.sequence.map(child => this.compile(child, library)));
+        }
+        if (def.condition) {
+            const fn = library.conditions[def.condition];
+            if (!fn) throw new Error(`Unknown behavior condition '${def.condition}'`);
+            return new Condition(name || def.condition, fn, params);
+        }
+        if (def.action) {
+            const fn = library.actions[def.action];
+            if (!fn) throw new Error(`Unknown behavior action '${def.action}'`);
+            return new Action(name || def.action, fn, params);
+        }
+        throw new Error(`Invalid behavior node ${JSON.stringify(def)}`);
+    }
+
+    /**
+     * Evaluate the tree once
+     * @param {Object} ctx - Passed to every leaf; gets ctx.activeNode ('combat > engage')
+     * @returns {string} Status of the root
+     */
+    tick(ctx) {
+        ctx.activeNode = null;
+        return this.root.tick(ctx, []);
+    }
+}
+
+export default BehaviorTree;
@@ -0,0 +1,447 @@
+/**
+ * ChunkStreamer.js - Server-driven chunk subscriptions
+ *
+ * The server decides which chunks each client needs instead of generating
+ * whatever a client asks for:
+ * - Every subscriber (connected client) has an interest area around its player;
+ *   chunks entering it are pushed, chunks leaving it get a CHUNK_UNLOAD
+ * - Terrain colliders are reference-counted by the entities standing near them
+ *   (players, vehicles, AI units) and removed when nobody needs them
+ * - Chunk data is kept in an LRU cache with a fixed budget; evicted chunks are
+ *   regenerated from the seed on demand
+ * - Explicit CHUNK_REQUESTs are validated against the interest area and
+ *   rate-limited per client
+ */
+
+import RAPIER from '@dimforge/rapier3d-compat';
+import NetworkManager from '../shared/NetworkManager.js';
+import { streamingConfig, worldConfig } from '../shared/config.js';
+
+export class ChunkStreamer {
+    /**
+     * @param {WorldGenerator} generator
+     * @param {RAPIER.World} physicsWorld
+     * @param {GeopoliticalMacroLayer|null} geopoliticalLayer
+     * @param {Object} config - streamingConfig
+     */
+    constructor(generator, physicsWorld, geopoliticalLayer = null, config = streamingConfig) {
+        this.generator = generator;
+        this.physicsWorld = physicsWorld;
+        this.geopoliticalLayer = geopoliticalLayer;
+        this.config = config;
+        this.chunkSize = generator.chunkSize || worldConfig.chunkSize;
+
+        // "x,z" -> { x, z, data, physicsBody, colliderOwners: Set<anchorId> }
+        // Map iteration order doubles as LRU order (oldest first)
+        this.chunkCache = new Map();
+
+        // subscriberId -> { socket, center, sent: Set<key>, tokens, lastRefill }
+        this.subscribers = new Map();
+
+        // anchorId -> Set<key> of chunks whose colliders it holds
+        this.colliderAnchors = new Map();
+
+        this.generationBudget = 0;
+        this.onChunkGenerated = null; // (x, z) once a chunk's data is in the cache
+        this.onChunkEvicted = null;   // (x, z) once it has been dropped
+        this.stats = { generated: 0, evicted: 0, rejectedRequests: 0 };
+    }
+
+    static key(x, z) {
+        return `${x},${z}`;
+    }
+
+    /**
+     * Chunk coordinates containing a world position
+     */
+    worldToChunk(position) {
+        return {
+            x: Math.floor(position.x / this.chunkSize),
+            z: Math.floor(position.z / this.chunkSize)
+        };
+    }
+
+    // ============================================
+    // CHUNK CACHE
+    // ============================================
+
+    /**
+     * Get a cached chunk entry, generating it if allowed
+     * @param {boolean} useBudget - Count generation against this update's budget
+     * @returns {Object|null} Cache entry, or null if the budget is exhausted
+     */
+    getChunk(x, z, useBudget = false) {
+        const key = ChunkStreamer.key(x, z);
+        let entry = this.chunkCache.get(key);
+
+        if (entry) {
+            // Touch: move to the back of the LRU order
+            this.chunkCache.delete(key);
+            this.chunkCache.set(key, entry);
+            return entry;
+        }
+
+        if (useBudget) {
+            if (this.generationBudget <= 0) return null;
+            this.generationBudget--;
+        }
+
+        entry = {
+            x,
+            z,
+            data: this.generateChunkData(x, z),
+            physicsBody: null,
+            colliderOwners: new Set()
+        };
+        this.chunkCache.set(key, entry);
+        this.stats.generated++;
+        if (this.onChunkGenerated) this.onChunkGenerated(x, z);
+        return entry;
+    }
+
+    generateChunkData(x, z) {
+        const chunkData = this.generator.generateChunk(x, z);
+
+        // Add geopolitical POIs to chunk
+        if (this.geopoliticalLayer && this.geopoliticalLayer.isInitialized) {
+            chunkData.geoPois = this.geopoliticalLayer.getPOIsForChunk(x, z, this.chunkSize);
+        }
+
+        return chunkData;
+    }
+
+    /**
+     * Drop least-recently-used chunks until the cache fits its budget.
+     * Chunks whose colliders are still held are never evicted.
+     */
+    evict() {
+        let excess = this.chunkCache.size - this.config.maxCachedChunks;
+        if (excess <= 0) return 0;
+
+        let evicted = 0;
+        for (const [key, entry] of this.chunkCache) {
+            if (excess <= 0) break;
+            if (entry.colliderOwners.size > 0) continue;
+
+            this.removeCollider(entry);
+            this.chunkCache.delete(key);
+            if (this.onChunkEvicted) this.onChunkEvicted(entry.x, entry.z);
+            excess--;
+            evicted++;
+        }
+
+        this.stats.evicted += evicted;
+        return evicted;
+    }
+
+    // ============================================
+    // COLLIDERS
+    // ============================================
+
+    buildCollider(entry) {
+        const chunkData = entry.data;
+
+        try {
+            const size = chunkData.size;
+            // size is number of segments (32)
+            // Vertices grid is (size+1) * (size+1)
+            const vRows = size + 1;
+            const vCols = size + 1;
+            const heights = chunkData.heightMap;
+
+            const vertices = new Float32Array(vRows * vCols * 3);
+            const indices = new Uint32Array(size * size * 6); // 2 tris per quad
+
+            // Build Vertices
+            for (let z = 0; z < vRows; z++) {
+                for (let x = 0; x < vCols; x++) {
+                    const idx = z * vCols + x;
+                    const h = isNaN(heights[idx]) ? 0 : heights[idx];
+
+                    vertices[idx * 3 + 0] = x;
+                    vertices[idx * 3 + 1] = h;
+                    vertices[idx * 3 + 2] = z;
+                }
+            }
+
+            // Build Indices
+            let iPtr = 0;
+            for (let z = 0; z < size; z++) {
+                for (let x = 0; x < size; x++) {
+                    // Quads indices
+                    const a = z * vCols + x;
+                    const b = z * vCols + (x + 1);
+                    const c = (z + 1) * vCols + x;
+                    const d = (z + 1) * vCols + (x + 1);
+
+                    // Tri 1 (a-c-b)
+                    indices[iPtr++] = a;
+                    indices[iPtr++] = c;
+                    indices[iPtr++] = b;
+
+                    // Tri 2 (b-c-d)
+                    indices[iPtr++] = b;
+                    indices[iPtr++] = c;
+                    indices[iPtr++] = d;
+                }
+            }
+
+            // Create Trimesh
+            const colliderDesc = RAPIER.ColliderDesc.trimesh(vertices, indices);
+
+            // Body Position (Corner of chunk)
+            // Trimesh coords are 0..32 local.
+            // So body placed at chunk start coordinates.
+            const bodyDesc = RAPIER.RigidBodyDesc.fixed()
+                .setTranslation(entry.x * size, 0, entry.z * size);
+
+            const body = this.physicsWorld.createRigidBody(bodyDesc);
+            this.physicsWorld.createCollider(colliderDesc, body);
+            entry.physicsBody = body;
+        } catch (e) {
+            console.error(`[ChunkStreamer] Failed to generate physics for chunk ${entry.x},${entry.z}`, e);
+        }
+    }
+
+    removeCollider(entry) {
+        if (!entry.physicsBody) return;
+        this.physicsWorld.removeRigidBody(entry.physicsBody);
+        entry.physicsBody = null;
+    }
+
+    /**
+     * Take a reference on a chunk's collider, building it on first use
+     * @returns {boolean} False if the chunk could not be generated this update
+     */
+    acquireCollider(x, z, anchorId) {
+        const entry = this.getChunk(x, z, true);
+        if (!entry) return false;
+
+        entry.colliderOwners.add(anchorId);
+        if (!entry.physicsBody) {
+            this.buildCollider(entry);
+        }
+        return true;
+    }
+
+    releaseCollider(key, anchorId) {
+        const entry = this.chunkCache.get(key);
+        if (!entry) return;
+
+        entry.colliderOwners.delete(anchorId);
+        if (entry.colliderOwners.size === 0) {
+            this.removeCollider(entry);
+        }
+    }
+
+    /**
+     * Update collider references for every physical entity
+     * @param {Array<{id: string, position: Object}>} anchors - Players first, they get the budget first
+     */
+    updateColliders(anchors) {
+        const radius = this.config.colliderRadius;
+        const seen = new Set();
+
+        for (const anchor of anchors) {
+            seen.add(anchor.id);
+
+            const center = this.worldToChunk(anchor.position);
+            const held = this.colliderAnchors.get(anchor.id) || new Set();
+            const wanted = new Set();
+
+            for (let dz = -radius; dz <= radius; dz++) {
+                for (let dx = -radius; dx <= radius; dx++) {
+                    const x = center.x + dx;
+                    const z = center.z + dz;
+                    const key = ChunkStreamer.key(x, z);
+
+                    if (held.has(key) || this.acquireCollider(x, z, anchor.id)) {
+                        wanted.add(key);
+                    }
+                }
+            }
+
+            for (const key of held) {
+                if (!wanted.has(key)) this.releaseCollider(key, anchor.id);
+            }
+            this.colliderAnchors.set(anchor.id, wanted);
+        }
+
+        // Entities that despawned or disconnected
+        for (const [anchorId, held] of this.colliderAnchors) {
+            if (seen.has(anchorId)) continue;
+            for (const key of held) this.releaseCollider(key, anchorId);
+            this.colliderAnchors.delete(anchorId);
+        }
+    }
+
+    // ============================================
+    // SUBSCRIPTIONS
+    // ============================================
+
+    addSubscriber(id, socket) {
+        this.subscribers.set(id, {
+            socket,
+            center: null,
+            sent: new Set(),
+            tokens: this.config.requestBurst,
+            lastRefill: Date.now()
+        });
+    }
+
+    removeSubscriber(id) {
+        this.subscribers.delete(id);
+    }
+
+    /**
+     * Move a subscriber's interest area (call with the player's position)
+     */
+    setSubscriberPosition(id, position) {
+        const sub = this.subscribers.get(id);
+        if (!sub || !position) return;
+        sub.center = this.worldToChunk(position);
+    }
+
+    isInInterest(sub, x, z) {
+        if (!sub.center) return false;
+        const reach = this.config.viewDistance + this.config.requestSlack;
+        return Math.abs(x - sub.center.x) <= reach && Math.abs(z - sub.center.z) <= reach;
+    }
+
+    sendChunk(sub, entry) {
+        sub.socket.emit(NetworkManager.Packet.CHUNK_DATA, entry.data);
+        sub.sent.add(ChunkStreamer.key(entry.x, entry.z));
+    }
+
+    /**
+     * Push chunks entering each subscriber's interest area and unload those leaving it
+     */
+    updateSubscriptions() {
+        const radius = this.config.viewDistance;
+        // Chunks outside the view distance stay loaded until they are this far away,
+        // so walking along a chunk border doesn't thrash
+        const keepRadius = radius + this.config.unloadHysteresis;
+
+        for (const sub of this.subscribers.values()) {
+            if (!sub.center) continue;
+            const { x: cx, z: cz } = sub.center;
+
+            const unload = [];
+            for (const key of sub.sent) {
+                const [x, z] = key.split(',').map(Number);
+                if (Math.abs(x - cx) > keepRadius || Math.abs(z - cz) > keepRadius) {
+                    unload.push({ x, z });
+                    sub.sent.delete(key);
+                }
+            }
+            if (unload.length > 0) {
+                sub.socket.emit(NetworkManager.Packet.CHUNK_UNLOAD, unload);
+            }
+
+            const missing = [];
+            for (let z = cz - radius; z <= cz + radius; z++) {
+                for (let x = cx - radius; x <= cx + radius; x++) {
+                    if (!sub.sent.has(ChunkStreamer.key(x, z))) {
+                        missing.push({ x, z, dist: Math.max(Math.abs(x - cx), Math.abs(z - cz)) });
+                    }
+                }
+            }
+            if (missing.length === 0) continue;
+
+            // Nearest chunks first
+            missing.sort((a, b) => a.dist - b.dist);
+
+            let sends = this.config.maxChunksPerUpdate;
+            for (const c of missing) {
+                if (sends <= 0) break;
+                const entry = this.getChunk(c.x, c.z, true);
+                if (!entry) break; // Out of generation budget, retry next update
+                this.sendChunk(sub, entry);
+                sends--;
+            }
+        }
+    }
+
+    /**
+     * Refill a subscriber's request tokens (token bucket)
+     */
+    refillTokens(sub) {
+        const now = Date.now();
+        const elapsed = (now - sub.lastRefill) / 1000;
+        sub.lastRefill = now;
+        sub.tokens = Math.min(this.config.requestBurst, sub.tokens + elapsed * this.config.requestsPerSecond);
+    }
+
+    /**
+     * Handle an explicit CHUNK_REQUEST (e.g. a client re-requesting a chunk it dropped).
+     * Only chunks inside the subscriber's interest area are served.
+     * @param {string} id - Subscriber id
+     * @param {*} chunks - Untrusted payload, expected to be an array of { x, z }
+     * @returns {number} Number of chunks sent
+     */
+    handleRequest(id, chunks) {
+        const sub = this.subscribers.get(id);
+        if (!sub || !Array.isArray(chunks)) return 0;
+
+        this.refillTokens(sub);
+
+        let sent = 0;
+        let rejected = 0;
+        const limit = Math.min(chunks.length, this.config.maxRequestBatch);
+
+        for (let i = 0; i < limit; i++) {
+            const c = chunks[i];
+            if (!c || !Number.isInteger(c.x) || !Number.isInteger(c.z) || !this.isInInterest(sub, c.x, c.z)) {
+                rejected++;
+                continue;
+            }
+            if (sub.tokens < 1) {
+                rejected += limit - i;
+                break;
+            }
+            sub.tokens--;
+
+            this.sendChunk(sub, this.getChunk(c.x, c.z));
+            sent++;
+        }
+
+        rejected += chunks.length - limit;
+        if (rejected > 0) {
+            this.stats.rejectedRequests += rejected;
+        }
+
+        return sent;
+    }
+
+    // ============================================
+    // TICK
+    // ============================================
+
+    /**
+     * Run one streaming pass
+     * @param {Array<{id: string, position: Object}>} anchors - Entities that need terrain colliders
+     */
+    update(anchors) {
+        this.generationBudget = this.config.maxGenerationsPerUpdate;
+
+        this.updateColliders(anchors);
+        this.updateSubscriptions();
+        this.evict();
+    }
+
+    getStats() {
+        let colliders = 0;
+        for (const entry of this.chunkCache.values()) {
+            if (entry.physicsBody) colliders++;
+        }
+
+        return {
+            cachedChunks: this.chunkCache.size,
+            colliders,
+            subscribers: this.subscribers.size,
+            ...this.stats
+        };
+    }
+}
+
+export default ChunkStreamer;
@@ -0,0 +1,388 @@
+/**
+ * CraftingSystem.js - Workbenches at industrial POIs: crafting and garage repairs
+ *
+ * A POI whose meshData has one of a station type's flags (craftingConfig.stations,
+ * e.g. hasGarage, hasMoltenMetal, hasCrusher) gets a workbench in front of its
+ * footprint the first time one of its chunks is generated. One bench serves
+ * every station type the POI provides.
+ * - Interacting opens it (INTERACT_MENU type 'STATION'): the recipes of its
+ *   station types, the player's craft queue and, at a garage, the vehicle
+ *   parked in the bay
+ * - CRAFT queues a recipe: the inputs are taken at once, the outputs arrive
+ *   after the recipe's time (what doesn't fit is dropped at the player's feet).
+ *   The queue lives in player.data.crafting, so it is saved with the player
+ * - VEHICLE_REPAIR uses vehicle parts on the parked vehicle: each part patches
+ *   up the hull and every component by garage.partRepair (more with a wrench)
+ * - Factions don't let players they are hostile with use their workshops
+ *
+ * While its chunk is cached a bench has a collider (physicsHandleMap 'STATION').
+ */
+
+import RAPIER from '@dimforge/rapier3d-compat';
+import { craftingConfig, worldConfig } from '../shared/config.js';
+import { Faction } from './Factions.js';
+
+/**
+ * Station - A POI's workbench
+ */
+export class Station {
+    constructor(poi, types, position, chunkKey) {
+        this.id = `station_${poi.id}`;
+        this.poi = poi;         // POIManager instance (currentFaction follows territory changes)
+        this.name = poi.poi.name;
+        this.types = types;     // craftingConfig.stations keys
+        this.position = position;
+        this.chunkKey = chunkKey;
+        this.body = null;       // Fixed body while its chunk is cached
+    }
+
+    /**
+     * Faction holding the POI, null if neutral
+     */
+    get owner() {
+        return Faction[this.poi.currentFaction] ? this.poi.currentFaction : null;
+    }
+
+    has(type) {
+        return this.types.includes(type);
+    }
+}
+
+export class CraftingSystem {
+    /**
+     * @param {Object} sources - { world, physicsHandleMap, getPOIsForChunk: (x, z) => POI instances,
+     *   players: Map<id, Player>, vehicles: Map<id, Vehicle>, deathSystem, reputation }
+     *   (deathSystem and reputation optional)
+     */
+    constructor(sources, config = craftingConfig) {
+        this.world = sources.world;
+        this.physicsHandleMap = sources.physicsHandleMap;
+        this.getPOIsForChunk = sources.getPOIsForChunk;
+        this.players = sources.players;
+        this.vehicles = sources.vehicles;
+        this.deathSystem = sources.deathSystem || null;
+        this.reputation = sources.reputation || null;
+        this.config = config;
+        this.chunkSize = worldConfig.chunkSize;
+
+        this.stations = new Map();     // id -> Station
+        this.byChunk = new Map();      // "x,z" -> Set<Station>
+        this.checked = new Set();      // POI ids already looked at
+        this.loadedChunks = new Set(); // Chunks in the ChunkStreamer cache
+        this.active = new Set();       // Stations with a collider
+        this.onCrafted = null;         // (player, recipe, items, dropped)
+    }
+
+    static key(x, z) {
+        return `${x},${z}`;
+    }
+
+    // ========================================================================
+    // Chunks & placement
+    // ========================================================================
+
+    onChunkGenerated(x, z) {
+        const key = CraftingSystem.key(x, z);
+        this.loadedChunks.add(key);
+        for (const poi of this.getPOIsForChunk(x, z)) this.addStation(poi);
+        const stations = this.byChunk.get(key);
+        if (stations) stations.forEach(station => this.activate(station));
+    }
+
+    onChunkEvicted(x, z) {
+        const key = CraftingSystem.key(x, z);
+        this.loadedChunks.delete(key);
+        const stations = this.byChunk.get(key);
+        if (stations) stations.forEach(station => this.deactivate(station));
+    }
+
+    /**
+     * Station types a POI provides, from its meshData flags
+     */
+    getStationTypes(poi) {
+        const meshData = poi.poi.meshData || {};
+        return Object.keys(this.config.stations)
+            .filter(type => this.config.stations[type].flags.some(flag => meshData[flag]));
+    }
+
+    /**
+     * Give a POI its workbench (once) if it provides any station type
+     */
+    addStation(poi) {
+        if (this.checked.has(poi.id)) return;
+        this.checked.add(poi.id);
+
+        const types = this.getStationTypes(poi);
+        if (types.length === 0) return;
+
+        const position = this.placeStation(poi);
+        const key = CraftingSystem.key(Math.floor(position.x / this.chunkSize), Math.floor(position.z / this.chunkSize));
+        const station = new Station(poi, types, position, key);
+
+        this.stations.set(station.id, station);
+        if (!this.byChunk.has(key)) this.byChunk.set(key, new Set());
+        this.byChunk.get(key).add(station);
+        if (this.loadedChunks.has(key)) this.activate(station);
+    }
+
+    /**
+     * In front of the footprint, on the flattened ground
+     * @returns {Object} Physics coords
+     */
+    placeStation(poi) {
+        const local = { x: 0, z: poi.poi.footprint.depth / 2 + this.config.benchOffset };
+
+        // Same rotation as TerrainStitcher.calculateFootprint
+        const cos = Math.cos(poi.rotation || 0);
+        const sin = Math.sin(poi.rotation || 0);
+        return {
+            x: poi.position.x + local.x * cos - local.z * sin,
+            y: poi.targetHeight ?? poi.position.y,
+            z: poi.position.z + local.x * sin + local.z * cos
+        };
+    }
+
+    activate(station) {
+        if (station.body) return;
+        const h = this.config.halfExtents;
+        // Lined up with the footprint edge (placeStation turns the other way round Y)
+        const halfAngle = -(station.poi.rotation || 0) / 2;
+        const bodyDesc = RAPIER.RigidBodyDesc.fixed()
+            .setTranslation(station.position.x, station.position.y + h.y, station.position.z)
+            .setRotation({ x: 0, y: Math.sin(halfAngle), z: 0, w: Math.cos(halfAngle) });
+        station.body = this.world.createRigidBody(bodyDesc);
+        this.world.createCollider(RAPIER.ColliderDesc.cuboid(h.x, h.y, h.z), station.body);
+        this.physicsHandleMap.set(station.body.handle, { type: 'STATION', instance: station });
+        this.active.add(station);
+    }
+
+    deactivate(station) {
+        if (station.body) {
+            this.physicsHandleMap.delete(station.body.handle);
+            this.world.removeRigidBody(station.body);
+            station.body = null;
+        }
+        this.active.delete(station);
+    }
+
+    // ========================================================================
+    // Access
+    // ========================================================================
+
+    /**
+     * Can the player work at this station right now?
+     * @returns {Object} { success, reason, station }
+     */
+    checkAccess(player, stationId) {
+        const station = this.stations.get(stationId);
+        if (!station || !this.active.has(station)) return { success: false, reason: 'Nothing there' };
+        if (player.isDead()) return { success: false, reason: 'Dead' };
+
+        const p = player.rigidBody.translation();
+        const s = station.position;
+        if (Math.hypot(p.x - s.x, p.y - s.y, p.z - s.z) > this.config.interactRange) return { success: false, reason: 'Too far away' };
+
+        const owner = station.owner;
+        if (this.reputation && owner && this.reputation.getPriceMultiplier(player, owner) === null) {
+            return { success: false, reason: `${this.reputation.getName(owner)} won't let you use their workshop` };
+        }
+        return { success: true, station };
+    }
+
+    /**
+     * What the INTERACT_MENU shows for a station
+     */
+    getMenu(station, player, now = Date.now()) {
+        const inventory = player.inventory;
+        const recipes = Object.entries(this.config.recipes)
+            .filter(([, recipe]) => station.has(recipe.station))
+            .map(([id, recipe]) => ({
+                id,
+                name: recipe.name,
+                station: recipe.station,
+                inputs: recipe.inputs,
+                outputs: recipe.outputs,
+                time: recipe.time,
+                canCraft: Object.entries(recipe.inputs).every(([itemId, count]) => inventory.count(itemId) >= count)
+            }));
+
+        return {
+            type: 'STATION',
+            targetId: station.id,
+            name: station.name,
+            stations: station.types.map(type => this.config.stations[type].name),
+            owner: station.owner,
+            recipes,
+            queue: this.getQueue(player).map(job => ({
+                recipeId: job.recipeId,
+                name: this.config.recipes[job.recipeId] ? this.config.recipes[job.recipeId].name : job.recipeId,
+                remaining: Math.max(0, job.finishAt - now)
+            })),
+            garage: station.has('GARAGE') ? this.getGarageState(station, player) : null
+        };
+    }
+
+    // ========================================================================
+    // Crafting
+    // ========================================================================
+
+    getQueue(player) {
+        if (!Array.isArray(player.data.crafting)) player.data.crafting = [];
+        return player.data.crafting;
+    }
+
+    /**
+     * Queue a recipe at a station: inputs are taken now, outputs arrive once
+     * the jobs before it and its own time are done
+     * @returns {Object} { success, reason, station }
+     */
+    craft(player, stationId, recipeId, now = Date.now()) {
+        const access = this.checkAccess(player, stationId);
+        if (!access.success) return access;
+        const station = access.station;
+
+        const recipe = this.config.recipes[recipeId];
+        if (!recipe || !station.has(recipe.station)) return { success: false, reason: 'Unknown recipe', station };
+
+        const queue = this.getQueue(player);
+        if (queue.length >= this.config.queueSize) return { success: false, reason: 'Craft queue is full', station };
+
+        const inventory = player.inventory;
+        const missing = Object.entries(recipe.inputs).find(([itemId, count]) => inventory.count(itemId) < count);
+        if (missing) return { success: false, reason: `Needs ${missing[1]}x ${inventory.getName(missing[0])}`, station };
+
+        Object.entries(recipe.inputs).forEach(([itemId, count]) => inventory.consume(itemId, count));
+        const startAt = queue.length > 0 ? Math.max(now, queue[queue.length - 1].finishAt) : now;
+        queue.push({ recipeId, finishAt: startAt + recipe.time * 1000 });
+        return { success: true, station };
+    }
+
+    /**
+     * Hand out finished jobs
+     */
+    update(now = Date.now()) {
+        for (const player of this.players.values()) {
+            const queue = player.data.crafting;
+            if (!Array.isArray(queue)) continue;
+            while (queue.length > 0 && queue[0].finishAt <= now) {
+                const job = queue.shift();
+                const recipe = this.config.recipes[job.recipeId];
+                if (recipe) this.complete(player, recipe);
+            }
+        }
+    }
+
+    complete(player, recipe) {
+        const items = [];
+        const leftover = [];
+        for (const [itemId, count] of Object.entries(recipe.outputs)) {
+            const added = player.addItem(itemId, count);
+            if (added > 0) items.push({ itemId, count: added });
+            if (added < count) leftover.push({ itemId, count: count - added, metadata: {} });
+        }
+
+        if (leftover.length > 0 && this.deathSystem && player.rigidBody) {
+            const t = player.rigidBody.translation();
+            this.deathSystem.dropLoot({ x: t.x, y: t.y, z: t.z }, leftover, player.data.username || player.id);
+        }
+        if (this.onCrafted) this.onCrafted(player, recipe, items, leftover);
+    }
+
+    // ========================================================================
+    // Garage repairs
+    // ========================================================================
+
+    /**
+     * Vehicle stopped in a garage's bay, the nearest one if there are several
+     * @returns {Vehicle|null}
+     */
+    findParkedVehicle(station) {
+        const { bayRadius, maxSpeed } = this.config.garage;
+        const s = station.position;
+        let nearest = null;
+        let nearestDist = bayRadius;
+        for (const vehicle of this.vehicles.values()) {
+            if (vehicle.wrecked || !vehicle.chassis) continue;
+            const c = vehicle.chassis.translation();
+            const dist = Math.hypot(c.x - s.x, c.z - s.z);
+            if (dist > nearestDist) continue;
+            const v = vehicle.chassis.linvel();
+            if (Math.hypot(v.x, v.y, v.z) > maxSpeed) continue;
+            nearest = vehicle;
+            nearestDist = dist;
+        }
+        return nearest;
+    }
+
+    /**
+     * Parts a full repair of the vehicle takes
+     */
+    getPartsNeeded(vehicle, player) {
+        const perPart = this.config.garage.partRepair * player.getToolBonus('repair');
+        const hullMissing = 1 - vehicle.health / vehicle.maxHealth;
+        const componentMissing = Math.max(0, ...Object.values(vehicle.components).map(health => 1 - health / 100));
+        // Small epsilon: a share that divides evenly shouldn't cost an extra part
+        return Math.ceil(Math.max(hullMissing, componentMissing) / perPart - 1e-6);
+    }
+
+    /**
+     * The garage part of the station menu
+     */
+    getGarageState(station, player) {
+        const vehicle = this.findParkedVehicle(station);
+        if (!vehicle) return { vehicle: null, parts: player.inventory.count('parts') };
+        return {
+            vehicle: {
+                id: vehicle.id,
+                type: vehicle.type,
+                health: Math.round(vehicle.health),
+                maxHealth: vehicle.maxHealth,
+                components: Object.fromEntries(Object.entries(vehicle.components).map(([name, health]) => [name, Math.round(health)]))
+            },
+            partsNeeded: this.getPartsNeeded(vehicle, player),
+            parts: player.inventory.count('parts')
+        };
+    }
+
+    /**
+     * Repair the vehicle parked at a garage with as many parts as it takes
+     * (or the player has)
+     * @returns {Object} { success, reason, station, vehicle, parts }
+     */
+    repair(player, stationId) {
+        const access = this.checkAccess(player, stationId);
+        if (!access.success) return access;
+        const station = access.station;
+        if (!station.has('GARAGE')) return { success: false, reason: 'No garage here', station };
+
+        const vehicle = this.findParkedVehicle(station);
+        if (!vehicle) return { success: false, reason: 'No vehicle parked in the bay', station };
+
+        const needed = this.getPartsNeeded(vehicle, player);
+        if (needed <= 0) return { success: false, reason: 'Nothing to repair', station };
+        const parts = Math.min(needed, player.inventory.count('parts'));
+        if (parts <= 0) return { success: false, reason: 'Needs vehicle parts', station };
+
+        player.inventory.consume('parts', parts);
+        vehicle.overhaul(parts * this.config.garage.partRepair * player.getToolBonus('repair'));
+        return { success: true, station, vehicle, parts };
+    }
+
+    // ========================================================================
+    // Network
+    // ========================================================================
+
+    serializeStation(station) {
+        return {
+            type: 'STATION',
+            name: station.name,
+            stations: station.types,
+            rotation: station.poi.rotation || 0,
+            x: station.position.x,
+            y: station.position.y,
+            z: station.position.z
+        };
+    }
+}
+
+export default CraftingSystem;
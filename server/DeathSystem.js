@@ -0,0 +1,136 @@
+/**
+ * DeathSystem.js - What a death leaves behind
+ *
+ * - Ragdolls: PhysicsSystems.spawnRagdoll bodies launched with the victim's
+ *   velocity, removed again after ragdollLifetime
+ * - Loot containers: the victim's inventory dropped as a small fixed box.
+ *   The box is registered in physicsHandleMap as 'LOOT' so players can
+ *   interact with it (Player.takeLoot). Empty or expired containers are removed.
+ *
+ * Both are replicated like any other entity (see serializeRagdoll / serializeLoot).
+ * Respawning players and removing dead AI units is up to the owners
+ * (index.js and WarDirector).
+ */
+
+import RAPIER from '@dimforge/rapier3d-compat';
+import { deathConfig } from '../shared/config.js';
+
+const LOOT_HALF_EXTENTS = { x: 0.4, y: 0.3, z: 0.4 };
+
+export class DeathSystem {
+    /**
+     * @param {PhysicsSystems} physicsSystems
+     * @param {Map} physicsHandleMap - handle -> { type, instance }, shared with interaction raycasts
+     */
+    constructor(physicsSystems, physicsHandleMap, config = deathConfig) {
+        this.physicsSystems = physicsSystems;
+        this.world = physicsSystems.world;
+        this.physicsHandleMap = physicsHandleMap;
+        this.config = config;
+
+        this.ragdolls = new Map();       // id -> { id, name, bodies: [torso, head], expiresAt }
+        this.lootContainers = new Map(); // id -> { id, owner, position, items, body, expiresAt }
+        this.nextId = 0;
+    }
+
+    /**
+     * @param {Object} position - Where the victim's torso was
+     * @param {Object} velocity - Victim's velocity at death
+     * @param {string} name - Shown on the ragdoll (the victim's name)
+     */
+    spawnRagdoll(position, velocity, name) {
+        const id = `ragdoll_${this.nextId++}`;
+        const bodies = this.physicsSystems.spawnRagdoll(position, velocity);
+        const ragdoll = { id, name, bodies, expiresAt: Date.now() + this.config.ragdollLifetime };
+        this.ragdolls.set(id, ragdoll);
+        return ragdoll;
+    }
+
+    /**
+     * Drop items as a loot container. Nothing is spawned for an empty list.
+     * @param {Object} position - Ground position (bottom of the box)
+     * @param {Array} items - Inventory entries { itemId, count, metadata }
+     * @param {string} owner - Name of whoever dropped it
+     * @returns {Object|null} The container
+     */
+    dropLoot(position, items, owner) {
+        const contents = items.filter(Boolean);
+        if (contents.length === 0) return null;
+
+        const id = `loot_${this.nextId++}`;
+        const bodyDesc = RAPIER.RigidBodyDesc.fixed()
+            .setTranslation(position.x, position.y + LOOT_HALF_EXTENTS.y, position.z);
+        const body = this.world.createRigidBody(bodyDesc);
+        this.world.createCollider(RAPIER.ColliderDesc.cuboid(LOOT_HALF_EXTENTS.x, LOOT_HALF_EXTENTS.y, LOOT_HALF_EXTENTS.z), body);
+
+        const container = {
+            id,
+            owner,
+            position: { x: position.x, y: position.y, z: position.z },
+            items: contents,
+            body,
+            expiresAt: Date.now() + this.config.lootLifetime
+        };
+        this.lootContainers.set(id, container);
+        this.physicsHandleMap.set(body.handle, { type: 'LOOT', instance: container });
+        return container;
+    }
+
+    removeRagdoll(ragdoll) {
+        ragdoll.bodies.forEach(body => this.world.removeRigidBody(body));
+        this.ragdolls.delete(ragdoll.id);
+    }
+
+    removeLoot(container) {
+        this.physicsHandleMap.delete(container.body.handle);
+        this.world.removeRigidBody(container.body);
+        this.lootContainers.delete(container.id);
+    }
+
+    /**
+     * Garbage-collect old ragdolls and empty or expired loot
+     */
+    update(now = Date.now()) {
+        for (const ragdoll of [...this.ragdolls.values()]) {
+            if (now >= ragdoll.expiresAt) this.removeRagdoll(ragdoll);
+        }
+        for (const container of [...this.lootContainers.values()]) {
+            if (container.items.length === 0 || now >= container.expiresAt) this.removeLoot(container);
+        }
+    }
+
+    /**
+     * Torso pose, plus the head's offset from the torso
+     */
+    serializeRagdoll(ragdoll) {
+        const [torso, head] = ragdoll.bodies;
+        const t = torso.translation();
+        const r = torso.rotation();
+        const h = head.translation();
+        return {
+            type: 'RAGDOLL',
+            name: ragdoll.name,
+            x: Number(t.x.toFixed(3)),
+            y: Number(t.y.toFixed(3)),
+            z: Number(t.z.toFixed(3)),
+            qx: Number(r.x.toFixed(3)),
+            qy: Number(r.y.toFixed(3)),
+            qz: Number(r.z.toFixed(3)),
+            qw: Number(r.w.toFixed(3)),
+            head: [h.x - t.x, h.y - t.y, h.z - t.z]
+        };
+    }
+
+    serializeLoot(container) {
+        return {
+            type: 'LOOT',
+            owner: container.owner,
+            itemCount: container.items.length,
+            x: container.position.x,
+            y: container.position.y,
+            z: container.position.z
+        };
+    }
+}
+
+export default DeathSystem;
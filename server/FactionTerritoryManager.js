@@ -10,8 +10,10 @@ import {
     FactionColors,
     FactionThemes,
     SettlementTier,
-    SettlementConfig
+    SettlementConfig,
+    ResourceType
 } from './Factions.js';
+import { economyConfig } from '../shared/config.js';
 
 /**
  * TerritoryState - Tracks the current state of a territory cell
@@ -150,6 +152,28 @@ export class TerritoryState {
             captureCount: this.captureCount
         };
     }
+
+    /**
+     * Restore state previously produced by serialize()
+     * @param {Object} data - Serialized territory state
+     */
+    restore(data) {
+        if (!data) return;
+
+        if (data.owner) this.ownerFaction = data.owner;
+
+        if (data.influence) {
+            for (const [faction, inf] of Object.entries(data.influence)) {
+                if (this.influence.has(faction)) {
+                    this.influence.set(faction, inf);
+                }
+            }
+        }
+
+        this.isContested = !!data.isContested;
+        this.devastation = data.devastation || 0;
+        this.captureCount = data.captureCount || 0;
+    }
 }
 
 /**
@@ -459,21 +483,34 @@ export class FactionTerritoryManager {
     }
 
     /**
-     * Tick economic production
+     * Tick economic production: each settlement yields its founders'
+     * specialty (FactionThemes.resourceBonus) and an even share of the rest,
+     * more of it if the owner shares that specialty
+     * @returns {Map<string, Object>} faction -> { resource: amount }
      */
-    tickEconomy(dt) {
+    tickEconomy(dt, config = economyConfig) {
         const production = new Map();
+        const resources = Object.values(ResourceType);
 
         for (const faction of Object.values(Faction)) {
-            production.set(faction, 0);
+            production.set(faction, Object.fromEntries(resources.map(resource => [resource, 0])));
         }
 
         for (const state of this.territories.values()) {
-            if (!state.settlement) continue;
-
-            const output = state.getEffectiveOutput() * dt;
-            const current = production.get(state.ownerFaction) || 0;
-            production.set(state.ownerFaction, current + output);
+            const yields = production.get(state.ownerFaction);
+            if (!state.settlement || !yields) continue;
+
+            const output = state.getEffectiveOutput() * config.outputScale * dt;
+            const founders = FactionThemes[state.originalFaction] || FactionThemes[state.ownerFaction];
+            const specialty = founders.resourceBonus;
+            const ownSpecialty = FactionThemes[state.ownerFaction].resourceBonus;
+
+            for (const resource of resources) {
+                let amount = output * (1 - config.specialtyShare) / resources.length;
+                if (resource === specialty) amount += output * config.specialtyShare;
+                if (resource === ownSpecialty) amount *= config.ownerBonus;
+                yields[resource] += amount;
+            }
         }
 
         return production;
@@ -580,6 +617,31 @@ export class FactionTerritoryManager {
         return data;
     }
 
+    /**
+     * Restore territory ownership from serializeTerritories() output
+     * Settlements follow the restored owner so captures survive a restart.
+     * @param {Array} data - Serialized territory states
+     * @returns {number} Number of territories restored
+     */
+    loadTerritories(data) {
+        if (!Array.isArray(data)) return 0;
+
+        let restored = 0;
+        for (const entry of data) {
+            const state = this.territories.get(entry.cellId);
+            if (!state) continue;
+
+            state.restore(entry);
+            if (state.settlement) {
+                state.settlement.faction = state.ownerFaction;
+            }
+            restored++;
+        }
+
+        this.updateFactionStats();
+        return restored;
+    }
+
     /**
      * Serialize all settlements for client
      */
@@ -598,6 +660,32 @@ export class FactionTerritoryManager {
         return Object.fromEntries(this.factionStats);
     }
 
+    /**
+     * Territories a faction currently owns next to another faction's
+     * (PoliticalMapGenerator.getBorderCells only knows the generated borders)
+     * @param {string} faction - Owner of the returned cells
+     * @param {string} enemy - Only borders with this faction (null: any other)
+     * @returns {TerritoryState[]}
+     */
+    getBorderCells(faction, enemy = null) {
+        const result = [];
+        for (const state of this.territories.values()) {
+            if (state.ownerFaction !== faction) continue;
+            const cell = this.politicalMap.cells.get(state.cellId);
+            if (!cell) continue;
+
+            for (const neighborId of cell.neighbors) {
+                const neighbor = this.territories.get(neighborId);
+                if (!neighbor || neighbor.ownerFaction === faction) continue;
+                if (enemy === null || neighbor.ownerFaction === enemy) {
+                    result.push(state);
+                    break;
+                }
+            }
+        }
+        return result;
+    }
+
     /**
      * Get contested border zones for highlighting
      */
@@ -0,0 +1,177 @@
+/**
+ * FactionTreasury.js - Each faction's stockpile of typed resources
+ *
+ * One stockpile per faction holding the four ResourceTypes (every faction
+ * specializes in one, FactionThemes.resourceBonus):
+ * - Settlements feed it every economy tick (FactionTerritoryManager.tickEconomy,
+ *   already cut by devastation)
+ * - Harvest trucks deliver their cargo to it
+ * - WarDirector pays for new units out of it (economyConfig.unitCosts)
+ *
+ * Income is averaged over economyConfig.rateWindow for the overview.
+ */
+
+import { economyConfig } from '../shared/config.js';
+import { FactionColors, FactionThemes, ResourceType } from './Factions.js';
+
+const RESOURCES = Object.values(ResourceType);
+
+export class FactionTreasury {
+    /**
+     * @param {Array<string>} factions - Faction ids with a stockpile
+     */
+    constructor(factions, config = economyConfig) {
+        this.config = config;
+        this.stockpiles = new Map(); // faction -> { technology, military, food, trade }
+        this.income = new Map();     // faction -> resources received this window
+        this.rates = new Map();      // faction -> resources per minute over the last window
+        this.windowStart = Date.now();
+
+        factions.forEach(faction => {
+            this.stockpiles.set(faction, this.createStock(config.startingStock));
+            this.income.set(faction, this.createStock());
+            this.rates.set(faction, this.createStock());
+        });
+    }
+
+    createStock(from = {}) {
+        const stock = {};
+        RESOURCES.forEach(resource => { stock[resource] = from[resource] || 0; });
+        return stock;
+    }
+
+    has(faction) {
+        return this.stockpiles.has(faction);
+    }
+
+    /**
+     * @returns {Object|null} Copy of the faction's stockpile
+     */
+    getBalance(faction) {
+        const stock = this.stockpiles.get(faction);
+        return stock ? { ...stock } : null;
+    }
+
+    // ========================================================================
+    // Income
+    // ========================================================================
+
+    /**
+     * Add resources to a faction's stockpile, up to config.maxStock
+     * @returns {number} Amount actually stored
+     */
+    deposit(faction, resource, amount) {
+        const stock = this.stockpiles.get(faction);
+        if (!stock || !(resource in stock) || !(amount > 0)) return 0;
+
+        this.rollWindow();
+        const stored = Math.min(amount, this.config.maxStock - stock[resource]);
+        if (stored <= 0) return 0;
+        stock[resource] += stored;
+        this.income.get(faction)[resource] += stored;
+        return stored;
+    }
+
+    /**
+     * Deposit one economy tick of settlement production
+     * @param {Map<string, Object>} production - faction -> { resource: amount }
+     */
+    depositProduction(production) {
+        if (!production) return;
+        for (const [faction, yields] of production) {
+            for (const [resource, amount] of Object.entries(yields)) this.deposit(faction, resource, amount);
+        }
+    }
+
+    /**
+     * Start a new income window once the current one is over
+     */
+    rollWindow(now = Date.now()) {
+        const elapsed = (now - this.windowStart) / 1000;
+        if (elapsed < this.config.rateWindow) return;
+
+        for (const [faction, income] of this.income) {
+            const rates = this.rates.get(faction);
+            RESOURCES.forEach(resource => {
+                rates[resource] = Math.round(income[resource] / elapsed * 60);
+                income[resource] = 0;
+            });
+        }
+        this.windowStart = now;
+    }
+
+    // ========================================================================
+    // Spending
+    // ========================================================================
+
+    /**
+     * @param {Object} cost - { resource: amount }
+     */
+    canAfford(faction, cost) {
+        const stock = this.stockpiles.get(faction);
+        if (!stock) return false;
+        return Object.entries(cost).every(([resource, amount]) => (stock[resource] || 0) >= amount);
+    }
+
+    /**
+     * Take a cost out of a faction's stockpile, all or nothing
+     * @param {Object} cost - { resource: amount }
+     * @returns {Object} { success, reason }
+     */
+    spend(faction, cost) {
+        const stock = this.stockpiles.get(faction);
+        if (!stock) return { success: false, reason: 'Unknown faction' };
+
+        const missing = Object.keys(cost).filter(resource => (stock[resource] || 0) < cost[resource]);
+        if (missing.length > 0) return { success: false, reason: `Not enough ${missing.join(', ')}` };
+
+        Object.entries(cost).forEach(([resource, amount]) => { stock[resource] -= amount; });
+        return { success: true };
+    }
+
+    // ========================================================================
+    // Persistence & overview
+    // ========================================================================
+
+    serialize() {
+        const data = {};
+        this.stockpiles.forEach((stock, faction) => { data[faction] = { ...stock }; });
+        return data;
+    }
+
+    /**
+     * @param {Object} data - faction -> stockpile, or a plain number from
+     *   before resources were typed (shared out evenly)
+     */
+    restore(faction, data) {
+        if (!this.stockpiles.has(faction) || data === undefined || data === null) return;
+        if (typeof data === 'number') {
+            const share = data / RESOURCES.length;
+            this.stockpiles.set(faction, this.createStock(Object.fromEntries(RESOURCES.map(r => [r, share]))));
+            return;
+        }
+        this.stockpiles.set(faction, this.createStock(data));
+    }
+
+    /**
+     * Stockpiles and income rates of every faction, for the client overview
+     */
+    getSummary() {
+        this.rollWindow();
+        return {
+            maxStock: this.config.maxStock,
+            factions: [...this.stockpiles.keys()].map(faction => ({
+                id: faction,
+                name: FactionThemes[faction] ? FactionThemes[faction].name : faction,
+                color: FactionColors[faction] ? FactionColors[faction].primary : 0xffffff,
+                specialty: FactionThemes[faction] ? FactionThemes[faction].resourceBonus : null,
+                stock: this.createStock(Object.fromEntries(
+                    RESOURCES.map(resource => [resource, Math.floor(this.stockpiles.get(faction)[resource])])
+                )),
+                income: { ...this.rates.get(faction) }
+            }))
+        };
+    }
+}
+
+export default FactionTreasury;
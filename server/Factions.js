@@ -89,6 +89,34 @@ export const FactionThemes = Object.freeze({
     }
 });
 
+// Resources in a faction's treasury; every faction specializes in one
+// (FactionThemes.resourceBonus)
+export const ResourceType = Object.freeze({
+    TECHNOLOGY: 'technology',
+    MILITARY: 'military',
+    FOOD: 'food',
+    TRADE: 'trade'
+});
+
+// How one faction regards another. Players start out 'NEUTRAL' (no faction).
+export const Relation = Object.freeze({
+    ALLIED: 'ALLIED',
+    NEUTRAL: 'NEUTRAL',
+    HOSTILE: 'HOSTILE'
+});
+
+/**
+ * Relation between two factions: the same faction is allied, the four
+ * factions are at war with each other, anyone without a faction is neutral
+ * @param {string} faction
+ * @param {string} other - Faction id or 'NEUTRAL'
+ * @returns {string} Relation
+ */
+export function getRelation(faction, other) {
+    if (!Faction[faction] || !Faction[other]) return Relation.NEUTRAL;
+    return faction === other ? Relation.ALLIED : Relation.HOSTILE;
+}
+
 // Settlement tier definitions
 export const SettlementTier = Object.freeze({
     CAPITAL: 'CAPITAL',
@@ -149,6 +177,9 @@ export default {
     Faction,
     FactionColors,
     FactionThemes,
+    ResourceType,
+    Relation,
+    getRelation,
     SettlementTier,
     SettlementConfig,
     FactionHomeQuadrants
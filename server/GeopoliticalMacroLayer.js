@@ -8,6 +8,7 @@
  * with faction territories, settlements, and road networks.
  */
 
+import { createHash } from 'crypto';
 import { PoliticalMapGenerator } from './PoliticalMapGenerator.js';
 import { FactionTerritoryManager, TerritoryState, Settlement } from './FactionTerritoryManager.js';
 import { GlobalHighwaySystem } from './GlobalHighwaySystem.js';
@@ -76,7 +77,8 @@ export class GeopoliticalMacroLayer {
             this.poiManager = new POIManager(
                 this.worldGenerator,
                 this.politicalMap,
-                this.highwaySystem
+                this.highwaySystem,
+                this.seed
             );
             await this.poiManager.generateWorldPOIs();
 
@@ -157,6 +159,7 @@ export class GeopoliticalMacroLayer {
             const poiStats = this.poiManager.getStatistics();
             console.log(`  Total POIs: ${poiStats.total}`);
             console.log(`  With Foundations: ${poiStats.withFoundations}`);
+            console.log(`  Resource Deposits: ${poiStats.resourceDeposits}`);
             console.log(`  By Category:`);
             for (const [category, count] of Object.entries(poiStats.byCategory)) {
                 console.log(`    ${category}: ${count}`);
@@ -169,6 +172,7 @@ export class GeopoliticalMacroLayer {
     /**
      * Update tick - called from main game loop
      * @param {number} dt - Delta time in seconds
+     * @returns {Map<string, Object>} Settlement production, faction -> { resource: amount }
      */
     update(dt) {
         if (!this.isInitialized) return;
@@ -176,7 +180,7 @@ export class GeopoliticalMacroLayer {
         // Spread faction influence (slow tick)
         this.territoryManager.spreadInfluence(dt);
 
-        // Economic tick
+        // Economic tick (typed resources, see FactionTreasury)
         const production = this.territoryManager.tickEconomy(dt);
 
         return production;
@@ -412,6 +416,14 @@ export class GeopoliticalMacroLayer {
         return this.poiManager.getTerrainModifications();
     }
 
+    /**
+     * Restore territory ownership saved from serialize().territories
+     */
+    loadTerritories(data) {
+        if (!this.isInitialized) return 0;
+        return this.territoryManager.loadTerritories(data);
+    }
+
     /**
      * Process chunk heightmap with POI terrain modifications
      */
@@ -432,6 +444,49 @@ export class GeopoliticalMacroLayer {
         return this.poiManager.getAllPOIsForClient();
     }
 
+    /**
+     * Resource deposits placed with the POIs (see ResourceNodeSystem)
+     */
+    getResourceDeposits() {
+        if (!this.isInitialized || !this.poiManager) {
+            return [];
+        }
+        return this.poiManager.resourceDeposits;
+    }
+
+    /**
+     * Hash of the generated world (POI list, resource deposits and a set of sample chunks).
+     * Two servers with the same seed must report the same fingerprint;
+     * a mismatch means some generation path is not deterministic.
+     * @param {Array} chunkCoords - [{ x, z }] chunks to include
+     * @returns {string} Hex digest
+     */
+    getWorldFingerprint(chunkCoords = []) {
+        const hash = createHash('sha256');
+        hash.update(String(this.seed));
+
+        if (this.poiManager) {
+            for (const poi of this.poiManager.placedPOIs.values()) {
+                hash.update(JSON.stringify([
+                    poi.id,
+                    poi.poiType,
+                    poi.position,
+                    poi.rotation,
+                    poi.targetHeight,
+                    poi.originalFaction
+                ]));
+            }
+            hash.update(JSON.stringify(this.poiManager.resourceDeposits));
+        }
+
+        for (const { x, z } of chunkCoords) {
+            const chunk = this.worldGenerator.generateChunk(x, z);
+            hash.update(JSON.stringify([chunk.id, chunk.heightMap, chunk.biomeMap, chunk.objects]));
+        }
+
+        return hash.digest('hex');
+    }
+
     /**
      * Get a random roadside POI position for player spawning
      * Returns null if no roadside POIs exist
@@ -0,0 +1,332 @@
+/**
+ * Inventory.js - A player's bag and equipment, with the rules for moving items
+ *
+ * Works on the player's data (saved with them):
+ * - data.inventory: itemConfig.slots bag slots, each null or a stack
+ *   { itemId, count, metadata }; the first itemConfig.hotbarSlots are the hotbar
+ * - data.equipment: one stack per equipment slot (weapon, armor, tool)
+ *
+ * Slots are addressed by bag index or equipment slot name. Stacks hold up to
+ * the item's stack size and everything carried counts towards maxWeight.
+ * Every change sets `changed` so the network layer can push the new state
+ * (INVENTORY packet, see getState).
+ */
+
+import { itemConfig } from '../shared/config.js';
+
+export class Inventory {
+    /**
+     * @param {Object} data - Player data holding inventory and equipment
+     */
+    constructor(data, config = itemConfig) {
+        this.data = data;
+        this.config = config;
+        this.changed = true;
+
+        if (!Array.isArray(data.inventory)) data.inventory = Array(config.slots).fill(null);
+        if (!data.equipment) data.equipment = this.createEquipment();
+    }
+
+    get slots() {
+        return this.data.inventory;
+    }
+
+    get equipment() {
+        return this.data.equipment;
+    }
+
+    createEquipment() {
+        return Object.fromEntries(Object.keys(this.config.equipment).map(slot => [slot, null]));
+    }
+
+    /**
+     * @returns {Object|null} itemConfig.items entry
+     */
+    getDefinition(itemId) {
+        return this.config.items[itemId] || null;
+    }
+
+    getStackSize(itemId) {
+        const definition = this.getDefinition(itemId);
+        return definition ? definition.stack : 1;
+    }
+
+    getItemWeight(itemId) {
+        const definition = this.getDefinition(itemId);
+        return definition ? definition.weight : 0;
+    }
+
+    // ========================================================================
+    // Slots
+    // ========================================================================
+
+    isEquipmentSlot(ref) {
+        return typeof ref === 'string' && ref in this.config.equipment;
+    }
+
+    isValidSlot(ref) {
+        return this.isEquipmentSlot(ref) || (Number.isInteger(ref) && ref >= 0 && ref < this.slots.length);
+    }
+
+    getStack(ref) {
+        if (this.isEquipmentSlot(ref)) return this.equipment[ref] || null;
+        return this.isValidSlot(ref) ? this.slots[ref] : null;
+    }
+
+    setStack(ref, stack) {
+        if (this.isEquipmentSlot(ref)) this.equipment[ref] = stack;
+        else this.slots[ref] = stack;
+        this.changed = true;
+    }
+
+    /**
+     * Can this stack go into the slot? Equipment slots only take their item type
+     */
+    accepts(ref, stack) {
+        if (!stack || !this.isEquipmentSlot(ref)) return true;
+        const definition = this.getDefinition(stack.itemId);
+        return !!definition && definition.type === this.config.equipment[ref];
+    }
+
+    /**
+     * Definition of the item in an equipment slot
+     * @returns {Object|null}
+     */
+    getEquipped(slot) {
+        const stack = this.equipment[slot];
+        return stack ? this.getDefinition(stack.itemId) : null;
+    }
+
+    /**
+     * Every stack carried, bag and equipment
+     */
+    getStacks() {
+        return [...this.slots, ...Object.values(this.equipment)].filter(Boolean);
+    }
+
+    getWeight() {
+        return this.getStacks().reduce((sum, stack) => sum + this.getItemWeight(stack.itemId) * stack.count, 0);
+    }
+
+    count(itemId) {
+        return this.getStacks().reduce((sum, stack) => sum + (stack.itemId === itemId ? stack.count : 0), 0);
+    }
+
+    // ========================================================================
+    // Adding & removing
+    // ========================================================================
+
+    /**
+     * How many more of an item the bag takes (free slots, stacks and weight)
+     */
+    getRoomFor(itemId) {
+        if (!this.getDefinition(itemId)) return 0;
+
+        const stackSize = this.getStackSize(itemId);
+        const slotRoom = this.slots.reduce((sum, stack) => {
+            if (!stack) return sum + stackSize;
+            return stack.itemId === itemId && stackSize > 1 ? sum + Math.max(0, stackSize - stack.count) : sum;
+        }, 0);
+
+        const weight = this.getItemWeight(itemId);
+        if (weight <= 0) return slotRoom;
+        // Small epsilon: fractional weights summed up shouldn't cost an item
+        return Math.min(slotRoom, Math.max(0, Math.floor((this.config.maxWeight - this.getWeight()) / weight + 1e-6)));
+    }
+
+    /**
+     * Put items in the bag: topping up stacks of the same item first, then
+     * empty slots, as far as slots and maxWeight allow
+     * @returns {number} How many were added
+     */
+    add(itemId, count = 1, metadata = {}) {
+        if (!(count > 0)) return 0;
+
+        const added = Math.min(count, this.getRoomFor(itemId));
+        let left = added;
+        const stackSize = this.getStackSize(itemId);
+
+        if (stackSize > 1) {
+            this.slots.forEach(stack => {
+                if (left <= 0 || !stack || stack.itemId !== itemId || stack.count >= stackSize) return;
+                const moved = Math.min(left, stackSize - stack.count);
+                stack.count += moved;
+                left -= moved;
+            });
+        }
+
+        for (let i = 0; i < this.slots.length && left > 0; i++) {
+            if (this.slots[i]) continue;
+            const moved = Math.min(left, stackSize);
+            this.slots[i] = { itemId, count: moved, metadata: { ...metadata } };
+            left -= moved;
+        }
+
+        if (added > 0) this.changed = true;
+        return added;
+    }
+
+    /**
+     * Take items out of one slot
+     * @returns {boolean} False if the slot doesn't hold that many
+     */
+    remove(ref, count = 1) {
+        const stack = this.getStack(ref);
+        if (!stack || !(count > 0) || stack.count < count) return false;
+        stack.count -= count;
+        if (stack.count <= 0) this.setStack(ref, null);
+        this.changed = true;
+        return true;
+    }
+
+    /**
+     * Use up items from wherever they are carried (ammo), all or nothing
+     * @returns {boolean}
+     */
+    consume(itemId, count = 1) {
+        if (this.count(itemId) < count) return false;
+
+        let left = count;
+        for (let i = this.slots.length - 1; i >= 0 && left > 0; i--) {
+            const stack = this.slots[i];
+            if (!stack || stack.itemId !== itemId) continue;
+            const taken = Math.min(left, stack.count);
+            this.remove(i, taken);
+            left -= taken;
+        }
+        for (const slot of Object.keys(this.equipment)) {
+            const stack = this.equipment[slot];
+            if (left <= 0 || !stack || stack.itemId !== itemId) continue;
+            const taken = Math.min(left, stack.count);
+            this.remove(slot, taken);
+            left -= taken;
+        }
+        return true;
+    }
+
+    /**
+     * Empty the bag and equipment (dropped as loot on death)
+     * @returns {Array} The stacks that were carried
+     */
+    takeAll() {
+        const stacks = this.getStacks();
+        this.data.inventory = Array(this.slots.length).fill(null);
+        this.data.equipment = this.createEquipment();
+        this.changed = true;
+        return stacks;
+    }
+
+    // ========================================================================
+    // Player actions (ITEM_MOVE, ITEM_DROP)
+    // ========================================================================
+
+    /**
+     * Move items between slots: onto an empty slot, merged into a stack of
+     * the same item or swapped with what is there. Moving part of a stack
+     * splits it and needs an empty slot or a matching stack.
+     * @param {number|string} from - Bag index or equipment slot
+     * @param {number|string} to - Bag index or equipment slot
+     * @param {number} count - How many, the whole stack if left out
+     * @returns {Object} { success, reason }
+     */
+    move(from, to, count = null) {
+        if (!this.isValidSlot(from) || !this.isValidSlot(to)) return { success: false, reason: 'Invalid slot' };
+        if (from === to) return { success: false, reason: 'Same slot' };
+
+        const source = this.getStack(from);
+        if (!source) return { success: false, reason: 'Nothing to move' };
+
+        const amount = count === null || count === undefined ? source.count : count;
+        if (!Number.isInteger(amount) || amount < 1 || amount > source.count) return { success: false, reason: 'Invalid count' };
+        if (!this.accepts(to, source)) return { success: false, reason: `${this.getName(source.itemId)} doesn't go there` };
+
+        const target = this.getStack(to);
+
+        // Onto an empty slot (split if only part of the stack)
+        if (!target) {
+            if (amount === source.count) {
+                this.setStack(from, null);
+                this.setStack(to, source);
+            } else {
+                source.count -= amount;
+                this.setStack(to, { itemId: source.itemId, count: amount, metadata: { ...source.metadata } });
+            }
+            return { success: true };
+        }
+
+        // Merge into a stack of the same item, the rest stays behind
+        const stackSize = this.getStackSize(source.itemId);
+        if (target.itemId === source.itemId && stackSize > 1) {
+            const moved = Math.min(amount, stackSize - target.count);
+            if (moved <= 0) return { success: false, reason: 'Stack is full' };
+            target.count += moved;
+            this.remove(from, moved);
+            return { success: true };
+        }
+
+        // Swap whole stacks
+        if (amount !== source.count) return { success: false, reason: 'Slot is taken' };
+        if (!this.accepts(from, target)) return { success: false, reason: `${this.getName(target.itemId)} doesn't go there` };
+        this.setStack(from, target);
+        this.setStack(to, source);
+        return { success: true };
+    }
+
+    /**
+     * Take items out to drop them on the ground
+     * @returns {Object} { success, reason, items: [stack] }
+     */
+    drop(ref, count = null) {
+        const stack = this.getStack(ref);
+        if (!stack) return { success: false, reason: 'Nothing to drop' };
+
+        const amount = count === null || count === undefined ? stack.count : count;
+        if (!Number.isInteger(amount) || amount < 1 || amount > stack.count) return { success: false, reason: 'Invalid count' };
+
+        const dropped = { itemId: stack.itemId, count: amount, metadata: { ...stack.metadata } };
+        this.remove(ref, amount);
+        return { success: true, items: [dropped] };
+    }
+
+    getName(itemId) {
+        const definition = this.getDefinition(itemId);
+        return definition ? definition.name : itemId;
+    }
+
+    // ========================================================================
+    // Network & persistence
+    // ========================================================================
+
+    /**
+     * Everything the inventory window shows
+     */
+    getState() {
+        return {
+            slots: this.slots,
+            equipment: this.equipment,
+            weight: Math.round(this.getWeight() * 10) / 10,
+            maxWeight: this.config.maxWeight
+        };
+    }
+
+    /**
+     * Saved bag and equipment; stacks of items no longer in itemConfig are dropped
+     */
+    restore(inventory, equipment) {
+        const valid = (stack) => stack && this.getDefinition(stack.itemId) && stack.count > 0 ? stack : null;
+        if (Array.isArray(inventory)) {
+            this.data.inventory = Array.from({ length: this.slots.length }, (_, i) => valid(inventory[i]));
+        }
+        if (equipment) {
+            const restored = this.createEquipment();
+            Object.keys(restored).forEach(slot => {
+                const stack = valid(equipment[slot]);
+                if (this.accepts(slot, stack)) restored[slot] = stack;
+            });
+            this.data.equipment = restored;
+        }
+        this.changed = true;
+    }
+}
+
+export default Inventory;
@@ -0,0 +1,328 @@
+/**
+ * LootSystem.js - Lootable caches in and around POIs
+ *
+ * A POI gets its caches (lootConfig.tiers[lootTier].caches) the first time
+ * one of its chunks is generated (ChunkStreamer.onChunkGenerated): inside the
+ * footprint if the POI has an interior, around it otherwise. Positions come
+ * from the world seed, so a cache is always in the same spot.
+ * - Contents are rolled from the POI category's table, its founding faction's
+ *   table and lootConfig.common. The lootTier sets the rolls, stack sizes and
+ *   which entries (minTier) can come up
+ * - Interacting opens the cache (INTERACT_MENU type 'CACHE'), items are taken
+ *   with LOOT_TAKE. Taking from a cache in a faction's territory is theft
+ * - The first take starts the respawn timer, then the cache is rolled afresh
+ *
+ * While its chunk is cached a cache has a collider (physicsHandleMap 'CACHE')
+ * and is replicated as 'caches' (see serializeCache).
+ */
+
+import RAPIER from '@dimforge/rapier3d-compat';
+import { itemConfig, lootConfig, worldConfig } from '../shared/config.js';
+import { Faction } from './Factions.js';
+import seededRandom from './SeededRandom.js';
+
+/**
+ * LootCache - One container and its contents
+ */
+export class LootCache {
+    constructor(id, poi, position, chunkKey) {
+        this.id = id;
+        this.poi = poi;         // POIManager instance (currentFaction follows territory changes)
+        this.name = poi.poi.name;
+        this.category = poi.poi.category;
+        this.faction = poi.originalFaction; // Whose table it rolls from
+        this.tier = poi.poi.lootTier || 1;
+        this.position = position;
+        this.chunkKey = chunkKey;
+
+        this.items = [];        // [{ itemId, count, metadata }]
+        this.respawnAt = null;  // Time (ms) it refills, set by the first take
+        this.body = null;       // Fixed body while its chunk is cached
+    }
+
+    /**
+     * Faction holding the POI, null if neutral
+     */
+    get owner() {
+        return Faction[this.poi.currentFaction] ? this.poi.currentFaction : null;
+    }
+}
+
+export class LootSystem {
+    /**
+     * @param {Object} sources - { world, physicsHandleMap, getPOIsForChunk: (x, z) => POI instances,
+     *   reputation } (reputation optional)
+     */
+    constructor(sources, config = lootConfig) {
+        this.world = sources.world;
+        this.physicsHandleMap = sources.physicsHandleMap;
+        this.getPOIsForChunk = sources.getPOIsForChunk;
+        this.reputation = sources.reputation || null;
+        this.config = config;
+        this.chunkSize = worldConfig.chunkSize;
+
+        this.caches = new Map();       // id -> LootCache
+        this.byChunk = new Map();      // "x,z" -> Set<LootCache>
+        this.populated = new Set();    // POI ids whose caches exist
+        this.loadedChunks = new Set(); // Chunks in the ChunkStreamer cache
+        this.active = new Set();       // Caches with a collider (replicated)
+        this.pending = new Set();      // Caches waiting to respawn
+        this.saved = null;             // Persisted state, applied as caches are created
+    }
+
+    static key(x, z) {
+        return `${x},${z}`;
+    }
+
+    // ========================================================================
+    // Chunks & placement
+    // ========================================================================
+
+    onChunkGenerated(x, z) {
+        const key = LootSystem.key(x, z);
+        this.loadedChunks.add(key);
+        for (const poi of this.getPOIsForChunk(x, z)) this.populate(poi);
+        const caches = this.byChunk.get(key);
+        if (caches) caches.forEach(cache => this.activate(cache));
+    }
+
+    onChunkEvicted(x, z) {
+        const key = LootSystem.key(x, z);
+        this.loadedChunks.delete(key);
+        const caches = this.byChunk.get(key);
+        if (caches) caches.forEach(cache => this.deactivate(cache));
+    }
+
+    /**
+     * Create a POI's caches (once), filled from the save or freshly rolled
+     */
+    populate(poi) {
+        if (this.populated.has(poi.id)) return;
+        this.populated.add(poi.id);
+
+        const tier = this.config.tiers[poi.poi.lootTier] || this.config.tiers[1];
+        const random = seededRandom(`${worldConfig.seed}_loot_${poi.id}`);
+
+        const placed = [];
+        for (let i = 0; i < tier.caches; i++) {
+            const position = this.placeCache(poi, random, placed);
+            placed.push(position);
+            const key = LootSystem.key(Math.floor(position.x / this.chunkSize), Math.floor(position.z / this.chunkSize));
+            const cache = new LootCache(`cache_${poi.id}_${i}`, poi, position, key);
+
+            const saved = this.saved && this.saved[cache.id];
+            if (saved) {
+                cache.items = (saved.items || []).filter(item => itemConfig.items[item.itemId]);
+                cache.respawnAt = saved.respawnAt;
+                if (cache.respawnAt !== null) this.pending.add(cache);
+            } else {
+                cache.items = this.roll(cache);
+            }
+
+            this.caches.set(cache.id, cache);
+            if (!this.byChunk.has(key)) this.byChunk.set(key, new Set());
+            this.byChunk.get(key).add(cache);
+            if (this.loadedChunks.has(key)) this.activate(cache);
+        }
+    }
+
+    /**
+     * A spot clear of the POI's other caches (as far as a few tries allow)
+     * @param {Array} placed - Positions of the caches placed so far
+     * @returns {Object} Physics coords
+     */
+    placeCache(poi, random, placed) {
+        let position;
+        for (let attempt = 0; attempt < 5; attempt++) {
+            position = this.pickSpot(poi, random);
+            if (placed.every(p => Math.hypot(p.x - position.x, p.z - position.z) >= this.config.minSpacing)) break;
+        }
+        return position;
+    }
+
+    /**
+     * Inside the footprint for POIs with an interior, otherwise on the
+     * flattened ground around it
+     */
+    pickSpot(poi, random) {
+        const { width, depth } = poi.poi.footprint;
+        let local;
+        if (poi.poi.hasInterior) {
+            const halfWidth = Math.max(0, width / 2 - this.config.interiorMargin);
+            const halfDepth = Math.max(0, depth / 2 - this.config.interiorMargin);
+            local = { x: (random() * 2 - 1) * halfWidth, z: (random() * 2 - 1) * halfDepth };
+        } else {
+            const inner = Math.max(width, depth) / 2 + 2;
+            const outer = Math.max(inner, (poi.poi.flattenRadius || inner) - 2);
+            const angle = random() * Math.PI * 2;
+            const radius = inner + random() * (outer - inner);
+            local = { x: Math.cos(angle) * radius, z: Math.sin(angle) * radius };
+        }
+
+        // Same rotation as TerrainStitcher.calculateFootprint
+        const cos = Math.cos(poi.rotation || 0);
+        const sin = Math.sin(poi.rotation || 0);
+        return {
+            x: poi.position.x + local.x * cos - local.z * sin,
+            y: poi.targetHeight ?? poi.position.y,
+            z: poi.position.z + local.x * sin + local.z * cos
+        };
+    }
+
+    activate(cache) {
+        if (cache.body) return;
+        const h = this.config.halfExtents;
+        const bodyDesc = RAPIER.RigidBodyDesc.fixed()
+            .setTranslation(cache.position.x, cache.position.y + h.y, cache.position.z);
+        cache.body = this.world.createRigidBody(bodyDesc);
+        this.world.createCollider(RAPIER.ColliderDesc.cuboid(h.x, h.y, h.z), cache.body);
+        this.physicsHandleMap.set(cache.body.handle, { type: 'CACHE', instance: cache });
+        this.active.add(cache);
+    }
+
+    deactivate(cache) {
+        if (cache.body) {
+            this.physicsHandleMap.delete(cache.body.handle);
+            this.world.removeRigidBody(cache.body);
+            cache.body = null;
+        }
+        this.active.delete(cache);
+    }
+
+    // ========================================================================
+    // Loot tables
+    // ========================================================================
+
+    /**
+     * Entries a cache can roll at its tier
+     */
+    getTable(cache) {
+        const entries = [
+            ...(this.config.categories[cache.category] || []),
+            ...(this.config.factions[cache.faction] || []),
+            ...this.config.common
+        ];
+        return entries.filter(entry => (entry.minTier || 1) <= cache.tier);
+    }
+
+    /**
+     * @returns {Array} Fresh contents [{ itemId, count, metadata }], one stack per item
+     */
+    roll(cache, random = Math.random) {
+        const tier = this.config.tiers[cache.tier] || this.config.tiers[1];
+        const table = this.getTable(cache);
+        const totalWeight = table.reduce((sum, entry) => sum + entry.weight, 0);
+        if (totalWeight <= 0) return [];
+
+        const between = ([min, max]) => min + Math.floor(random() * (max - min + 1));
+        const counts = new Map();
+        const rolls = between(tier.rolls);
+        for (let i = 0; i < rolls; i++) {
+            let pick = random() * totalWeight;
+            const entry = table.find(e => (pick -= e.weight) < 0) || table[table.length - 1];
+            // Bigger stacks at higher tiers, but one rifle stays one rifle
+            const scale = entry.count[1] > 1 ? tier.countScale : 1;
+            const count = Math.max(1, Math.round(between(entry.count) * scale));
+            counts.set(entry.item, (counts.get(entry.item) || 0) + count);
+        }
+        return [...counts].map(([itemId, count]) => ({ itemId, count, metadata: {} }));
+    }
+
+    // ========================================================================
+    // Looting
+    // ========================================================================
+
+    /**
+     * What the INTERACT_MENU shows for a cache
+     */
+    getMenu(cache, now = Date.now()) {
+        return {
+            type: 'CACHE',
+            targetId: cache.id,
+            name: cache.name,
+            tier: cache.tier,
+            owner: cache.owner,
+            items: cache.items.map(item => ({ itemId: item.itemId, count: item.count })),
+            respawnIn: cache.respawnAt !== null ? Math.max(0, cache.respawnAt - now) : null
+        };
+    }
+
+    /**
+     * A player taking one item (index) or everything (index null) from a cache
+     * @returns {Object} { success, reason, cache }
+     */
+    take(player, cacheId, index = null, now = Date.now()) {
+        const cache = this.caches.get(cacheId);
+        if (!cache || !this.active.has(cache)) return { success: false, reason: 'Nothing there' };
+        if (player.isDead()) return { success: false, reason: 'Dead' };
+        if (index !== null && !(Number.isInteger(index) && index >= 0 && index < cache.items.length)) {
+            return { success: false, reason: 'Invalid item' };
+        }
+
+        const p = player.rigidBody.translation();
+        const c = cache.position;
+        if (Math.hypot(p.x - c.x, p.y - c.y, p.z - c.z) > this.config.interactRange) return { success: false, reason: 'Too far away' };
+        if (cache.items.length === 0) return { success: false, reason: 'Empty' };
+
+        const taken = player.takeLoot(cache, index);
+        if (taken.length === 0) return { success: false, reason: 'Inventory full', cache };
+
+        if (cache.respawnAt === null) {
+            cache.respawnAt = now + this.config.respawnTime * 1000;
+            this.pending.add(cache);
+        }
+        const owner = cache.owner;
+        if (this.reputation && owner && owner !== player.data.faction) this.reputation.record(player, owner, 'theft');
+        return { success: true, cache };
+    }
+
+    /**
+     * Refill caches whose respawn time has come
+     */
+    update(now = Date.now()) {
+        for (const cache of this.pending) {
+            if (now < cache.respawnAt) continue;
+            cache.items = this.roll(cache);
+            cache.respawnAt = null;
+            this.pending.delete(cache);
+        }
+    }
+
+    // ========================================================================
+    // Network & persistence
+    // ========================================================================
+
+    serializeCache(cache) {
+        return {
+            type: 'CACHE',
+            tier: cache.tier,
+            empty: cache.items.length === 0,
+            x: cache.position.x,
+            y: cache.position.y,
+            z: cache.position.z
+        };
+    }
+
+    /**
+     * Caches that were looted (still untouched ones are rolled again on load)
+     */
+    serialize() {
+        const data = { ...this.saved };
+        for (const cache of this.caches.values()) {
+            if (cache.respawnAt === null) delete data[cache.id];
+            else data[cache.id] = { items: cache.items, respawnAt: cache.respawnAt };
+        }
+        return data;
+    }
+
+    /**
+     * Kept until the caches are created, as their chunks are generated
+     */
+    restore(data) {
+        if (!data) return 0;
+        this.saved = data;
+        return Object.keys(data).length;
+    }
+}
+
+export default LootSystem;
@@ -0,0 +1,436 @@
+/**
+ * NavigationSystem.js - Ground pathfinding for AI units
+ *
+ * - Nav tiles: one per chunk, a grid of cellSize cells built from the chunk
+ *   heightmap (height, slope, water depth), POI footprints (buildings block
+ *   their cells) and GlobalHighwaySystem road segments (road cells)
+ * - Cells are addressed globally, so A* walks straight across chunk borders;
+ *   each step also checks the height difference between the two cells, which
+ *   catches seams and cliffs between tiles
+ * - A* costs depend on the movement profile (infantry, tracked, wheeled):
+ *   slopes and water cost extra or are impassable, wheeled profiles prefer roads
+ * - Searches are capped at maxSearchNodes; past that the path leads to the
+ *   closest point found and the unit plans the next leg from there
+ * - Units that get stuck mark the cell ahead as blocked for a while and replan
+ *
+ * Tiles are cached (LRU) and built lazily from ChunkStreamer's chunk cache.
+ */
+
+import { navigationConfig, worldConfig } from '../shared/config.js';
+
+const SQRT2 = Math.SQRT2;
+
+const NEIGHBORS = [
+    { dx: 1, dz: 0, dist: 1 },
+    { dx: -1, dz: 0, dist: 1 },
+    { dx: 0, dz: 1, dist: 1 },
+    { dx: 0, dz: -1, dist: 1 },
+    { dx: 1, dz: 1, dist: SQRT2 },
+    { dx: 1, dz: -1, dist: SQRT2 },
+    { dx: -1, dz: 1, dist: SQRT2 },
+    { dx: -1, dz: -1, dist: SQRT2 }
+];
+
+/**
+ * Binary min-heap of { key, f } for the A* open set
+ */
+class OpenSet {
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(item) {
+        const items = this.items;
+        items.push(item);
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (items[parent].f <= items[i].f) break;
+            [items[parent], items[i]] = [items[i], items[parent]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < items.length && items[left].f < items[smallest].f) smallest = left;
+                if (right < items.length && items[right].f < items[smallest].f) smallest = right;
+                if (smallest === i) break;
+                [items[smallest], items[i]] = [items[i], items[smallest]];
+                i = smallest;
+            }
+        }
+        return top;
+    }
+}
+
+export class NavigationSystem {
+    /**
+     * @param {ChunkStreamer} chunkStreamer - Source of chunk heightmaps
+     * @param {GeopoliticalMacroLayer|null} geopoliticalLayer - POI footprints and roads
+     */
+    constructor(chunkStreamer, geopoliticalLayer = null, config = navigationConfig) {
+        this.chunkStreamer = chunkStreamer;
+        this.geopoliticalLayer = geopoliticalLayer;
+        this.config = config;
+
+        this.chunkSize = chunkStreamer.chunkSize || worldConfig.chunkSize;
+        this.cellSize = config.cellSize;
+        this.cellsPerTile = Math.floor(this.chunkSize / this.cellSize);
+        this.seaLevel = worldConfig.seaLevel;
+
+        // "cx,cz" -> tile; Map iteration order doubles as LRU order (oldest first)
+        this.tiles = new Map();
+
+        // "gx,gz" -> time (ms) the cell is free again
+        this.blockedCells = new Map();
+    }
+
+    // ========================================================================
+    // NAV TILES
+    // ========================================================================
+
+    getTile(cx, cz) {
+        const key = `${cx},${cz}`;
+        let tile = this.tiles.get(key);
+
+        if (tile) {
+            this.tiles.delete(key);
+            this.tiles.set(key, tile);
+            return tile;
+        }
+
+        tile = this.buildTile(cx, cz);
+        this.tiles.set(key, tile);
+
+        if (this.tiles.size > this.config.maxCachedTiles) {
+            this.tiles.delete(this.tiles.keys().next().value);
+        }
+        return tile;
+    }
+
+    /**
+     * Walkability data for one chunk: per cell the mean height, steepest
+     * slope, water depth, and whether it is road or blocked by a building
+     */
+    buildTile(cx, cz) {
+        const n = this.cellsPerTile;
+        const cell = this.cellSize;
+        const chunk = this.chunkStreamer.getChunk(cx, cz).data;
+        const heights = chunk.heightMap;
+        const rowLength = chunk.size + 1;
+
+        const tile = {
+            cx,
+            cz,
+            height: new Float32Array(n * n),
+            slope: new Float32Array(n * n),
+            waterDepth: new Float32Array(n * n),
+            road: new Uint8Array(n * n),
+            blocked: new Uint8Array(n * n)
+        };
+
+        for (let j = 0; j < n; j++) {
+            for (let i = 0; i < n; i++) {
+                // Heightmap vertices are 1m apart; a cell covers (cell + 1)^2 of them
+                let sum = 0;
+                let min = Infinity;
+                let max = -Infinity;
+                let count = 0;
+                for (let vz = j * cell; vz <= (j + 1) * cell; vz++) {
+                    for (let vx = i * cell; vx <= (i + 1) * cell; vx++) {
+                        const h = heights[vz * rowLength + vx];
+                        if (Number.isNaN(h)) continue;
+                        sum += h;
+                        count++;
+                        if (h < min) min = h;
+                        if (h > max) max = h;
+                    }
+                }
+
+                const idx = j * n + i;
+                const mean = count > 0 ? sum / count : 0;
+                tile.height[idx] = mean;
+                tile.slope[idx] = count > 0 ? (max - min) / cell : 0;
+                tile.waterDepth[idx] = Math.max(0, this.seaLevel - mean);
+            }
+        }
+
+        this.markRoads(tile);
+        this.markFootprints(tile);
+        return tile;
+    }
+
+    /**
+     * Cells within half a road's width of a GlobalHighwaySystem segment
+     */
+    markRoads(tile) {
+        const highways = this.geopoliticalLayer && this.geopoliticalLayer.highwaySystem;
+        if (!highways) return;
+
+        const bounds = this.getTileBounds(tile);
+        for (const road of highways.roads.values()) {
+            for (const segment of road.segments) {
+                const halfWidth = segment.width / 2;
+                if (Math.max(segment.start.x, segment.end.x) + halfWidth < bounds.minX ||
+                    Math.min(segment.start.x, segment.end.x) - halfWidth > bounds.maxX ||
+                    Math.max(segment.start.z, segment.end.z) + halfWidth < bounds.minZ ||
+                    Math.min(segment.start.z, segment.end.z) - halfWidth > bounds.maxZ) {
+                    continue;
+                }
+
+                this.forEachCell(tile, (idx, x, z) => {
+                    if (highways.pointToSegmentDistance({ x, z }, segment.start, segment.end) <= halfWidth) {
+                        tile.road[idx] = 1;
+                    }
+                });
+            }
+        }
+    }
+
+    /**
+     * Cells under a POI building (its footprint rectangle)
+     */
+    markFootprints(tile) {
+        const poiManager = this.geopoliticalLayer && this.geopoliticalLayer.poiManager;
+        if (!poiManager) return;
+
+        const bounds = this.getTileBounds(tile);
+        const centerX = (bounds.minX + bounds.maxX) / 2;
+        const centerZ = (bounds.minZ + bounds.maxZ) / 2;
+        // Tile half-diagonal plus room for POIs centred in a neighbouring chunk
+        const radius = this.chunkSize * 2;
+
+        for (const { poi } of poiManager.getPOIsInRadius(centerX, centerZ, radius)) {
+            const footprint = poi.footprint;
+            if (!footprint || !footprint.center) continue;
+
+            this.forEachCell(tile, (idx, x, z) => {
+                if (poiManager.terrainStitcher.isPointInFootprint(x, z, footprint)) {
+                    tile.blocked[idx] = 1;
+                }
+            });
+        }
+    }
+
+    getTileBounds(tile) {
+        const minX = tile.cx * this.chunkSize;
+        const minZ = tile.cz * this.chunkSize;
+        return { minX, minZ, maxX: minX + this.chunkSize, maxZ: minZ + this.chunkSize };
+    }
+
+    /**
+     * Call fn(index, centerX, centerZ) for every cell of a tile
+     */
+    forEachCell(tile, fn) {
+        const n = this.cellsPerTile;
+        const originX = tile.cx * this.chunkSize;
+        const originZ = tile.cz * this.chunkSize;
+        for (let j = 0; j < n; j++) {
+            for (let i = 0; i < n; i++) {
+                fn(j * n + i, originX + (i + 0.5) * this.cellSize, originZ + (j + 0.5) * this.cellSize);
+            }
+        }
+    }
+
+    // ========================================================================
+    // CELLS
+    // ========================================================================
+
+    worldToCell(x, z) {
+        return { gx: Math.floor(x / this.cellSize), gz: Math.floor(z / this.cellSize) };
+    }
+
+    cellCenter(gx, gz) {
+        return { x: (gx + 0.5) * this.cellSize, z: (gz + 0.5) * this.cellSize };
+    }
+
+    /**
+     * Nav data of a global cell (builds its tile if needed)
+     */
+    getCell(gx, gz) {
+        const n = this.cellsPerTile;
+        const cx = Math.floor(gx / n);
+        const cz = Math.floor(gz / n);
+        const tile = this.getTile(cx, cz);
+        const idx = (gz - cz * n) * n + (gx - cx * n);
+        return {
+            height: tile.height[idx],
+            slope: tile.slope[idx],
+            waterDepth: tile.waterDepth[idx],
+            road: tile.road[idx] === 1,
+            blocked: tile.blocked[idx] === 1
+        };
+    }
+
+    /**
+     * Keep units out of a cell for blockedCellTime (something the nav data
+     * doesn't know about is in the way)
+     */
+    markBlocked(position, now = Date.now()) {
+        const { gx, gz } = this.worldToCell(position.x, position.z);
+        this.blockedCells.set(`${gx},${gz}`, now + this.config.blockedCellTime);
+    }
+
+    isTemporarilyBlocked(key, now) {
+        const until = this.blockedCells.get(key);
+        if (until === undefined) return false;
+        if (until > now) return true;
+        this.blockedCells.delete(key);
+        return false;
+    }
+
+    /**
+     * Terrain cost multiplier of a cell (roads are applied per step),
+     * or Infinity if the profile can't enter it
+     */
+    getCellCost(cell, profile) {
+        if (cell.blocked || cell.slope > profile.maxSlope) return Infinity;
+
+        let cost = 1 + cell.slope * profile.slopeCost;
+        if (cell.waterDepth > 0) {
+            if (profile.waterCost === null || cell.waterDepth > this.config.maxWadeDepth) return Infinity;
+            cost *= profile.waterCost;
+        }
+        return cost;
+    }
+
+    // ========================================================================
+    // A*
+    // ========================================================================
+
+    /**
+     * @param {Object} start - World position
+     * @param {Object} goal - World position
+     * @param {string} profileName - Key of navigationConfig.profiles
+     * @returns {Object} { path: [{ x, y, z }], complete } - complete is false when
+     *          the path stops at the reachable point closest to the goal
+     */
+    findPath(start, goal, profileName) {
+        const profile = this.config.profiles[profileName];
+        const now = Date.now();
+        const startCell = this.worldToCell(start.x, start.z);
+        const goalCell = this.worldToCell(goal.x, goal.z);
+        const startKey = `${startCell.gx},${startCell.gz}`;
+        const goalKey = `${goalCell.gx},${goalCell.gz}`;
+
+        // Cheapest possible cost per metre keeps the heuristic admissible
+        const minCost = Math.min(1, profile.roadCost);
+        const heuristic = (gx, gz) => Math.hypot(goalCell.gx - gx, goalCell.gz - gz) * this.cellSize * minCost;
+
+        const open = new OpenSet();
+        const nodes = new Map(); // key -> { gx, gz, g, parent, closed }
+        const startNode = { gx: startCell.gx, gz: startCell.gz, g: 0, h: heuristic(startCell.gx, startCell.gz), parent: null, closed: false };
+        nodes.set(startKey, startNode);
+        open.push({ key: startKey, f: startNode.h });
+
+        let best = startNode;
+        let expanded = 0;
+
+        while (open.size > 0 && expanded < this.config.maxSearchNodes) {
+            const { key } = open.pop();
+            const node = nodes.get(key);
+            if (node.closed) continue;
+            node.closed = true;
+            expanded++;
+
+            if (key === goalKey) {
+                return { path: this.buildPath(node, goal), complete: true };
+            }
+            if (node.h < best.h) best = node;
+
+            const cell = this.getCell(node.gx, node.gz);
+
+            for (const { dx, dz, dist } of NEIGHBORS) {
+                const nx = node.gx + dx;
+                const nz = node.gz + dz;
+                const neighborKey = `${nx},${nz}`;
+                const existing = nodes.get(neighborKey);
+                if (existing && existing.closed) continue;
+
+                const stepCost = this.getStepCost(cell, nx, nz, dist, profile, neighborKey, now);
+                if (stepCost === Infinity) continue;
+
+                // No cutting corners past impassable cells
+                if (dx !== 0 && dz !== 0) {
+                    if (this.getCellCost(this.getCell(node.gx + dx, node.gz), profile) === Infinity ||
+                        this.getCellCost(this.getCell(node.gx, node.gz + dz), profile) === Infinity) {
+                        continue;
+                    }
+                }
+
+                const g = node.g + stepCost;
+                if (existing && g >= existing.g) continue;
+
+                const next = existing || { gx: nx, gz: nz, h: heuristic(nx, nz), closed: false };
+                next.g = g;
+                next.parent = node;
+                nodes.set(neighborKey, next);
+                open.push({ key: neighborKey, f: g + next.h });
+            }
+        }
+
+        // Goal unreachable or too far for one search: get as close as we can
+        return { path: best === startNode ? [] : this.buildPath(best, null), complete: false };
+    }
+
+    /**
+     * Cost of moving from `from` into cell (nx, nz), Infinity if not allowed
+     */
+    getStepCost(from, nx, nz, dist, profile, key, now) {
+        if (this.isTemporarilyBlocked(key, now)) return Infinity;
+
+        const to = this.getCell(nx, nz);
+        const cellCost = this.getCellCost(to, profile);
+        if (cellCost === Infinity) return Infinity;
+
+        // Height step between cell centres (cliffs, seams between tiles)
+        const run = dist * this.cellSize;
+        const rise = Math.abs(to.height - from.height) / run;
+        if (rise > profile.maxSlope) return Infinity;
+
+        return run * Math.max(cellCost, 1 + rise * profile.slopeCost) * (to.road ? profile.roadCost : 1);
+    }
+
+    /**
+     * Waypoints from the start to `node`: cell centres at ground height,
+     * with straight runs merged and the exact goal appended when reached
+     */
+    buildPath(node, goal) {
+        const cells = [];
+        for (let n = node; n; n = n.parent) cells.unshift(n);
+
+        const path = [];
+        for (let i = 1; i < cells.length; i++) {
+            const prev = cells[i - 1];
+            const cur = cells[i];
+            const next = cells[i + 1];
+            // Keep turning points and the last cell only
+            if (next && next.gx - cur.gx === cur.gx - prev.gx && next.gz - cur.gz === cur.gz - prev.gz) continue;
+
+            const center = this.cellCenter(cur.gx, cur.gz);
+            path.push({ x: center.x, y: this.getCell(cur.gx, cur.gz).height, z: center.z });
+        }
+
+        if (goal) {
+            if (path.length > 0) path.pop();
+            path.push({ x: goal.x, y: goal.y, z: goal.z });
+        }
+        return path;
+    }
+}
+
+export default NavigationSystem;
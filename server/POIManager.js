@@ -6,6 +6,8 @@
  * - Faction-based styling (original faction POIs persist even after territory changes)
  * - Integration with TerrainStitcher and FoundationGenerator
  * - Spatial indexing for efficient queries
+ * - Resource deposits (scrap, ore, crops) placed with the POIs, brought to
+ *   life by ResourceNodeSystem
  */
 
 import {
@@ -26,12 +28,15 @@ import {
 import TerrainStitcher from './TerrainStitcher.js';
 import { FoundationGenerator } from './FoundationGenerator.js';
 import { createNoise2D } from 'simplex-noise';
+import { seededRandom } from './SeededRandom.js';
+import { resourceNodeConfig } from '../shared/config.js';
 
 class POIManager {
-  constructor(worldGenerator, politicalMap, highwaySystem) {
+  constructor(worldGenerator, politicalMap, highwaySystem, seed = worldGenerator.seed) {
     this.worldGenerator = worldGenerator;
     this.politicalMap = politicalMap;
     this.highwaySystem = highwaySystem;
+    this.seed = seed;
 
     // Initialize subsystems
     this.terrainStitcher = new TerrainStitcher(worldGenerator);
@@ -45,9 +50,18 @@ class POIManager {
     this.placedPOIs = new Map(); // poiInstanceId -> POI data
     this.nextPOIId = 1;
 
+    // Resource deposits: { id, kind, x, y, z, poiId } (y is height)
+    this.resourceDeposits = [];
+
     // Noise for procedural placement
-    this.placementNoise = createNoise2D(() => Math.random());
-    this.variationNoise = createNoise2D(() => Math.random());
+    this.placementNoise = createNoise2D(seededRandom(`${seed}_poi_placement`));
+    this.variationNoise = createNoise2D(seededRandom(`${seed}_poi_variation`));
+
+    // Active random stream - each generation phase gets its own (see useStream)
+    this.rng = seededRandom(`${seed}_poi`);
+
+    // Spawn point picks (getRandomRoadsidePOI), kept apart from generation
+    this.spawnRng = seededRandom(`${seed}_poi_spawn`);
 
     // World bounds
     this.worldSize = 512000; // 512km
@@ -94,6 +108,9 @@ class POIManager {
     // Phase 5: Generate special location POIs (peaks, coastal, etc.)
     await this.generateSpecialLocationPOIs();
 
+    // Phase 6: Resource deposits (crops need the agricultural POIs)
+    await this.generateResourceDeposits();
+
     const duration = Date.now() - startTime;
     console.log(`[POIManager] Generated ${this.placedPOIs.size} POIs in ${duration}ms`);
 
@@ -103,11 +120,21 @@ class POIManager {
     };
   }
 
+  /**
+   * Switch to the random stream for a generation phase.
+   * Each phase draws from its own seeded stream so a change in one phase
+   * never shifts the placements of another.
+   */
+  useStream(phase) {
+    this.rng = seededRandom(`${this.seed}_poi_${phase}`);
+  }
+
   /**
    * Generate POIs along roads (gas stations, diners, motels, etc.)
    */
   async generateRoadPOIs() {
     console.log('[POIManager] Generating road-adjacent POIs...');
+    this.useStream('road');
 
     if (!this.highwaySystem || !this.highwaySystem.roads) {
       console.log('[POIManager] No highway system available, skipping road POIs');
@@ -163,8 +190,8 @@ class POIManager {
             segment.end.x - segment.start.x
           );
           const perpAngle = roadAngle + Math.PI / 2;
-          const offset = 30 + Math.random() * 20; // 30-50 units from road center
-          const side = Math.random() > 0.5 ? 1 : -1;
+          const offset = 30 + this.rng() * 20; // 30-50 units from road center
+          const side = this.rng() > 0.5 ? 1 : -1;
 
           const poiX = x + Math.cos(perpAngle) * offset * side;
           const poiZ = z + Math.sin(perpAngle) * offset * side;
@@ -210,7 +237,7 @@ class POIManager {
     // Weight by rarity
     const weights = valid.map(poi => poi.rarity);
     const totalWeight = weights.reduce((a, b) => a + b, 0);
-    let random = Math.random() * totalWeight;
+    let random = this.rng() * totalWeight;
 
     for (let i = 0; i < valid.length; i++) {
       random -= weights[i];
@@ -225,6 +252,7 @@ class POIManager {
    */
   async generateSettlementPOIs() {
     console.log('[POIManager] Generating settlement-adjacent POIs...');
+    this.useStream('settlement');
 
     if (!this.politicalMap || !this.politicalMap.voronoiCells) {
       console.log('[POIManager] No political map available, skipping settlement POIs');
@@ -251,8 +279,8 @@ class POIManager {
 
       // Place POIs around settlement
       for (let i = 0; i < poiCount; i++) {
-        const angle = (i / poiCount) * Math.PI * 2 + Math.random() * 0.5;
-        const distance = 200 + Math.random() * 800; // 200-1000 units from center
+        const angle = (i / poiCount) * Math.PI * 2 + this.rng() * 0.5;
+        const distance = 200 + this.rng() * 800; // 200-1000 units from center
 
         const poiX = cell.centroid.x + Math.cos(angle) * distance;
         const poiZ = cell.centroid.z + Math.sin(angle) * distance;
@@ -276,6 +304,7 @@ class POIManager {
    */
   async generateWildernessPOIs() {
     console.log('[POIManager] Generating wilderness POIs...');
+    this.useStream('wilderness');
 
     const wildernessPOIs = Object.values(AllPOIs).filter(poi =>
       poi.spawnContexts.includes(SpawnContext.WILDERNESS) ||
@@ -293,8 +322,8 @@ class POIManager {
         if (noiseVal < 0.3) continue; // Only 35% of grid cells get POIs
 
         // Add randomness to position
-        const offsetX = (Math.random() - 0.5) * sampleSpacing * 0.8;
-        const offsetZ = (Math.random() - 0.5) * sampleSpacing * 0.8;
+        const offsetX = (this.rng() - 0.5) * sampleSpacing * 0.8;
+        const offsetZ = (this.rng() - 0.5) * sampleSpacing * 0.8;
         const poiX = x + offsetX;
         const poiZ = z + offsetZ;
 
@@ -306,7 +335,7 @@ class POIManager {
         const selectedPOI = this.selectContextualPOI(wildernessPOIs, poiX, poiZ);
 
         if (selectedPOI) {
-          const rotation = Math.random() * Math.PI * 2;
+          const rotation = this.rng() * Math.PI * 2;
           const placed = this.tryPlacePOI(selectedPOI, { x: poiX, z: poiZ }, rotation);
           if (placed) wildernessCount++;
         }
@@ -321,6 +350,7 @@ class POIManager {
    */
   async generateFactionPOIs() {
     console.log('[POIManager] Generating faction-specific POIs...');
+    this.useStream('faction');
 
     if (!this.politicalMap || !this.politicalMap.voronoiCells) {
       console.log('[POIManager] No political map available, skipping faction POIs');
@@ -347,12 +377,12 @@ class POIManager {
 
       for (let i = 0; i < targetCount; i++) {
         // Pick random cell
-        const cell = factionCells[Math.floor(Math.random() * factionCells.length)];
+        const cell = factionCells[Math.floor(this.rng() * factionCells.length)];
         if (!cell || !cell.centroid) continue;
 
         // Random position within cell (approximate)
-        const angle = Math.random() * Math.PI * 2;
-        const distance = Math.random() * (cell.area ? Math.sqrt(cell.area) / 4 : 2000);
+        const angle = this.rng() * Math.PI * 2;
+        const distance = this.rng() * (cell.area ? Math.sqrt(cell.area) / 4 : 2000);
 
         const poiX = cell.centroid.x + Math.cos(angle) * distance;
         const poiZ = cell.centroid.z + Math.sin(angle) * distance;
@@ -361,7 +391,7 @@ class POIManager {
         const selectedPOI = this.selectContextualPOI(pois, poiX, poiZ);
 
         if (selectedPOI) {
-          const rotation = Math.random() * Math.PI * 2;
+          const rotation = this.rng() * Math.PI * 2;
           const placed = this.tryPlacePOI(selectedPOI, { x: poiX, z: poiZ }, rotation, faction);
           if (placed) factionPOICount++;
         }
@@ -395,6 +425,7 @@ class POIManager {
    * Generate POIs on mountain peaks
    */
   async generatePeakPOIs() {
+    this.useStream('peak');
     const peakPOIs = Object.values(AllPOIs).filter(poi =>
       poi.spawnContexts.includes(SpawnContext.HIGHEST_PEAK)
     );
@@ -411,7 +442,7 @@ class POIManager {
           const selectedPOI = this.selectContextualPOI(peakPOIs, peak.x, peak.z);
 
           if (selectedPOI) {
-            const placed = this.tryPlacePOI(selectedPOI, { x: peak.x, z: peak.z }, Math.random() * Math.PI * 2);
+            const placed = this.tryPlacePOI(selectedPOI, { x: peak.x, z: peak.z }, this.rng() * Math.PI * 2);
             if (placed) count++;
           }
         }
@@ -421,6 +452,77 @@ class POIManager {
     return count;
   }
 
+  /**
+   * Generate resource deposits: scrap and ore by biome on a jittered grid,
+   * crop fields around AGRICULTURAL POIs. Deposits are not POIs (no
+   * footprint, no terrain surgery).
+   */
+  async generateResourceDeposits(config = resourceNodeConfig) {
+    console.log('[POIManager] Generating resource deposits...');
+    this.useStream('resource');
+    this.resourceDeposits = [];
+
+    for (const [kind, def] of Object.entries(config.kinds)) {
+      if (def.biomes) this.generateBiomeDeposits(kind, def);
+      else if (def.nearCategory) this.generatePOIDeposits(kind, def);
+    }
+
+    console.log(`[POIManager] Placed ${this.resourceDeposits.length} resource deposits`);
+  }
+
+  /**
+   * One chance per grid cell of def.spacing, where the biome matches
+   */
+  generateBiomeDeposits(kind, def) {
+    for (let x = -this.halfWorld; x < this.halfWorld; x += def.spacing) {
+      for (let z = -this.halfWorld; z < this.halfWorld; z += def.spacing) {
+        const depositX = x + this.rng() * def.spacing;
+        const depositZ = z + this.rng() * def.spacing;
+        if (this.rng() > def.chance) continue;
+        if (!def.biomes.includes(this.worldGenerator.getBiome(depositX, depositZ))) continue;
+
+        this.addResourceDeposit(kind, depositX, depositZ);
+      }
+    }
+  }
+
+  /**
+   * def.perPOI deposits around every placed POI of def.nearCategory
+   */
+  generatePOIDeposits(kind, def) {
+    const [minDistance, maxDistance] = def.distance;
+
+    for (const poiInstance of this.placedPOIs.values()) {
+      if (poiInstance.poi.category !== def.nearCategory) continue;
+
+      for (let i = 0; i < def.perPOI; i++) {
+        const angle = this.rng() * Math.PI * 2;
+        const distance = minDistance + this.rng() * (maxDistance - minDistance);
+        const depositX = poiInstance.position.x + Math.cos(angle) * distance;
+        const depositZ = poiInstance.position.z + Math.sin(angle) * distance;
+        this.addResourceDeposit(kind, depositX, depositZ, poiInstance.id);
+      }
+    }
+  }
+
+  /**
+   * Add a deposit unless it would be under water
+   */
+  addResourceDeposit(kind, x, z, poiId = null) {
+    const height = this.worldGenerator.getGroundHeight(x, z);
+    if (height < this.worldGenerator.seaLevel) return false;
+
+    this.resourceDeposits.push({
+      id: `${kind.toLowerCase()}_${this.resourceDeposits.length}`,
+      kind,
+      x,
+      y: height,
+      z,
+      poiId
+    });
+    return true;
+  }
+
   /**
    * Find local elevation peak in an area
    */
@@ -452,6 +554,7 @@ class POIManager {
    * Generate coastal POIs
    */
   async generateCoastalPOIs() {
+    this.useStream('coastal');
     const coastalPOIs = Object.values(AllPOIs).filter(poi =>
       poi.spawnContexts.includes(SpawnContext.COASTAL) ||
       poi.spawnContexts.includes(SpawnContext.WATER_ADJACENT)
@@ -470,11 +573,11 @@ class POIManager {
           // Verify water is nearby
           const hasWaterNearby = this.checkWaterNearby(x, z, 100);
 
-          if (hasWaterNearby && Math.random() < 0.3) {
+          if (hasWaterNearby && this.rng() < 0.3) {
             const selectedPOI = this.selectContextualPOI(coastalPOIs, x, z);
 
             if (selectedPOI) {
-              const placed = this.tryPlacePOI(selectedPOI, { x, z }, Math.random() * Math.PI * 2);
+              const placed = this.tryPlacePOI(selectedPOI, { x, z }, this.rng() * Math.PI * 2);
               if (placed) count++;
             }
           }
@@ -505,6 +608,7 @@ class POIManager {
    * Generate flat terrain POIs
    */
   async generateFlatTerrainPOIs() {
+    this.useStream('flat');
     const flatPOIs = Object.values(AllPOIs).filter(poi =>
       poi.spawnContexts.includes(SpawnContext.FLAT_TERRAIN)
     );
@@ -517,11 +621,11 @@ class POIManager {
         // Check terrain flatness
         const flatness = this.measureFlatness(x, z, 100);
 
-        if (flatness < 0.05 && Math.random() < 0.15) { // Very flat areas
+        if (flatness < 0.05 && this.rng() < 0.15) { // Very flat areas
           const selectedPOI = this.selectContextualPOI(flatPOIs, x, z);
 
           if (selectedPOI) {
-            const placed = this.tryPlacePOI(selectedPOI, { x, z }, Math.random() * Math.PI * 2);
+            const placed = this.tryPlacePOI(selectedPOI, { x, z }, this.rng() * Math.PI * 2);
             if (placed) count++;
           }
         }
@@ -584,7 +688,7 @@ class POIManager {
     });
 
     const totalWeight = weights.reduce((a, b) => a + b, 0);
-    let random = Math.random() * totalWeight;
+    let random = this.rng() * totalWeight;
 
     for (let i = 0; i < valid.length; i++) {
       random -= weights[i];
@@ -883,7 +987,7 @@ class POIManager {
     }
 
     // Select a random roadside POI
-    const selectedPOI = roadsidePOIs[Math.floor(Math.random() * roadsidePOIs.length)];
+    const selectedPOI = roadsidePOIs[Math.floor(this.spawnRng() * roadsidePOIs.length)];
 
     return {
       x: selectedPOI.position.x,
@@ -903,6 +1007,7 @@ class POIManager {
     this.spatialGrid.clear();
     this.terrainStitcher.clearModifications();
     this.nextPOIId = 1;
+    this.resourceDeposits = [];
   }
 
   /**
@@ -914,7 +1019,8 @@ class POIManager {
       byCategory: {},
       byFaction: {},
       byType: {},
-      withFoundations: 0
+      withFoundations: 0,
+      resourceDeposits: this.resourceDeposits.length
     };
 
     for (const poi of this.placedPOIs.values()) {
@@ -0,0 +1,384 @@
+/**
+ * PerceptionSystem.js - What AI units see and hear
+ *
+ * - Sight: a view cone per unit type (plus a small all-round awareness
+ *   radius), checked with a ray against fixed colliders: terrain chunks and
+ *   static props block the view, bodies of units, players and vehicles don't
+ * - Hearing: gunfire and explosions (WeaponSystem events) and moving
+ *   vehicles reveal roughly where the enemy is, without line of sight
+ * - Memory: each unit keeps its contacts with their last-known position.
+ *   Contacts seen within sightMemory are visible (targets); every contact is
+ *   reported to the squad blackboard so the squad can go and investigate
+ * - Hostility: the factions fight each other (Factions.getRelation), players
+ *   are judged by their reputation (ReputationSystem.getRelation); a neutral
+ *   player becomes an enemy of a faction for a while after hurting it
+ * - Scans are staggered every scanInterval and their rays share a budget per
+ *   tick: units whose scan didn't fit wait in the queue for the next tick
+ *
+ * Targets are described as { kind: 'unit' | 'player', id, teamId, entity };
+ * contacts add { position, seenAt, heardAt } (ms, null: never).
+ */
+
+import RAPIER from '@dimforge/rapier3d-compat';
+import { perceptionConfig } from '../shared/config.js';
+import { Relation, getRelation } from './Factions.js';
+import { rotateVectorByQuat } from './Vehicle.js';
+import SpatialGrid from './SpatialGrid.js';
+
+// Player bodies stand on their origin: look and aim at the chest
+const PLAYER_CENTER_HEIGHT = 1;
+
+/**
+ * Only fixed colliders block the view (QueryFilterFlags.ONLY_FIXED is not
+ * applied by this Rapier version's castRay, so it's a predicate)
+ */
+function isStatic(collider) {
+    const body = collider.parent();
+    return !body || body.isFixed();
+}
+
+export class PerceptionSystem {
+    /**
+     * @param {RAPIER.World} world
+     * @param {Object} targets - { players: Map<id, Player>, getUnits: () => Map<id, AIUnit>,
+     *   reputation: ReputationSystem (optional, else players count as their faction) }
+     */
+    constructor(world, targets, config = perceptionConfig) {
+        this.world = world;
+        this.players = targets.players;
+        this.getUnits = targets.getUnits;
+        this.reputation = targets.reputation || null;
+        this.config = config;
+
+        this.time = 0; // Seconds, the scan schedule runs on it
+        this.states = new Map(); // unitId -> { contacts: Map<targetId, contact>, nextScan, facing: {x, z} }
+        this.queue = []; // Units due for a scan, oldest first
+        this.queued = new Set();
+        this.provocations = new Map(); // teamId -> Map<playerId, ms of the last attack>
+        this.grid = new SpatialGrid(64); // Units and players, rebuilt every update
+    }
+
+    /**
+     * Run the scans that are due, as far as the ray budget goes
+     * @param {number} dt - Seconds
+     * @param {number} now - ms
+     */
+    update(dt, now = Date.now()) {
+        const units = this.getUnits();
+        if (!units) return;
+        this.time += dt;
+        this.buildGrid(units);
+
+        for (const id of this.states.keys()) {
+            if (!units.has(id)) this.states.delete(id);
+        }
+
+        for (const unit of units.values()) {
+            const state = this.getState(unit);
+            if (this.time >= state.nextScan && !this.queued.has(unit.id)) {
+                this.queue.push(unit);
+                this.queued.add(unit.id);
+            }
+        }
+
+        let budget = this.config.raycastBudget;
+        while (this.queue.length > 0 && budget > 0) {
+            const unit = this.queue.shift();
+            this.queued.delete(unit.id);
+            if (!units.has(unit.id) || unit.hp <= 0) continue;
+            budget -= this.scan(unit, now, budget);
+        }
+    }
+
+    buildGrid(units) {
+        this.grid.clear();
+        for (const unit of units.values()) {
+            if (unit.hp <= 0 || !unit.rigidBody) continue;
+            const p = unit.rigidBody.translation();
+            this.grid.insert({ kind: 'unit', id: unit.id, teamId: unit.teamId, entity: unit }, p.x, p.z);
+        }
+        for (const player of this.players.values()) {
+            if (!player.rigidBody || player.isDead()) continue;
+            const p = player.rigidBody.translation();
+            this.grid.insert({ kind: 'player', id: player.id, teamId: player.data.faction, entity: player }, p.x, p.z);
+        }
+    }
+
+    getState(unit) {
+        let state = this.states.get(unit.id);
+        if (!state) {
+            state = {
+                contacts: new Map(),
+                nextScan: this.time + Math.random() * this.config.scanInterval, // Spread the scans out
+                facing: { x: 0, z: 1 }
+            };
+            this.states.set(unit.id, state);
+        }
+        return state;
+    }
+
+    /**
+     * Look around once. The nearest candidates get the rays; ones past
+     * maxRays go unseen this time (but are still remembered).
+     * @returns {number} Rays cast
+     */
+    scan(unit, now, maxRays = Infinity) {
+        const state = this.getState(unit);
+        state.nextScan = this.time + this.config.scanInterval;
+
+        const sight = this.config.sight[unit.type] || this.config.sight.SOLDIER;
+        const p = unit.rigidBody.translation();
+        const eye = { x: p.x, y: p.y + this.config.eyeHeight, z: p.z };
+        const facing = this.updateFacing(unit, state);
+        const minDot = Math.cos((sight.fov / 2) * Math.PI / 180);
+        let rays = 0;
+
+        const range = Math.max(sight.range, this.config.hearing.vehicle);
+        const candidates = this.grid.queryRadius(eye.x, eye.z, range).sort((a, b) => a.distSq - b.distSq);
+        for (const { item, distSq } of candidates) {
+            if (item.id === unit.id || !this.isHostile(unit, item, now)) continue;
+
+            const position = this.getPosition(item);
+            const distance = Math.sqrt(distSq);
+            if (distance <= sight.range && rays < maxRays) {
+                const inView = distance <= this.config.awarenessRadius || sight.fov >= 360 ||
+                    ((position.x - eye.x) * facing.x + (position.z - eye.z) * facing.z) >= minDot * distance;
+                if (inView) {
+                    rays++;
+                    if (this.hasLineOfSight(eye, position)) {
+                        this.remember(unit, state, item, position, now, true);
+                        continue;
+                    }
+                }
+            }
+
+            if (distance <= this.config.hearing.vehicle && this.isLoudVehicle(item)) {
+                this.remember(unit, state, item, position, now, false);
+            }
+        }
+
+        this.forget(state, now);
+        return rays;
+    }
+
+    /**
+     * Direction the unit looks in: a vehicle's nose, else where it walks,
+     * else its target; a standing unit keeps looking where it last did
+     */
+    updateFacing(unit, state) {
+        if (unit.vehicle && unit.vehicle.chassis) {
+            const forward = rotateVectorByQuat({ x: 0, y: 0, z: 1 }, unit.vehicle.chassis.rotation());
+            this.setFacing(state, forward.x, forward.z);
+        } else {
+            const velocity = unit.rigidBody.linvel();
+            if (velocity.x * velocity.x + velocity.z * velocity.z > 0.25) {
+                this.setFacing(state, velocity.x, velocity.z);
+            } else if (unit.target && unit.target.position) {
+                const p = unit.rigidBody.translation();
+                this.setFacing(state, unit.target.position.x - p.x, unit.target.position.z - p.z);
+            }
+        }
+        return state.facing;
+    }
+
+    setFacing(state, x, z) {
+        const length = Math.hypot(x, z);
+        if (length < 0.001) return;
+        state.facing = { x: x / length, z: z / length };
+    }
+
+    /**
+     * Nothing fixed (terrain, static props) between the two points
+     */
+    hasLineOfSight(from, to) {
+        const dx = to.x - from.x;
+        const dy = to.y - from.y;
+        const dz = to.z - from.z;
+        const length = Math.sqrt(dx * dx + dy * dy + dz * dz);
+        if (length < 0.5) return true;
+
+        const ray = new RAPIER.Ray(from, { x: dx / length, y: dy / length, z: dz / length });
+        return !this.world.castRay(ray, length, true, undefined, undefined, undefined, undefined, isStatic);
+    }
+
+    /**
+     * Update a contact's last-known position and tell the squad
+     * @param {boolean} seen - Seen (exact position), else heard
+     */
+    remember(unit, state, target, position, now, seen) {
+        let contact = state.contacts.get(target.id);
+        if (!contact) {
+            contact = { ...target, position: null, seenAt: null, heardAt: null };
+            state.contacts.set(target.id, contact);
+        }
+        contact.teamId = target.teamId;
+
+        // A noise is less precise than what is in sight right now
+        if (seen || !this.isSeen(contact, now)) {
+            contact.position = { x: position.x, y: position.y, z: position.z };
+        }
+        if (seen) contact.seenAt = now;
+        else contact.heardAt = now;
+
+        if (unit.blackboard) unit.blackboard.reportThreat(contact, now);
+        return contact;
+    }
+
+    forget(state, now) {
+        for (const [id, contact] of state.contacts) {
+            const last = Math.max(contact.seenAt ?? -Infinity, contact.heardAt ?? -Infinity);
+            if (now - last > this.config.memory || !this.isAlive(contact)) state.contacts.delete(id);
+        }
+    }
+
+    isSeen(contact, now) {
+        return contact.seenAt !== null && now - contact.seenAt <= this.config.sightMemory;
+    }
+
+    /**
+     * Hostile targets the unit can see, at their current position
+     * @returns {Array<Object>} Contacts
+     */
+    getVisibleEnemies(unit, now = Date.now()) {
+        const state = this.states.get(unit.id);
+        if (!state) return [];
+
+        const visible = [];
+        for (const contact of state.contacts.values()) {
+            if (!this.isSeen(contact, now) || !this.isAlive(contact) || !this.isHostile(unit, contact, now)) continue;
+            contact.position = this.getPosition(contact);
+            visible.push(contact);
+        }
+        return visible;
+    }
+
+    /**
+     * Everything the unit remembers, seen or heard, at the last-known position
+     */
+    getContacts(unit) {
+        const state = this.states.get(unit.id);
+        return state ? [...state.contacts.values()] : [];
+    }
+
+    // ========================================================================
+    // Targets
+    // ========================================================================
+
+    /**
+     * @param {Object} unit - AIUnit
+     * @param {Object} target - { kind, id, teamId }
+     */
+    isHostile(unit, target, now) {
+        const relation = target.kind === 'player' && this.reputation
+            ? this.reputation.getRelation(target.entity, unit.teamId)
+            : getRelation(unit.teamId, target.teamId);
+        if (relation === Relation.NEUTRAL && target.kind === 'player') {
+            return this.isProvoked(unit.teamId, target.id, now);
+        }
+        return relation === Relation.HOSTILE;
+    }
+
+    isProvoked(teamId, playerId, now) {
+        const attacks = this.provocations.get(teamId);
+        const last = attacks && attacks.get(playerId);
+        return last !== undefined && now - last <= this.config.provokeMemory;
+    }
+
+    isAlive(target) {
+        if (target.kind === 'player') return !target.entity.isDead();
+        return target.entity.hp > 0;
+    }
+
+    getPosition(target) {
+        const p = target.entity.rigidBody.translation();
+        if (target.kind === 'player') return { x: p.x, y: p.y + PLAYER_CENTER_HEIGHT, z: p.z };
+        return { x: p.x, y: p.y, z: p.z };
+    }
+
+    /**
+     * Driving or flying a vehicle fast enough to be heard
+     */
+    isLoudVehicle(target) {
+        let vehicle = null;
+        if (target.kind === 'unit') vehicle = target.entity.vehicle;
+        else if (target.entity.mountedVehicle) vehicle = target.entity.vehicles?.get(target.entity.mountedVehicle.vehicleId);
+        if (!vehicle || !vehicle.chassis) return false;
+
+        const v = vehicle.chassis.linvel();
+        return Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z) > this.config.vehicleNoiseSpeed;
+    }
+
+    /**
+     * Target description for an event reference { kind, id }. AI vehicles
+     * share their unit's id.
+     */
+    resolve(ref) {
+        if (!ref) return null;
+        if (ref.kind === 'player') {
+            const player = this.players.get(ref.id);
+            return player ? { kind: 'player', id: player.id, teamId: player.data.faction, entity: player } : null;
+        }
+        const units = this.getUnits();
+        const unit = units && units.get(ref.id);
+        return unit ? { kind: 'unit', id: unit.id, teamId: unit.teamId, entity: unit } : null;
+    }
+
+    // ========================================================================
+    // Noise
+    // ========================================================================
+
+    /**
+     * WeaponSystem events: shots and explosions are heard, hits provoke
+     */
+    handleCombatEvent(type, event, now = Date.now()) {
+        if (type === 'fire') {
+            this.noise(event.origin, this.config.hearing.gunfire, event.shooter, now);
+        } else if (type === 'impact') {
+            this.noise(event.point, this.config.hearing.explosion, event.shooter, now);
+        } else if (type === 'hit') {
+            this.provoke(event.attacker, event.target, now);
+        }
+    }
+
+    /**
+     * Units in earshot learn that an enemy is around the noise and turn to
+     * look at it straight away
+     */
+    noise(position, radius, shooter, now) {
+        const source = this.resolve(shooter);
+        if (!source || !position) return;
+
+        for (const { item } of this.grid.queryRadius(position.x, position.z, radius)) {
+            if (item.kind !== 'unit' || item.id === source.id) continue;
+            this.alert(item.entity, source, position, now);
+        }
+    }
+
+    /**
+     * A player who hurts a faction's unit becomes that faction's enemy, and
+     * the victim knows where the attack came from
+     */
+    provoke(attacker, target, now) {
+        const victim = this.resolve(target);
+        const source = this.resolve(attacker);
+        if (!victim || victim.kind !== 'unit' || !source) return;
+
+        if (source.kind === 'player') {
+            if (!this.provocations.has(victim.teamId)) this.provocations.set(victim.teamId, new Map());
+            this.provocations.get(victim.teamId).set(source.id, now);
+        }
+        if (this.isAlive(source)) this.alert(victim.entity, source, this.getPosition(source), now);
+    }
+
+    alert(unit, source, position, now) {
+        if (unit.hp <= 0 || !this.isHostile(unit, source, now)) return;
+
+        const state = this.getState(unit);
+        this.remember(unit, state, source, position, now, false);
+        const p = unit.rigidBody.translation();
+        this.setFacing(state, position.x - p.x, position.z - p.z);
+        state.nextScan = Math.min(state.nextScan, this.time);
+    }
+}
+
+export default PerceptionSystem;
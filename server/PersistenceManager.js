@@ -0,0 +1,282 @@
+/**
+ * PersistenceManager.js - World save/load
+ *
+ * Snapshots everything that would otherwise be lost on restart:
+ * - Player records (position, health, inventory, appearance)
+ * - Vehicles (Vehicle.toJSON() state)
+ * - Territory ownership (TerritoryState.serialize())
+ * - Faction resources (WarDirector)
+ * - Resource node stock and owners (ResourceNodeSystem.serialize())
+ * - Looted POI caches (LootSystem.serialize())
+ *
+ * POI terrain surgery is not saved: it is rebuilt from the seed at boot,
+ * and writing it made every snapshot hundreds of MB.
+ *
+ * Storage is pluggable: any object exposing async load()/save(snapshot)
+ * can be passed in. JsonFileStore is the default local store.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+const SNAPSHOT_VERSION = 1;
+
+/**
+ * JsonFileStore - Keeps the snapshot in a single JSON file.
+ * Writes go to a temp file that is renamed into place, so a crash
+ * mid-save never leaves a truncated snapshot behind.
+ */
+export class JsonFileStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+    }
+
+    async load() {
+        try {
+            const raw = await fs.readFile(this.filePath, 'utf8');
+            return JSON.parse(raw);
+        } catch (err) {
+            if (err.code === 'ENOENT') return null;
+            throw err;
+        }
+    }
+
+    async save(snapshot) {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        const tmpPath = `${this.filePath}.tmp`;
+        await fs.writeFile(tmpPath, JSON.stringify(snapshot));
+        await fs.rename(tmpPath, this.filePath);
+    }
+}
+
+/**
+ * MemoryStore - Non-persistent store (useful for tests and throwaway servers)
+ */
+export class MemoryStore {
+    constructor() {
+        this.snapshot = null;
+    }
+
+    async load() {
+        return this.snapshot;
+    }
+
+    async save(snapshot) {
+        this.snapshot = JSON.parse(JSON.stringify(snapshot));
+    }
+}
+
+/**
+ * PersistenceManager - Builds, writes and restores world snapshots
+ */
+export class PersistenceManager {
+    constructor(store, seed) {
+        this.store = store;
+        this.seed = seed;
+
+        this.snapshot = null;           // Last loaded snapshot
+        this.playerRecords = new Map(); // username -> record (includes offline players)
+        this.isSaving = false;
+        this.pendingSave = null;        // Promise of the save in progress
+        this.lastSaveTime = 0;
+    }
+
+    /**
+     * Create the store described by persistenceConfig
+     * @param {Object} config - persistenceConfig
+     * @param {string} rootDir - Directory dataDir is resolved against
+     */
+    static createStore(config, rootDir) {
+        if (config.driver === 'memory') {
+            return new MemoryStore();
+        }
+        return new JsonFileStore(path.resolve(rootDir, config.dataDir, config.fileName));
+    }
+
+    /**
+     * Load the last snapshot from the store
+     * @returns {Object|null} Snapshot or null if nothing was saved yet
+     */
+    async load() {
+        try {
+            this.snapshot = await this.store.load();
+        } catch (err) {
+            console.error('[Persistence] Failed to load snapshot:', err);
+            this.snapshot = null;
+        }
+
+        if (!this.snapshot) {
+            console.log('[Persistence] No saved world found, starting fresh');
+            return null;
+        }
+
+        if (this.snapshot.players) {
+            for (const [username, record] of Object.entries(this.snapshot.players)) {
+                this.playerRecords.set(username, record);
+            }
+        }
+
+        console.log(`[Persistence] Loaded snapshot from ${new Date(this.snapshot.savedAt).toISOString()} ` +
+            `(${this.playerRecords.size} players, ${(this.snapshot.vehicles || []).length} vehicles)`);
+
+        return this.snapshot;
+    }
+
+    /**
+     * True if the loaded world state belongs to the current seed.
+     * Territory data from another seed would not line up.
+     */
+    hasWorldState() {
+        if (!this.snapshot) return false;
+        if (this.snapshot.seed !== this.seed) {
+            console.warn(`[Persistence] Snapshot seed '${this.snapshot.seed}' does not match '${this.seed}', ignoring world state`);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Restore territories, faction resources, resource nodes and loot caches
+     * @param {Object} context - { geopoliticalLayer, warDirector, resourceNodes, lootSystem }
+     */
+    restoreWorld({ geopoliticalLayer, warDirector, resourceNodes, lootSystem }) {
+        if (!this.hasWorldState()) return;
+
+        const snapshot = this.snapshot;
+
+        if (geopoliticalLayer && geopoliticalLayer.isInitialized) {
+            if (snapshot.territories) {
+                const count = geopoliticalLayer.loadTerritories(snapshot.territories);
+                console.log(`[Persistence] Restored ${count} territories`);
+            }
+        }
+
+        if (warDirector && snapshot.factions) {
+            warDirector.loadFactions(snapshot.factions);
+        }
+
+        if (resourceNodes && snapshot.resourceNodes) {
+            const count = resourceNodes.restore(snapshot.resourceNodes);
+            console.log(`[Persistence] Restored ${count} resource nodes`);
+        }
+
+        if (lootSystem && snapshot.lootCaches) {
+            const count = lootSystem.restore(snapshot.lootCaches);
+            console.log(`[Persistence] Restored ${count} looted caches`);
+        }
+    }
+
+    /**
+     * Saved vehicle states (Vehicle.toJSON() output) for the current seed
+     */
+    getSavedVehicles() {
+        if (!this.hasWorldState()) return [];
+        return this.snapshot.vehicles || [];
+    }
+
+    /**
+     * Look up a player's saved record by username
+     */
+    getPlayerRecord(username) {
+        if (!username) return null;
+        return this.playerRecords.get(username) || null;
+    }
+
+    /**
+     * Remember a player's current state (e.g. when they disconnect)
+     */
+    rememberPlayer(player) {
+        if (!player || !player.data.username) return;
+        this.playerRecords.set(player.data.username, player.serialize());
+    }
+
+    /**
+     * Build a snapshot of the live world
+     * @param {Object} context - { players, vehicles, geopoliticalLayer, warDirector, resourceNodes, lootSystem }
+     */
+    buildSnapshot({ players, vehicles, geopoliticalLayer, warDirector, resourceNodes, lootSystem }) {
+        if (players) {
+            for (const player of players.values()) {
+                this.rememberPlayer(player);
+            }
+        }
+
+        const snapshot = {
+            version: SNAPSHOT_VERSION,
+            seed: this.seed,
+            savedAt: Date.now(),
+            players: Object.fromEntries(this.playerRecords),
+            vehicles: [],
+            territories: null,
+            factions: null,
+            resourceNodes: null,
+            lootCaches: null
+        };
+
+        if (vehicles) {
+            for (const vehicle of vehicles.values()) {
+                // AI vehicles come back with their units at boot
+                if (vehicle.chassis && !vehicle.aiDriver) snapshot.vehicles.push(vehicle.toJSON());
+            }
+        }
+
+        if (geopoliticalLayer && geopoliticalLayer.isInitialized) {
+            snapshot.territories = geopoliticalLayer.territoryManager.serializeTerritories();
+        }
+
+        if (warDirector) {
+            snapshot.factions = warDirector.serializeFactions();
+        }
+
+        if (resourceNodes) {
+            snapshot.resourceNodes = resourceNodes.serialize();
+        }
+
+        if (lootSystem) {
+            snapshot.lootCaches = lootSystem.serialize();
+        }
+
+        return snapshot;
+    }
+
+    /**
+     * Snapshot the live world and write it to the store (skipped while a
+     * save is still in progress)
+     * @returns {Promise<boolean>} True if the snapshot was written
+     */
+    save(context) {
+        if (this.isSaving) return Promise.resolve(false);
+        this.isSaving = true;
+        this.pendingSave = this.write(context).finally(() => {
+            this.isSaving = false;
+            this.pendingSave = null;
+        });
+        return this.pendingSave;
+    }
+
+    /**
+     * Last save before exiting: lets a save in progress finish writing, then
+     * saves the world as it is now
+     * @returns {Promise<boolean>} True if the snapshot was written
+     */
+    async saveFinal(context) {
+        if (this.pendingSave) await this.pendingSave;
+        return this.save(context);
+    }
+
+    async write(context) {
+        try {
+            const startTime = Date.now();
+            const snapshot = this.buildSnapshot(context);
+            await this.store.save(snapshot);
+            this.lastSaveTime = snapshot.savedAt;
+            console.log(`[Persistence] World saved in ${Date.now() - startTime}ms`);
+            return true;
+        } catch (err) {
+            console.error('[Persistence] Failed to save world:', err);
+            return false;
+        }
+    }
+}
+
+export default PersistenceManager;
@@ -35,11 +35,10 @@ class PhysicsSystems {
     /**
      * Spawns a simple ragdoll at the given position.
      * @param {Object} position {x, y, z}
+     * @param {Object} velocity {x, y, z} - Initial velocity of every part (the victim's)
      */
-    spawnRagdoll(position) {
+    spawnRagdoll(position, velocity = null) {
         // Simplified Ragdoll: Head, Torso, Limbs connected by joints
-        const group = RAPIER.InteractionGroups.new(0x0002, 0xFFFF); // Collision Group
-        
         // Torso
         const torsoBodyDesc = RAPIER.RigidBodyDesc.dynamic()
             .setTranslation(position.x, position.y, position.z);
@@ -61,10 +60,37 @@ class PhysicsSystems {
         );
         this.world.createImpulseJoint(neckParams, torso, head, true);
 
+        if (velocity) {
+            torso.setLinvel(velocity, true);
+            head.setLinvel(velocity, true);
+        }
+
         // Returns array of bodies to manage lifecycle
         return [torso, head];
     }
 
+    /**
+     * Raycast for weapons: closest solid hit, with the surface normal.
+     * @param {Object} origin {x, y, z}
+     * @param {Object} direction {x, y, z} (Normalized)
+     * @param {number} maxDistance
+     * @param {Function} filter - (collider) => false to shoot through a collider
+     * @returns {Object|null} { collider, distance, point, normal }
+     */
+    raycastWeapon(origin, direction, maxDistance, filter = undefined) {
+        const ray = new RAPIER.Ray(origin, direction);
+        const hit = this.world.castRayAndGetNormal(ray, maxDistance, true, undefined, undefined, undefined, undefined, filter);
+        if (!hit) return null;
+
+        const point = ray.pointAt(hit.toi);
+        return {
+            collider: hit.collider,
+            distance: hit.toi,
+            point: { x: point.x, y: point.y, z: point.z },
+            normal: { x: hit.normal.x, y: hit.normal.y, z: hit.normal.z }
+        };
+    }
+
     /**
      * Raycasts from a position in a direction to find interactable objects.
      * @param {Object} origin {x, y, z}
@@ -75,11 +101,13 @@ class PhysicsSystems {
     raycastInteract(origin, direction, maxDistance = 5.0, excludeCollider = null) {
         // Helper to translate Rapier's hit payload into the format expected by callers.
         const buildHitResult = (hit, rayUsed) => {
-            const colliderHandle = hit.collider ?? hit.colliderHandle;
-            if (colliderHandle === undefined || colliderHandle === null) return null;
+            const colliderRef = hit.collider ?? hit.colliderHandle;
+            if (colliderRef === undefined || colliderRef === null) return null;
 
-            const collider = this.world.getCollider(colliderHandle);
+            // Rapier 0.11 reports the Collider itself, older versions its handle
+            const collider = typeof colliderRef === 'object' ? colliderRef : this.world.getCollider(colliderRef);
             if (!collider) return null;
+            const colliderHandle = collider.handle;
 
             const body = collider.parent();
 
@@ -115,7 +143,6 @@ class PhysicsSystems {
             true,
             undefined,
             undefined,
-            undefined,
             excludedColliderRef
         );
 
@@ -126,7 +153,8 @@ class PhysicsSystems {
         // offset the origin slightly forward and try again so interaction
         // works even when the camera starts inside the collider volume.
         const firstCollider = hit ? (hit.collider ?? hit.colliderHandle) : null;
-        if (hit && excludedColliderRef && firstCollider === excludedColliderRef.handle) {
+        const firstHandle = firstCollider && typeof firstCollider === 'object' ? firstCollider.handle : firstCollider;
+        if (hit && excludedColliderRef && firstHandle === excludedColliderRef.handle) {
             const padding = 0.6;
             const trimmedOrigin = {
                 x: origin.x + direction.x * padding,
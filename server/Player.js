@@ -1,26 +1,62 @@
 import RAPIER from '@dimforge/rapier3d-compat';
 import NetworkManager from '../shared/NetworkManager.js';
-import { isDebugOn } from '../shared/config.js';
+import { inputConfig, isDebugOn, itemConfig, serverConfig, weaponConfig } from '../shared/config.js';
+import { computeMovement, createMovementState } from '../shared/CharacterMovement.js';
+import { toDirection } from './WeaponSystem.js';
+import { Faction } from './Factions.js';
+import Inventory from './Inventory.js';
+
+const MAX_HEALTH = 100;
 
 export default class Player {
-    constructor(socket, world, position = { x: 0, y: 10, z: 0 }, physicsSystems, physicsHandleMap, vehicles) {
+    constructor(socket, world, position = { x: 0, y: 10, z: 0 }, physicsSystems, physicsHandleMap, vehicles, weaponSystem = null, resourceNodes = null, lootSystem = null, craftingSystem = null) {
         this.socket = socket;
         this.id = socket.id;
         this.world = world;
         this.physicsSystems = physicsSystems;
         this.physicsHandleMap = physicsHandleMap;
         this.vehicles = vehicles;
+        this.weaponSystem = weaponSystem;
+        this.resourceNodes = resourceNodes; // Deposits mined with the interact key (ResourceNodeSystem)
+        this.lootSystem = lootSystem; // POI caches opened with the interact key (LootSystem)
+        this.craftingSystem = craftingSystem; // POI workbenches opened with the interact key (CraftingSystem)
 
         this.mountedVehicle = null; // { vehicleId, seat }
+        this.lastItemUse = 0; // Time (ms) a consumable was last used (itemConfig.useCooldown)
+
+        // Client prediction: last input sequence number applied, acked back every tick
+        this.lastInputSeq = -1;
+        this.inputAckPending = false;
+
+        // Inputs waiting for the game loop (one is applied per tick)
+        this.inputQueue = [];
+        this.lastInput = null;
+        this.inputRate = { windowStart: Date.now(), count: 0, violations: 0 };
+        this.flags = { speedHack: false };
+
+        // Reconnect grace: set while the socket is gone but the player is held in the world
+        this.disconnectedAt = null;
+        this.reconnectToken = null; // Issued in LOGIN, lets a dropped client resume this player
+
+        // Death: capsule disabled and inputs ignored until respawn() (index.js runs the timer)
+        this.respawnAt = null;
+        this.velocity = { x: 0, y: 0, z: 0 }; // Last on-foot velocity, carried into the ragdoll
+
+        this.aiDebug = false; // Receives AI_DEBUG packets (isDebugOn servers only)
         
         // Persistence Data
         this.data = {
             position: position,
-            faction: 'NEUTRAL',
-            health: 100,
-            inventory: Array(20).fill(null), // 20 Slots
+            faction: 'NEUTRAL', // Enlisted faction (ReputationSystem)
+            reputation: {}, // Faction -> standing, missing: reputationConfig.start
+            health: MAX_HEALTH,
+            inventory: Array(itemConfig.slots).fill(null), // Bag slots (Inventory)
+            equipment: null, // { weapon, armor, tool }, set up by Inventory
+            crafting: [], // Queued jobs { recipeId, finishAt } (CraftingSystem)
             mountedVehicle: null
         };
+        this.inventory = new Inventory(this.data);
+        this.giveStarterKit();
 
         // Physics Initialization
         this.initPhysics(position);
@@ -45,49 +81,41 @@ export default class Player {
         this.characterController.enableAutostep(0.5, 0.2, true); // Increased step height
         this.characterController.enableSnapToGround(0.5);
         
-        this.verticalVelocity = 0;
+        this.movementState = createMovementState();
     }
 
     update(dt, input) {
-        // Input: { x, y, viewDir: {x, y, z}, jump: bool, interact: bool }
+        // Input: { seq, x, y, viewDir: {x, y, z}, jump: bool, interact: bool, fire: bool, viewTime }
         if (!input) return;
 
+        if (this.isDead()) {
+            // Still acked so client prediction stays in sync with the body that isn't moving
+            this.recordInput(input);
+            return;
+        }
+
+        this.handleWeaponInput(input);
+
         if (this.mountedVehicle) {
             this.updateMountedState(input, dt);
+            this.recordInput(input);
             return;
         }
 
-        // Physics Constants
-        const speed = 10;
-        const gravity = -40.0;
-        const jumpStrength = 25.0;
-        
         // Ground Check
         const isGrounded = this.characterController.computedGrounded();
-        
-        if (input.jump && isGrounded) {
-            this.verticalVelocity = jumpStrength;
-        } else if (isGrounded && this.verticalVelocity <= 0) {
-            this.verticalVelocity = -2.0; // Keep grounded
-        } else {
-            // Apply Gravity
-            this.verticalVelocity += gravity * dt;
-        }
-        
-        let movement = { 
-            x: (input.x || 0) * speed * dt, 
-            y: this.verticalVelocity * dt, 
-            z: (input.y || 0) * speed * dt 
-        };
+
+        // Same movement math the client predicts with (shared/CharacterMovement.js)
+        const movement = computeMovement(this.movementState, input, dt, isGrounded);
         
         this.characterController.computeColliderMovement(
             this.collider,
             movement
         );
 
-        // Apply movement to body
+        // Apply movement to body (one input per tick, see processInputQueue)
         const correctedMovement = this.characterController.computedMovement();
-        const currentPos = this.rigidBody.translation();
+        const currentPos = this.rigidBody.nextTranslation();
         const newPos = {
             x: currentPos.x + correctedMovement.x,
             y: currentPos.y + correctedMovement.y,
@@ -95,9 +123,15 @@ export default class Player {
         };
 
         this.rigidBody.setNextKinematicTranslation(newPos);
+        this.velocity = {
+            x: correctedMovement.x / dt,
+            y: correctedMovement.y / dt,
+            z: correctedMovement.z / dt
+        };
         
         // Update persistent data
         this.data.position = newPos;
+        this.recordInput(input);
 
         // Interaction
         if (input.interact) {
@@ -106,10 +140,255 @@ export default class Player {
         }
     }
 
+    /**
+     * Firing: the equipped weapon on foot (using up its ammo), or the vehicle's mounted weapon
+     */
+    handleWeaponInput(input) {
+        if (!input.fire || !this.weaponSystem || this.data.health <= 0) return;
+
+        const direction = toDirection(input.viewDir);
+        if (!direction) return;
+
+        if (this.mountedVehicle) {
+            const { vehicleId, seat } = this.mountedVehicle;
+            const vehicle = this.vehicles?.get(vehicleId);
+            const mount = vehicle && weaponConfig.vehicleWeapons[vehicle.type];
+            if (!mount || !mount.seats.includes(seat) || !vehicle.chassis) return;
+
+            // Fired from above the hull along the view direction
+            const c = vehicle.chassis.translation();
+            this.weaponSystem.fire(this.getShooter(), mount.weapon, { x: c.x, y: c.y + 1.5, z: c.z }, direction, input.viewTime);
+            return;
+        }
+
+        const item = this.inventory.getEquipped('weapon');
+        if (!item || !item.weapon) return;
+        if (item.ammo && this.inventory.count(item.ammo) < 1) return;
+
+        const t = this.rigidBody.translation();
+        const fired = this.weaponSystem.fire(this.getShooter(), item.weapon, { x: t.x, y: t.y + 1.6, z: t.z }, direction, input.viewTime);
+        if (fired && item.ammo) this.inventory.consume(item.ammo, 1);
+    }
+
+    /**
+     * Shooter description for WeaponSystem (shots pass through our own capsule and vehicle)
+     */
+    getShooter() {
+        const ignoreBodies = new Set([this.rigidBody.handle]);
+        const vehicle = this.mountedVehicle && this.vehicles?.get(this.mountedVehicle.vehicleId);
+        if (vehicle) vehicle.bodies.forEach(body => ignoreBodies.add(body.handle));
+        return { kind: 'player', id: this.id, entity: this, teamId: this.getTeamId(), ignoreBodies };
+    }
+
+    /**
+     * Faction the player fights for, null while neutral
+     */
+    getTeamId() {
+        return Faction[this.data.faction] ? this.data.faction : null;
+    }
+
+    /**
+     * Take damage, less what the equipped armor absorbs
+     * @returns {boolean} True if this killed the player
+     */
+    applyDamage(amount) {
+        if (this.data.health <= 0) return false;
+        const armor = this.inventory.getEquipped('armor');
+        if (armor) amount *= 1 - armor.armor;
+        this.data.health = Math.max(0, this.data.health - amount);
+        return this.data.health === 0;
+    }
+
+    isDead() {
+        return this.respawnAt !== null;
+    }
+
+    /**
+     * Velocity of the body we are in (vehicle chassis when mounted)
+     */
+    getVelocity() {
+        const vehicle = this.mountedVehicle && this.vehicles?.get(this.mountedVehicle.vehicleId);
+        if (vehicle && vehicle.chassis) {
+            const v = vehicle.chassis.linvel();
+            return { x: v.x, y: v.y, z: v.z };
+        }
+        return { ...this.velocity };
+    }
+
+    /**
+     * Enter the dead state: out of any vehicle, capsule disabled so nothing
+     * collides with or shoots the corpse (the ragdoll stands in for it)
+     * @param {number} respawnAt - Time (ms) the player may respawn
+     */
+    die(respawnAt) {
+        this.dismountVehicle();
+        this.data.health = 0;
+        this.respawnAt = respawnAt;
+        this.collider.setEnabled(false);
+        this.inputQueue = [];
+        this.lastInput = null;
+        this.velocity = { x: 0, y: 0, z: 0 };
+    }
+
+    /**
+     * Back to life at full health at `position`
+     */
+    respawn(position) {
+        this.respawnAt = null;
+        this.data.health = MAX_HEALTH;
+        this.collider.setEnabled(true);
+        this.movementState = createMovementState();
+        this.rigidBody.setTranslation(position, true);
+        this.rigidBody.setNextKinematicTranslation(position);
+        this.data.position = { x: position.x, y: position.y, z: position.z };
+        this.giveStarterKit();
+    }
+
+    /**
+     * Hand over the whole inventory and equipment (dropped as loot on death)
+     * @returns {Array} The items that were carried
+     */
+    takeInventory() {
+        return this.inventory.takeAll();
+    }
+
+    /**
+     * Queue an input received from the client (applied later by processInputQueue)
+     */
+    queueInput(input) {
+        if (!input || typeof input !== 'object') return;
+        this.trackInputRate();
+
+        this.inputQueue.push(input);
+        const excess = this.inputQueue.length - inputConfig.maxQueue;
+        if (excess > 0) {
+            // Drop the oldest, but keep one-shot actions they carried
+            const dropped = this.inputQueue.splice(0, excess);
+            if (dropped.some(i => i.interact)) this.inputQueue[0].interact = true;
+        }
+    }
+
+    /**
+     * Apply exactly one queued input. Called once per server tick.
+     * If the client's inputs are late, the last one is held without jump,
+     * interact or fire (a stalled client must not keep shooting).
+     */
+    processInputQueue(dt) {
+        let input = this.inputQueue.shift();
+        if (input) {
+            this.lastInput = input;
+        } else if (this.lastInput) {
+            input = { ...this.lastInput, jump: false, interact: false, fire: false };
+        } else {
+            // No input yet (or disconnected): passengers still ride along
+            if (this.mountedVehicle) this.updateMountedState({}, dt);
+            return;
+        }
+
+        this.update(dt, input);
+    }
+
+    /**
+     * Inputs arriving faster than the tick rate mean a modified client
+     * (they can't make the player faster any more, but they are worth flagging)
+     */
+    trackInputRate() {
+        const rate = this.inputRate;
+        const now = Date.now();
+        rate.count++;
+
+        const elapsed = (now - rate.windowStart) / 1000;
+        if (elapsed < inputConfig.rateWindow) return;
+
+        const inputsPerSecond = rate.count / elapsed;
+        if (inputsPerSecond > serverConfig.tickRate * inputConfig.rateTolerance) {
+            rate.violations++;
+            if (rate.violations >= inputConfig.flagAfterWindows && !this.flags.speedHack) {
+                this.flags.speedHack = true;
+                console.warn(`[AntiCheat] Player ${this.id} (${this.data.username || 'unnamed'}) sends ` +
+                    `${inputsPerSecond.toFixed(0)} inputs/s, tick rate is ${serverConfig.tickRate}`);
+            }
+        } else {
+            rate.violations = 0;
+        }
+
+        rate.windowStart = now;
+        rate.count = 0;
+    }
+
+    /**
+     * Remember the newest input applied so it can be acked to the client
+     */
+    recordInput(input) {
+        if (Number.isInteger(input.seq) && input.seq > this.lastInputSeq) {
+            this.lastInputSeq = input.seq;
+            this.inputAckPending = true;
+        }
+    }
+
+    /**
+     * Authoritative result of the last applied input, for client reconciliation.
+     * Call after the physics step so the position includes that input.
+     */
+    getInputAck() {
+        const t = this.rigidBody.translation();
+        return {
+            seq: this.lastInputSeq,
+            x: t.x,
+            y: t.y,
+            z: t.z,
+            vy: this.movementState.verticalVelocity,
+            grounded: this.characterController.computedGrounded(),
+            mounted: !!this.mountedVehicle
+        };
+    }
+
+    /**
+     * Hand this player over to a new connection (same account reconnecting).
+     * The id follows the socket, so the vehicle seat is moved along with it.
+     */
+    attachSocket(socket) {
+        const previousId = this.id;
+        this.socket = socket;
+        this.id = socket.id;
+        this.disconnectedAt = null;
+
+        if (this.mountedVehicle) {
+            const vehicle = this.vehicles?.get(this.mountedVehicle.vehicleId);
+            if (vehicle && vehicle.seats[this.mountedVehicle.seat] === previousId) {
+                vehicle.seats[this.mountedVehicle.seat] = this.id;
+                if (this.mountedVehicle.seat === 0) vehicle.holdControls = false;
+            }
+        }
+
+        // The new client numbers its inputs from scratch
+        this.inputQueue = [];
+        this.lastInput = null;
+        this.lastInputSeq = -1;
+        this.inputAckPending = false;
+        this.inputRate = { windowStart: Date.now(), count: 0, violations: 0 };
+    }
+
+    /**
+     * Socket dropped: stay in the world (and in the seat) until the client
+     * reconnects or the grace period runs out. A held driver's vehicle
+     * brakes or hovers on its own (Vehicle.holdControls).
+     */
+    suspend() {
+        this.disconnectedAt = Date.now();
+        this.inputQueue = [];
+        this.lastInput = null;
+
+        if (this.mountedVehicle && this.mountedVehicle.seat === 0) {
+            const vehicle = this.vehicles?.get(this.mountedVehicle.vehicleId);
+            if (vehicle) vehicle.holdControls = true;
+        }
+    }
+
     mountVehicle(vehicleId, seatIndex) {
         this.mountedVehicle = { vehicleId, seat: seatIndex };
         // Reset fall state
-        this.verticalVelocity = 0;
+        this.movementState.verticalVelocity = 0;
         if (this.collider) {
             this.collider.setSensor(true); // Disable collisions while mounted
         }
@@ -124,6 +403,7 @@ export default class Player {
 
         if (vehicle && vehicle.seats[seat] === this.id) {
             vehicle.seats[seat] = null;
+            if (seat === 0) vehicle.holdControls = false;
         }
 
         const seatPos = vehicle?.getSeatWorldPosition(seat);
@@ -154,7 +434,7 @@ export default class Player {
             return;
         }
 
-        if (seat === 0 && vehicle) {
+        if (seat === 0 && vehicle && !vehicle.holdControls) {
             // Transform input based on vehicle type
             const vehicleInput = this.transformInputForVehicle(input, vehicle.type);
             vehicle.applyDriverInput(vehicleInput, dt);
@@ -291,6 +571,8 @@ export default class Player {
                     vehicleType: v.type,
                     health: v.health,
                     maxHealth: v.maxHealth,
+                    components: v.toJSON().components,
+                    wrecked: v.wrecked,
                     seats: seats,
                     targetId: v.id
                 };
@@ -299,6 +581,17 @@ export default class Player {
                 if (sanitizedMenu) {
                     this.socket.emit(NetworkManager.Packet.INTERACT_MENU, sanitizedMenu);
                 }
+            } else if (entity && entity.type === 'LOOT') {
+                this.takeLoot(entity.instance);
+            } else if (entity && entity.type === 'RESOURCE' && this.resourceNodes) {
+                this.mineResource(entity.instance);
+            } else if (entity && entity.type === 'CACHE' && this.lootSystem) {
+                this.socket.emit(NetworkManager.Packet.INTERACT_MENU, this.lootSystem.getMenu(entity.instance));
+            } else if (entity && entity.type === 'STATION' && this.craftingSystem) {
+                // Hostile factions keep their workshops shut
+                const access = this.craftingSystem.checkAccess(this, entity.instance.id);
+                if (access.success) this.socket.emit(NetworkManager.Packet.INTERACT_MENU, this.craftingSystem.getMenu(access.station, this));
+                else this.socket.emit(NetworkManager.Packet.CRAFT, { success: false, reason: access.reason });
             } else if (shouldDebug && debugPayload) {
                 console.log(`[Interact] ${this.id} hit unmapped entity type`, debugPayload.hit);
             }
@@ -317,38 +610,181 @@ export default class Player {
 
     // --- Inventory System ---
 
+    /**
+     * @returns {number} How many were added (Inventory.add)
+     */
     addItem(itemId, count = 1, metadata = {}) {
-        // Stackable check could go here
-        // Find first empty slot
-        const emptyIndex = this.data.inventory.findIndex(slot => slot === null);
-        
-        if (emptyIndex !== -1) {
-            this.data.inventory[emptyIndex] = { itemId, count, metadata };
-            return true;
+        return this.inventory.add(itemId, count, metadata);
+    }
+
+    /**
+     * itemConfig.starterKit, on top of whatever is carried
+     */
+    giveStarterKit() {
+        for (const entry of itemConfig.starterKit) {
+            const count = entry.count || 1;
+            if (entry.equip) {
+                const slot = itemConfig.items[entry.item].type;
+                if (!this.inventory.getStack(slot)) {
+                    this.inventory.setStack(slot, { itemId: entry.item, count, metadata: {} });
+                    continue;
+                }
+            }
+            this.addItem(entry.item, count);
         }
-        return false; // Inventory full
+    }
+
+    /**
+     * Multiplier the equipped tool gives an action ('mining', 'repair')
+     */
+    getToolBonus(action) {
+        const tool = this.inventory.getEquipped('tool');
+        return (tool && tool.tool && tool.tool[action]) || 1;
+    }
+
+    /**
+     * Move what fits from a loot container (DeathSystem, LootSystem cache)
+     * into the inventory. Items that don't fit stay in the container.
+     * @param {number|null} index - Only this item, everything if null
+     * @returns {Array} The items taken
+     */
+    takeLoot(container, index = null) {
+        const taken = [];
+        container.items = container.items.filter((item, i) => {
+            if (index !== null && i !== index) return true;
+            const added = this.addItem(item.itemId, item.count, item.metadata);
+            if (added > 0) taken.push({ ...item, count: added });
+            item.count -= added;
+            return item.count > 0;
+        });
+
+        this.socket.emit(NetworkManager.Packet.LOOT_TAKEN, {
+            containerId: container.id,
+            owner: container.name || container.owner, // A cache's POI, or who dropped the loot
+            items: taken,
+            remaining: container.items.length
+        });
+        return taken;
+    }
+
+    /**
+     * Work a resource node; the yield goes into the inventory
+     */
+    mineResource(node) {
+        const result = this.resourceNodes.mine(this, node);
+        this.socket.emit(NetworkManager.Packet.RESOURCE_MINED, { ...result, nodeId: node.id, kind: node.kind });
     }
 
     removeItem(slotIndex, count = 1) {
-        if (this.data.inventory[slotIndex]) {
-            this.data.inventory[slotIndex].count -= count;
-            if (this.data.inventory[slotIndex].count <= 0) {
-                this.data.inventory[slotIndex] = null;
+        return this.inventory.remove(slotIndex, count);
+    }
+
+    /**
+     * Use one consumable from a bag slot (ITEM_USE): heal, open an ammo box
+     * or patch up the vehicle the player is in or standing next to
+     * @returns {Object} { success, reason }
+     */
+    useItem(slotIndex, now = Date.now()) {
+        const stack = this.inventory.getStack(slotIndex);
+        const item = stack && this.inventory.getDefinition(stack.itemId);
+        if (!item) return { success: false, reason: 'Nothing to use' };
+        if (!item.use) return { success: false, reason: `${item.name} can't be used` };
+        if (this.isDead()) return { success: false, reason: 'Dead' };
+        if (now - this.lastItemUse < itemConfig.useCooldown) return { success: false, reason: 'Too soon' };
+
+        const { heal, repair, ammo } = item.use;
+        let vehicle = null;
+        if (heal && this.data.health >= MAX_HEALTH) return { success: false, reason: 'Already at full health' };
+        if (repair) {
+            vehicle = this.findRepairTarget();
+            if (!vehicle) return { success: false, reason: 'No damaged vehicle nearby' };
+        }
+        // Unpacked into the bag: all of it has to fit
+        if (ammo && this.inventory.getRoomFor(ammo.item) < ammo.count) return { success: false, reason: 'No room' };
+
+        this.inventory.remove(slotIndex, 1);
+        this.lastItemUse = now;
+        if (heal) this.data.health = Math.min(MAX_HEALTH, this.data.health + heal);
+        if (repair) vehicle.repair(repair * this.getToolBonus('repair'));
+        if (ammo) this.addItem(ammo.item, ammo.count);
+        return { success: true };
+    }
+
+    /**
+     * Vehicle a repair kit works on: the one the player is in, else the
+     * nearest damaged one within itemConfig.repairRange
+     */
+    findRepairTarget() {
+        const canRepair = (vehicle) => vehicle && !vehicle.wrecked && vehicle.health < vehicle.maxHealth;
+        const mounted = this.mountedVehicle && this.vehicles?.get(this.mountedVehicle.vehicleId);
+        if (mounted) return canRepair(mounted) ? mounted : null;
+        if (!this.vehicles) return null;
+
+        const p = this.rigidBody.translation();
+        let nearest = null;
+        let nearestDist = itemConfig.repairRange;
+        for (const vehicle of this.vehicles.values()) {
+            if (!canRepair(vehicle) || !vehicle.chassis) continue;
+            const c = vehicle.chassis.translation();
+            const dist = Math.hypot(c.x - p.x, c.y - p.y, c.z - p.z);
+            if (dist < nearestDist) {
+                nearest = vehicle;
+                nearestDist = dist;
             }
-            return true;
         }
-        return false;
+        return nearest;
+    }
+
+    // --- Persistence ---
+
+    /**
+     * Snapshot of the data that should survive a restart or reconnect.
+     * Seat occupancy is deliberately left out; players resume on foot.
+     */
+    serialize() {
+        const pos = this.rigidBody ? this.rigidBody.translation() : this.data.position;
+        return {
+            username: this.data.username,
+            position: { x: pos.x, y: pos.y, z: pos.z },
+            faction: this.data.faction,
+            reputation: this.data.reputation,
+            health: this.data.health,
+            inventory: this.data.inventory,
+            equipment: this.data.equipment,
+            crafting: this.data.crafting,
+            hairColor: this.data.hairColor,
+            skinColor: this.data.skinColor,
+            outfit: this.data.outfit,
+            hairStyle: this.data.hairStyle
+        };
     }
 
-    useItem(slotIndex) {
-        const item = this.data.inventory[slotIndex];
-        if (item) {
-            console.log(`Used item: ${item.itemId}`);
-            // Item effect logic here
-            // e.g., if (item.itemId === 'potion') this.data.health += 20;
-            return true;
+    /**
+     * Applies a record produced by serialize(), teleporting the capsule
+     * back to the saved position.
+     */
+    restore(record) {
+        if (!record) return;
+
+        if (record.faction) this.data.faction = record.faction;
+        if (record.reputation) this.data.reputation = { ...record.reputation };
+        // Left while dead: come back alive (respawn position is the saved one)
+        const savedDead = typeof record.health === 'number' && record.health <= 0;
+        if (typeof record.health === 'number' && !savedDead) this.data.health = record.health;
+        if (Array.isArray(record.inventory)) {
+            this.inventory.restore(record.inventory, record.equipment || this.inventory.createEquipment());
+            // Saved before equipment, or dead (the gear was dropped as loot, like respawn()).
+            // Not for a merely empty bag: dropped items would come back twice.
+            if (!record.equipment || savedDead) this.giveStarterKit();
+        }
+        if (Array.isArray(record.crafting)) this.data.crafting = record.crafting.map(job => ({ ...job }));
+
+        if (record.position) {
+            const pos = record.position;
+            this.rigidBody.setTranslation({ x: pos.x, y: pos.y, z: pos.z }, true);
+            this.data.position = { x: pos.x, y: pos.y, z: pos.z };
+            this.movementState.verticalVelocity = 0;
         }
-        return false;
     }
 
     toJSON() {
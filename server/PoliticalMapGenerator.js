@@ -11,20 +11,7 @@
 import { createNoise2D } from 'simplex-noise';
 import { Faction, FactionHomeQuadrants, SettlementTier, SettlementConfig } from './Factions.js';
 import { worldConfig } from '../shared/config.js';
-
-// Pseudo-random number generator for deterministic seeding
-function seededRandom(str) {
-    let h = 1779033703 ^ str.length;
-    for (let i = 0; i < str.length; i++) {
-        h = Math.imul(h ^ str.charCodeAt(i), 3432918353);
-        h = h << 13 | h >>> 19;
-    }
-    return function() {
-        h = Math.imul(h ^ (h >>> 16), 2246822507);
-        h = Math.imul(h ^ (h >>> 13), 3266489909);
-        return (h >>> 0) / 4294967296;
-    };
-}
+import { seededRandom } from './SeededRandom.js';
 
 /**
  * VoronoiCell represents a single territory cell in the political map
@@ -0,0 +1,260 @@
+/**
+ * ReplicationManager.js - Per-client, interest-filtered state replication
+ *
+ * Instead of broadcasting the whole world to everyone, each connection gets
+ * its own snapshot containing only the entities near its player:
+ * - Entities are bucketed in a SpatialGrid every tick
+ * - Each entity has a relevance tier (characters < vehicles < aircraft)
+ *   deciding how far away it is still replicated
+ * - Every UPDATE has a sequence number and is a delta against the last
+ *   snapshot the client acknowledged (SNAPSHOT_ACK): entities whose quantized
+ *   state changed, plus tombstones for net ids that disappeared. A full
+ *   keyframe is sent every keyframeInterval ticks, when the acked baseline
+ *   has fallen out of history, or when the client asks for a RESYNC.
+ *   UPDATE is volatile: a congested client drops packets instead of
+ *   queueing them, and the next delta (still against the acked baseline)
+ *   repairs the gap
+ * - Entities entering/leaving a client's view are announced with explicit
+ *   ENTITY_ENTER / ENTITY_LEAVE packets so meshes can be created/destroyed reliably.
+ *   ENTITY_ENTER carries the static fields and the entity's per-client net id;
+ *   it is re-sent when static fields (appearance, mount, ...) change
+ * - UPDATE itself is binary, see shared/SnapshotCodec.js
+ */
+
+import NetworkManager from '../shared/NetworkManager.js';
+import { replicationConfig } from '../shared/config.js';
+import { encodeSnapshot, getSchema, getStaticData, quantizeEntity, quantizedEqual } from '../shared/SnapshotCodec.js';
+import SpatialGrid from './SpatialGrid.js';
+
+// State sections, matching the client's networkState layout
+export const EntityKind = {
+    PLAYER: 'players',
+    UNIT: 'units',
+    VEHICLE: 'vehicles',
+    RAGDOLL: 'ragdolls',
+    LOOT: 'loot',
+    RESOURCE: 'resources',
+    CACHE: 'caches',
+    STATION: 'stations'
+};
+
+const MAX_NET_ID = 0xFFFF;
+
+export class ReplicationManager {
+    constructor(config = replicationConfig) {
+        this.config = config;
+        this.grid = new SpatialGrid(config.cellSize);
+        this.maxRadius = Math.max(...Object.values(config.tiers));
+
+        // clientId -> ClientState (see addClient)
+        // KnownEntity: { kind, id, netId, staticKey }
+        this.clients = new Map();
+    }
+
+    addClient(id, socket) {
+        this.clients.set(id, {
+            socket,
+            known: new Map(),           // "kind:id" -> KnownEntity
+            freeNetIds: [],
+            nextNetId: 0,
+            seq: 0,                     // Last sequence number sent
+            ackedSeq: -1,               // Newest snapshot the client confirmed
+            history: new Map(),         // seq -> Map<netId, { schema, quantized }>
+            ticksSinceKeyframe: Infinity,
+            resyncRequested: false
+        });
+    }
+
+    /**
+     * Client confirmed it applied snapshot `seq`; later deltas use it as baseline
+     */
+    acknowledge(clientId, seq) {
+        const client = this.clients.get(clientId);
+        if (!client || !Number.isInteger(seq)) return;
+        if (seq <= client.ackedSeq || seq > client.seq) return;
+        client.ackedSeq = seq;
+
+        // Nothing older than the ack will ever be a baseline again
+        for (const oldSeq of client.history.keys()) {
+            if (oldSeq < seq) client.history.delete(oldSeq);
+        }
+    }
+
+    /**
+     * Client lost track (missing baseline); send a keyframe next tick
+     */
+    requestResync(clientId) {
+        const client = this.clients.get(clientId);
+        if (client) client.resyncRequested = true;
+    }
+
+    allocateNetId(client) {
+        if (client.freeNetIds.length > 0) return client.freeNetIds.pop();
+        if (client.nextNetId > MAX_NET_ID) return -1;
+        return client.nextNetId++;
+    }
+
+    removeClient(id) {
+        this.clients.delete(id);
+    }
+
+    /**
+     * Collect the entities a viewer should see
+     * @param {Object} viewer - { position, alwaysRelevant: Set<"kind:id"> }
+     * @param {Map} known - Entities the client already has (kept a bit longer, see leaveMargin)
+     * @param {Map} byKey - "kind:id" -> entity, for alwaysRelevant lookups
+     */
+    collectRelevant(viewer, known, byKey) {
+        const relevant = new Map(); // "kind:id" -> entity
+        const margin = this.config.leaveMargin;
+
+        for (const { item: entity, distSq } of this.grid.queryRadius(viewer.position.x, viewer.position.z, this.maxRadius * margin)) {
+            const radius = this.config.tiers[entity.tier] || this.config.tiers.character;
+            const key = `${entity.kind}:${entity.id}`;
+            // Already-known entities only leave once they are past radius * leaveMargin
+            const limit = known.has(key) ? radius * margin : radius;
+
+            if (distSq <= limit * limit) {
+                relevant.set(key, entity);
+            }
+        }
+
+        if (viewer.alwaysRelevant) {
+            for (const key of viewer.alwaysRelevant) {
+                const entity = byKey.get(key);
+                if (entity) relevant.set(key, entity);
+            }
+        }
+
+        return relevant;
+    }
+
+    /**
+     * Send each client its own snapshot
+     * @param {Array} entities - [{ kind, id, tier, position: {x, z}, data }]
+     * @param {number} timestamp - Server time for this tick
+     * @param {Map} viewers - clientId -> { position, alwaysRelevant: Set<"kind:id"> }
+     */
+    replicate(entities, timestamp, viewers) {
+        this.grid.clear();
+        const byKey = new Map();
+        for (const entity of entities) {
+            this.grid.insert(entity, entity.position.x, entity.position.z);
+            byKey.set(`${entity.kind}:${entity.id}`, entity);
+        }
+
+        for (const [clientId, client] of this.clients) {
+            const viewer = viewers.get(clientId);
+            if (!viewer) continue;
+
+            const relevant = this.collectRelevant(viewer, client.known, byKey);
+
+            // Leaves (net ids are freed; the socket is ordered so the client
+            // sees the leave before any UPDATE that reuses the id)
+            const leave = {};
+            let hasLeaves = false;
+            for (const [key, known] of client.known) {
+                if (relevant.has(key)) continue;
+                (leave[known.kind] = leave[known.kind] || []).push(known.id);
+                client.freeNetIds.push(known.netId);
+                client.known.delete(key);
+                hasLeaves = true;
+            }
+            if (hasLeaves) {
+                client.socket.emit(NetworkManager.Packet.ENTITY_LEAVE, leave);
+            }
+
+            // Enters, and re-enters for entities whose static fields changed
+            const enter = {};
+            let hasEnters = false;
+            const current = new Map(); // netId -> { schema, quantized }
+            for (const [key, entity] of relevant) {
+                const schema = getSchema(entity.kind, entity.data);
+                if (!schema) continue;
+
+                const staticKey = JSON.stringify(getStaticData(entity.kind, entity.data));
+                let known = client.known.get(key);
+
+                if (!known || known.staticKey !== staticKey) {
+                    if (!known) {
+                        const netId = this.allocateNetId(client);
+                        if (netId < 0) continue; // Out of ids, skip until some leave
+                        known = { kind: entity.kind, id: entity.id, netId, staticKey };
+                        client.known.set(key, known);
+                    } else {
+                        known.staticKey = staticKey;
+                    }
+
+                    (enter[entity.kind] = enter[entity.kind] || {})[entity.id] = { ...entity.data, netId: known.netId };
+                    hasEnters = true;
+                }
+
+                current.set(known.netId, { schema, quantized: quantizeEntity(schema, entity.data) });
+            }
+            if (hasEnters) {
+                client.socket.emit(NetworkManager.Packet.ENTITY_ENTER, enter);
+            }
+
+            client.socket.volatile.emit(NetworkManager.Packet.UPDATE, this.buildUpdate(client, current, timestamp, viewer));
+        }
+    }
+
+    /**
+     * Encode the next UPDATE for a client: a delta against its acked baseline,
+     * or a keyframe if there is no usable baseline
+     */
+    buildUpdate(client, current, timestamp, viewer) {
+        const seq = ++client.seq;
+        const baseline = client.history.get(client.ackedSeq);
+
+        const keyframe = !baseline ||
+            client.resyncRequested ||
+            client.ticksSinceKeyframe >= this.config.keyframeInterval ||
+            seq - client.ackedSeq > this.config.historySize;
+
+        const entries = [];
+        const tombstones = [];
+
+        if (keyframe) {
+            for (const [netId, entry] of current) entries.push({ netId, ...entry });
+            client.ticksSinceKeyframe = 0;
+            client.resyncRequested = false;
+        } else {
+            for (const [netId, entry] of current) {
+                const previous = baseline.get(netId);
+                if (previous && previous.schema === entry.schema && quantizedEqual(previous.quantized, entry.quantized)) continue;
+                entries.push({ netId, ...entry });
+            }
+            for (const netId of baseline.keys()) {
+                if (!current.has(netId)) tombstones.push(netId);
+            }
+            client.ticksSinceKeyframe++;
+        }
+
+        client.history.set(seq, current);
+        // History is bounded; a client this far behind gets a keyframe anyway
+        for (const oldSeq of client.history.keys()) {
+            if (oldSeq > seq - this.config.historySize) break;
+            client.history.delete(oldSeq);
+        }
+
+        const origin = { x: Math.round(viewer.position.x), z: Math.round(viewer.position.z) };
+        return encodeSnapshot({
+            seq,
+            baselineSeq: client.ackedSeq,
+            keyframe,
+            timestamp,
+            origin,
+            tombstones,
+            entries
+        });
+    }
+
+    getStats() {
+        let known = 0;
+        for (const client of this.clients.values()) known += client.known.size;
+        return { clients: this.clients.size, replicatedEntities: known };
+    }
+}
+
+export default ReplicationManager;
@@ -0,0 +1,253 @@
+/**
+ * ReputationSystem.js - Player standing with each faction
+ *
+ * - Every player has a reputation with each Faction (player.data.reputation,
+ *   saved with the player). Kills, territory captures, resource node claims
+ *   and theft, trades and missions change it, as set out in
+ *   reputationConfig.actions
+ * - The reputation falls into a standing (HOSTILE ... HONORED) which sets
+ *   shop prices and border checkpoint tolls; AI units attack players who
+ *   are HOSTILE with their faction on sight
+ * - With enough standing a player can enlist (player.data.faction): that
+ *   faction's units become allies, every other faction is an enemy
+ *
+ * onChange(player, update) is called after every change so the network
+ * layer can push the new standings to the client.
+ */
+
+import { reputationConfig } from '../shared/config.js';
+import { Faction, FactionColors, FactionThemes, Relation, getRelation } from './Factions.js';
+
+const HOSTILE = 'HOSTILE';
+
+export class ReputationSystem {
+    /**
+     * @param {Object} sources - { players: Map<id, Player>, getUnits: () => Map<id, AIUnit>,
+     *   politicalMap } (political map optional: captures only count with it)
+     */
+    constructor(sources, config = reputationConfig) {
+        this.players = sources.players;
+        this.getUnits = sources.getUnits;
+        this.politicalMap = sources.politicalMap || null;
+        this.config = config;
+        this.onChange = null; // (player, { reason, changes: [{ faction, delta }] })
+    }
+
+    get(player, faction) {
+        const value = player.data.reputation && player.data.reputation[faction];
+        return typeof value === 'number' ? value : this.config.start;
+    }
+
+    /**
+     * Standing the player's reputation with a faction falls into
+     * @returns {Object} Entry of reputationConfig.standings
+     */
+    getStanding(player, faction) {
+        const value = this.get(player, faction);
+        const standings = this.config.standings;
+        return standings.find(standing => value >= standing.min) || standings[standings.length - 1];
+    }
+
+    /**
+     * How a faction's units treat the player: by faction once enlisted,
+     * otherwise hostile only to factions the player is HOSTILE with
+     * @returns {string} Relation
+     */
+    getRelation(player, faction) {
+        if (Faction[player.data.faction]) return getRelation(player.data.faction, faction);
+        return this.getStanding(player, faction).id === HOSTILE ? Relation.HOSTILE : Relation.NEUTRAL;
+    }
+
+    /**
+     * Shop price multiplier, null if the faction won't trade with the player
+     */
+    getPriceMultiplier(player, faction) {
+        if (player.data.faction === faction) return this.config.standings[0].price;
+        if (this.getRelation(player, faction) === Relation.HOSTILE) return null;
+        return this.getStanding(player, faction).price;
+    }
+
+    /**
+     * May the player pass a border checkpoint into a faction's territory?
+     * @param {BorderCrossing} crossing - GlobalHighwaySystem crossing
+     * @param {string} faction - Side being entered
+     * @returns {Object} { success, reason, toll }
+     */
+    getCheckpointAccess(player, crossing, faction = crossing.toFaction) {
+        if (!crossing.isOpen) return { success: false, reason: 'Checkpoint closed' };
+        if (player.data.faction === faction) return { success: true, toll: 0 };
+
+        const standing = this.getStanding(player, faction);
+        if (standing.toll === null || this.getRelation(player, faction) === Relation.HOSTILE) {
+            return { success: false, reason: `${this.getName(faction)} turns you away` };
+        }
+        return { success: true, toll: Math.round(crossing.tollRate * standing.toll) };
+    }
+
+    getName(faction) {
+        return FactionThemes[faction] ? FactionThemes[faction].name : faction;
+    }
+
+    // ========================================================================
+    // Changes
+    // ========================================================================
+
+    /**
+     * Apply reputation changes, clamped to min..max
+     * @param {Object} deltas - faction -> change
+     * @returns {Array} [{ faction, delta }] actually applied
+     */
+    apply(player, deltas) {
+        if (!player.data.reputation) player.data.reputation = {};
+        const changes = [];
+        for (const [faction, delta] of Object.entries(deltas)) {
+            if (!Faction[faction] || !delta) continue;
+            const before = this.get(player, faction);
+            const after = Math.max(this.config.min, Math.min(this.config.max, before + delta));
+            if (after === before) continue;
+            player.data.reputation[faction] = after;
+            changes.push({ faction, delta: after - before });
+        }
+        return changes;
+    }
+
+    /**
+     * Reputation for an action towards a faction (see reputationConfig.actions)
+     * @param {string} action - kill, killPlayer, capture, cellLost, trade, mission, claim, theft
+     * @param {number} weight - Multiplies the change
+     */
+    record(player, faction, action, weight = 1) {
+        const effect = this.config.actions[action];
+        if (!effect || !Faction[faction]) return;
+
+        const deltas = {};
+        for (const other of Object.values(Faction)) {
+            deltas[other] = (other === faction ? effect.target : effect.rivals) * weight;
+        }
+        const changes = this.apply(player, deltas);
+        if (changes.length > 0) this.notify(player, action, changes);
+
+        // Fell out with their own faction: thrown out
+        const own = player.data.faction;
+        if (Faction[own] && this.getStanding(player, own).id === HOSTILE) this.resign(player, 'expelled');
+    }
+
+    notify(player, reason, changes) {
+        if (this.onChange) this.onChange(player, { reason, changes });
+    }
+
+    // ========================================================================
+    // Allegiance
+    // ========================================================================
+
+    canEnlist(player, faction) {
+        if (!Faction[faction]) return { success: false, reason: 'Unknown faction' };
+        if (player.data.faction === faction) return { success: false, reason: `Already enlisted with ${this.getName(faction)}` };
+        if (Faction[player.data.faction]) return { success: false, reason: `Resign from ${this.getName(player.data.faction)} first` };
+        if (this.get(player, faction) < this.config.enlistMin) {
+            return { success: false, reason: `${this.getName(faction)} needs a reputation of ${this.config.enlistMin}` };
+        }
+        return { success: true };
+    }
+
+    /**
+     * Join a faction; every other faction thinks less of the player
+     * @returns {Object} { success, reason }
+     */
+    enlist(player, faction) {
+        const check = this.canEnlist(player, faction);
+        if (!check.success) return check;
+
+        player.data.faction = faction;
+        const deltas = {};
+        Object.values(Faction).forEach(other => {
+            if (other !== faction) deltas[other] = -this.config.enlistRivalPenalty;
+        });
+        this.notify(player, 'enlist', this.apply(player, deltas));
+        console.log(`[Reputation] ${player.data.username || player.id} enlisted with ${faction}`);
+        return { success: true };
+    }
+
+    /**
+     * Leave the player's faction (back to NEUTRAL)
+     * @param {string} reason - 'resign' or 'expelled'
+     */
+    resign(player, reason = 'resign') {
+        const faction = player.data.faction;
+        if (!Faction[faction]) return { success: false, reason: 'Not enlisted' };
+
+        player.data.faction = 'NEUTRAL';
+        this.notify(player, reason, this.apply(player, { [faction]: -this.config.resignPenalty }));
+        console.log(`[Reputation] ${player.data.username || player.id} left ${faction} (${reason})`);
+        return { success: true };
+    }
+
+    // ========================================================================
+    // Events
+    // ========================================================================
+
+    /**
+     * WeaponSystem events: players lose standing with the faction they kill
+     */
+    handleCombatEvent(type, event) {
+        if (type !== 'kill' || event.killer.kind !== 'player') return;
+        const player = this.players.get(event.killer.id);
+        if (!player) return;
+
+        const victim = event.victim;
+        if (victim.kind === 'player') {
+            const other = this.players.get(victim.id);
+            if (other && other !== player && Faction[other.data.faction]) this.record(player, other.data.faction, 'killPlayer');
+            return;
+        }
+
+        // AI units and their vehicles share an id
+        const units = this.getUnits();
+        const unit = units && units.get(victim.id);
+        if (unit) this.record(player, unit.teamId, 'kill', this.config.killWeight[unit.type] ?? 1);
+    }
+
+    /**
+     * GeopoliticalMacroLayer 'territoryCapture': players in the cell share
+     * in the win and the loss
+     * @param {Object} data - { cellId, newOwner, oldOwner }
+     */
+    handleTerritoryCapture(data) {
+        if (!this.politicalMap) return;
+        for (const player of this.players.values()) {
+            if (!player.rigidBody || player.isDead()) continue;
+            const p = player.rigidBody.translation();
+            const cell = this.politicalMap.getCellAtPosition(p.x, p.z);
+            if (!cell || cell.id !== data.cellId) continue;
+
+            this.record(player, data.newOwner, 'capture');
+            if (data.oldOwner) this.record(player, data.oldOwner, 'cellLost');
+        }
+    }
+
+    /**
+     * Everything the reputation panel shows
+     */
+    getStandings(player) {
+        return {
+            faction: player.data.faction,
+            min: this.config.min,
+            max: this.config.max,
+            factions: Object.values(Faction).map(faction => {
+                const standing = this.getStanding(player, faction);
+                return {
+                    id: faction,
+                    name: this.getName(faction),
+                    color: FactionColors[faction].primary,
+                    reputation: this.get(player, faction),
+                    standing: standing.id,
+                    price: this.getPriceMultiplier(player, faction),
+                    relation: this.getRelation(player, faction),
+                    canEnlist: this.canEnlist(player, faction).success
+                };
+            })
+        };
+    }
+}
+
+export default ReputationSystem;
@@ -0,0 +1,362 @@
+/**
+ * ResourceNodeSystem.js - Resource deposits: harvesting, depletion and claims
+ *
+ * Deposits are placed with the POIs (POIManager.generateResourceDeposits):
+ * scrap in RUINED_CITY, ore in the mountains and crop fields around
+ * AGRICULTURAL POIs. This system gives them their runtime state:
+ * - amount: taken by AI trucks (BehaviorNodes harvest) and players mining
+ *   with the interact key, regrown at the kind's regen rate. A node run dry
+ *   is depleted until it has regrown to reopenAt of its capacity
+ * - owner: the faction that claimed it. Units or enlisted players holding
+ *   a node alone for claimTime claim it; with two factions at the node it
+ *   is contested and the claim stalls
+ *
+ * Nodes near players get a fixed collider (physicsHandleMap 'RESOURCE') and
+ * are replicated as 'resources' (see serializeNode).
+ */
+
+import RAPIER from '@dimforge/rapier3d-compat';
+import { resourceNodeConfig } from '../shared/config.js';
+import { Faction, FactionColors } from './Factions.js';
+import SpatialGrid from './SpatialGrid.js';
+
+/**
+ * ResourceNode - One deposit and its state
+ */
+export class ResourceNode {
+    constructor(deposit, definition, now = Date.now()) {
+        this.id = deposit.id;
+        this.kind = deposit.kind;
+        this.resource = definition.resource; // ResourceType delivered to the treasury
+        this.item = definition.item;         // Inventory item players mine
+        this.position = { x: deposit.x, y: deposit.y, z: deposit.z };
+        this.capacity = definition.capacity;
+        this.regen = definition.regen;
+
+        this.amount = definition.capacity;
+        this.updatedAt = now;
+        this.depleted = false;
+
+        this.owner = null;     // Faction holding the node
+        this.claim = null;     // { faction, progress 0..1 } while someone else takes it
+        this.contested = false;
+        this.body = null;      // Fixed body while a player is near
+    }
+
+    /**
+     * Regrow since the last update
+     */
+    refresh(now, reopenAt) {
+        const elapsed = Math.max(0, now - this.updatedAt) / 1000;
+        this.amount = Math.min(this.capacity, this.amount + this.regen * elapsed);
+        this.updatedAt = now;
+        if (this.depleted && this.amount >= this.capacity * reopenAt) this.depleted = false;
+    }
+
+    /**
+     * @returns {number} Amount actually taken
+     */
+    extract(amount, now, reopenAt) {
+        this.refresh(now, reopenAt);
+        if (this.depleted) return 0;
+
+        const taken = Math.min(amount, this.amount);
+        this.amount -= taken;
+        if (this.amount < 1) this.depleted = true;
+        return taken;
+    }
+}
+
+export class ResourceNodeSystem {
+    /**
+     * @param {Array} deposits - POIManager.resourceDeposits
+     * @param {Object} sources - { world, physicsHandleMap, players: Map<id, Player>,
+     *   getUnits: () => Map<id, AIUnit>, reputation } (reputation optional)
+     */
+    constructor(deposits, sources, config = resourceNodeConfig) {
+        this.world = sources.world;
+        this.physicsHandleMap = sources.physicsHandleMap;
+        this.players = sources.players;
+        this.getUnits = sources.getUnits;
+        this.reputation = sources.reputation || null;
+        this.config = config;
+
+        this.nodes = new Map(); // id -> ResourceNode
+        this.grid = new SpatialGrid(256); // Nodes never move: filled once
+        for (const deposit of deposits) {
+            const definition = config.kinds[deposit.kind];
+            if (!definition) continue;
+            const node = new ResourceNode(deposit, definition);
+            this.nodes.set(node.id, node);
+            this.grid.insert(node, node.position.x, node.position.z);
+        }
+
+        this.active = new Set();      // Nodes near a player (collider, replicated)
+        this.tracked = new Set();     // Nodes with a claim in progress or contested
+        this.lastMined = new WeakMap(); // Player -> time of their last mining action
+        this.updateTimer = 0;
+        this.onClaim = null;          // (node, faction, oldOwner)
+
+        console.log(`[Resources] ${this.nodes.size} resource nodes`);
+    }
+
+    getNodesNear(x, z, radius) {
+        return this.grid.queryRadius(x, z, radius).map(entry => entry.item);
+    }
+
+    // ========================================================================
+    // Harvesting
+    // ========================================================================
+
+    /**
+     * Node a faction's truck should work: the nearest one that isn't depleted,
+     * with nodes held by other factions counted further away
+     * @param {Object} position - Physics coords
+     * @returns {ResourceNode|null}
+     */
+    findHarvestNode(teamId, position, now = Date.now()) {
+        let best = null;
+        let bestScore = Infinity;
+
+        for (const node of this.getNodesNear(position.x, position.z, this.config.harvestRange)) {
+            node.refresh(now, this.config.reopenAt);
+            if (node.depleted) continue;
+
+            let score = Math.hypot(node.position.x - position.x, node.position.z - position.z);
+            if (node.owner && node.owner !== teamId) score *= this.config.enemyNodePenalty;
+            if (score < bestScore) {
+                best = node;
+                bestScore = score;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Take up to amount from a node
+     * @returns {number} Amount taken
+     */
+    harvest(node, amount, now = Date.now()) {
+        return node.extract(amount, now, this.config.reopenAt);
+    }
+
+    /**
+     * A player working a node with the interact key: the yield (more with a
+     * mining tool) goes into their inventory, as much as fits. Taking from a
+     * faction's node costs standing with it.
+     * @returns {Object} { success, reason, item, count }
+     */
+    mine(player, node, now = Date.now()) {
+        const last = this.lastMined.get(player) || 0;
+        if (now - last < this.config.mineCooldown) return { success: false, reason: 'Still working' };
+
+        node.refresh(now, this.config.reopenAt);
+        if (node.depleted) return { success: false, reason: `This ${node.kind.toLowerCase()} is exhausted` };
+
+        const yieldAmount = this.config.mineAmount * player.getToolBonus('mining');
+        const available = Math.floor(Math.min(yieldAmount, node.amount));
+        if (available < 1) return { success: false, reason: `This ${node.kind.toLowerCase()} is exhausted` };
+        const count = player.addItem(node.item, available);
+        if (count < 1) return { success: false, reason: 'Inventory full' };
+
+        this.harvest(node, count, now);
+        this.lastMined.set(player, now);
+        if (this.reputation && node.owner && node.owner !== player.data.faction) {
+            this.reputation.record(player, node.owner, 'theft');
+        }
+        return { success: true, item: node.item, count };
+    }
+
+    // ========================================================================
+    // Update
+    // ========================================================================
+
+    update(dt) {
+        this.updateTimer += dt;
+        if (this.updateTimer < this.config.updateInterval) return;
+        const elapsed = this.updateTimer;
+        this.updateTimer = 0;
+
+        this.updateActive();
+        this.updateClaims(elapsed);
+    }
+
+    /**
+     * Colliders for the nodes around players, none for the rest
+     */
+    updateActive() {
+        const near = new Set();
+        for (const player of this.players.values()) {
+            if (!player.rigidBody) continue;
+            const p = player.rigidBody.translation();
+            this.getNodesNear(p.x, p.z, this.config.activationRadius).forEach(node => near.add(node));
+        }
+
+        for (const node of this.active) {
+            if (!near.has(node)) this.deactivate(node);
+        }
+        for (const node of near) {
+            if (!this.active.has(node)) this.activate(node);
+        }
+    }
+
+    activate(node) {
+        const h = this.config.halfExtents;
+        const bodyDesc = RAPIER.RigidBodyDesc.fixed()
+            .setTranslation(node.position.x, node.position.y + h.y, node.position.z);
+        node.body = this.world.createRigidBody(bodyDesc);
+        this.world.createCollider(RAPIER.ColliderDesc.cuboid(h.x, h.y, h.z), node.body);
+        this.physicsHandleMap.set(node.body.handle, { type: 'RESOURCE', instance: node });
+        this.active.add(node);
+    }
+
+    deactivate(node) {
+        if (node.body) {
+            this.physicsHandleMap.delete(node.body.handle);
+            this.world.removeRigidBody(node.body);
+            node.body = null;
+        }
+        this.active.delete(node);
+    }
+
+    /**
+     * Everyone who can hold a node: AI units and enlisted players
+     * @returns {Array<{ faction, position, player }>}
+     */
+    collectClaimants() {
+        const claimants = [];
+        const units = this.getUnits();
+        if (units) {
+            for (const unit of units.values()) {
+                if (unit.hp > 0 && unit.rigidBody) claimants.push({ faction: unit.teamId, position: unit.rigidBody.translation(), player: null });
+            }
+        }
+        for (const player of this.players.values()) {
+            if (!Faction[player.data.faction] || !player.rigidBody || player.isDead()) continue;
+            claimants.push({ faction: player.data.faction, position: player.rigidBody.translation(), player });
+        }
+        return claimants;
+    }
+
+    /**
+     * Claims advance while one faction holds a node alone and stall while
+     * it is contested. An abandoned claim falls back at the same rate.
+     */
+    updateClaims(elapsed) {
+        const presence = new Map(); // node -> { factions: Set, players: [] }
+        for (const claimant of this.collectClaimants()) {
+            for (const node of this.getNodesNear(claimant.position.x, claimant.position.z, this.config.claimRadius)) {
+                let entry = presence.get(node);
+                if (!entry) {
+                    entry = { factions: new Set(), players: [] };
+                    presence.set(node, entry);
+                }
+                entry.factions.add(claimant.faction);
+                if (claimant.player) entry.players.push(claimant.player);
+            }
+        }
+
+        const step = elapsed / this.config.claimTime;
+
+        for (const node of this.tracked) {
+            if (presence.has(node)) continue;
+            node.contested = false;
+            if (node.claim) node.claim.progress -= step;
+            if (!node.claim || node.claim.progress <= 0) {
+                node.claim = null;
+                this.tracked.delete(node);
+            }
+        }
+
+        for (const [node, { factions, players }] of presence) {
+            node.contested = factions.size > 1;
+            if (node.contested) {
+                this.tracked.add(node);
+                continue;
+            }
+
+            const [faction] = factions;
+            if (faction === node.owner) {
+                // Held: the owner's presence throws back any claim
+                node.claim = null;
+                this.tracked.delete(node);
+                continue;
+            }
+
+            if (!node.claim || node.claim.faction !== faction) node.claim = { faction, progress: 0 };
+            node.claim.progress += step;
+            this.tracked.add(node);
+            if (node.claim.progress >= 1) this.setOwner(node, faction, players);
+        }
+    }
+
+    /**
+     * @param {Array<Player>} players - Enlisted players who took part
+     */
+    setOwner(node, faction, players = []) {
+        const oldOwner = node.owner;
+        node.owner = faction;
+        node.claim = null;
+        this.tracked.delete(node);
+        console.log(`[Resources] ${faction} claimed ${node.id}${oldOwner ? ` from ${oldOwner}` : ''}`);
+
+        if (this.reputation) players.forEach(player => this.reputation.record(player, faction, 'claim'));
+        if (this.onClaim) this.onClaim(node, faction, oldOwner);
+    }
+
+    // ========================================================================
+    // Network & persistence
+    // ========================================================================
+
+    /**
+     * Replicated state: position, amount and claim progress are dynamic
+     */
+    serializeNode(node, now = Date.now()) {
+        node.refresh(now, this.config.reopenAt);
+        return {
+            type: 'RESOURCE',
+            kind: node.kind,
+            capacity: node.capacity,
+            owner: node.owner,
+            ownerColor: node.owner ? FactionColors[node.owner].primary : null,
+            claimant: node.claim ? node.claim.faction : null,
+            contested: node.contested,
+            depleted: node.depleted,
+            x: node.position.x,
+            y: node.position.y,
+            z: node.position.z,
+            amount: Math.floor(node.amount),
+            progress: node.claim ? Math.round(node.claim.progress * 100) : 0
+        };
+    }
+
+    /**
+     * Nodes that differ from a fresh world (owned or not full)
+     */
+    serialize(now = Date.now()) {
+        const data = {};
+        for (const node of this.nodes.values()) {
+            node.refresh(now, this.config.reopenAt);
+            if (!node.owner && node.amount >= node.capacity) continue;
+            data[node.id] = { amount: node.amount, depleted: node.depleted, owner: node.owner };
+        }
+        return data;
+    }
+
+    restore(data, now = Date.now()) {
+        if (!data) return 0;
+        let count = 0;
+        for (const [id, saved] of Object.entries(data)) {
+            const node = this.nodes.get(id);
+            if (!node) continue;
+            node.amount = Math.min(node.capacity, Math.max(0, saved.amount));
+            node.depleted = !!saved.depleted;
+            node.owner = Faction[saved.owner] ? saved.owner : null;
+            node.updatedAt = now;
+            count++;
+        }
+        return count;
+    }
+}
+
+export default ResourceNodeSystem;
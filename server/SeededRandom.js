@@ -0,0 +1,42 @@
+/**
+ * SeededRandom.js - Deterministic random streams for world generation
+ *
+ * Every generation path derives its randomness from the world seed so the
+ * same worldConfig.seed always produces the same world, and chunks that are
+ * regenerated after eviction match what clients already saw.
+ *
+ * Use a distinct salt per consumer (e.g. seed + '_highways') so adding a
+ * random draw in one system does not shift the output of another.
+ */
+
+/**
+ * Pseudo-random number generator for deterministic seeding
+ * @param {string} str - Seed string
+ * @returns {Function} Generator returning floats in [0, 1)
+ */
+export function seededRandom(str) {
+    let h = 1779033703 ^ str.length;
+    for (let i = 0; i < str.length; i++) {
+        h = Math.imul(h ^ str.charCodeAt(i), 3432918353);
+        h = h << 13 | h >>> 19;
+    }
+    return function() {
+        h = Math.imul(h ^ (h >>> 16), 2246822507);
+        h = Math.imul(h ^ (h >>> 13), 3266489909);
+        return (h >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Stream keyed to a world position, for per-tile/per-object variation
+ * that must not depend on generation order.
+ * @param {string} seed - World seed
+ * @param {string} salt - Consumer name
+ * @param {number} x - World X
+ * @param {number} z - World Z
+ */
+export function positionRandom(seed, salt, x, z) {
+    return seededRandom(`${seed}_${salt}_${x}_${z}`);
+}
+
+export default seededRandom;
@@ -0,0 +1,64 @@
+/**
+ * SpatialGrid.js - Uniform XZ grid for "what is near this point" queries
+ *
+ * Rebuilt every tick for moving entities: clear(), insert() everything,
+ * then run queries. Items are stored by reference with their position.
+ */
+
+export class SpatialGrid {
+    constructor(cellSize = 64) {
+        this.cellSize = cellSize;
+        this.cells = new Map(); // "gx,gz" -> Array<{ item, x, z }>
+    }
+
+    getCellKey(gx, gz) {
+        return `${gx},${gz}`;
+    }
+
+    clear() {
+        this.cells.clear();
+    }
+
+    insert(item, x, z) {
+        const key = this.getCellKey(Math.floor(x / this.cellSize), Math.floor(z / this.cellSize));
+        let cell = this.cells.get(key);
+        if (!cell) {
+            cell = [];
+            this.cells.set(key, cell);
+        }
+        cell.push({ item, x, z });
+    }
+
+    /**
+     * All items within radius of (x, z), with their squared distance
+     * @returns {Array<{ item, distSq: number }>}
+     */
+    queryRadius(x, z, radius) {
+        const results = [];
+        const radiusSq = radius * radius;
+        const minX = Math.floor((x - radius) / this.cellSize);
+        const maxX = Math.floor((x + radius) / this.cellSize);
+        const minZ = Math.floor((z - radius) / this.cellSize);
+        const maxZ = Math.floor((z + radius) / this.cellSize);
+
+        for (let gz = minZ; gz <= maxZ; gz++) {
+            for (let gx = minX; gx <= maxX; gx++) {
+                const cell = this.cells.get(this.getCellKey(gx, gz));
+                if (!cell) continue;
+
+                for (const entry of cell) {
+                    const dx = entry.x - x;
+                    const dz = entry.z - z;
+                    const distSq = dx * dx + dz * dz;
+                    if (distSq <= radiusSq) {
+                        results.push({ item: entry.item, distSq });
+                    }
+                }
+            }
+        }
+
+        return results;
+    }
+}
+
+export default SpatialGrid;
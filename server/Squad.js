@@ -0,0 +1,183 @@
+/**
+ * Squad.js - AI units that move and fight together
+ *
+ * - Members: the first is the leader and follows the squad's order, the
+ *   others hold their formation slot around it (see the behavior trees).
+ *   When the leader dies the next member takes over.
+ * - Formations: slots are laid out behind/beside the leader along its
+ *   heading (line, wedge, column), squadConfig.spacing apart
+ * - Orders (WarDirector): move, attack-move, hold, defend a settlement,
+ *   capture a territory cell. Stored on the squad's Blackboard so every
+ *   member's tree can read them.
+ * - Convoys: a harvest truck leads, its escorts follow in column
+ */
+
+import { squadConfig } from '../shared/config.js';
+import { Blackboard } from './BehaviorTree.js';
+
+export const OrderType = Object.freeze({
+    MOVE: 'move',               // Go there, ignore enemies on the way
+    ATTACK_MOVE: 'attackMove',  // Go there, fight whatever is met
+    HOLD: 'hold',               // Stay put, only shoot what is in range
+    DEFEND: 'defend',           // Guard a settlement and respond to threats
+    CAPTURE: 'capture'          // Take and hold a territory cell
+});
+
+export const Formation = Object.freeze({
+    LINE: 'line',
+    WEDGE: 'wedge',
+    COLUMN: 'column'
+});
+
+export class Squad {
+    /**
+     * @param {string} id
+     * @param {string} teamId
+     * @param {Object} home - Faction base (physics coords), where members retreat to
+     * @param {boolean} convoy - Led by a harvest truck
+     */
+    constructor(id, teamId, home, convoy = false, config = squadConfig) {
+        this.id = id;
+        this.teamId = teamId;
+        this.convoy = convoy;
+        this.config = config;
+
+        this.members = []; // AIUnits, leader first
+        this.formation = convoy ? Formation.COLUMN : Formation.WEDGE;
+        this.heading = { x: 0, z: 1 }; // Leader's direction of travel (XZ, normalized)
+        this.blackboard = new Blackboard(home);
+    }
+
+    get leader() {
+        return this.members[0] || null;
+    }
+
+    get order() {
+        return this.blackboard.order;
+    }
+
+    isFull() {
+        return this.members.length >= this.config.maxSize;
+    }
+
+    /**
+     * @param {string} role - Job within the squad, read by the behavior tree ('escort', ...)
+     */
+    add(unit, role = null) {
+        this.members.push(unit);
+        unit.squad = this;
+        unit.squadId = this.id;
+        unit.blackboard = this.blackboard;
+        unit.role = role;
+        if (this.convoy && unit.type === 'TRUCK') this.blackboard.convoy = unit;
+    }
+
+    remove(unit) {
+        this.members = this.members.filter(member => member !== unit);
+        this.blackboard.setEngagement(unit.id, null);
+        if (this.blackboard.convoy === unit) this.blackboard.convoy = null;
+        unit.squad = null;
+    }
+
+    /**
+     * @param {string} type - OrderType
+     * @param {Object} position - {x, y, z} physics coords
+     * @param {Object} extra - { radius, cellId, settlementId }
+     */
+    setOrder(type, position, extra = {}) {
+        this.blackboard.order = {
+            type,
+            position: { x: position.x, y: position.y, z: position.z },
+            radius: extra.radius ?? (type === OrderType.DEFEND ? this.config.defendRadius : this.config.orderRadius),
+            cellId: extra.cellId ?? null,
+            settlementId: extra.settlementId ?? null,
+            issuedAt: Date.now()
+        };
+        // Convoys keep to the road in column whatever they are told
+        if (!this.convoy) this.formation = this.config.orderFormations[type] || this.formation;
+    }
+
+    clearOrder() {
+        this.blackboard.order = null;
+    }
+
+    /**
+     * Follow the leader's direction of travel (call once per tick)
+     */
+    update() {
+        const leader = this.leader;
+        if (!leader) return;
+
+        const velocity = leader.rigidBody.linvel();
+        const speed = Math.sqrt(velocity.x * velocity.x + velocity.z * velocity.z);
+        if (speed > 0.5) {
+            this.heading = { x: velocity.x / speed, z: velocity.z / speed };
+        }
+    }
+
+    /**
+     * Where a member should stand: its formation slot around the leader
+     * @returns {Object|null} {x, y, z}, null for the leader
+     */
+    getSlot(unit) {
+        const index = this.members.indexOf(unit);
+        if (index <= 0) return null;
+
+        const spacing = this.config.spacing;
+        const rank = Math.ceil(index / 2);
+        const sideSign = index % 2 === 1 ? 1 : -1;
+        let side = 0;
+        let back = 0;
+
+        switch (this.formation) {
+            case Formation.LINE:
+                side = sideSign * rank * spacing;
+                break;
+            case Formation.WEDGE:
+                side = sideSign * rank * spacing;
+                back = rank * spacing;
+                break;
+            case Formation.COLUMN:
+            default:
+                back = index * spacing;
+                break;
+        }
+
+        const leaderPos = this.leader.rigidBody.translation();
+        const { x: hx, z: hz } = this.heading;
+        return {
+            x: leaderPos.x + hz * side - hx * back,
+            y: leaderPos.y,
+            z: leaderPos.z - hx * side - hz * back
+        };
+    }
+
+    /**
+     * Is any member too far from the leader to keep up?
+     */
+    isScattered(radius = this.config.regroupRadius) {
+        const leader = this.leader;
+        if (!leader) return false;
+        const leaderPos = leader.rigidBody.translation();
+        return this.members.some(member => member !== leader &&
+            leader.distance(member.rigidBody.translation(), leaderPos) > radius);
+    }
+
+    /**
+     * Debug/overview info
+     */
+    serialize() {
+        const order = this.order;
+        return {
+            id: this.id,
+            teamId: this.teamId,
+            convoy: this.convoy,
+            formation: this.formation,
+            leader: this.leader ? this.leader.id : null,
+            members: this.members.map(member => member.id),
+            order: order ? { type: order.type, position: order.position, cellId: order.cellId } : null
+        };
+    }
+}
+
+export default Squad;
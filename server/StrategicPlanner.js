@@ -0,0 +1,389 @@
+/**
+ * StrategicPlanner.js - Where WarDirector squads fight over territory
+ *
+ * - Presence: every presenceInterval, the AI units standing in each
+ *   territory cell are added up per faction (strategyConfig.unitStrength).
+ *   The strongest faction that doesn't own a cell and outweighs everyone
+ *   else there pushes FactionTerritoryManager.attemptCapture with the
+ *   difference, so cells change hands when defenders are beaten or absent.
+ * - Planning: every planInterval, per faction
+ *   - targets: enemy cells on our borders (capture) and our cells with
+ *     enemies inside or under contest (defend), scored by settlement tier,
+ *     economic output, contest and enemy strength, minus distance from base
+ *   - fronts: targets grouped by the enemy faction they face; squads are
+ *     shared out between fronts by the scores of their best targets
+ *   - orders: each front's squads go to its best targets (a few per
+ *     target), squads already on a chosen target keep it, the rest wait
+ *     at home
+ * The garrison and convoys aren't planned; squads under minSquadSize
+ * stay home until reinforced.
+ */
+
+import { strategyConfig } from '../shared/config.js';
+import { Faction } from './Factions.js';
+import { OrderType } from './Squad.js';
+
+export class StrategicPlanner {
+    /**
+     * @param {WarDirector} warDirector
+     * @param {GeopoliticalMacroLayer} geopoliticalLayer
+     */
+    constructor(warDirector, geopoliticalLayer, config = strategyConfig) {
+        this.warDirector = warDirector;
+        this.geopoliticalLayer = geopoliticalLayer;
+        this.territoryManager = geopoliticalLayer.territoryManager;
+        this.politicalMap = geopoliticalLayer.politicalMap;
+        this.config = config;
+
+        this.presence = new Map(); // cellId -> { strength: Map faction -> number, positions: Map faction -> { x, z, count } }
+        this.presenceTimer = 0;
+        this.planTimer = 0;
+    }
+
+    update(dt) {
+        this.presenceTimer += dt;
+        if (this.presenceTimer >= this.config.presenceInterval) {
+            this.presenceTimer = 0;
+            this.presence = this.measurePresence();
+            this.applyPresence();
+        }
+
+        this.planTimer += dt;
+        if (this.planTimer >= this.config.planInterval) {
+            this.planTimer = 0;
+            Object.keys(this.warDirector.factions).forEach(teamId => this.plan(teamId));
+        }
+    }
+
+    // ========================================================================
+    // Presence and capture
+    // ========================================================================
+
+    measurePresence() {
+        const presence = new Map();
+
+        this.warDirector.allUnits.forEach(unit => {
+            const strength = this.config.unitStrength[unit.type] || 0;
+            if (strength <= 0 || unit.hp <= 0) return;
+
+            const pos = unit.rigidBody.translation();
+            const cell = this.politicalMap.getCellAtPosition(pos.x, pos.z);
+            if (!cell) return;
+
+            if (!presence.has(cell.id)) presence.set(cell.id, { strength: new Map(), positions: new Map() });
+            const entry = presence.get(cell.id);
+            entry.strength.set(unit.teamId, (entry.strength.get(unit.teamId) || 0) + strength);
+
+            const sum = entry.positions.get(unit.teamId) || { x: 0, z: 0, count: 0 };
+            sum.x += pos.x;
+            sum.z += pos.z;
+            sum.count++;
+            entry.positions.set(unit.teamId, sum);
+        });
+
+        return presence;
+    }
+
+    applyPresence() {
+        for (const [cellId, entry] of this.presence) {
+            const state = this.territoryManager.territories.get(cellId);
+            if (!state) continue;
+
+            let attacker = null;
+            let attackStrength = 0;
+            let total = 0;
+            for (const [faction, strength] of entry.strength) {
+                total += strength;
+                if (faction !== state.ownerFaction && strength > attackStrength) {
+                    attacker = faction;
+                    attackStrength = strength;
+                }
+            }
+
+            // Defenders (and third parties) on the ground cancel out attackers
+            const pressure = attackStrength - (total - attackStrength);
+            if (!attacker || pressure <= 0) continue;
+
+            const previousOwner = state.ownerFaction;
+            const result = this.geopoliticalLayer.captureTerritory(cellId, attacker, pressure);
+            if (result.captured) {
+                console.log(`[Strategy] ${attacker} took ${cellId} from ${previousOwner}`);
+            }
+        }
+    }
+
+    /**
+     * Combined strength of every faction but one in a cell
+     */
+    getEnemyStrength(cellId, teamId) {
+        const entry = this.presence.get(cellId);
+        if (!entry) return { total: 0, strongest: null };
+
+        let total = 0;
+        let strongest = null;
+        let strongestValue = 0;
+        for (const [faction, strength] of entry.strength) {
+            if (faction === teamId) continue;
+            total += strength;
+            if (strength > strongestValue) {
+                strongest = faction;
+                strongestValue = strength;
+            }
+        }
+        return { total, strongest };
+    }
+
+    // ========================================================================
+    // Targets
+    // ========================================================================
+
+    /**
+     * What a cell is worth to whoever holds it
+     */
+    getCellValue(state, contested) {
+        const scores = this.config.scores;
+        let value = state.economicOutput * scores.output;
+        if (state.settlement) value += scores.tier[state.settlement.tier] || 0;
+        if (contested.has(state.cellId)) value += scores.contested;
+        return value;
+    }
+
+    getCellCenter(cellId) {
+        const cell = this.politicalMap.cells.get(cellId);
+        if (!cell) return null;
+        return cell.centroid || cell.seedPoint;
+    }
+
+    /**
+     * Capture and defend targets for a faction, best first
+     * @returns {Array} [{ cellId, type, front, score }]
+     */
+    scoreTargets(teamId, home) {
+        const scores = this.config.scores;
+        const contested = new Set(this.territoryManager.getContestedZones().map(zone => zone.cellId));
+        const distanceKm = (cellId) => {
+            const center = this.getCellCenter(cellId);
+            return center ? Math.hypot(center.x - home.x, center.z - home.z) / 1000 : Infinity;
+        };
+        const targets = [];
+
+        // Enemy cells on our borders
+        Object.values(Faction).forEach(enemy => {
+            if (enemy === teamId) return;
+            this.territoryManager.getBorderCells(enemy, teamId).forEach(state => {
+                const { total } = this.getEnemyStrength(state.cellId, teamId);
+                const score = scores.capture + this.getCellValue(state, contested) -
+                    total * scores.enemyPresence - distanceKm(state.cellId) * scores.distance;
+                targets.push({ cellId: state.cellId, type: OrderType.CAPTURE, front: enemy, score });
+            });
+        });
+
+        // Our cells that are being taken from us
+        for (const state of this.territoryManager.territories.values()) {
+            if (state.ownerFaction !== teamId) continue;
+            const { total, strongest } = this.getEnemyStrength(state.cellId, teamId);
+            if (total === 0 && !contested.has(state.cellId)) continue;
+
+            const front = strongest || this.getStrongestRival(state, teamId);
+            if (!front) continue;
+            const score = scores.defend + this.getCellValue(state, contested) +
+                total * scores.threat - distanceKm(state.cellId) * scores.distance;
+            targets.push({ cellId: state.cellId, type: OrderType.DEFEND, front, score });
+        }
+
+        return targets.sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Faction with the most influence in a cell besides its owner
+     */
+    getStrongestRival(state, teamId) {
+        let rival = null;
+        let rivalInfluence = 0;
+        for (const [faction, influence] of state.influence) {
+            if (faction !== teamId && influence > rivalInfluence) {
+                rival = faction;
+                rivalInfluence = influence;
+            }
+        }
+        return rival;
+    }
+
+    // ========================================================================
+    // Allocation
+    // ========================================================================
+
+    plan(teamId) {
+        const faction = this.warDirector.factions[teamId];
+        const home = this.warDirector.getHomePosition(teamId);
+        if (!faction || !home) return;
+
+        const squads = this.warDirector.getSquads(teamId).filter(squad =>
+            !squad.convoy && squad !== faction.garrison && squad.members.length >= this.config.minSquadSize);
+        if (squads.length === 0) return;
+
+        const targets = this.scoreTargets(teamId, home).filter(target => target.score > 0);
+        const slots = this.allocate(targets, squads.length);
+        const assignments = this.assign(slots, squads);
+
+        squads.forEach(squad => {
+            const target = assignments.get(squad);
+            if (target) {
+                this.orderSquad(squad, target);
+            } else if (squad.order && squad.order.cellId) {
+                // No front needs it any more: back to the reserve at home
+                squad.setOrder(OrderType.DEFEND, home);
+            }
+        });
+    }
+
+    /**
+     * Share squads out between fronts by the scores of their best targets,
+     * then between each front's targets
+     * @returns {Array} Targets, one entry per squad to send (repeats allowed)
+     */
+    allocate(targets, squadCount) {
+        const perTarget = this.config.maxSquadsPerTarget;
+        const fronts = new Map(); // front -> targets, best first
+        targets.forEach(target => {
+            if (!fronts.has(target.front)) fronts.set(target.front, []);
+            fronts.get(target.front).push(target);
+        });
+
+        // A front's weight: what the squads we have could achieve there
+        const weights = new Map();
+        let totalWeight = 0;
+        for (const [front, list] of fronts) {
+            const weight = list.slice(0, squadCount).reduce((sum, target) => sum + target.score, 0);
+            weights.set(front, weight);
+            totalWeight += weight;
+        }
+        if (totalWeight <= 0) return [];
+
+        // Largest remainder, so the quotas add up to the squads we have
+        const quotas = [...fronts.keys()].map(front => {
+            const exact = squadCount * weights.get(front) / totalWeight;
+            return { front, quota: Math.floor(exact), remainder: exact - Math.floor(exact) };
+        });
+        let left = squadCount - quotas.reduce((sum, q) => sum + q.quota, 0);
+        quotas.sort((a, b) => b.remainder - a.remainder);
+        for (let i = 0; left > 0 && i < quotas.length; i++, left--) quotas[i].quota++;
+
+        const slots = [];
+        quotas.forEach(({ front, quota }) => {
+            const list = fronts.get(front);
+            const capacity = Math.min(quota, list.length * perTarget);
+            // One squad per target first, then reinforce from the top
+            for (let i = 0; i < capacity; i++) slots.push(list[i % list.length]);
+        });
+        return slots;
+    }
+
+    /**
+     * Fill target slots with squads: squads already on a target keep it,
+     * the others take the nearest open slot
+     * @returns {Map} squad -> target
+     */
+    assign(slots, squads) {
+        const assignments = new Map();
+        const open = [...slots];
+
+        squads.forEach(squad => {
+            const order = squad.order;
+            if (!order || !order.cellId) return;
+            const index = open.findIndex(slot => slot.cellId === order.cellId && slot.type === order.type);
+            if (index === -1) return;
+            assignments.set(squad, open[index]);
+            open.splice(index, 1);
+        });
+
+        squads.forEach(squad => {
+            if (assignments.has(squad) || open.length === 0 || !squad.leader) return;
+            const pos = squad.leader.rigidBody.translation();
+            let best = 0;
+            let bestDist = Infinity;
+            open.forEach((slot, i) => {
+                const center = this.getCellCenter(slot.cellId);
+                const dist = center ? Math.hypot(center.x - pos.x, center.z - pos.z) : Infinity;
+                if (dist < bestDist) {
+                    bestDist = dist;
+                    best = i;
+                }
+            });
+            assignments.set(squad, open[best]);
+            open.splice(best, 1);
+        });
+
+        return assignments;
+    }
+
+    orderSquad(squad, target) {
+        const position = this.getOrderPosition(squad, target);
+        if (!position) return;
+
+        const order = squad.order;
+        const unchanged = order && order.type === target.type && order.cellId === target.cellId &&
+            Math.hypot(order.position.x - position.x, order.position.z - position.z) < this.config.orderUpdateDistance;
+        if (unchanged) return;
+
+        squad.setOrder(target.type, position, { cellId: target.cellId });
+        console.log(`[Strategy] ${squad.id} ordered to ${target.type} ${target.cellId}`);
+    }
+
+    /**
+     * Capture: just across the border on the way to the cell's centre.
+     * Defend: where the enemies in the cell are, or its settlement.
+     */
+    getOrderPosition(squad, target) {
+        const center = this.getCellCenter(target.cellId);
+        if (!center || !squad.leader) return null;
+
+        let point;
+        if (target.type === OrderType.DEFEND) {
+            const entry = this.presence.get(target.cellId);
+            const { strongest } = this.getEnemyStrength(target.cellId, squad.teamId);
+            const state = this.territoryManager.territories.get(target.cellId);
+            if (strongest) {
+                const sum = entry.positions.get(strongest);
+                point = { x: sum.x / sum.count, z: sum.z / sum.count };
+            } else if (state && state.settlement) {
+                point = { x: state.settlement.position.x, z: state.settlement.position.z };
+            } else {
+                point = { x: center.x, z: center.z };
+            }
+        } else {
+            point = this.findEntryPoint(squad.leader.rigidBody.translation(), target.cellId, center);
+        }
+
+        const generator = this.warDirector.generator;
+        const y = generator ? generator.getGroundHeight(point.x, point.z) : 0;
+        return { x: point.x, y, z: point.z };
+    }
+
+    /**
+     * First point of a cell on the straight line from `from` to its centre,
+     * borderDepth metres further in
+     */
+    findEntryPoint(from, cellId, center) {
+        const inCell = (t) => {
+            const cell = this.politicalMap.getCellAtPosition(from.x + (center.x - from.x) * t, from.z + (center.z - from.z) * t);
+            return cell && cell.id === cellId;
+        };
+        if (inCell(0)) return { x: from.x, z: from.z };
+
+        // Cells are convex: bisect for the border
+        let outside = 0;
+        let inside = 1;
+        for (let i = 0; i < 16; i++) {
+            const mid = (outside + inside) / 2;
+            if (inCell(mid)) inside = mid;
+            else outside = mid;
+        }
+
+        const length = Math.hypot(center.x - from.x, center.z - from.z) || 1;
+        const t = Math.min(1, inside + this.config.borderDepth / length);
+        return { x: from.x + (center.x - from.x) * t, z: from.z + (center.z - from.z) * t };
+    }
+}
+
+export default StrategicPlanner;
@@ -9,6 +9,7 @@
  */
 
 import { createNoise2D } from 'simplex-noise';
+import { seededRandom } from './SeededRandom.js';
 
 class TerrainStitcher {
   constructor(worldGenerator) {
@@ -20,7 +21,7 @@ class TerrainStitcher {
     this.modifiedChunks = new Map(); // chunkId -> { modifications: [], heightOverrides: Map }
 
     // Noise for natural-looking terrain blending
-    this.blendNoise = createNoise2D(() => Math.random());
+    this.blendNoise = createNoise2D(seededRandom(`${worldGenerator.seed}_terrain_blend`));
   }
 
   /**
@@ -1,4 +1,5 @@
 import RAPIER from '@dimforge/rapier3d-compat';
+import { vehicleDamageConfig } from '../shared/config.js';
 
 /**
  * Advanced Vehicle Controller System
@@ -50,6 +51,18 @@ const VEHICLE_CONFIG = {
         linearDamping: 0.1,
         angularDamping: 0.8,
 
+        // Damage model: hull health, and the points each component is hit at
+        maxHealth: 100,
+        components: {
+            engine: [{ x: 0, y: 0.1, z: 1.4 }],
+            wheels: [
+                { x: -0.85, y: -0.4, z: 1.2 },
+                { x: 0.85, y: -0.4, z: 1.2 },
+                { x: -0.85, y: -0.4, z: -1.2 },
+                { x: 0.85, y: -0.4, z: -1.2 }
+            ]
+        },
+
         seatCount: 4,
         seatOffsets: [
             { x: -0.5, y: 0.8, z: 0.5 },
@@ -100,6 +113,20 @@ const VEHICLE_CONFIG = {
         linearDamping: 0.2,
         angularDamping: 4.0,
 
+        // Damage model (engine in the rear hull, tracks along both sides)
+        maxHealth: 600,
+        components: {
+            engine: [{ x: 0, y: 0.2, z: -2.4 }],
+            tracks: [
+                { x: -1.4, y: -0.3, z: 2.0 },
+                { x: 1.4, y: -0.3, z: 2.0 },
+                { x: -1.4, y: -0.3, z: 0 },
+                { x: 1.4, y: -0.3, z: 0 },
+                { x: -1.4, y: -0.3, z: -2.0 },
+                { x: 1.4, y: -0.3, z: -2.0 }
+            ]
+        },
+
         seatCount: 2,
         seatOffsets: [
             { x: 0, y: 1.2, z: 0.8 },
@@ -151,6 +178,13 @@ const VEHICLE_CONFIG = {
         // Inertia scaling (makes it feel heavy in the air)
         inertiaMultiplier: 2.0,
 
+        // Damage model (main rotor mast and tail rotor count as the rotor)
+        maxHealth: 150,
+        components: {
+            engine: [{ x: 0, y: 0.6, z: -0.6 }],
+            rotor: [{ x: 0, y: 1.3, z: 0 }, { x: 0, y: 0.3, z: -3.2 }]
+        },
+
         seatCount: 6,
         seatOffsets: [
             { x: -0.5, y: 0.8, z: 1.5 },   // Pilot
@@ -234,6 +268,13 @@ function lerp(a, b, t) {
     return a + (b - a) * Math.min(1, Math.max(0, t));
 }
 
+/**
+ * Distance along the ray to a castRay hit (`toi` in Rapier 0.11, `timeOfImpact` later)
+ */
+function getHitDistance(hit) {
+    return typeof hit.toi === 'number' ? hit.toi : hit.timeOfImpact;
+}
+
 // ============================================================================
 // VEHICLE CLASS
 // ============================================================================
@@ -252,12 +293,30 @@ export default class Vehicle {
         this.bodies = [];
         this.colliders = [];
 
-        this.health = 100;
-        this.maxHealth = 100;
+        this.health = this.config.maxHealth;
+        this.maxHealth = this.config.maxHealth;
+
+        // Component health in % (engine, wheels/tracks/rotor), degrades handling
+        this.components = {};
+        Object.keys(this.config.components).forEach(name => {
+            this.components[name] = 100;
+        });
+        this.lastAttacker = null; // Shooter of the last weapon hit, credited if we explode
+
+        // Destroyed: a burnt-out wreck until VehicleDamageSystem removes it
+        this.wrecked = false;
+        this.wreckedAt = null;
+        this.burning = false;
 
         // Seat management
         this.seats = Array(this.config.seatCount).fill(null);
 
+        // Driver seat held for a disconnected driver: brake / hover in place
+        this.holdControls = false;
+
+        // AIUnit in the driver's seat (seats[0] holds its id), steering through its AIDriver
+        this.aiDriver = null;
+
         // Raycast suspension state (for ground vehicles)
         this.suspensionState = [];
         this.wheelRotations = [];
@@ -270,6 +329,7 @@ export default class Vehicle {
             this.collectiveInput = 0;
             this.isEngineRunning = false;
             this.isGrounded = true;
+            this.holdTrim = 0;        // Collective trim learned while holding a hover
         }
 
         // Tank state
@@ -285,6 +345,13 @@ export default class Vehicle {
         return this.chassis ? this.chassis.handle : -1;
     }
 
+    /**
+     * Configured mass (chassis.mass() only includes it after the next physics step)
+     */
+    get mass() {
+        return this.config.chassisMass || this.config.fuselageMass;
+    }
+
     // ========================================================================
     // VEHICLE CREATION
     // ========================================================================
@@ -454,6 +521,10 @@ export default class Vehicle {
         } else {
             this.updateGroundVehiclePhysics(dt);
         }
+
+        if (this.holdControls) {
+            this.applyHoldInput(dt);
+        }
     }
 
     updateGroundVehiclePhysics(dt) {
@@ -491,12 +562,12 @@ export default class Vehicle {
 
             const ray = new RAPIER.Ray(rayOrigin, rayDir);
             // Filter predicate excludes all vehicle colliders from suspension raycasts
-            const hit = this.world.castRay(ray, maxRayLength, true, undefined, undefined, (collider) => {
+            const hit = this.world.castRay(ray, maxRayLength, true, undefined, undefined, undefined, undefined, (collider) => {
                 return !vehicleColliders.has(collider.handle);
             });
 
             if (hit) {
-                const hitDistance = hit.timeOfImpact;
+                const hitDistance = getHitDistance(hit);
 
                 // Calculate actual suspension length (distance from mount to wheel contact - wheel radius)
                 // The hit distance includes our rayStartOffset, so subtract it
@@ -591,9 +662,20 @@ export default class Vehicle {
         const chassisRot = this.chassis.rotation();
         const localUp = rotateVectorByQuat({ x: 0, y: 1, z: 0 }, chassisRot);
 
+        const ownColliders = new Set(this.colliders.map(c => c.handle));
         const groundRay = new RAPIER.Ray(chassisPos, { x: 0, y: -1, z: 0 });
-        const groundHit = this.world.castRay(groundRay, skids.dropHeight + 0.5, true);
-        this.isGrounded = groundHit && groundHit.timeOfImpact < skids.dropHeight + 0.3;
+        const groundHit = this.world.castRay(groundRay, skids.dropHeight + 0.5, true, undefined, undefined, undefined, undefined,
+            (collider) => !ownColliders.has(collider.handle));
+        this.isGrounded = !!groundHit && getHitDistance(groundHit) < skids.dropHeight + 0.3;
+
+        // A damaged engine spools up slowly, a dead one not at all;
+        // a damaged rotor loses lift and shakes the airframe
+        const engine = this.getComponentEfficiency('engine');
+        const rotorHealth = this.getComponentEfficiency('rotor');
+        if (engine === 0) {
+            this.isEngineRunning = false;
+            this.targetRPM = 0;
+        }
 
         // RPM naturally decays when no throttle input (engine inertia simulation)
         // The actual throttle control happens in applyHelicopterInput
@@ -605,7 +687,7 @@ export default class Vehicle {
         // Smoothly approach target RPM
         const rpmDiff = this.targetRPM - this.currentRPM;
         if (Math.abs(rpmDiff) > 0.1) {
-            const rate = rpmDiff > 0 ? rotor.spoolUpRate : rotor.spoolDownRate;
+            const rate = rpmDiff > 0 ? rotor.spoolUpRate * engine : rotor.spoolDownRate;
             this.currentRPM += Math.sign(rpmDiff) * Math.min(Math.abs(rpmDiff), rate * dt);
         }
 
@@ -617,13 +699,22 @@ export default class Vehicle {
             const effectiveRatio = (rpmRatio - rotor.liftThreshold) / (1.0 - rotor.liftThreshold);
             // Use configurable exponent for gentler lift curve (default was squared/2.0)
             const liftCurve = Math.pow(effectiveRatio, rotor.liftExponent || 1.4);
-            const liftForce = liftCurve * rotor.maxLiftForce;
+            const liftForce = liftCurve * rotor.maxLiftForce * rotorHealth;
 
             // Apply lift relative to helicopter's up vector
             // Collective provides fine-tuning for precise hover control
             const totalLift = liftForce * (1.0 + this.collectiveInput * 0.3);
 
             this.chassis.applyImpulse(scale(localUp, totalLift * dt), true);
+
+            if (rotorHealth < 1) {
+                const shake = (1 - rotorHealth) * this.chassis.mass() * 2.0 * dt;
+                this.chassis.applyTorqueImpulse({
+                    x: (Math.random() - 0.5) * shake,
+                    y: (Math.random() - 0.5) * shake,
+                    z: (Math.random() - 0.5) * shake
+                }, true);
+            }
         }
 
         // Apply aerodynamic drag when moving
@@ -649,7 +740,7 @@ export default class Vehicle {
     // ========================================================================
 
     applyDriverInput(input = {}, dt = 1 / 60) {
-        if (!this.chassis) return;
+        if (!this.chassis || this.wrecked) return;
 
         if (this.type === 'HELICOPTER') {
             this.applyHelicopterInput(input, dt);
@@ -682,10 +773,14 @@ export default class Vehicle {
 
         const tractionMultiplier = groundedWheels / this.suspensionState.length;
 
+        // Damage: the engine limits pulling power, shot-out wheels top speed and steering
+        const engine = this.getComponentEfficiency('engine');
+        const wheels = this.getComponentEfficiency('wheels');
+
         // Calculate engine force
-        const targetSpeed = cfg.maxSpeed * forwardInput;
+        const targetSpeed = cfg.maxSpeed * forwardInput * (0.5 + 0.5 * wheels);
         const speedError = targetSpeed - forwardSpeed;
-        const engineForce = Math.sign(speedError) * Math.min(Math.abs(speedError) * cfg.engineForce * 0.1, cfg.engineForce);
+        const engineForce = Math.sign(speedError) * Math.min(Math.abs(speedError) * cfg.engineForce * 0.1, cfg.engineForce * engine);
 
         // Apply engine force at rear wheels (RWD simulation)
         const rearWheels = this.suspensionState.slice(-2);
@@ -706,7 +801,7 @@ export default class Vehicle {
 
         // Apply steering torque (stronger at lower speeds for maneuverability)
         const speedFactor = Math.max(0.3, 1 - Math.abs(forwardSpeed) / cfg.maxSpeed);
-        const steerTorque = this.currentSteerAngle * cfg.engineForce * 0.15 * speedFactor * tractionMultiplier;
+        const steerTorque = this.currentSteerAngle * cfg.engineForce * 0.15 * speedFactor * tractionMultiplier * wheels;
 
         // Only steer when moving
         if (Math.abs(forwardSpeed) > 0.5) {
@@ -739,13 +834,17 @@ export default class Vehicle {
 
         const tractionMultiplier = groundedWheels / this.suspensionState.length;
 
+        // Damage: the engine limits drive and pivot power, broken tracks top speed and turning
+        const engine = this.getComponentEfficiency('engine');
+        const tracks = this.getComponentEfficiency('tracks');
+
         // DIFFERENTIAL STEERING (Tank tracks)
         // When nearly stationary with steering input, perform neutral turn
         const isNearlyStationary = Math.abs(forwardSpeed) < 1.5;
 
         if (isNearlyStationary && Math.abs(steerInput) > 0.1 && Math.abs(forwardInput) < 0.2) {
             // Neutral Turn: apply opposing forces to tracks
-            const turnTorque = steerInput * cfg.neutralTurnTorque * tractionMultiplier;
+            const turnTorque = steerInput * cfg.neutralTurnTorque * tractionMultiplier * engine * tracks;
             this.chassis.applyTorqueImpulse({ x: 0, y: turnTorque * dt, z: 0 }, true);
 
             // Apply slight lateral friction to prevent sliding
@@ -758,16 +857,16 @@ export default class Vehicle {
             const rightTrackPower = forwardInput - steerInput * 0.5;
 
             // Calculate target speeds for each track
-            const targetSpeed = cfg.maxSpeed * forwardInput;
+            const targetSpeed = cfg.maxSpeed * forwardInput * (0.5 + 0.5 * tracks);
             const speedError = targetSpeed - forwardSpeed;
 
             // Apply main drive force
-            const driveForce = Math.sign(speedError) * Math.min(Math.abs(speedError) * cfg.engineForce * 0.05, cfg.engineForce);
+            const driveForce = Math.sign(speedError) * Math.min(Math.abs(speedError) * cfg.engineForce * 0.05, cfg.engineForce * engine);
             this.chassis.applyImpulse(scale(localForward, driveForce * tractionMultiplier * dt), true);
 
             // Apply differential steering through torque
             const trackDifference = leftTrackPower - rightTrackPower;
-            const steerTorque = trackDifference * cfg.engineForce * 0.3 * tractionMultiplier;
+            const steerTorque = trackDifference * cfg.engineForce * 0.3 * tractionMultiplier * tracks;
             this.chassis.applyTorqueImpulse({ x: 0, y: steerTorque * dt, z: 0 }, true);
         }
 
@@ -868,6 +967,166 @@ export default class Vehicle {
         }
     }
 
+    /**
+     * Stand-in for a missing driver: ground vehicles brake to a stop,
+     * helicopters level out, kill their drift and hold altitude
+     */
+    applyHoldInput(dt) {
+        if (!this.chassis) return;
+
+        if (this.type !== 'HELICOPTER') {
+            // Zero throttle: the drive force pulls the speed towards zero
+            this.applyDriverInput({ x: 0, y: 0 }, dt);
+            return;
+        }
+
+        // Parked or engine off: nothing to hold
+        if (this.isGrounded || !this.isEngineRunning) return;
+
+        const rotor = this.config.rotor;
+        const mass = this.chassis.mass();
+        const vel = this.chassis.linvel();
+
+        // Level the fuselage (torque towards world up) and damp rotation
+        const localUp = rotateVectorByQuat({ x: 0, y: 1, z: 0 }, this.chassis.rotation());
+        const levelAxis = { x: -localUp.z, y: 0, z: localUp.x }; // localUp x worldUp
+        const angVel = this.chassis.angvel();
+        this.chassis.applyTorqueImpulse(add(
+            scale(levelAxis, 6.0 * mass * dt),
+            scale(angVel, -3.0 * mass * dt)
+        ), true);
+
+        // Bleed off horizontal drift
+        this.chassis.applyImpulse({ x: -vel.x * 0.5 * mass * dt, y: 0, z: -vel.z * 0.5 * mass * dt }, true);
+
+        // Spin the rotor to the RPM whose lift carries the weight, and trim
+        // vertical speed to zero with the collective (PI, holdTrim is the integral)
+        const hoverLift = Math.min(1, (mass * 9.81) / rotor.maxLiftForce);
+        const effectiveRatio = Math.pow(hoverLift, 1 / (rotor.liftExponent || 1.4));
+        const hoverRatio = rotor.liftThreshold + effectiveRatio * (1.0 - rotor.liftThreshold);
+        this.targetRPM = Math.min(rotor.maxRPM, hoverRatio * rotor.maxRPM);
+        this.holdTrim = Math.max(-1, Math.min(1, this.holdTrim - vel.y * 0.5 * dt));
+        this.collectiveInput = Math.max(-1, Math.min(1, this.holdTrim - vel.y * 2.0));
+    }
+
+    // ========================================================================
+    // DAMAGE
+    // ========================================================================
+
+    /**
+     * Take damage. The component nearest to `point` takes its share; without
+     * a point (collisions) the share is spread over all components.
+     * @param {number} amount - Hull damage
+     * @param {Object} point - World position of the hit, if known
+     * @param {Object} attacker - Shooter ({ kind, id, entity, teamId }), if any
+     * @returns {boolean} True if this destroyed the vehicle
+     */
+    applyDamage(amount, point = null, attacker = null) {
+        if (this.health <= 0) return false;
+        this.health = Math.max(0, this.health - amount);
+        if (attacker) this.lastAttacker = attacker;
+
+        const componentDamage = (amount / this.maxHealth) * 100 * vehicleDamageConfig.componentDamageScale;
+        const hitComponent = point ? this.getNearestComponent(point) : null;
+        if (hitComponent) {
+            this.damageComponent(hitComponent, componentDamage);
+        } else {
+            const names = Object.keys(this.components);
+            names.forEach(name => this.damageComponent(name, componentDamage / names.length));
+        }
+
+        return this.health === 0;
+    }
+
+    /**
+     * Patch up the hull; the components get back the same share of their health
+     * @returns {number} Hull health restored
+     */
+    repair(amount) {
+        if (this.wrecked || !(amount > 0)) return 0;
+        const restored = Math.min(amount, this.maxHealth - this.health);
+        this.health += restored;
+
+        const componentRepair = (restored / this.maxHealth) * 100;
+        Object.keys(this.components).forEach(name => {
+            this.components[name] = Math.min(100, this.components[name] + componentRepair);
+        });
+        return restored;
+    }
+
+    /**
+     * Garage work: the hull and every component get back `share` of their
+     * full health, whatever their state
+     */
+    overhaul(share) {
+        if (this.wrecked || !(share > 0)) return;
+        this.health = Math.min(this.maxHealth, this.health + share * this.maxHealth);
+        Object.keys(this.components).forEach(name => {
+            this.components[name] = Math.min(100, this.components[name] + share * 100);
+        });
+    }
+
+    damageComponent(name, amount) {
+        this.components[name] = Math.max(0, this.components[name] - amount);
+    }
+
+    /**
+     * Component whose hit point is closest to a world position
+     */
+    getNearestComponent(point) {
+        if (!this.chassis) return null;
+
+        // World -> chassis-local (rotate by the inverse rotation)
+        const r = this.chassis.rotation();
+        const local = rotateVectorByQuat(sub(point, this.chassis.translation()), { x: -r.x, y: -r.y, z: -r.z, w: r.w });
+
+        let nearest = null;
+        let nearestDist = Infinity;
+        for (const [name, anchors] of Object.entries(this.config.components)) {
+            for (const anchor of anchors) {
+                const d = magnitude(sub(local, anchor));
+                if (d < nearestDist) {
+                    nearestDist = d;
+                    nearest = name;
+                }
+            }
+        }
+        return nearest;
+    }
+
+    /**
+     * How well a component still works: 1 when intact, falling to
+     * minComponentEfficiency as it wears down, 0 once it is broken
+     * (components this vehicle type doesn't have always work)
+     */
+    getComponentEfficiency(name) {
+        const health = this.components[name];
+        if (health === undefined) return 1;
+        if (health <= 0) return 0;
+        const min = vehicleDamageConfig.minComponentEfficiency;
+        return min + (1 - min) * (health / 100);
+    }
+
+    /**
+     * Turn into a wreck: no controls, engine dead, everything broken.
+     * Occupants are thrown out by VehicleDamageSystem beforehand.
+     */
+    wreck(time = Date.now()) {
+        this.wrecked = true;
+        this.wreckedAt = time;
+        this.health = 0;
+        this.holdControls = false;
+        Object.keys(this.components).forEach(name => {
+            this.components[name] = 0;
+        });
+
+        if (this.type === 'HELICOPTER') {
+            this.isEngineRunning = false;
+            this.targetRPM = 0;
+            this.collectiveInput = 0;
+        }
+    }
+
     // ========================================================================
     // SEAT MANAGEMENT
     // ========================================================================
@@ -909,7 +1168,13 @@ export default class Vehicle {
             qx: r.x, qy: r.y, qz: r.z, qw: r.w,
             vx: v.x, vy: v.y, vz: v.z,
             health: this.health,
-            maxHealth: this.maxHealth
+            maxHealth: this.maxHealth,
+            components: Object.fromEntries(
+                Object.entries(this.components).map(([name, health]) => [name, Math.round(health)])
+            ),
+            wrecked: this.wrecked,
+            wreckedAt: this.wreckedAt,
+            burning: this.burning
         };
 
         // Add type-specific data
@@ -936,6 +1201,39 @@ export default class Vehicle {
         return baseData;
     }
 
+    /**
+     * Restores physics and gameplay state from a toJSON() snapshot
+     * (used when loading a saved world)
+     */
+    applySnapshot(data) {
+        if (!data || !this.chassis) return;
+
+        this.chassis.setTranslation({ x: data.x, y: data.y, z: data.z }, true);
+        if (data.qw !== undefined) {
+            this.chassis.setRotation({ x: data.qx, y: data.qy, z: data.qz, w: data.qw }, true);
+        }
+        if (data.vx !== undefined) {
+            this.chassis.setLinvel({ x: data.vx, y: data.vy, z: data.vz }, true);
+        }
+
+        // maxHealth comes from the vehicle type, not the save
+        if (typeof data.health === 'number') this.health = Math.min(data.health, this.maxHealth);
+        if (data.components) {
+            Object.keys(this.components).forEach(name => {
+                if (typeof data.components[name] === 'number') this.components[name] = data.components[name];
+            });
+        }
+        if (data.wrecked) {
+            this.wreck(data.wreckedAt || Date.now());
+        }
+
+        if (this.type === 'HELICOPTER') {
+            this.currentRPM = data.rpm || 0;
+            this.targetRPM = data.targetRpm || 0;
+            this.isEngineRunning = !!data.isEngineRunning;
+        }
+    }
+
     // ========================================================================
     // CLEANUP
     // ========================================================================
@@ -956,4 +1254,4 @@ export default class Vehicle {
 }
 
 // Export configuration for client-side use
-export { VEHICLE_CONFIG };
+export { VEHICLE_CONFIG, rotateVectorByQuat, getHitDistance };
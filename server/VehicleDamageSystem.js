@@ -0,0 +1,129 @@
+/**
+ * VehicleDamageSystem.js - Crashes, destruction and wrecks
+ *
+ * - Collisions: vehicle colliders report Rapier contact force events once the
+ *   force passes collision.minImpactG times the vehicle's weight; the excess
+ *   becomes hull damage (spread over the components, Vehicle.applyDamage)
+ * - Destruction: a vehicle whose health reaches zero (weapons or crashes)
+ *   throws its occupants out and explodes (WeaponSystem.detonate), so they and
+ *   anything nearby take the blast, credited to whoever last shot the vehicle
+ * - Wrecks: the burnt-out hull stays in the world without controls or seats,
+ *   burns for burnDuration and is removed after wreckLifetime
+ *
+ * Weapon damage reaches vehicles through WeaponSystem like any other target.
+ */
+
+import RAPIER from '@dimforge/rapier3d-compat';
+import { vehicleDamageConfig } from '../shared/config.js';
+
+const GRAVITY = 9.81;
+
+export class VehicleDamageSystem {
+    /**
+     * @param {RAPIER.World} world
+     * @param {Object} targets - { vehicles: Map, players: Map }
+     * @param {WeaponSystem} weaponSystem - For the explosion
+     */
+    constructor(world, targets, weaponSystem, config = vehicleDamageConfig) {
+        this.world = world;
+        this.vehicles = targets.vehicles;
+        this.players = targets.players;
+        this.weaponSystem = weaponSystem;
+        this.config = config;
+
+        // Pass to world.step() so contact force events are collected
+        this.eventQueue = new RAPIER.EventQueue(true);
+
+        this.onWreckRemoved = null; // (vehicle) before its bodies are removed
+    }
+
+    /**
+     * Start reporting hard impacts on a vehicle's colliders
+     */
+    watch(vehicle) {
+        const threshold = this.getWeight(vehicle) * this.config.collision.minImpactG;
+        vehicle.colliders.forEach(collider => {
+            collider.setActiveEvents(RAPIER.ActiveEvents.CONTACT_FORCE_EVENTS);
+            collider.setContactForceEventThreshold(threshold);
+        });
+    }
+
+    getWeight(vehicle) {
+        return vehicle.mass * GRAVITY;
+    }
+
+    /**
+     * Turn the contact force events of the last physics step into damage.
+     * Call right after world.step(this.eventQueue).
+     */
+    handleCollisions() {
+        let owners = null;
+
+        this.eventQueue.drainContactForceEvents(event => {
+            // Built lazily: most ticks have no hard impacts
+            if (!owners) owners = this.collectColliderOwners();
+
+            for (const handle of [event.collider1(), event.collider2()]) {
+                const vehicle = owners.get(handle);
+                if (!vehicle || vehicle.wrecked) continue;
+
+                const g = event.totalForceMagnitude() / this.getWeight(vehicle);
+                const damage = (g - this.config.collision.minImpactG) * this.config.collision.damagePerG;
+                if (damage > 0) vehicle.applyDamage(damage);
+            }
+        });
+    }
+
+    collectColliderOwners() {
+        const owners = new Map();
+        for (const vehicle of this.vehicles.values()) {
+            vehicle.colliders.forEach(collider => owners.set(collider.handle, vehicle));
+        }
+        return owners;
+    }
+
+    /**
+     * Blow up vehicles that ran out of health, put out fires, remove old wrecks
+     */
+    update(now = Date.now()) {
+        for (const vehicle of [...this.vehicles.values()]) {
+            if (!vehicle.wrecked) {
+                if (vehicle.health <= 0) this.destroyVehicle(vehicle, now);
+                continue;
+            }
+
+            vehicle.burning = now - vehicle.wreckedAt < this.config.burnDuration;
+            if (now - vehicle.wreckedAt >= this.config.wreckLifetime) {
+                this.removeWreck(vehicle);
+            }
+        }
+    }
+
+    destroyVehicle(vehicle, now) {
+        const center = vehicle.chassis.translation();
+        const point = { x: center.x, y: center.y, z: center.z };
+
+        // Occupants land next to their seats, right in the blast
+        vehicle.seats.forEach(occupantId => {
+            const player = occupantId && this.players.get(occupantId);
+            if (player) player.dismountVehicle();
+        });
+        vehicle.seats.fill(null);
+
+        vehicle.wreck(now);
+        vehicle.burning = true;
+
+        const attacker = vehicle.lastAttacker || { kind: 'vehicle', id: vehicle.id, entity: vehicle };
+        this.weaponSystem.detonate(attacker, this.config.explosionWeapon, point);
+
+        console.log(`[Vehicles] ${vehicle.type} ${vehicle.id} destroyed`);
+    }
+
+    removeWreck(vehicle) {
+        if (this.onWreckRemoved) this.onWreckRemoved(vehicle);
+        this.vehicles.delete(vehicle.id);
+        vehicle.destroy();
+    }
+}
+
+export default VehicleDamageSystem;
@@ -1,24 +1,50 @@
 import AIUnit from './AIUnit.js';
 import { Faction } from './Factions.js';
+import { BehaviorTree } from './BehaviorTree.js';
+import BehaviorNodes from './BehaviorNodes.js';
+import Squad, { OrderType } from './Squad.js';
+import StrategicPlanner from './StrategicPlanner.js';
+import FactionTreasury from './FactionTreasury.js';
+import { behaviorConfig, squadConfig, economyConfig } from '../shared/config.js';
 
 class WarDirector {
-    constructor(world, worldData, physicsSystems, generator) {
+    constructor(world, worldData, physicsSystems, generator, weaponSystem = null, navigation = null, perception = null, resourceNodes = null) {
         this.world = world;
         this.worldData = worldData; // Access to POIs for bases/resources
         this.physicsSystems = physicsSystems;
         this.generator = generator;
+        this.weaponSystem = weaponSystem; // Units fire through it
+        this.navigation = navigation; // Units plan ground paths with it
+        this.perception = perception; // What units see and hear (PerceptionSystem)
+        this.resourceNodes = resourceNodes; // Deposits trucks harvest (ResourceNodeSystem)
 
         // Use new faction enums from Geopolitical Macro-Layer
         this.factions = {
-            [Faction.CHROMA_CORP]: { resources: 100, units: [], base: null },
-            [Faction.IRON_SYNOD]: { resources: 100, units: [], base: null },
-            [Faction.VERDANT_LINK]: { resources: 100, units: [], base: null },
-            [Faction.NULL_DRIFTERS]: { resources: 100, units: [], base: null }
+            [Faction.CHROMA_CORP]: { units: [], base: null, garrison: null },
+            [Faction.IRON_SYNOD]: { units: [], base: null, garrison: null },
+            [Faction.VERDANT_LINK]: { units: [], base: null, garrison: null },
+            [Faction.NULL_DRIFTERS]: { units: [], base: null, garrison: null }
         };
+        // Typed stockpiles: settlements and trucks fill them, production spends them
+        this.treasury = new FactionTreasury(Object.keys(this.factions));
 
         this.allUnits = new Map(); // Global registry id -> AIUnit
+        this.squads = new Map(); // id -> Squad
+        this.nextSquadId = 0;
+
+        // One compiled tree per unit type, shared by all units of that type
+        this.behaviorTrees = {};
+        Object.entries(behaviorConfig.trees).forEach(([type, definition]) => {
+            this.behaviorTrees[type] = new BehaviorTree(definition, BehaviorNodes);
+        });
+        this.onUnitKilled = null; // Callback (unit), called just before a dead unit is removed
+        this.onVehicleSpawned = null; // Callback (vehicle) for each new AI vehicle; earlier ones are in getVehicles()
 
         this.initFactions();
+
+        // Fronts and territory captures (needs the political map)
+        const geopolitical = worldData && worldData.geopolitical;
+        this.planner = geopolitical && geopolitical.isInitialized ? new StrategicPlanner(this, geopolitical) : null;
     }
 
     initFactions() {
@@ -73,14 +99,65 @@ class WarDirector {
 
             this.factions[factionKey].base = factionBase;
 
-            // Spawn initial defense
-            this.spawnUnit(factionKey, 'SOLDIER', factionBase);
-            this.spawnUnit(factionKey, 'SOLDIER', factionBase);
-            this.spawnUnit(factionKey, 'TRUCK', factionBase);
+            // Initial forces: a squad guarding the base and a harvest convoy with its escorts
+            const faction = this.factions[factionKey];
+            faction.garrison = this.createSquad(factionKey);
+            faction.garrison.setOrder(OrderType.DEFEND, this.getHomePosition(factionKey), { settlementId: factionBase.id });
+            this.spawnUnit(factionKey, 'SOLDIER', factionBase, faction.garrison);
+            this.spawnConvoy(factionKey);
         });
     }
 
-    spawnUnit(teamId, type, location) {
+    /**
+     * A harvest truck with its escorts, in a convoy squad of their own
+     */
+    spawnConvoy(teamId) {
+        const base = this.factions[teamId].base;
+        const convoy = this.createSquad(teamId, true);
+        this.spawnUnit(teamId, 'TRUCK', base, convoy);
+        for (let i = 0; i < squadConfig.convoyEscorts; i++) {
+            this.spawnUnit(teamId, 'SOLDIER', base, convoy, 'escort');
+        }
+        return convoy;
+    }
+
+    /**
+     * Faction base in physics coords (POIs keep height in z)
+     */
+    getHomePosition(teamId) {
+        const base = this.factions[teamId].base;
+        return base ? { x: base.x, y: base.z, z: base.y } : null;
+    }
+
+    createSquad(teamId, convoy = false) {
+        const squad = new Squad(`${teamId}_squad_${this.nextSquadId++}`, teamId, this.getHomePosition(teamId), convoy);
+        this.squads.set(squad.id, squad);
+        return squad;
+    }
+
+    getSquads(teamId) {
+        return Array.from(this.squads.values()).filter(squad => squad.teamId === teamId);
+    }
+
+    /**
+     * A squad with room for a new unit of this type (squads don't mix types:
+     * tanks can't keep formation with soldiers), or a new one
+     */
+    findOpenSquad(teamId, type) {
+        const open = this.getSquads(teamId).find(squad =>
+            !squad.convoy && !squad.isFull() && squad.leader && squad.leader.type === type);
+        if (open) return open;
+
+        const squad = this.createSquad(teamId);
+        squad.setOrder(OrderType.DEFEND, this.getHomePosition(teamId));
+        return squad;
+    }
+
+    /**
+     * @param {Squad} squad - Squad to join (null: none)
+     * @param {string} role - Job within the squad ('escort'), read by the behavior tree
+     */
+    spawnUnit(teamId, type, location, squad = null, role = null) {
         const id = `${teamId}_${type}_${Date.now()}_${Math.floor(Math.random()*1000)}`;
         
         // Random offset 2D
@@ -106,88 +183,172 @@ class WarDirector {
         };
 
         const unit = new AIUnit(id, type, teamId, this.world, spawnPos, this.physicsSystems);
+        unit.weaponSystem = this.weaponSystem;
+        unit.navigation = this.navigation;
+        unit.behavior = this.behaviorTrees[type] || null;
+        if (squad) squad.add(unit, role);
         this.allUnits.set(id, unit);
         this.factions[teamId].units.push(unit);
+        if (unit.vehicle && this.onVehicleSpawned) this.onVehicleSpawned(unit.vehicle);
         return unit;
     }
 
-    // Called every ~1-5 seconds
-    tickSlow(dt) {
-        const pois = (this.worldData && this.worldData.pois) ? this.worldData.pois : [];
-        const resourceNodes = pois.filter(p => p.type === 'RESOURCE_NODE');
+    /**
+     * Vehicles driven by AI units
+     */
+    getVehicles() {
+        return Array.from(this.allUnits.values()).filter(unit => unit.vehicle).map(unit => unit.vehicle);
+    }
+
+    /**
+     * Pull the AI driver out of its vehicle (a player is taking it). The
+     * vehicle stays where it is; the driver carries on as a soldier.
+     * @returns {boolean} False if no AI unit drives it
+     */
+    ejectDriver(vehicle) {
+        const unit = vehicle.aiDriver;
+        if (!unit) return false;
+
+        // spawnUnit takes POI coords (height in z)
+        const seat = vehicle.getSeatWorldPosition(0) || unit.rigidBody.translation();
+        this.spawnUnit(unit.teamId, 'SOLDIER', { x: seat.x, y: seat.z, z: seat.y }, this.findOpenSquad(unit.teamId, 'SOLDIER'));
+        this.removeUnit(unit);
+        console.log(`[WarDirector] ${unit.id} lost its ${vehicle.type} to a hijacker`);
+        return true;
+    }
 
+    // Called every ~1-5 seconds. Settlements and trucks fill the treasury; this spends it.
+    tickSlow(dt) {
         Object.keys(this.factions).forEach(teamId => {
             const faction = this.factions[teamId];
             if (!faction.base) return;
 
-            // 1. Economic Logic (Trucks)
-            const trucks = faction.units.filter(u => u.type === 'TRUCK');
-            trucks.forEach(truck => {
-                if (truck.state === 'IDLE') {
-                    // Find nearest resource node
-                    // Simplified: just pick random for now
-                    if (resourceNodes.length > 0) {
-                        const target = resourceNodes[Math.floor(Math.random() * resourceNodes.length)];
-                        // Convert POI coords to Physics Coords
-                        const dest = { x: target.x, y: target.z, z: target.y };
-                        
-                        truck.target = dest; // Custom property for truck logic
-                        truck.state = 'HARVEST'; // Tag state
-                        truck.moveTo(dest);
-                    }
-                } else if (truck.state === 'HARVEST') {
-                    // Check if reached destination (simple dist check handled in update, but we need to check logic here)
-                    const pos = truck.rigidBody.translation();
-                    const dist = truck.distance(pos, truck.target);
-                    if (dist < 10) {
-                        // "Harvesting" (Instant for now)
-                        truck.state = 'RETURN';
-                        const basePos = { x: faction.base.x, y: faction.base.z, z: faction.base.y };
-                        truck.moveTo(basePos);
-                    }
-                } else if (truck.state === 'RETURN') {
-                    const pos = truck.rigidBody.translation();
-                    const basePos = { x: faction.base.x, y: faction.base.z, z: faction.base.y };
-                    const dist = truck.distance(pos, basePos);
-                    if (dist < 10) {
-                        // Delivered
-                        faction.resources += 50;
-                        console.log(`${teamId} delivered resources. Total: ${faction.resources}`);
-                        truck.state = 'IDLE';
-                    }
-                }
-            });
+            this.produce(teamId);
+            this.issueOrders(teamId);
+        });
+    }
 
-            // 2. Production Logic
-            if (faction.resources >= 200) {
-                // Buy Tank
-                this.spawnUnit(teamId, 'TANK', faction.base);
-                faction.resources -= 200;
-                console.log(`${teamId} bought a TANK`);
-            } else if (faction.resources >= 50) {
-                // Buy Soldier if low
-                const soldiers = faction.units.filter(u => u.type === 'SOLDIER');
-                if (soldiers.length < 5) {
-                    this.spawnUnit(teamId, 'SOLDIER', faction.base);
-                    faction.resources -= 50;
-                }
+    /**
+     * Buy at most one unit: the type furthest below its economyConfig.maxUnits.
+     * The faction saves up for it rather than buying something cheaper.
+     */
+    produce(teamId) {
+        const counts = {};
+        this.factions[teamId].units.forEach(unit => { counts[unit.type] = (counts[unit.type] || 0) + 1; });
+
+        let wanted = null;
+        let lowest = 1;
+        Object.entries(economyConfig.maxUnits).forEach(([type, max]) => {
+            const strength = (counts[type] || 0) / max;
+            if (strength < lowest) {
+                wanted = type;
+                lowest = strength;
             }
         });
+        if (!wanted) return;
+
+        const result = this.treasury.spend(teamId, economyConfig.unitCosts[wanted]);
+        if (!result.success) return;
+
+        if (wanted === 'TRUCK') this.spawnConvoy(teamId);
+        else this.spawnUnit(teamId, wanted, this.factions[teamId].base, this.findOpenSquad(teamId, wanted));
+        console.log(`${teamId} bought a ${wanted}`);
+    }
+
+    /**
+     * The garrison keeps defending the base; every other squad waits at home
+     * until the strategic planner sends it to a front
+     */
+    issueOrders(teamId) {
+        const faction = this.factions[teamId];
+        const squads = this.getSquads(teamId);
+
+        // The garrison was wiped out: the next squad at home takes over
+        if (!faction.garrison) {
+            faction.garrison = squads.find(squad => !squad.convoy && squad.order &&
+                squad.order.type === OrderType.DEFEND && !squad.order.cellId) || null;
+        }
+    }
+
+    // Persistent faction state (treasury only - units are respawned at boot)
+    serializeFactions() {
+        const stockpiles = this.treasury.serialize();
+        const data = {};
+        Object.keys(this.factions).forEach(teamId => {
+            data[teamId] = { resources: stockpiles[teamId] };
+        });
+        return data;
+    }
+
+    loadFactions(data) {
+        if (!data) return;
+        Object.keys(this.factions).forEach(teamId => {
+            // Older saves hold a single number, the treasury shares it out
+            if (data[teamId]) this.treasury.restore(teamId, data[teamId].resources);
+        });
+    }
+
+    /**
+     * Take a unit out of the registry, its faction and the physics world
+     */
+    removeUnit(unit) {
+        this.allUnits.delete(unit.id);
+        const faction = this.factions[unit.teamId];
+        if (faction) faction.units = faction.units.filter(u => u !== unit);
+        if (unit.squad) this.leaveSquad(unit);
+        unit.destroy();
+    }
+
+    leaveSquad(unit) {
+        const squad = unit.squad;
+        squad.remove(unit);
+
+        if (squad.members.length === 0) {
+            this.squads.delete(squad.id);
+            const faction = this.factions[squad.teamId];
+            if (faction && faction.garrison === squad) faction.garrison = null;
+            return;
+        }
+
+        // Escorts who lost their truck go home and wait for orders like any other squad
+        if (squad.convoy && !squad.blackboard.convoy) {
+            squad.convoy = false;
+            squad.members.forEach(member => { member.role = null; });
+            squad.setOrder(OrderType.DEFEND, this.getHomePosition(squad.teamId));
+        }
     }
 
     // Called every frame/physics tick
     updateUnits(dt) {
-        const allUnitsArray = Array.from(this.allUnits.values());
-        
-        // Prepare simplified enemy list for perception
-        const unitData = allUnitsArray.map(u => ({
+        // Clean up the dead first (their bodies would otherwise stay in the world)
+        for (const unit of [...this.allUnits.values()]) {
+            if (unit.hp > 0) continue;
+            if (this.onUnitKilled) this.onUnitKilled(unit);
+            this.removeUnit(unit);
+        }
+
+        // Positions of everyone, for counting friends nearby
+        const unitData = Array.from(this.allUnits.values(), u => ({
             id: u.id,
             teamId: u.teamId,
             position: u.rigidBody.translation()
         }));
 
+        const now = Date.now();
+        if (this.perception) this.perception.update(dt, now);
+        this.squads.forEach(squad => squad.update());
+        if (this.planner) this.planner.update(dt);
+
         this.allUnits.forEach(unit => {
-            unit.update(dt, this.worldData, unitData);
+            unit.update(dt, {
+                worldData: this.worldData,
+                units: unitData,
+                perception: this.perception,
+                treasury: this.treasury,
+                resourceNodes: this.resourceNodes,
+                faction: this.factions[unit.teamId],
+                now
+            });
         });
     }
 }
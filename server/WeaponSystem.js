@@ -0,0 +1,526 @@
+/**
+ * WeaponSystem.js - Server-authoritative weapons and hit detection
+ *
+ * - Weapon definitions live in weaponConfig (shared, the client builds its hotbar from it)
+ * - Hitscan shots are one ray. Terrain, buildings and vehicles are hit with a
+ *   Rapier raycast (PhysicsSystems.raycastWeapon); characters (players and AI
+ *   infantry) are tested against their capsule rewound to the time the shooter
+ *   was looking at (lag compensation), using a short history of positions
+ * - Projectiles are simulated here, swept with a raycast every tick, and
+ *   explode with splash damage on impact or when their lifetime runs out
+ * - Damage goes through applyDamage() on Player, AIUnit and Vehicle. Fire,
+ *   impact, hit and kill events are handed to onEvent for the network layer.
+ *
+ * Shooters are described as { kind, id, entity, teamId, ignoreBodies: Set<bodyHandle> }
+ * (see Player.getShooter / AIUnit.getShooter).
+ */
+
+import { weaponConfig } from '../shared/config.js';
+
+// Capsule hitboxes relative to the body origin: player capsules stand on
+// their origin, AI soldier capsules are centred on it
+const CHARACTER_HITBOX = {
+    player: { bottom: 0.5, top: 1.5, radius: 0.5 },
+    unit: { bottom: -0.5, top: 0.5, radius: 0.5 }
+};
+
+function add(a, b) {
+    return { x: a.x + b.x, y: a.y + b.y, z: a.z + b.z };
+}
+
+function scale(v, s) {
+    return { x: v.x * s, y: v.y * s, z: v.z * s };
+}
+
+function magnitude(v) {
+    return Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+}
+
+function distance(a, b) {
+    return magnitude({ x: a.x - b.x, y: a.y - b.y, z: a.z - b.z });
+}
+
+/**
+ * Normalized copy of a client-supplied direction, or null if it isn't one
+ */
+export function toDirection(v) {
+    if (!v || !Number.isFinite(v.x) || !Number.isFinite(v.y) || !Number.isFinite(v.z)) return null;
+    const m = magnitude(v);
+    return m > 0.0001 ? scale(v, 1 / m) : null;
+}
+
+/**
+ * Distance along a ray to a sphere, or null
+ */
+function raySphere(origin, dir, center, radius) {
+    const ox = origin.x - center.x;
+    const oy = origin.y - center.y;
+    const oz = origin.z - center.z;
+    const b = ox * dir.x + oy * dir.y + oz * dir.z;
+    const c = ox * ox + oy * oy + oz * oz - radius * radius;
+    const disc = b * b - c;
+    if (disc < 0) return null;
+    const t = -b - Math.sqrt(disc);
+    if (t >= 0) return t;
+    return c <= 0 ? 0 : null; // Origin inside the sphere
+}
+
+/**
+ * Distance along a ray to a vertical capsule standing at `base`, or null
+ */
+function rayVerticalCapsule(origin, dir, base, hitbox) {
+    const bottomY = base.y + hitbox.bottom;
+    const topY = base.y + hitbox.top;
+    const r = hitbox.radius;
+    let best = null;
+
+    // Cylinder part (circle in XZ, limited to the segment's height)
+    const ox = origin.x - base.x;
+    const oz = origin.z - base.z;
+    const a = dir.x * dir.x + dir.z * dir.z;
+    if (a > 1e-8) {
+        const b = ox * dir.x + oz * dir.z;
+        const c = ox * ox + oz * oz - r * r;
+        const disc = b * b - a * c;
+        if (disc >= 0) {
+            const t = (-b - Math.sqrt(disc)) / a;
+            const y = origin.y + dir.y * t;
+            if (t >= 0 && y >= bottomY && y <= topY) best = t;
+        }
+    }
+
+    // End caps
+    for (const capY of [bottomY, topY]) {
+        const t = raySphere(origin, dir, { x: base.x, y: capY, z: base.z }, r);
+        if (t !== null && (best === null || t < best)) best = t;
+    }
+
+    return best;
+}
+
+/**
+ * Random direction within a cone of `spread` radians around dir
+ */
+function applySpread(dir, spread) {
+    if (!spread) return dir;
+    const jittered = {
+        x: dir.x + (Math.random() - 0.5) * 2 * spread,
+        y: dir.y + (Math.random() - 0.5) * 2 * spread,
+        z: dir.z + (Math.random() - 0.5) * 2 * spread
+    };
+    return toDirection(jittered) || dir;
+}
+
+export class WeaponSystem {
+    /**
+     * @param {PhysicsSystems} physicsSystems
+     * @param {Object} targets - { players: Map, vehicles: Map, getUnits: () => Map|null }
+     */
+    constructor(physicsSystems, targets, config = weaponConfig) {
+        this.physicsSystems = physicsSystems;
+        this.players = targets.players;
+        this.vehicles = targets.vehicles;
+        this.getUnits = targets.getUnits;
+        this.config = config;
+
+        this.history = [];          // [{ time, positions: Map<"kind:id", {x, y, z}> }], oldest first
+        this.projectiles = [];
+        this.nextProjectileId = 0;
+        this.cooldowns = new Map(); // "kind:id" -> time (ms) the shooter may fire again
+
+        this.onEvent = null; // (type, event) with type 'fire' | 'impact' | 'hit' | 'kill'
+    }
+
+    emit(type, event) {
+        if (this.onEvent) this.onEvent(type, event);
+    }
+
+    // ========================================================================
+    // TARGETS
+    // ========================================================================
+
+    /**
+     * Living characters with capsule hitboxes (rewound for lag compensation)
+     */
+    collectCharacters() {
+        const characters = [];
+        for (const player of this.players.values()) {
+            if (player.data.health > 0 && !player.mountedVehicle) {
+                characters.push({ kind: 'player', id: player.id, entity: player });
+            }
+        }
+        const units = this.getUnits();
+        if (units) {
+            for (const unit of units.values()) {
+                if (unit.type === 'SOLDIER' && unit.hp > 0) {
+                    characters.push({ kind: 'unit', id: unit.id, entity: unit });
+                }
+            }
+        }
+        return characters;
+    }
+
+    /**
+     * Everything that can take damage, keyed by rigid body handle
+     */
+    collectBodyOwners() {
+        const owners = new Map();
+        for (const player of this.players.values()) {
+            owners.set(player.rigidBody.handle, { kind: 'player', id: player.id, entity: player });
+        }
+        const units = this.getUnits();
+        if (units) {
+            for (const unit of units.values()) {
+                // AI vehicles are hit as vehicles (below)
+                if (!unit.vehicle) owners.set(unit.rigidBody.handle, { kind: 'unit', id: unit.id, entity: unit });
+            }
+        }
+        for (const vehicle of this.vehicles.values()) {
+            for (const body of vehicle.bodies) {
+                owners.set(body.handle, { kind: 'vehicle', id: vehicle.id, entity: vehicle });
+            }
+        }
+        return owners;
+    }
+
+    /**
+     * AI faction of a unit or AI-driven vehicle, null for anything else
+     */
+    getTeam(target) {
+        if (target.kind === 'player') return target.entity.getTeamId();
+        if (target.kind === 'unit') return target.entity.teamId;
+        if (target.kind === 'vehicle' && target.entity.aiDriver) return target.entity.aiDriver.teamId;
+        return null;
+    }
+
+    getHealth(target) {
+        if (target.kind === 'player') return target.entity.data.health;
+        if (target.kind === 'unit') return target.entity.hp;
+        return target.entity.health;
+    }
+
+    /**
+     * Reference for events and the kill feed
+     */
+    describe(target) {
+        let name = target.id;
+        if (target.kind === 'player') name = target.entity.data.username || target.id;
+        else if (target.kind === 'unit') name = `${target.entity.teamId} ${target.entity.type}`;
+        else if (target.kind === 'vehicle') name = target.entity.type;
+        return { kind: target.kind, id: target.id, name };
+    }
+
+    /**
+     * Point splash damage is measured from
+     */
+    getCenter(target) {
+        if (target.kind === 'vehicle') return target.entity.chassis.translation();
+        const t = target.entity.rigidBody.translation();
+        const hitbox = CHARACTER_HITBOX[target.kind];
+        return hitbox ? { x: t.x, y: t.y + (hitbox.bottom + hitbox.top) / 2, z: t.z } : t;
+    }
+
+    // ========================================================================
+    // LAG COMPENSATION
+    // ========================================================================
+
+    /**
+     * Remember where every character is. Call once per tick after the physics step.
+     */
+    recordHistory(time) {
+        const positions = new Map();
+        for (const character of this.collectCharacters()) {
+            const t = character.entity.rigidBody.translation();
+            positions.set(`${character.kind}:${character.id}`, { x: t.x, y: t.y, z: t.z });
+        }
+        this.history.push({ time, positions });
+
+        while (this.history.length > 0 && this.history[0].time < time - this.config.historyLength) {
+            this.history.shift();
+        }
+
+        for (const [key, readyAt] of this.cooldowns) {
+            if (readyAt < time) this.cooldowns.delete(key);
+        }
+    }
+
+    /**
+     * Where a character was at `time` (interpolated between recorded ticks)
+     * @returns {Object|null} Position, or null if it isn't in the history
+     */
+    getRewoundPosition(key, time) {
+        for (let i = this.history.length - 1; i >= 0; i--) {
+            const older = this.history[i];
+            if (older.time > time) continue;
+
+            const a = older.positions.get(key);
+            const newer = this.history[i + 1];
+            const b = newer && newer.positions.get(key);
+            if (!a || !b) return a || null;
+
+            const f = (time - older.time) / Math.max(1, newer.time - older.time);
+            return {
+                x: a.x + (b.x - a.x) * f,
+                y: a.y + (b.y - a.y) * f,
+                z: a.z + (b.z - a.z) * f
+            };
+        }
+        return null;
+    }
+
+    // ========================================================================
+    // FIRING
+    // ========================================================================
+
+    /**
+     * Fire a weapon if the shooter's cooldown allows it
+     * @param {Object} shooter - { kind, id, entity, teamId, ignoreBodies }
+     * @param {string} weaponId - Key of weaponConfig.weapons
+     * @param {Object} origin - Muzzle position
+     * @param {Object} direction - Normalized aim direction
+     * @param {number} viewTime - Server time the shooter was seeing (ms), for hitscan rewind
+     * @returns {boolean} True if a shot was fired
+     */
+    fire(shooter, weaponId, origin, direction, viewTime) {
+        const weapon = this.config.weapons[weaponId];
+        if (!weapon || !direction) return false;
+
+        const now = Date.now();
+        const key = `${shooter.kind}:${shooter.id}`;
+        if (now < (this.cooldowns.get(key) || 0)) return false;
+        this.cooldowns.set(key, now + weapon.fireInterval * 1000);
+
+        const dir = applySpread(direction, weapon.spread);
+        if (weapon.type === 'hitscan') {
+            const rewindTime = Number.isFinite(viewTime)
+                ? Math.max(now - this.config.maxRewind, Math.min(now, viewTime))
+                : now;
+            this.fireHitscan(shooter, weaponId, weapon, origin, dir, rewindTime);
+        } else {
+            this.launchProjectile(shooter, weaponId, weapon, origin, dir);
+        }
+        return true;
+    }
+
+    fireHitscan(shooter, weaponId, weapon, origin, dir, rewindTime) {
+        const hit = this.traceShot(shooter, origin, dir, weapon.range, rewindTime);
+        const end = hit ? hit.point : add(origin, scale(dir, weapon.range));
+
+        this.emit('fire', {
+            shooter: { kind: shooter.kind, id: shooter.id },
+            weapon: weaponId,
+            origin,
+            direction: dir,
+            end,
+            hit: !!hit
+        });
+
+        if (hit && hit.target) {
+            this.damage(hit.target, weapon.damage, shooter, weaponId, hit.point);
+        }
+    }
+
+    /**
+     * Closest thing a hitscan ray hits: world geometry and vehicles as they are
+     * now, characters as they were at rewindTime
+     * @returns {Object|null} { distance, point, target|null }
+     */
+    traceShot(shooter, origin, dir, range, rewindTime) {
+        const owners = this.collectBodyOwners();
+        const characters = this.collectCharacters();
+
+        // Characters are tested against their rewound hitboxes instead of their colliders
+        const skip = new Set(shooter.ignoreBodies);
+        for (const player of this.players.values()) skip.add(player.rigidBody.handle);
+        for (const character of characters) skip.add(character.entity.rigidBody.handle);
+
+        let best = null;
+        const hit = this.physicsSystems.raycastWeapon(origin, dir, range, (collider) => {
+            const body = collider.parent();
+            return !body || !skip.has(body.handle);
+        });
+        if (hit) {
+            const body = hit.collider.parent();
+            best = { distance: hit.distance, point: hit.point, target: body ? owners.get(body.handle) || null : null };
+        }
+
+        for (const character of characters) {
+            if (character.kind === shooter.kind && character.id === shooter.id) continue;
+
+            const key = `${character.kind}:${character.id}`;
+            const base = this.getRewoundPosition(key, rewindTime) || character.entity.rigidBody.translation();
+            const t = rayVerticalCapsule(origin, dir, base, CHARACTER_HITBOX[character.kind]);
+            if (t !== null && t <= range && (!best || t < best.distance)) {
+                best = { distance: t, point: add(origin, scale(dir, t)), target: character };
+            }
+        }
+
+        return best;
+    }
+
+    launchProjectile(shooter, weaponId, weapon, origin, dir) {
+        const projectile = {
+            id: this.nextProjectileId++,
+            weaponId,
+            weapon,
+            shooter,
+            position: { ...origin },
+            velocity: scale(dir, weapon.speed),
+            age: 0
+        };
+        this.projectiles.push(projectile);
+
+        this.emit('fire', {
+            shooter: { kind: shooter.kind, id: shooter.id },
+            weapon: weaponId,
+            origin,
+            direction: dir,
+            projectileId: projectile.id
+        });
+    }
+
+    /**
+     * Move projectiles, sweeping each step with a raycast
+     */
+    update(dt) {
+        if (this.projectiles.length === 0) return;
+
+        let owners = null;
+        const remaining = [];
+
+        for (const p of this.projectiles) {
+            p.velocity.y += this.config.gravity * (p.weapon.gravityScale || 0) * dt;
+            p.age += dt;
+
+            const step = scale(p.velocity, dt);
+            const length = magnitude(step);
+            const hit = length > 0
+                ? this.physicsSystems.raycastWeapon(p.position, scale(step, 1 / length), length, (collider) => {
+                    const body = collider.parent();
+                    return !body || !p.shooter.ignoreBodies.has(body.handle);
+                })
+                : null;
+
+            if (hit) {
+                owners = owners || this.collectBodyOwners();
+                const body = hit.collider.parent();
+                this.explode(p, hit.point, body ? owners.get(body.handle) || null : null);
+                continue;
+            }
+
+            p.position = add(p.position, step);
+            if (p.age >= p.weapon.lifetime) {
+                this.explode(p, p.position, null);
+                continue;
+            }
+            remaining.push(p);
+        }
+
+        this.projectiles = remaining;
+    }
+
+    /**
+     * Projectile impact: full damage to what it hit, falling-off splash around it
+     */
+    explode(projectile, point, directTarget) {
+        const weapon = projectile.weapon;
+        const radius = weapon.splashRadius || 0;
+
+        this.emit('impact', {
+            projectileId: projectile.id,
+            shooter: { kind: projectile.shooter.kind, id: projectile.shooter.id },
+            weapon: projectile.weaponId,
+            point,
+            radius
+        });
+
+        if (directTarget) {
+            this.damage(directTarget, weapon.damage, projectile.shooter, projectile.weaponId, point);
+        }
+        this.splash(projectile.shooter, projectile.weaponId, point, directTarget);
+    }
+
+    /**
+     * An explosion that no projectile caused (a destroyed vehicle's blast)
+     * @param {Object} attacker - Credited with the damage
+     * @param {string} weaponId - Key of weaponConfig.weapons with damage and splashRadius
+     */
+    detonate(attacker, weaponId, point) {
+        const weapon = this.config.weapons[weaponId];
+        this.emit('impact', {
+            projectileId: null,
+            shooter: { kind: attacker.kind, id: attacker.id },
+            weapon: weaponId,
+            point,
+            radius: weapon.splashRadius
+        });
+        this.splash(attacker, weaponId, point, null);
+    }
+
+    /**
+     * Damage falling off with distance to everything in the weapon's splash radius
+     * @param {Object} exclude - Target already hit directly
+     */
+    splash(attacker, weaponId, point, exclude) {
+        const weapon = this.config.weapons[weaponId];
+        const radius = weapon.splashRadius || 0;
+        if (radius <= 0) return;
+
+        const splashTargets = [];
+        for (const player of this.players.values()) {
+            if (!player.mountedVehicle) splashTargets.push({ kind: 'player', id: player.id, entity: player });
+        }
+        const units = this.getUnits();
+        if (units) {
+            for (const unit of units.values()) {
+                if (!unit.vehicle) splashTargets.push({ kind: 'unit', id: unit.id, entity: unit });
+            }
+        }
+        for (const vehicle of this.vehicles.values()) {
+            if (vehicle.chassis) splashTargets.push({ kind: 'vehicle', id: vehicle.id, entity: vehicle });
+        }
+
+        for (const target of splashTargets) {
+            if (exclude && target.kind === exclude.kind && target.id === exclude.id) continue;
+            if (this.getHealth(target) <= 0) continue;
+
+            const d = distance(point, this.getCenter(target));
+            if (d < radius) {
+                this.damage(target, weapon.damage * (1 - d / radius), attacker, weaponId, point);
+            }
+        }
+    }
+
+    // ========================================================================
+    // DAMAGE
+    // ========================================================================
+
+    damage(target, amount, attacker, weaponId, point) {
+        amount = Math.round(amount);
+        if (amount <= 0 || this.getHealth(target) <= 0) return;
+
+        // AI factions don't hurt their own units (or the vehicles they drive)
+        if (attacker.teamId && this.getTeam(target) === attacker.teamId) return;
+
+        const killed = target.entity.applyDamage(amount, point, attacker);
+
+        this.emit('hit', {
+            attacker: this.describe(attacker),
+            target: this.describe(target),
+            weapon: weaponId,
+            damage: amount,
+            health: this.getHealth(target),
+            point
+        });
+
+        if (killed) {
+            this.emit('kill', {
+                killer: this.describe(attacker),
+                victim: this.describe(target),
+                weapon: weaponId
+            });
+        }
+    }
+}
+
+export default WeaponSystem;
@@ -1,20 +1,7 @@
 import { createNoise2D } from 'simplex-noise';
 import { OBJECTS, BIOME_DEFINITIONS } from './Objects.js';
 import { worldConfig } from '../shared/config.js';
-
-// Pseudo-random number generator for deterministic seeding
-function seededRandom(str) {
-    let h = 1779033703 ^ str.length;
-    for (let i = 0; i < str.length; i++) {
-        h = Math.imul(h ^ str.charCodeAt(i), 3432918353);
-        h = h << 13 | h >>> 19;
-    }
-    return function() {
-        h = Math.imul(h ^ (h >>> 16), 2246822507);
-        h = Math.imul(h ^ (h >>> 13), 3266489909);
-        return (h >>> 0) / 4294967296;
-    };
-}
+import { seededRandom, positionRandom } from './SeededRandom.js';
 
 class WorldGenerator {
     constructor(seed = worldConfig.seed, chunkSize = worldConfig.chunkSize, seaLevel = worldConfig.seaLevel) {
@@ -252,10 +239,7 @@ class WorldGenerator {
 
                 // Object Placement
                 if (x < size && z < size && !terrain.isWater) {
-                    const spawnHash = Math.abs(Math.sin(wx * 12.9898 + wz * 78.233) * 43758.5453);
-                    const spawnChance = spawnHash - Math.floor(spawnHash);
-                    
-                    this.spawnBiomeObjects(terrain.biome, wx, terrain.height, wz, spawnChance, data.objects);
+                    this.spawnBiomeObjects(terrain.biome, wx, terrain.height, wz, data.objects);
                 }
             }
         }
@@ -269,35 +253,30 @@ class WorldGenerator {
         }
 
         // Dynamic POI Generation (legacy - kept for basic POI spawning)
-        const poiHash = Math.abs(Math.sin(chunkX * 45.123 + chunkZ * 91.532) * 12345.678);
-        if ((poiHash - Math.floor(poiHash)) > 0.95) {
+        if (positionRandom(this.seed, 'legacy_poi', chunkX, chunkZ)() > 0.95) {
             this.generatePOI(chunkX, chunkZ, data);
         }
 
         return data;
     }
 
-    spawnBiomeObjects(biomeDef, x, y, z, rngVal, objectList) {
+    spawnBiomeObjects(biomeDef, x, y, z, objectList) {
         if (!biomeDef.objects) return;
 
-        for (const entry of biomeDef.objects) {
-            // Normalize rng for this object type? 
-            // Simplified: if rngVal is within a small window
-            // Since we iterate, this treats rngVal as a single dice roll for the tile
-            
-            // Check if rngVal < chance? No, that would spawn everything on low rng tiles.
-            // Use a hash of x,y + objID
-            const objHash = Math.abs(Math.sin(x * 3.1 + z * 8.7 + entry.id.length) * 555.55);
-            const roll = objHash - Math.floor(objHash);
+        // One stream per tile drives the spawn rolls, scale and rotation,
+        // so regenerated chunks match and the seed changes the layout
+        const rng = positionRandom(this.seed, 'object', x, z);
 
-            if (roll < entry.chance) {
+        for (const entry of biomeDef.objects) {
+            // Independent roll per object type, first hit wins
+            if (rng() < entry.chance) {
                 const objDef = OBJECTS[entry.id];
                 if (objDef) {
-                    const scale = objDef.scale.min + (objDef.scale.max - objDef.scale.min) * Math.random();
+                    const scale = objDef.scale.min + (objDef.scale.max - objDef.scale.min) * rng();
                     objectList.push({
                         type: entry.id, // Store key, client looks up props
                         x: x, y: y, z: z,
-                        rot: Math.random() * Math.PI * 2,
+                        rot: rng() * Math.PI * 2,
                         scale: scale
                     });
                     return; // Spawn one object per tile max
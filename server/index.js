@@ -6,13 +6,26 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import NetworkManager from '../shared/NetworkManager.js';
 import ChatSystem from '../shared/ChatSystem.js';
-import { appearanceDefaults, serverConfig, worldConfig } from '../shared/config.js';
+import { accountConfig, aiDriverConfig, appearanceDefaults, behaviorConfig, deathConfig, economyConfig, isDebugOn, persistenceConfig, replicationConfig, serverConfig, streamingConfig, weaponConfig, worldConfig } from '../shared/config.js';
 import WorldGenerator from './WorldGenerator.js';
 import PhysicsSystems from './PhysicsSystems.js';
 import Player from './Player.js';
 import WarDirector from './WarDirector.js';
 import Vehicle from './Vehicle.js';
 import { GeopoliticalMacroLayer, Faction } from './GeopoliticalMacroLayer.js';
+import PersistenceManager from './PersistenceManager.js';
+import AccountManager from './AccountManager.js';
+import ChunkStreamer from './ChunkStreamer.js';
+import ReplicationManager, { EntityKind } from './ReplicationManager.js';
+import WeaponSystem from './WeaponSystem.js';
+import DeathSystem from './DeathSystem.js';
+import VehicleDamageSystem from './VehicleDamageSystem.js';
+import NavigationSystem from './NavigationSystem.js';
+import PerceptionSystem from './PerceptionSystem.js';
+import ReputationSystem from './ReputationSystem.js';
+import ResourceNodeSystem from './ResourceNodeSystem.js';
+import LootSystem from './LootSystem.js';
+import CraftingSystem from './CraftingSystem.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -38,16 +51,30 @@ const TICK_DT = 1000 / TICK_RATE;
 let physicsWorld;
 let worldData; // Store generated world
 let physicsSystems;
+let weaponSystem; // Shots, projectiles and damage
+let deathSystem; // Ragdolls and dropped loot
+let vehicleDamage; // Crash damage, vehicle explosions and wrecks
 let warDirector;
 let generator;
 let geopoliticalLayer; // Geopolitical Macro-Layer (territories, settlements, roads)
-const chunkCache = new Map(); // "x,z" -> ChunkData
+let persistence; // World save/load
+let accounts; // Account logins and session tokens
+let chunkStreamer; // Chunk subscriptions, terrain colliders and chunk cache
+let navigation; // AI ground pathfinding (nav tiles from streamed chunks)
+let perception; // What AI units see and hear
+let reputation; // Player standing with the factions
+let resourceNodes; // Deposits trucks harvest and players mine and claim
+let lootSystem; // Caches in and around POIs
+let craftingSystem; // Workbenches at industrial POIs: crafting and garage repairs
 const players = new Map(); // socketId -> Player Data
 const vehicles = new Map(); // id -> Vehicle
 const physicsHandleMap = new Map(); // handle -> { type, instance }
 const chatSystem = new ChatSystem();
-let lastState = {};
+const replication = new ReplicationManager(replicationConfig); // Per-client snapshots
 let geoTickAccumulator = 0; // For slow geopolitical updates
+let streamTickAccumulator = 0; // For chunk streaming passes
+let aiDebugAccumulator = 0; // For AI_DEBUG packets
+let economyAccumulator = 0; // For ECONOMY packets
 
 async function initPhysics() {
     await RAPIER.init();
@@ -55,6 +82,25 @@ async function initPhysics() {
     console.log('Rapier Physics World Initialized');
 
     physicsSystems = new PhysicsSystems(physicsWorld);
+    weaponSystem = new WeaponSystem(physicsSystems, {
+        players,
+        vehicles,
+        getUnits: () => warDirector ? warDirector.allUnits : null
+    });
+    weaponSystem.onEvent = handleCombatEvent;
+    deathSystem = new DeathSystem(physicsSystems, physicsHandleMap);
+    vehicleDamage = new VehicleDamageSystem(physicsWorld, { vehicles, players }, weaponSystem);
+    vehicleDamage.onWreckRemoved = unregisterVehicle;
+
+    // Load the last saved world (restored once the world systems exist)
+    persistence = new PersistenceManager(
+        PersistenceManager.createStore(persistenceConfig, path.join(__dirname, '../')),
+        worldConfig.seed
+    );
+    await persistence.load();
+
+    accounts = new AccountManager(AccountManager.createStore(accountConfig, path.join(__dirname, '../')));
+    await accounts.load();
 
     // Infinite World Generator
     generator = new WorldGenerator(worldConfig.seed, worldConfig.chunkSize, worldConfig.seaLevel);
@@ -73,6 +119,24 @@ async function initPhysics() {
         console.log('[Server] Terrain stitching connected to WorldGenerator');
     }
 
+    // Same seed must always give the same fingerprint (compare across boots)
+    if (geopoliticalLayer.isInitialized) {
+        const spawnChunkX = Math.floor(worldConfig.spawn.x / worldConfig.chunkSize);
+        const spawnChunkZ = Math.floor(worldConfig.spawn.z / worldConfig.chunkSize);
+        const sampleChunks = [];
+        for (let dz = -1; dz <= 1; dz++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                sampleChunks.push({ x: spawnChunkX + dx, z: spawnChunkZ + dz });
+            }
+        }
+        const fingerprint = geopoliticalLayer.getWorldFingerprint(sampleChunks);
+        console.log(`[Server] World fingerprint for seed '${worldConfig.seed}': ${fingerprint}`);
+    }
+
+    // Server-driven chunk streaming (must exist before players connect)
+    chunkStreamer = new ChunkStreamer(generator, physicsWorld, geopoliticalLayer, streamingConfig);
+    navigation = new NavigationSystem(chunkStreamer, geopoliticalLayer);
+
     // Build world data with geopolitical information for WarDirector
     worldData = {
         pois: [],
@@ -95,8 +159,125 @@ async function initPhysics() {
         console.log(`[Server] Registered ${worldData.pois.length} settlements as POIs`);
     }
 
+    // Reputation with the factions decides who AI units fight
+    const getUnits = () => warDirector ? warDirector.allUnits : null;
+    reputation = new ReputationSystem({
+        players,
+        getUnits,
+        politicalMap: geopoliticalLayer.isInitialized ? geopoliticalLayer.politicalMap : null
+    });
+    reputation.onChange = sendReputation;
+    geopoliticalLayer.on('territoryCapture', (data) => reputation.handleTerritoryCapture(data));
+    perception = new PerceptionSystem(physicsWorld, { players, getUnits, reputation });
+    resourceNodes = new ResourceNodeSystem(geopoliticalLayer.getResourceDeposits(), {
+        world: physicsWorld,
+        physicsHandleMap,
+        players,
+        getUnits,
+        reputation
+    });
+    const getPOIsForChunk = (x, z) => geopoliticalLayer.poiManager ? geopoliticalLayer.poiManager.getPOIsForChunk(x, z, worldConfig.chunkSize) : [];
+    lootSystem = new LootSystem({
+        world: physicsWorld,
+        physicsHandleMap,
+        getPOIsForChunk,
+        reputation
+    });
+    craftingSystem = new CraftingSystem({
+        world: physicsWorld,
+        physicsHandleMap,
+        getPOIsForChunk,
+        players,
+        vehicles,
+        deathSystem,
+        reputation
+    });
+    craftingSystem.onCrafted = (player, recipe, items, dropped) => {
+        player.socket.emit(NetworkManager.Packet.CRAFTED, { name: recipe.name, items, dropped });
+    };
+    // Caches and workbenches appear with their POI's chunks and lose their colliders when the chunk is evicted
+    chunkStreamer.onChunkGenerated = (x, z) => {
+        lootSystem.onChunkGenerated(x, z);
+        craftingSystem.onChunkGenerated(x, z);
+    };
+    chunkStreamer.onChunkEvicted = (x, z) => {
+        lootSystem.onChunkEvicted(x, z);
+        craftingSystem.onChunkEvicted(x, z);
+    };
+
     // Init War Director with geopolitical data
-    warDirector = new WarDirector(physicsWorld, worldData, physicsSystems, generator);
+    warDirector = new WarDirector(physicsWorld, worldData, physicsSystems, generator, weaponSystem, navigation, perception, resourceNodes);
+    warDirector.onUnitKilled = handleUnitDeath;
+
+    // AI tanks, trucks and helicopters drive real vehicles: replicated, damaged and enterable like any other
+    warDirector.onVehicleSpawned = registerVehicle;
+    warDirector.getVehicles().forEach(registerVehicle);
+
+    // Restore saved territories, faction resources, resource nodes, loot caches and vehicles
+    persistence.restoreWorld({ geopoliticalLayer, warDirector, resourceNodes, lootSystem });
+    restoreVehicles(persistence.getSavedVehicles());
+}
+
+// Register ALL vehicle parts (Chassis + Wheels) for interaction
+function registerVehicle(v) {
+    const registerVehicleBody = (body) => {
+        if (!body) return;
+        physicsHandleMap.set(body.handle, { type: 'VEHICLE', instance: v });
+
+        // Also register each collider handle in case raycasts report collider handles
+        // instead of body handles (Rapier can return either depending on API).
+        const colliderCount = body.numColliders ? body.numColliders() : 0;
+        for (let i = 0; i < colliderCount; i++) {
+            const colliderHandle = body.collider(i);
+            physicsHandleMap.set(colliderHandle, { type: 'VEHICLE', instance: v });
+        }
+    };
+
+    if (v.bodies) {
+        v.bodies.forEach(registerVehicleBody);
+    } else {
+        // Fallback
+        registerVehicleBody(v.chassis);
+    }
+
+    vehicleDamage.watch(v);
+    vehicles.set(v.id, v);
+}
+
+function unregisterVehicle(v) {
+    v.bodies.forEach(body => {
+        physicsHandleMap.delete(body.handle);
+        const colliderCount = body.numColliders ? body.numColliders() : 0;
+        for (let i = 0; i < colliderCount; i++) {
+            physicsHandleMap.delete(body.collider(i));
+        }
+    });
+}
+
+function restoreVehicles(savedVehicles) {
+    let restored = 0;
+    for (const data of savedVehicles) {
+        try {
+            const v = new Vehicle(data.id, data.type, physicsWorld, { x: data.x, y: data.y, z: data.z });
+            v.applySnapshot(data);
+            registerVehicle(v);
+            restored++;
+        } catch (e) {
+            console.error(`[Persistence] Failed to restore vehicle ${data.id}`, e);
+        }
+    }
+    if (restored > 0) {
+        console.log(`[Persistence] Restored ${restored} vehicles`);
+    }
+}
+
+/**
+ * @param {boolean} final - Shutting down: wait for a save in progress, then save once more
+ */
+function saveWorld(final = false) {
+    if (!persistence) return Promise.resolve(false);
+    const context = { players, vehicles, geopoliticalLayer, warDirector, resourceNodes, lootSystem };
+    return final ? persistence.saveFinal(context) : persistence.save(context);
 }
 
 // Entity Factory - Handled by Player class now
@@ -104,172 +285,88 @@ async function initPhysics() {
 io.on('connection', (socket) => {
     console.log('Player connected:', socket.id);
 
-    // Init player
-    if (physicsWorld) {
-        // Try to spawn player near a random roadside POI
-        let spawnX = worldConfig.spawn.x;
-        let spawnZ = worldConfig.spawn.z;
-        let spawnY = worldConfig.spawn.fallbackHeight;
-
-        // Try to get a roadside POI spawn location
-        if (geopoliticalLayer && geopoliticalLayer.isInitialized) {
-            const roadsidePOI = geopoliticalLayer.getRandomRoadsidePOI();
-            if (roadsidePOI) {
-                spawnX = roadsidePOI.x;
-                spawnZ = roadsidePOI.z;
-                // Add small offset from the POI so player doesn't spawn inside it
-                const offsetAngle = Math.random() * Math.PI * 2;
-                const offsetDist = 10 + Math.random() * 15; // 10-25 units away
-                spawnX += Math.cos(offsetAngle) * offsetDist;
-                spawnZ += Math.sin(offsetAngle) * offsetDist;
-                console.log(`[Spawn] Player ${socket.id} spawning near ${roadsidePOI.poiName} at (${spawnX.toFixed(0)}, ${spawnZ.toFixed(0)})`);
-            }
+    // Nothing is spawned until the socket has authenticated (AUTH) and sent 'join'
+    let account = null; // { name, token }
+    let authPending = false; // Password hashing is async; one attempt at a time
+    let failedAuthAttempts = 0;
+
+    socket.on(NetworkManager.Packet.AUTH, async (data) => {
+        if (!accounts || account || authPending) return;
+
+        // Dropped client coming back with the token from its LOGIN: straight back into its player
+        const held = data && data.reconnectToken ? findPlayerByReconnectToken(data.reconnectToken) : null;
+        if (held) {
+            account = { name: held.data.username, token: null };
+            socket.emit(NetworkManager.Packet.AUTH_RESULT, { success: true, username: account.name, resumed: true });
+            joinPlayer(socket, account, held.data);
+            return;
         }
 
-        // Calculate spawn height from terrain
-        if (generator) {
-            spawnY = generator.getGroundHeight(spawnX, spawnZ) + worldConfig.spawn.clearanceAboveGround;
+        // A reconnecting client presents its session token instead of the password
+        authPending = true;
+        let result;
+        if (data && data.token) {
+            result = accounts.resume(data.token);
+        } else if (data && data.username) {
+            result = await accounts.login(data.username, data.password);
+        } else {
+            result = { success: false, reason: 'Session expired' };
+        }
+        authPending = false;
+        if (!socket.connected) return;
+
+        if (!result.success) {
+            failedAuthAttempts++;
+            socket.emit(NetworkManager.Packet.AUTH_RESULT, { success: false, reason: result.reason });
+            if (failedAuthAttempts >= accountConfig.maxAuthAttempts) {
+                console.warn(`[Accounts] Too many failed logins from ${socket.id}, disconnecting`);
+                socket.disconnect(true);
+            }
+            return;
         }
 
-        const player = new Player(
-            socket,
-            physicsWorld,
-            { x: spawnX, y: spawnY, z: spawnZ },
-            physicsSystems,
-            physicsHandleMap,
-            vehicles
-        );
-        players.set(socket.id, player);
-
-        // Send initial state (No world data, client requests chunks)
-        socket.emit(NetworkManager.Packet.LOGIN, {
-            id: socket.id,
-            state: serializeState(),
-            geopolitical: geopoliticalLayer ? geopoliticalLayer.serializeOverview() : null
+        account = { name: result.name, token: result.token };
+        console.log(`[Accounts] ${socket.id} authenticated as ${account.name}`);
+        socket.emit(NetworkManager.Packet.AUTH_RESULT, {
+            success: true,
+            username: account.name,
+            token: account.token,
+            created: !!result.created
         });
-    }
+    });
 
     socket.on('join', (data) => {
-        if (players.has(socket.id)) {
-            const p = players.get(socket.id);
-            p.data.username = data.username.substring(0, 12); 
-            p.data.hairColor = data.hairColor || appearanceDefaults.hairColor;
-            p.data.skinColor = data.skinColor || appearanceDefaults.skinColor;
-            p.data.outfit = data.outfit || appearanceDefaults.outfit;
-            p.data.hairStyle = data.hairStyle || appearanceDefaults.hairStyle;
-            console.log(`Player ${socket.id} joined as ${p.data.username} with outfit ${p.data.outfit}`);
+        if (!account) {
+            socket.emit(NetworkManager.Packet.AUTH_RESULT, { success: false, reason: 'Not authenticated' });
+            return;
         }
+        if (!physicsWorld || players.has(socket.id)) return;
+
+        joinPlayer(socket, account, data || {});
     });
 
     socket.on(NetworkManager.Packet.CHUNK_REQUEST, (chunks) => {
-        // Expects array of { x, z }
-        if (Array.isArray(chunks)) {
-            chunks.forEach(c => {
-                const key = `${c.x},${c.z}`;
-                let chunkData;
-
-                if (!chunkCache.has(key)) {
-                    // Generate Logic
-                    chunkData = generator.generateChunk(c.x, c.z);
-
-                    // Add geopolitical POIs to chunk
-                    if (geopoliticalLayer && geopoliticalLayer.isInitialized) {
-                        const geoPois = geopoliticalLayer.getPOIsForChunk(
-                            c.x, c.z, worldConfig.chunkSize
-                        );
-                        chunkData.geoPois = geoPois;
-                    }
-                    
-                    // Generate Physics Collider
-                    try {
-                        const size = chunkData.size;
-                        // size is number of segments (32)
-                        // Vertices grid is (size+1) * (size+1)
-                        const vRows = size + 1;
-                        const vCols = size + 1;
-                        const heights = chunkData.heightMap;
-                        
-                        const vertices = new Float32Array(vRows * vCols * 3);
-                        const indices = new Uint32Array(size * size * 6); // 2 tris per quad
-
-                        // Build Vertices
-                        for (let z = 0; z < vRows; z++) {
-                            for (let x = 0; x < vCols; x++) {
-                                const idx = z * vCols + x;
-                                const h = isNaN(heights[idx]) ? 0 : heights[idx];
-                                
-                                vertices[idx * 3 + 0] = x;
-                                vertices[idx * 3 + 1] = h;
-                                vertices[idx * 3 + 2] = z;
-                            }
-                        }
-
-                        // Build Indices
-                        let iPtr = 0;
-                        for (let z = 0; z < size; z++) {
-                            for (let x = 0; x < size; x++) {
-                                // Quads indices
-                                const a = z * vCols + x;
-                                const b = z * vCols + (x + 1);
-                                const c = (z + 1) * vCols + x;
-                                const d = (z + 1) * vCols + (x + 1);
-
-                                // Tri 1 (a-c-b)
-                                indices[iPtr++] = a;
-                                indices[iPtr++] = c;
-                                indices[iPtr++] = b;
-
-                                // Tri 2 (b-c-d)
-                                indices[iPtr++] = b;
-                                indices[iPtr++] = c;
-                                indices[iPtr++] = d;
-                            }
-                        }
-
-                        // Create Trimesh
-                        const colliderDesc = RAPIER.ColliderDesc.trimesh(vertices, indices);
-
-                        // Body Position (Corner of chunk)
-                        // Trimesh coords are 0..32 local.
-                        // So body placed at chunk start coordinates.
-                        const bx = c.x * size;
-                        const bz = c.z * size;
-                        
-                        const bodyDesc = RAPIER.RigidBodyDesc.fixed()
-                            .setTranslation(bx, 0, bz);
-                        
-                        const body = physicsWorld.createRigidBody(bodyDesc);
-                        physicsWorld.createCollider(colliderDesc, body);
-                        
-                        chunkData.physicsBody = body; 
-                        // console.log(`Generated physics for chunk ${key}`);
-                        
-                    } catch (e) {
-                        console.error(`Failed to generate physics for chunk ${key}`, e);
-                    }
-
-                    chunkCache.set(key, chunkData);
-                } else {
-                    chunkData = chunkCache.get(key);
-                }
-                
-                // Don't send the physics body object to client
-                const { physicsBody, ...netData } = chunkData;
-                socket.emit(NetworkManager.Packet.CHUNK_DATA, netData);
-            });
-        }
+        // Chunks are pushed by the streamer; explicit requests are only served
+        // inside the player's interest area and are rate-limited
+        if (chunkStreamer) chunkStreamer.handleRequest(socket.id, chunks);
     });
 
+    // Snapshot delta protocol: acks move the client's baseline, RESYNC forces a keyframe
+    socket.on(NetworkManager.Packet.SNAPSHOT_ACK, (seq) => replication.acknowledge(socket.id, seq));
+    socket.on(NetworkManager.Packet.RESYNC, () => replication.requestResync(socket.id));
+
     socket.on(NetworkManager.Packet.ACTION, (data) => {
         if (players.has(socket.id)) {
             const p = players.get(socket.id);
-            // Process inputs using Player class logic
-            // data.input should contain { moveDir, viewDir, jump, interact }
-            p.update(TICK_DT / 1000, data.input); 
+            // Queued; gameLoop applies one input per player per tick
+            // data.input should contain { seq, x, y, viewDir, jump, interact }
+            p.queueInput(data && data.input);
         }
     });
 
     socket.on(NetworkManager.Packet.CHAT, (data) => {
+        if (!players.has(socket.id) || !data || typeof data.content !== 'string') return;
+
         // Command Handling
         if (data.content.startsWith('/spawnvehicle')) {
             const parts = data.content.split(' ');
@@ -283,28 +380,7 @@ io.on('connection', (socket) => {
                     
                     const vId = `veh_${Date.now()}`;
                     const v = new Vehicle(vId, type, physicsWorld, spawnPos);
-                    vehicles.set(vId, v);
-                    
-                    // Register ALL vehicle parts (Chassis + Wheels) for interaction
-                    const registerVehicleBody = (body) => {
-                        if (!body) return;
-                        physicsHandleMap.set(body.handle, { type: 'VEHICLE', instance: v });
-
-                        // Also register each collider handle in case raycasts report collider handles
-                        // instead of body handles (Rapier can return either depending on API).
-                        const colliderCount = body.numColliders ? body.numColliders() : 0;
-                        for (let i = 0; i < colliderCount; i++) {
-                            const colliderHandle = body.collider(i);
-                            physicsHandleMap.set(colliderHandle, { type: 'VEHICLE', instance: v });
-                        }
-                    };
-
-                    if (v.bodies) {
-                        v.bodies.forEach(registerVehicleBody);
-                    } else {
-                        // Fallback
-                        registerVehicleBody(v.chassis);
-                    }
+                    registerVehicle(v);
                     
                     // Feedback
                     const msg = chatSystem.addMessage('SYSTEM', 'SERVER', `Spawned ${type} at ${spawnPos.x.toFixed(1)}, ${spawnPos.z.toFixed(1)}`, null);
@@ -314,11 +390,7 @@ io.on('connection', (socket) => {
             return;
         }
 
-        let senderName = socket.id;
-        if (players.has(socket.id)) {
-            const p = players.get(socket.id);
-            senderName = p.data.username || socket.id;
-        }
+        const senderName = players.get(socket.id).data.username || socket.id;
 
         const msg = chatSystem.addMessage(data.type, senderName, data.content, data.teamId);
         // Broadcast chat to relevant scope
@@ -330,17 +402,394 @@ io.on('connection', (socket) => {
 
     socket.on(NetworkManager.Packet.ENTER_VEHICLE, (data) => handleVehicleEntry(socket, data));
 
+    // Join a faction ({ faction }) or leave it ({ faction: null }); standings follow in REPUTATION
+    socket.on(NetworkManager.Packet.ENLIST, (data) => {
+        const player = players.get(socket.id);
+        if (!player || !reputation) return;
+        const result = data && data.faction ? reputation.enlist(player, data.faction) : reputation.resign(player);
+        socket.emit(NetworkManager.Packet.ENLIST, result);
+    });
+
+    // Inventory actions, checked by Inventory/Player; the new state follows in INVENTORY
+    // Move { from, to, count } between bag slots (index) and equipment slots (name)
+    socket.on(NetworkManager.Packet.ITEM_MOVE, (data) => {
+        const player = players.get(socket.id);
+        if (!player || !data) return;
+        const result = player.isDead() ? { success: false, reason: 'Dead' } : player.inventory.move(data.from, data.to, data.count);
+        socket.emit(NetworkManager.Packet.ITEM_MOVE, result);
+    });
+
+    // Drop { slot, count } on the ground as a loot container
+    socket.on(NetworkManager.Packet.ITEM_DROP, (data) => {
+        const player = players.get(socket.id);
+        if (!player || !data) return;
+        const result = player.isDead() ? { success: false, reason: 'Dead' } : player.inventory.drop(data.slot, data.count);
+        if (result.success) {
+            const t = player.rigidBody.translation();
+            deathSystem.dropLoot({ x: t.x, y: t.y, z: t.z }, result.items, player.data.username || player.id);
+        }
+        socket.emit(NetworkManager.Packet.ITEM_DROP, { success: result.success, reason: result.reason });
+    });
+
+    // Use { slot }: a consumable's effect
+    socket.on(NetworkManager.Packet.ITEM_USE, (data) => {
+        const player = players.get(socket.id);
+        if (!player || !data) return;
+        socket.emit(NetworkManager.Packet.ITEM_USE, player.useItem(data.slot));
+    });
+
+    // Take { containerId, index } from a POI cache (index left out: everything)
+    socket.on(NetworkManager.Packet.LOOT_TAKE, (data) => {
+        const player = players.get(socket.id);
+        if (!player || !lootSystem || !data) return;
+        const index = Number.isInteger(data.index) ? data.index : null;
+        const result = lootSystem.take(player, data.containerId, index);
+        if (!result.success) socket.emit(NetworkManager.Packet.LOOT_TAKE, { success: false, reason: result.reason });
+        // Took one item: the menu shows what is left
+        else if (index !== null) socket.emit(NetworkManager.Packet.INTERACT_MENU, lootSystem.getMenu(result.cache));
+    });
+
+    // Queue { stationId, recipeId } at a workbench; the menu comes back with the new queue
+    socket.on(NetworkManager.Packet.CRAFT, (data) => {
+        const player = players.get(socket.id);
+        if (!player || !craftingSystem || !data) return;
+        const result = craftingSystem.craft(player, data.stationId, data.recipeId);
+        socket.emit(NetworkManager.Packet.CRAFT, { success: result.success, reason: result.reason });
+        if (result.station && result.success) socket.emit(NetworkManager.Packet.INTERACT_MENU, craftingSystem.getMenu(result.station, player));
+    });
+
+    // Repair { stationId }: parts used on the vehicle parked at a garage
+    socket.on(NetworkManager.Packet.VEHICLE_REPAIR, (data) => {
+        const player = players.get(socket.id);
+        if (!player || !craftingSystem || !data) return;
+        const result = craftingSystem.repair(player, data.stationId);
+        if (!result.success) {
+            socket.emit(NetworkManager.Packet.VEHICLE_REPAIR, { success: false, reason: result.reason });
+            return;
+        }
+        socket.emit(NetworkManager.Packet.VEHICLE_REPAIR, { success: true, vehicleType: result.vehicle.type, parts: result.parts });
+        socket.emit(NetworkManager.Packet.INTERACT_MENU, craftingSystem.getMenu(result.station, player));
+    });
+
+    // Debug overlay: which behavior tree node each nearby AI unit is running
+    socket.on(NetworkManager.Packet.AI_DEBUG, (enabled) => {
+        if (!isDebugOn || !players.has(socket.id)) return;
+        players.get(socket.id).aiDebug = enabled === true;
+    });
+
     socket.on('disconnect', () => {
         console.log('Player disconnected:', socket.id);
         if (players.has(socket.id)) {
             const p = players.get(socket.id);
-            p.dismountVehicle();
-            physicsWorld.removeRigidBody(p.rigidBody);
-            players.delete(socket.id);
+            if (accountConfig.reconnectGracePeriod > 0) {
+                // Keep the player (and their seat) around in case this was a blip
+                p.suspend();
+                console.log(`[Accounts] Holding ${p.data.username} for ${accountConfig.reconnectGracePeriod / 1000}s`);
+            } else {
+                removePlayer(p);
+            }
         }
+        if (chunkStreamer) chunkStreamer.removeSubscriber(socket.id);
+        replication.removeClient(socket.id);
     });
 });
 
+/**
+ * Put an authenticated socket into the world.
+ * If the account already has a Player (stale tab, dropped connection) the new
+ * socket takes it over instead of spawning a second capsule.
+ * @param {Object} account - { name, token } from AccountManager
+ * @param {Object} appearance - 'join' payload (hairColor, skinColor, outfit, hairStyle)
+ */
+function joinPlayer(socket, account, appearance) {
+    let player = findPlayerByUsername(account.name);
+
+    if (player) {
+        const previousSocket = player.socket;
+        players.delete(previousSocket.id);
+        if (chunkStreamer) chunkStreamer.removeSubscriber(previousSocket.id);
+        replication.removeClient(previousSocket.id);
+
+        player.attachSocket(socket);
+
+        // The old connection may not have noticed it is dead yet
+        if (previousSocket.connected) {
+            previousSocket.emit(NetworkManager.Packet.AUTH_RESULT, {
+                success: false,
+                reason: 'Logged in from another connection',
+                takenOver: true
+            });
+            previousSocket.disconnect(true);
+        }
+        console.log(`[Accounts] ${account.name} resumed on ${socket.id} (was ${previousSocket.id})`);
+    } else {
+        player = new Player(socket, physicsWorld, findSpawnPosition(socket.id), physicsSystems, physicsHandleMap, vehicles, weaponSystem, resourceNodes, lootSystem, craftingSystem);
+        player.data.username = account.name;
+        restorePlayerRecord(player);
+    }
+
+    player.data.hairColor = appearance.hairColor || appearanceDefaults.hairColor;
+    player.data.skinColor = appearance.skinColor || appearanceDefaults.skinColor;
+    player.data.outfit = appearance.outfit || appearanceDefaults.outfit;
+    player.data.hairStyle = appearance.hairStyle || appearanceDefaults.hairStyle;
+
+    player.reconnectToken = accounts.createToken();
+    players.set(socket.id, player);
+    console.log(`Player ${socket.id} joined as ${player.data.username} with outfit ${player.data.outfit}`);
+
+    chunkStreamer.addSubscriber(socket.id, socket);
+    chunkStreamer.setSubscriberPosition(socket.id, player.data.position);
+
+    // Everything else arrives through ENTITY_ENTER once replication sees it
+    replication.addClient(socket.id, socket);
+    const state = { timestamp: Date.now(), players: {}, units: {}, vehicles: {} };
+    state.players[socket.id] = serializePlayer(player);
+
+    // Send initial state (No world data, chunks are streamed by the server)
+    socket.emit(NetworkManager.Packet.LOGIN, {
+        id: socket.id,
+        username: account.name,
+        reconnectToken: player.reconnectToken,
+        state,
+        geopolitical: geopoliticalLayer ? geopoliticalLayer.serializeOverview() : null,
+        economy: warDirector ? warDirector.treasury.getSummary() : null
+    });
+
+    sendReputation(player);
+    sendInventory(player);
+
+    // Took over a player that is waiting to respawn: back to the death screen
+    if (player.isDead()) {
+        socket.emit(NetworkManager.Packet.DEATH, { killer: null, weapon: null, respawnIn: Math.max(0, player.respawnAt - Date.now()) });
+    }
+}
+
+/**
+ * Standings with every faction for the reputation panel
+ * @param {Object} update - What changed ({ reason, changes }), null on join
+ */
+function sendReputation(player, update = null) {
+    player.socket.emit(NetworkManager.Packet.REPUTATION, { ...reputation.getStandings(player), update });
+}
+
+/**
+ * Bag, equipment and weight for the inventory window
+ */
+function sendInventory(player) {
+    player.inventory.changed = false;
+    player.socket.emit(NetworkManager.Packet.INVENTORY, player.inventory.getState());
+}
+
+function findPlayerByReconnectToken(token) {
+    if (typeof token !== 'string') return null;
+    for (const player of players.values()) {
+        if (player.reconnectToken === token) return player;
+    }
+    return null;
+}
+
+/**
+ * Take a player out of the world for good (saving their record first)
+ */
+function removePlayer(player) {
+    player.dismountVehicle();
+    if (persistence) persistence.rememberPlayer(player);
+    physicsWorld.removeRigidBody(player.rigidBody);
+    players.delete(player.id);
+}
+
+/**
+ * Drop held players whose reconnect grace period ran out
+ */
+function expireDisconnectedPlayers() {
+    const now = Date.now();
+    for (const player of [...players.values()]) {
+        if (player.disconnectedAt !== null && now - player.disconnectedAt > accountConfig.reconnectGracePeriod) {
+            console.log(`[Accounts] ${player.data.username} did not reconnect, removing`);
+            removePlayer(player);
+        }
+    }
+}
+
+function findPlayerByUsername(username) {
+    for (const player of players.values()) {
+        if (player.data.username === username) return player;
+    }
+    return null;
+}
+
+/**
+ * Spawn point for a new player: near a random roadside POI if there is one
+ */
+function findSpawnPosition(socketId) {
+    let spawnX = worldConfig.spawn.x;
+    let spawnZ = worldConfig.spawn.z;
+    let spawnY = worldConfig.spawn.fallbackHeight;
+
+    // Try to get a roadside POI spawn location
+    if (geopoliticalLayer && geopoliticalLayer.isInitialized) {
+        const roadsidePOI = geopoliticalLayer.getRandomRoadsidePOI();
+        if (roadsidePOI) {
+            spawnX = roadsidePOI.x;
+            spawnZ = roadsidePOI.z;
+            // Add small offset from the POI so player doesn't spawn inside it
+            const offsetAngle = Math.random() * Math.PI * 2;
+            const offsetDist = 10 + Math.random() * 15; // 10-25 units away
+            spawnX += Math.cos(offsetAngle) * offsetDist;
+            spawnZ += Math.sin(offsetAngle) * offsetDist;
+            console.log(`[Spawn] Player ${socketId} spawning near ${roadsidePOI.poiName} at (${spawnX.toFixed(0)}, ${spawnZ.toFixed(0)})`);
+        }
+    }
+
+    // Calculate spawn height from terrain
+    if (generator) {
+        spawnY = generator.getGroundHeight(spawnX, spawnZ) + worldConfig.spawn.clearanceAboveGround;
+    }
+
+    return { x: spawnX, y: spawnY, z: spawnZ };
+}
+
+/**
+ * Respawn point: the settlement of the player's faction nearest to where they
+ * died, or a roadside POI (like a new player) if their faction owns none
+ */
+function findRespawnPosition(player) {
+    const settlements = geopoliticalLayer ? geopoliticalLayer.getFactionSettlements(player.data.faction) : [];
+    if (settlements.length === 0) return findSpawnPosition(player.id);
+
+    const t = player.rigidBody.translation();
+    let nearest = null;
+    let nearestDistSq = Infinity;
+    for (const settlement of settlements) {
+        const dx = settlement.position.x - t.x;
+        const dz = settlement.position.z - t.z;
+        const distSq = dx * dx + dz * dz;
+        if (distSq < nearestDistSq) {
+            nearestDistSq = distSq;
+            nearest = settlement;
+        }
+    }
+
+    const { min, max } = deathConfig.respawnOffset;
+    const angle = Math.random() * Math.PI * 2;
+    const dist = min + Math.random() * (max - min);
+    const x = nearest.position.x + Math.cos(angle) * dist;
+    const z = nearest.position.z + Math.sin(angle) * dist;
+    const y = generator
+        ? generator.getGroundHeight(x, z) + worldConfig.spawn.clearanceAboveGround
+        : worldConfig.spawn.fallbackHeight;
+
+    console.log(`[Spawn] ${player.data.username} respawning at ${player.data.faction} settlement ${nearest.id}`);
+    return { x, y, z };
+}
+
+/**
+ * Resume a player at their last saved position with the saved inventory
+ */
+function restorePlayerRecord(player) {
+    const record = persistence ? persistence.getPlayerRecord(player.data.username) : null;
+    if (!record) return;
+
+    const restored = { ...record };
+    if (record.position && generator) {
+        // Terrain may have changed under the saved position; never restore underground
+        const ground = generator.getGroundHeight(record.position.x, record.position.z);
+        restored.position = {
+            ...record.position,
+            y: Math.max(record.position.y, ground + worldConfig.spawn.clearanceAboveGround)
+        };
+    }
+    player.restore(restored);
+    console.log(`[Persistence] Restored ${player.data.username} at (${player.data.position.x.toFixed(0)}, ${player.data.position.z.toFixed(0)})`);
+}
+
+/**
+ * Forward WeaponSystem events: effects go to clients near the action,
+ * kills go to everyone for the kill feed
+ */
+function handleCombatEvent(type, event) {
+    // AI units hear shots and explosions and remember who attacked them
+    perception.handleCombatEvent(type, event);
+    reputation.handleCombatEvent(type, event);
+
+    switch (type) {
+        case 'fire':
+            emitNear(NetworkManager.Packet.WEAPON_FIRED, event, event.origin);
+            break;
+        case 'impact':
+            emitNear(NetworkManager.Packet.WEAPON_IMPACT, event, event.point);
+            break;
+        case 'hit': {
+            // Attacker and victim always hear about it (hit marker, damage flash)
+            const involved = [event.attacker, event.target].filter(ref => ref.kind === 'player').map(ref => ref.id);
+            emitNear(NetworkManager.Packet.HIT, event, event.point, involved);
+            break;
+        }
+        case 'kill':
+            players.forEach(p => p.socket.emit(NetworkManager.Packet.KILL, event));
+            // Dead AI units are cleaned up by WarDirector (handleUnitDeath)
+            if (event.victim.kind === 'player' && players.has(event.victim.id)) {
+                killPlayer(players.get(event.victim.id), event);
+            }
+            break;
+    }
+}
+
+/**
+ * Player died: ragdoll and loot in their place, death screen until the respawn timer runs out
+ * @param {Object} event - WeaponSystem 'kill' event { killer, victim, weapon }
+ */
+function killPlayer(player, event) {
+    if (player.isDead()) return;
+
+    const t = player.rigidBody.translation();
+    const velocity = player.getVelocity();
+    const name = player.data.username || player.id;
+
+    player.die(Date.now() + deathConfig.respawnDelay);
+    deathSystem.spawnRagdoll({ x: t.x, y: t.y + 1.0, z: t.z }, velocity, name);
+    deathSystem.dropLoot({ x: t.x, y: t.y, z: t.z }, player.takeInventory(), name);
+
+    player.socket.emit(NetworkManager.Packet.DEATH, {
+        killer: event.killer,
+        weapon: event.weapon,
+        respawnIn: deathConfig.respawnDelay
+    });
+}
+
+function respawnPlayers() {
+    const now = Date.now();
+    players.forEach(p => {
+        if (!p.isDead() || now < p.respawnAt) return;
+        const position = findRespawnPosition(p);
+        p.respawn(position);
+        p.socket.emit(NetworkManager.Packet.RESPAWN, { position });
+    });
+}
+
+/**
+ * WarDirector is about to remove a dead unit: leave a ragdoll (infantry) and its loot
+ */
+function handleUnitDeath(unit) {
+    const t = unit.rigidBody.translation();
+    const name = `${unit.teamId} ${unit.type}`;
+    if (unit.type === 'SOLDIER') {
+        deathSystem.spawnRagdoll({ x: t.x, y: t.y, z: t.z }, unit.getVelocity(), name);
+    }
+    // Soldier capsules are centred on the body, 1m above the feet
+    deathSystem.dropLoot({ x: t.x, y: t.y - 1.0, z: t.z }, unit.inventory, name);
+}
+
+function emitNear(packet, payload, position, alwaysIds = []) {
+    const radiusSq = weaponConfig.eventRadius * weaponConfig.eventRadius;
+    players.forEach((p, id) => {
+        const t = p.rigidBody.translation();
+        const dx = t.x - position.x;
+        const dz = t.z - position.z;
+        if (dx * dx + dz * dz <= radiusSq || alwaysIds.includes(id)) p.socket.emit(packet, payload);
+    });
+}
+
 function handleVehicleEntry(socket, payload) {
     const { vehicleId, seat } = payload || {};
     if (!vehicleId || seat === undefined) return;
@@ -353,6 +802,31 @@ function handleVehicleEntry(socket, payload) {
     const seatIndex = Number(seat);
     if (Number.isNaN(seatIndex) || seatIndex < 0 || seatIndex >= vehicle.seats.length) return;
 
+    if (vehicle.wrecked) {
+        socket.emit(NetworkManager.Packet.VEHICLE_MOUNTED, {
+            success: false,
+            reason: 'Vehicle destroyed',
+            vehicleId,
+            seat: seatIndex
+        });
+        return;
+    }
+
+    // Hijack: an AI driver is pulled out if the vehicle (nearly) stands still
+    if (seatIndex === 0 && vehicle.aiDriver && vehicle.seats[0] === vehicle.aiDriver.id) {
+        const v = vehicle.chassis.linvel();
+        if (Math.hypot(v.x, v.y, v.z) > aiDriverConfig.hijackSpeed) {
+            socket.emit(NetworkManager.Packet.VEHICLE_MOUNTED, {
+                success: false,
+                reason: 'Vehicle moving',
+                vehicleId,
+                seat: seatIndex
+            });
+            return;
+        }
+        warDirector.ejectDriver(vehicle);
+    }
+
     // Seat already taken by someone else
     if (vehicle.seats[seatIndex] && vehicle.seats[seatIndex] !== socket.id) {
         socket.emit(NetworkManager.Packet.VEHICLE_MOUNTED, {
@@ -379,39 +853,45 @@ function handleVehicleEntry(socket, payload) {
     });
 }
 
-function serializeState() {
-    const state = {
-        timestamp: Date.now(),
-        players: {},
-        units: {}, // Add AI Units
-        vehicles: {}
+function serializePlayer(p) {
+    const t = p.rigidBody.translation();
+    // No rotation for capsule usually needed for rendering except viewDir
+    // But for consistency let's send what we have or just position
+    return {
+        x: Number(t.x.toFixed(3)),
+        y: Number(t.y.toFixed(3)),
+        z: Number(t.z.toFixed(3)),
+        // Add other props like health, faction for UI
+        hp: p.data.health,
+        dead: p.isDead(),
+        faction: p.data.faction,
+        hairColor: p.data.hairColor,
+        skinColor: p.data.skinColor,
+        outfit: p.data.outfit,
+        hairStyle: p.data.hairStyle,
+        username: p.data.username,
+        mountedVehicle: p.mountedVehicle
     };
-    
+}
+
+/**
+ * Every replicated entity this tick, with its position and relevance tier
+ * @returns {Array} [{ kind, id, tier, position, data }]
+ */
+function collectEntities() {
+    const entities = [];
+
     players.forEach((p, id) => {
-        const t = p.rigidBody.translation();
-        // No rotation for capsule usually needed for rendering except viewDir
-        // But for consistency let's send what we have or just position
-        state.players[id] = {
-            x: Number(t.x.toFixed(3)),
-            y: Number(t.y.toFixed(3)),
-            z: Number(t.z.toFixed(3)),
-            // Add other props like health, faction for UI
-            hp: p.data.health,
-            faction: p.data.faction,
-            hairColor: p.data.hairColor,
-            skinColor: p.data.skinColor,
-            outfit: p.data.outfit,
-            hairStyle: p.data.hairStyle,
-            username: p.data.username,
-            mountedVehicle: p.mountedVehicle
-        };
+        const data = serializePlayer(p);
+        entities.push({ kind: EntityKind.PLAYER, id, tier: 'character', position: data, data });
     });
-    
+
     if (warDirector) {
         warDirector.allUnits.forEach((u, id) => {
+            if (u.vehicle) return; // Replicated as its vehicle (same id)
             const t = u.rigidBody.translation();
             const r = u.rigidBody.rotation();
-            state.units[id] = {
+            const data = {
                 type: u.type,
                 teamId: u.teamId,
                 x: Number(t.x.toFixed(3)),
@@ -422,14 +902,110 @@ function serializeState() {
                 qz: Number(r.z.toFixed(3)),
                 qw: Number(r.w.toFixed(3))
             };
+            const tier = u.type === 'SOLDIER' ? 'character' : 'vehicle';
+            entities.push({ kind: EntityKind.UNIT, id, tier, position: data, data });
         });
     }
 
     vehicles.forEach((v, id) => {
-        state.vehicles[id] = v.toJSON();
+        const data = v.toJSON();
+        const tier = v.type === 'HELICOPTER' ? 'aircraft' : 'vehicle';
+        entities.push({ kind: EntityKind.VEHICLE, id, tier, position: data, data });
+    });
+
+    deathSystem.ragdolls.forEach((r, id) => {
+        const data = deathSystem.serializeRagdoll(r);
+        entities.push({ kind: EntityKind.RAGDOLL, id, tier: 'character', position: data, data });
     });
 
-    return state;
+    deathSystem.lootContainers.forEach((c, id) => {
+        const data = deathSystem.serializeLoot(c);
+        entities.push({ kind: EntityKind.LOOT, id, tier: 'character', position: data, data });
+    });
+
+    lootSystem.active.forEach(cache => {
+        const data = lootSystem.serializeCache(cache);
+        entities.push({ kind: EntityKind.CACHE, id: cache.id, tier: 'character', position: data, data });
+    });
+
+    craftingSystem.active.forEach(station => {
+        const data = craftingSystem.serializeStation(station);
+        entities.push({ kind: EntityKind.STATION, id: station.id, tier: 'character', position: data, data });
+    });
+
+    // Only nodes near a player are active, the rest can't be seen anyway
+    resourceNodes.active.forEach(node => {
+        const data = resourceNodes.serializeNode(node);
+        entities.push({ kind: EntityKind.RESOURCE, id: node.id, tier: 'vehicle', position: data, data });
+    });
+
+    return entities;
+}
+
+/**
+ * Where each client is looking from, plus what it must always receive
+ * (its own avatar and the vehicle it sits in)
+ */
+function collectViewers() {
+    const viewers = new Map();
+
+    players.forEach((p, id) => {
+        const alwaysRelevant = new Set([`${EntityKind.PLAYER}:${id}`]);
+        if (p.mountedVehicle) {
+            alwaysRelevant.add(`${EntityKind.VEHICLE}:${p.mountedVehicle.vehicleId}`);
+        }
+        viewers.set(id, { position: p.rigidBody.translation(), alwaysRelevant });
+    });
+
+    return viewers;
+}
+
+function updateChunkStreaming() {
+    // Players come first so they get the generation budget before AI units
+    const anchors = [];
+
+    players.forEach((p, id) => {
+        const position = p.rigidBody.translation();
+        chunkStreamer.setSubscriberPosition(id, position);
+        anchors.push({ id: `player_${id}`, position });
+    });
+
+    vehicles.forEach((v, id) => {
+        if (v.chassis) anchors.push({ id: `vehicle_${id}`, position: v.chassis.translation() });
+    });
+
+    if (warDirector) {
+        warDirector.allUnits.forEach((u, id) => {
+            anchors.push({ id: `unit_${id}`, position: u.rigidBody.translation() });
+        });
+    }
+
+    chunkStreamer.update(anchors);
+}
+
+/**
+ * Behavior tree debug info for the AI units around each player who asked for it
+ */
+function sendAIDebug() {
+    players.forEach(p => {
+        if (!p.aiDebug) return;
+        const pos = p.rigidBody.translation();
+        const units = [];
+        warDirector.allUnits.forEach((u, id) => {
+            const t = u.rigidBody.translation();
+            if (Math.hypot(t.x - pos.x, t.z - pos.z) > behaviorConfig.debugRadius) return;
+            units.push({
+                id,
+                node: u.behaviorNode,
+                role: u.role,
+                squadId: u.squadId,
+                leader: !!u.squad && u.squad.leader === u,
+                order: u.blackboard && u.blackboard.order ? u.blackboard.order.type : null,
+                hp: u.hp
+            });
+        });
+        p.socket.emit(NetworkManager.Packet.AI_DEBUG, units);
+    });
 }
 
 function gameLoop() {
@@ -438,42 +1014,87 @@ function gameLoop() {
 
         const dt = TICK_DT / 1000;
 
+        // Node claims and colliders (before the AI so trucks see fresh state)
+        if (resourceNodes) resourceNodes.update(dt);
+
         // Update War Director (AI)
         if (warDirector) {
             warDirector.updateUnits(dt);
             // We should call tickSlow occasionally, effectively handled via internal counters or separate interval
             // For simplicity:
             if (Math.random() < 0.01) warDirector.tickSlow(dt);
+
+            aiDebugAccumulator += dt;
+            if (isDebugOn && aiDebugAccumulator >= behaviorConfig.debugInterval) {
+                sendAIDebug();
+                aiDebugAccumulator = 0;
+            }
         }
 
         // Update Geopolitical Layer (slow tick - once per second)
         geoTickAccumulator += dt;
         if (geoTickAccumulator >= 1.0 && geopoliticalLayer && geopoliticalLayer.isInitialized) {
-            geopoliticalLayer.update(geoTickAccumulator);
+            const production = geopoliticalLayer.update(geoTickAccumulator);
+            if (warDirector) warDirector.treasury.depositProduction(production);
             geoTickAccumulator = 0;
         }
 
+        // Faction stockpiles for every client's overview
+        economyAccumulator += dt;
+        if (economyAccumulator >= economyConfig.overviewInterval && warDirector) {
+            io.emit(NetworkManager.Packet.ECONOMY, warDirector.treasury.getSummary());
+            economyAccumulator = 0;
+        }
+
+        // Stream chunks and keep terrain colliders under everything that moves
+        streamTickAccumulator += dt;
+        if (streamTickAccumulator >= streamingConfig.updateInterval && chunkStreamer) {
+            updateChunkStreaming();
+            streamTickAccumulator = 0;
+        }
+
+        // Players who dropped and did not come back in time
+        expireDisconnectedPlayers();
+
+        // Respawn timers, ragdoll and loot cleanup, cache refills, finished crafts
+        respawnPlayers();
+        deathSystem.update();
+        lootSystem.update();
+        craftingSystem.update();
+
+        // Apply one queued input per player (drives mounted vehicles too)
+        players.forEach(p => p.processInputQueue(dt));
+
         // Update Vehicles
         vehicles.forEach(v => v.update(dt));
 
-        // Step Physics
-        physicsWorld.step();
+        // Move projectiles (hitscan shots were resolved while applying inputs)
+        weaponSystem.update(dt);
 
-        // Prepare State
-        const currentState = serializeState();
-        
-        // Delta Compression
-        const delta = NetworkManager.getDelta(lastState, currentState);
+        // Step Physics (collecting hard vehicle impacts), then apply crash damage
+        physicsWorld.step(vehicleDamage.eventQueue);
+        vehicleDamage.handleCollisions();
 
-        if (delta) {
-            // Add timestamp for interpolation if not in delta (delta might be partial)
-            delta.timestamp = currentState.timestamp; 
-            
-            // Broadcast
-            io.emit(NetworkManager.Packet.UPDATE, delta);
-        }
+        // Explode vehicles out of health, burn and clear wrecks
+        vehicleDamage.update();
+
+        // Hitbox history for lag-compensated shots
+        weaponSystem.recordHistory(Date.now());
+
+        // Tell each client which of its inputs are applied, for prediction reconciliation
+        players.forEach((p, id) => {
+            if (!p.inputAckPending) return;
+            p.inputAckPending = false;
+            p.socket.volatile.emit(NetworkManager.Packet.INPUT_ACK, p.getInputAck());
+        });
 
-        lastState = currentState;
+        // Inventories changed this tick (pickups, ammo used, item actions)
+        players.forEach(p => {
+            if (p.inventory.changed) sendInventory(p);
+        });
+
+        // Per-client snapshots (interest-filtered, delta-compressed per baseline)
+        replication.replicate(collectEntities(), Date.now(), collectViewers());
     } catch (err) {
         console.error("Game Loop Error:", err);
     }
@@ -484,6 +1105,9 @@ initPhysics().then(() => {
     // 60Hz Loop
     setInterval(gameLoop, TICK_DT);
 
+    // Periodic world snapshots
+    setInterval(saveWorld, persistenceConfig.saveInterval);
+
     const PORT = process.env.PORT || serverConfig.port;
     const HOST = process.env.HOST || serverConfig.host || '0.0.0.0';
 
@@ -498,6 +1122,19 @@ initPhysics().then(() => {
     });
 });
 
+// Save the world before exiting
+let isShuttingDown = false;
+async function shutdown(signal) {
+    if (isShuttingDown) return;
+    isShuttingDown = true;
+    console.log(`Received ${signal}, saving world...`);
+    await saveWorld(true);
+    process.exit(0);
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
 process.on('uncaughtException', (err) => {
     console.error('Uncaught Exception:', err);
 });
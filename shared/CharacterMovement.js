@@ -0,0 +1,81 @@
+/**
+ * CharacterMovement.js - On-foot movement shared by server and client
+ *
+ * The server feeds computeMovement() into Rapier's character controller.
+ * The client runs the same math in stepCharacter() against its terrain
+ * heightmaps to predict its own avatar, then reconciles with the server.
+ */
+
+import { movementConfig } from './config.js';
+
+/**
+ * Fresh movement state (vertical velocity is the only thing carried between steps)
+ */
+export function createMovementState() {
+    return { verticalVelocity: 0 };
+}
+
+/**
+ * Desired displacement for one step, before collision
+ * @param {Object} state - { verticalVelocity }, updated in place
+ * @param {Object} input - { x, y, jump } (x/y are world-space XZ directions)
+ * @param {number} dt - Seconds
+ * @param {boolean} isGrounded - Result of the previous step's ground check
+ * @returns {{x: number, y: number, z: number}}
+ */
+export function computeMovement(state, input, dt, isGrounded, config = movementConfig) {
+    if (input.jump && isGrounded) {
+        state.verticalVelocity = config.jumpStrength;
+    } else if (isGrounded && state.verticalVelocity <= 0) {
+        state.verticalVelocity = config.groundedVelocity; // Keep grounded
+    } else {
+        // Apply Gravity
+        state.verticalVelocity += config.gravity * dt;
+    }
+
+    return {
+        x: (input.x || 0) * config.speed * dt,
+        y: state.verticalVelocity * dt,
+        z: (input.y || 0) * config.speed * dt
+    };
+}
+
+/**
+ * Full step against a heightfield (client prediction).
+ * Mirrors the server's character controller for terrain: no sinking below
+ * the ground, snap-to-ground when walking downhill.
+ * @param {Object} state - { x, y, z, verticalVelocity, grounded }, updated in place
+ * @param {Object} input - { x, y, jump }
+ * @param {number} dt - Seconds
+ * @param {Function} getGroundHeight - (x, z) => height, or null if unknown
+ */
+export function stepCharacter(state, input, dt, getGroundHeight, config = movementConfig) {
+    const movement = computeMovement(state, input, dt, state.grounded, config);
+
+    state.x += movement.x;
+    state.y += movement.y;
+    state.z += movement.z;
+
+    const ground = getGroundHeight(state.x, state.z);
+    if (ground === null || ground === undefined) {
+        state.grounded = false;
+        return state;
+    }
+
+    if (state.y <= ground) {
+        state.y = ground;
+        state.grounded = true;
+    } else if (state.grounded && state.verticalVelocity <= 0 && state.y - ground <= config.snapToGround) {
+        state.y = ground;
+    } else {
+        state.grounded = false;
+    }
+
+    return state;
+}
+
+export default {
+    createMovementState,
+    computeMovement,
+    stepCharacter
+};
@@ -1,19 +1,55 @@
 export default class NetworkManager {
     static Packet = {
+        AUTH: 'auth',
+        AUTH_RESULT: 'auth_result',
         LOGIN: 'login',
         ACTION: 'action',
+        INPUT_ACK: 'input_ack',
         ENTER_VEHICLE: 'enter_vehicle',
         VEHICLE_MOUNTED: 'vehicle_mounted',
         UPDATE: 'update',
+        SNAPSHOT_ACK: 'snapshot_ack',
+        RESYNC: 'resync',
+        ENTITY_ENTER: 'entity_enter',
+        ENTITY_LEAVE: 'entity_leave',
         CHAT: 'chat',
         CHUNK_REQUEST: 'chunk_request',
         CHUNK_DATA: 'chunk_data',
+        CHUNK_UNLOAD: 'chunk_unload',
+        WEAPON_FIRED: 'weapon_fired',
+        WEAPON_IMPACT: 'weapon_impact',
+        HIT: 'hit',
+        KILL: 'kill',
+        DEATH: 'death',
+        RESPAWN: 'respawn',
+        LOOT_TAKEN: 'loot_taken',
         INTERACT_MENU: 'interact_menu',
-        INTERACT_DEBUG: 'interact_debug'
+        INTERACT_DEBUG: 'interact_debug',
+        AI_DEBUG: 'ai_debug',
+        REPUTATION: 'reputation',
+        ENLIST: 'enlist',
+        ECONOMY: 'economy',
+        RESOURCE_MINED: 'resource_mined',
+        INVENTORY: 'inventory',
+        ITEM_MOVE: 'item_move',
+        ITEM_DROP: 'item_drop',
+        ITEM_USE: 'item_use',
+        LOOT_TAKE: 'loot_take',
+        CRAFT: 'craft',
+        CRAFTED: 'crafted',
+        VEHICLE_REPAIR: 'vehicle_repair'
     };
 
+    // JSON delta format version. v2 adds tombstones and treats arrays as values.
+    static DELTA_VERSION = 2;
+
+    // Key listing the properties removed at that level of a delta (tombstones)
+    static DELETED_KEY = '$deleted';
+
     /**
      * Compares oldState and newState and returns an object containing only the differences.
+     * - Keys missing from newState are listed in delta[DELETED_KEY]
+     * - Arrays are compared by value and replaced whole
      * @param {Object} oldState 
      * @param {Object} newState 
      * @returns {Object|null} Delta object or null if no changes
@@ -25,31 +61,64 @@ export default class NetworkManager {
         let hasChanges = false;
 
         for (const key in newState) {
-            if (typeof newState[key] === 'object' && newState[key] !== null) {
-                if (!oldState[key]) {
-                    delta[key] = newState[key];
+            const oldValue = oldState[key];
+            const newValue = newState[key];
+
+            if (Array.isArray(newValue)) {
+                if (!this.arraysEqual(oldValue, newValue)) {
+                    delta[key] = newValue;
+                    hasChanges = true;
+                }
+            } else if (typeof newValue === 'object' && newValue !== null) {
+                if (!oldValue || typeof oldValue !== 'object' || Array.isArray(oldValue)) {
+                    delta[key] = newValue;
                     hasChanges = true;
                 } else {
-                    const subDelta = this.getDelta(oldState[key], newState[key]);
+                    const subDelta = this.getDelta(oldValue, newValue);
                     if (subDelta && Object.keys(subDelta).length > 0) {
                         delta[key] = subDelta;
                         hasChanges = true;
                     }
                 }
-            } else if (oldState[key] !== newState[key]) {
-                delta[key] = newState[key];
+            } else if (oldValue !== newValue) {
+                delta[key] = newValue;
                 hasChanges = true;
             }
         }
 
-        // Handle deleted keys if necessary (simple implementation assumes additive/update only for high-perf sync usually, 
-        // but robust delta might need a specific 'deleted' marker)
+        // Tombstones for removed keys (e.g. a player that disconnected)
+        const deleted = [];
+        for (const key in oldState) {
+            if (!(key in newState)) deleted.push(key);
+        }
+        if (deleted.length > 0) {
+            delta[this.DELETED_KEY] = deleted;
+            hasChanges = true;
+        }
         
         return hasChanges ? delta : null;
     }
 
+    static arraysEqual(a, b) {
+        if (!Array.isArray(a) || a.length !== b.length) return false;
+        for (let i = 0; i < a.length; i++) {
+            const x = a[i];
+            const y = b[i];
+            if (x === y) continue;
+            if (Array.isArray(y)) {
+                if (!this.arraysEqual(x, y)) return false;
+            } else if (typeof y === 'object' && y !== null && typeof x === 'object' && x !== null) {
+                if (this.getDelta(x, y) !== null) return false;
+            } else {
+                return false;
+            }
+        }
+        return true;
+    }
+
     /**
      * Reconstructs the full state by applying the delta to the base state.
+     * The delta must have been computed against exactly this base state.
      * @param {Object} baseState 
      * @param {Object} delta 
      * @returns {Object} New merged state
@@ -59,12 +128,19 @@ export default class NetworkManager {
         const newState = { ...baseState };
 
         for (const key in delta) {
-            if (typeof delta[key] === 'object' && delta[key] !== null && !Array.isArray(delta[key])) {
-                newState[key] = this.applyDelta(baseState[key], delta[key]);
+            if (key === this.DELETED_KEY) continue;
+            const value = delta[key];
+            if (typeof value === 'object' && value !== null && !Array.isArray(value) &&
+                typeof baseState[key] === 'object' && baseState[key] !== null && !Array.isArray(baseState[key])) {
+                newState[key] = this.applyDelta(baseState[key], value);
             } else {
-                newState[key] = delta[key];
+                newState[key] = value;
             }
         }
+
+        if (delta[this.DELETED_KEY]) {
+            for (const key of delta[this.DELETED_KEY]) delete newState[key];
+        }
         return newState;
     }
 }
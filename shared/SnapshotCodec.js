@@ -0,0 +1,438 @@
+/**
+ * SnapshotCodec.js - Binary UPDATE packets with quantized fields
+ *
+ * Only per-tick (dynamic) fields go into the binary snapshot. Everything else
+ * (username, colors, vehicle type, ...) is static and travels as JSON in
+ * ENTITY_ENTER, which also assigns the entity a small numeric net id.
+ *
+ * Snapshots are deltas against a baseline the client has acknowledged
+ * (SNAPSHOT_ACK). The client rebuilds the full state from its copy of that
+ * baseline, so dropped packets never corrupt state. Keyframes (no baseline)
+ * are sent every N ticks, when the baseline is too old, or on RESYNC.
+ *
+ * Packet layout (little endian):
+ *   u8  version
+ *   u8  flags                  - FLAG_KEYFRAME
+ *   u32 seq
+ *   u32 baselineSeq            - ignored for keyframes
+ *   f64 timestamp
+ *   i32 originX, i32 originZ   - whole meters, positions are relative to this
+ *   u16 tombstone count, then u16 netIds removed since the baseline
+ *   u16 entity count
+ *   per entity: u16 netId, then the fields of its schema
+ *
+ * Quantization:
+ *   position    x/z relative to origin, y absolute, i16 at 1/32 m (+-1024 m)
+ *   quaternion  smallest-three, 2 bit index + 3 x 10 bit components in a u32
+ *   velocity    i16 at 1/64 m/s
+ *   angles      u8 per angle (2pi / 256)
+ */
+
+export const SNAPSHOT_VERSION = 2;
+export const FLAG_KEYFRAME = 1;
+
+const POSITION_SCALE = 32;
+const VELOCITY_SCALE = 64;
+const QUAT_BITS = 10;
+const QUAT_MAX = (1 << QUAT_BITS) - 1;
+const QUAT_RANGE = Math.SQRT1_2; // Smallest three are always within +-1/sqrt(2)
+const TWO_PI = Math.PI * 2;
+
+const HEADER_BYTES = 1 + 1 + 4 + 4 + 8 + 4 + 4;
+
+// ============================================
+// FIELD TYPES
+// ============================================
+// Each field type quantizes data into integers (used for change detection),
+// writes/reads them, and dequantizes back onto a plain state object.
+
+function clamp(v, min, max) {
+    return v < min ? min : (v > max ? max : v);
+}
+
+function toInt16(v, scale) {
+    return clamp(Math.round((v || 0) * scale), -32768, 32767);
+}
+
+const FieldType = {
+    // x, y, z - x/z are absolute ints here, made origin-relative when written
+    position: {
+        bytes: 6,
+        quantize: (d, out) => {
+            out.push(Math.round((d.x || 0) * POSITION_SCALE), toInt16(d.y, POSITION_SCALE), Math.round((d.z || 0) * POSITION_SCALE));
+        },
+        write: (view, o, q, i, origin) => {
+            view.setInt16(o, clamp(q[i] - origin.x * POSITION_SCALE, -32768, 32767), true);
+            view.setInt16(o + 2, q[i + 1], true);
+            view.setInt16(o + 4, clamp(q[i + 2] - origin.z * POSITION_SCALE, -32768, 32767), true);
+        },
+        read: (view, o, origin, target) => {
+            target.x = origin.x + view.getInt16(o, true) / POSITION_SCALE;
+            target.y = view.getInt16(o + 2, true) / POSITION_SCALE;
+            target.z = origin.z + view.getInt16(o + 4, true) / POSITION_SCALE;
+        },
+        ints: 3
+    },
+
+    // qx, qy, qz, qw - smallest three
+    quaternion: {
+        bytes: 4,
+        quantize: (d, out) => {
+            const q = [d.qx || 0, d.qy || 0, d.qz || 0, d.qw === undefined ? 1 : d.qw];
+            let largest = 0;
+            for (let i = 1; i < 4; i++) {
+                if (Math.abs(q[i]) > Math.abs(q[largest])) largest = i;
+            }
+            // q and -q are the same rotation; make the dropped component positive
+            const sign = q[largest] < 0 ? -1 : 1;
+
+            let packed = largest;
+            for (let i = 0; i < 4; i++) {
+                if (i === largest) continue;
+                const normalized = (clamp(q[i] * sign, -QUAT_RANGE, QUAT_RANGE) + QUAT_RANGE) / (2 * QUAT_RANGE);
+                packed = (packed << QUAT_BITS) | Math.round(normalized * QUAT_MAX);
+            }
+            out.push(packed >>> 0);
+        },
+        write: (view, o, q, i) => {
+            view.setUint32(o, q[i], true);
+        },
+        read: (view, o, origin, target) => {
+            let packed = view.getUint32(o, true);
+            const components = [];
+            for (let i = 0; i < 3; i++) {
+                components.unshift((packed & QUAT_MAX) / QUAT_MAX * 2 * QUAT_RANGE - QUAT_RANGE);
+                packed >>>= QUAT_BITS;
+            }
+            const largest = packed & 3;
+            const sumSq = components.reduce((s, c) => s + c * c, 0);
+            components.splice(largest, 0, Math.sqrt(Math.max(0, 1 - sumSq)));
+            [target.qx, target.qy, target.qz, target.qw] = components;
+        },
+        ints: 1
+    },
+
+    // vx, vy, vz
+    velocity: {
+        bytes: 6,
+        quantize: (d, out) => {
+            out.push(toInt16(d.vx, VELOCITY_SCALE), toInt16(d.vy, VELOCITY_SCALE), toInt16(d.vz, VELOCITY_SCALE));
+        },
+        write: (view, o, q, i) => {
+            view.setInt16(o, q[i], true);
+            view.setInt16(o + 2, q[i + 1], true);
+            view.setInt16(o + 4, q[i + 2], true);
+        },
+        read: (view, o, origin, target) => {
+            target.vx = view.getInt16(o, true) / VELOCITY_SCALE;
+            target.vy = view.getInt16(o + 2, true) / VELOCITY_SCALE;
+            target.vz = view.getInt16(o + 4, true) / VELOCITY_SCALE;
+        },
+        ints: 3
+    }
+};
+
+/**
+ * Scalar field: { key, type: 'u8' | 'u16' | 'i16', scale }
+ */
+function scalarField(key, type, scale = 1) {
+    const bytes = type === 'u8' ? 1 : 2;
+    const [min, max] = type === 'u8' ? [0, 255] : (type === 'u16' ? [0, 65535] : [-32768, 32767]);
+
+    return {
+        bytes,
+        ints: 1,
+        quantize: (d, out) => out.push(clamp(Math.round((d[key] || 0) * scale), min, max)),
+        write: (view, o, q, i) => {
+            if (type === 'u8') view.setUint8(o, q[i]);
+            else if (type === 'u16') view.setUint16(o, q[i], true);
+            else view.setInt16(o, q[i], true);
+        },
+        read: (view, o, origin, target) => {
+            const raw = type === 'u8' ? view.getUint8(o) : (type === 'u16' ? view.getUint16(o, true) : view.getInt16(o, true));
+            target[key] = raw / scale;
+        }
+    };
+}
+
+/**
+ * Fixed-length numeric array, i16 per element
+ */
+function arrayField(key, length, scale) {
+    return {
+        bytes: length * 2,
+        ints: length,
+        quantize: (d, out) => {
+            const arr = d[key] || [];
+            for (let i = 0; i < length; i++) out.push(toInt16(arr[i], scale));
+        },
+        write: (view, o, q, i) => {
+            for (let n = 0; n < length; n++) view.setInt16(o + n * 2, q[i + n], true);
+        },
+        read: (view, o, origin, target) => {
+            const arr = new Array(length);
+            for (let n = 0; n < length; n++) arr[n] = view.getInt16(o + n * 2, true) / scale;
+            target[key] = arr;
+        }
+    };
+}
+
+/**
+ * Fixed-length array of angles, u8 each (wrapped to 0..2pi)
+ */
+function angleArrayField(key, length) {
+    return {
+        bytes: length,
+        ints: length,
+        quantize: (d, out) => {
+            const arr = d[key] || [];
+            for (let i = 0; i < length; i++) {
+                const a = ((arr[i] || 0) % TWO_PI + TWO_PI) % TWO_PI;
+                out.push(Math.round(a / TWO_PI * 256) & 255);
+            }
+        },
+        write: (view, o, q, i) => {
+            for (let n = 0; n < length; n++) view.setUint8(o + n, q[i + n]);
+        },
+        read: (view, o, origin, target) => {
+            const arr = new Array(length);
+            for (let n = 0; n < length; n++) arr[n] = view.getUint8(o + n) / 256 * TWO_PI;
+            target[key] = arr;
+        }
+    };
+}
+
+/**
+ * Booleans packed into one byte
+ */
+function flagsField(keys) {
+    return {
+        bytes: 1,
+        ints: 1,
+        quantize: (d, out) => {
+            let bits = 0;
+            keys.forEach((k, i) => { if (d[k]) bits |= 1 << i; });
+            out.push(bits);
+        },
+        write: (view, o, q, i) => view.setUint8(o, q[i]),
+        read: (view, o, origin, target) => {
+            const bits = view.getUint8(o);
+            keys.forEach((k, i) => { target[k] = (bits & (1 << i)) !== 0; });
+        }
+    };
+}
+
+// ============================================
+// SCHEMAS
+// ============================================
+
+function schema(fields, dynamicKeys) {
+    return {
+        fields,
+        bytes: fields.reduce((s, f) => s + f.bytes, 0),
+        dynamicKeys: new Set(dynamicKeys)
+    };
+}
+
+const POSE_KEYS = ['x', 'y', 'z', 'qx', 'qy', 'qz', 'qw'];
+const VEHICLE_BASE_FIELDS = [FieldType.position, FieldType.quaternion, FieldType.velocity, scalarField('health', 'u16')];
+const VEHICLE_BASE_KEYS = [...POSE_KEYS, 'vx', 'vy', 'vz', 'health'];
+
+const GROUND_VEHICLE_FIELDS = [
+    ...VEHICLE_BASE_FIELDS,
+    angleArrayField('wheelRotations', 4),
+    arrayField('suspensionCompression', 4, 1000),
+    scalarField('steerAngle', 'i16', 1000)
+];
+const GROUND_VEHICLE_KEYS = [...VEHICLE_BASE_KEYS, 'wheelRotations', 'suspensionCompression', 'steerAngle'];
+
+export const SnapshotSchemas = {
+    players: schema([FieldType.position, scalarField('hp', 'u8')], ['x', 'y', 'z', 'hp']),
+    units: schema([FieldType.position, FieldType.quaternion], POSE_KEYS),
+    vehicles: {
+        JEEP: schema(GROUND_VEHICLE_FIELDS, GROUND_VEHICLE_KEYS),
+        TANK: schema(
+            [...GROUND_VEHICLE_FIELDS, scalarField('leftTrackSpeed', 'i16', 100), scalarField('rightTrackSpeed', 'i16', 100)],
+            [...GROUND_VEHICLE_KEYS, 'leftTrackSpeed', 'rightTrackSpeed']
+        ),
+        HELICOPTER: schema(
+            [
+                ...VEHICLE_BASE_FIELDS,
+                scalarField('rpm', 'u16', 100),
+                scalarField('targetRpm', 'u16', 100),
+                scalarField('rpmRatio', 'u16', 10000),
+                flagsField(['isEngineRunning', 'isGrounded'])
+            ],
+            [...VEHICLE_BASE_KEYS, 'rpm', 'targetRpm', 'rpmRatio', 'isEngineRunning', 'isGrounded']
+        )
+    },
+    // Torso pose plus the head's offset from the torso (cm)
+    ragdolls: schema([FieldType.position, FieldType.quaternion, arrayField('head', 3, 100)], [...POSE_KEYS, 'head']),
+    loot: schema([FieldType.position], ['x', 'y', 'z']),
+    // Resource nodes: what is left and how far a claim has got (percent)
+    resources: schema([FieldType.position, scalarField('amount', 'u16'), scalarField('progress', 'u8')], ['x', 'y', 'z', 'amount', 'progress']),
+    caches: schema([FieldType.position], ['x', 'y', 'z']),
+    stations: schema([FieldType.position], ['x', 'y', 'z'])
+};
+
+/**
+ * Schema for an entity (vehicles depend on their static `type`)
+ */
+export function getSchema(kind, data) {
+    const entry = SnapshotSchemas[kind];
+    if (!entry) return null;
+    if (entry.fields) return entry;
+    return entry[data && data.type] || null;
+}
+
+/**
+ * The fields that are NOT sent every tick (cosmetics, type, ids, ...)
+ */
+export function getStaticData(kind, data) {
+    const s = getSchema(kind, data);
+    const out = {};
+    for (const key in data) {
+        if (!s || !s.dynamicKeys.has(key)) out[key] = data[key];
+    }
+    return out;
+}
+
+/**
+ * Quantize an entity's dynamic fields to integers.
+ * Two entities with equal arrays would decode identically.
+ */
+export function quantizeEntity(s, data) {
+    const out = [];
+    for (const field of s.fields) field.quantize(data, out);
+    return out;
+}
+
+export function quantizedEqual(a, b) {
+    if (!a || !b || a.length !== b.length) return false;
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) return false;
+    }
+    return true;
+}
+
+// ============================================
+// ENCODE / DECODE
+// ============================================
+
+/**
+ * @param {Object} snapshot
+ * @param {number} snapshot.seq
+ * @param {number} snapshot.baselineSeq - Seq the delta is against (unused for keyframes)
+ * @param {boolean} snapshot.keyframe
+ * @param {number} snapshot.timestamp
+ * @param {{x: number, z: number}} snapshot.origin - Whole meters, usually the viewer's position
+ * @param {Array<number>} snapshot.tombstones - Net ids in the baseline that are gone
+ * @param {Array<{netId: number, schema: Object, quantized: Array<number>}>} snapshot.entries
+ * @returns {ArrayBuffer}
+ */
+export function encodeSnapshot({ seq, baselineSeq, keyframe, timestamp, origin, tombstones, entries }) {
+    let size = HEADER_BYTES + 2 + tombstones.length * 2 + 2;
+    for (const e of entries) size += 2 + e.schema.bytes;
+
+    const buffer = new ArrayBuffer(size);
+    const view = new DataView(buffer);
+    let o = 0;
+
+    view.setUint8(o, SNAPSHOT_VERSION); o += 1;
+    view.setUint8(o, keyframe ? FLAG_KEYFRAME : 0); o += 1;
+    view.setUint32(o, seq, true); o += 4;
+    view.setUint32(o, keyframe ? 0 : baselineSeq, true); o += 4;
+    view.setFloat64(o, timestamp, true); o += 8;
+    view.setInt32(o, origin.x, true); o += 4;
+    view.setInt32(o, origin.z, true); o += 4;
+
+    view.setUint16(o, tombstones.length, true); o += 2;
+    for (const netId of tombstones) {
+        view.setUint16(o, netId, true); o += 2;
+    }
+
+    view.setUint16(o, entries.length, true); o += 2;
+    for (const e of entries) {
+        view.setUint16(o, e.netId, true); o += 2;
+        let qi = 0;
+        for (const field of e.schema.fields) {
+            field.write(view, o, e.quantized, qi, origin);
+            o += field.bytes;
+            qi += field.ints;
+        }
+    }
+
+    return buffer;
+}
+
+function toDataView(data) {
+    return data instanceof ArrayBuffer
+        ? new DataView(data)
+        : new DataView(data.buffer, data.byteOffset, data.byteLength);
+}
+
+/**
+ * Read just the header, to decide whether the packet can be applied
+ * @returns {{seq, baselineSeq, keyframe, timestamp, origin}|null} Null for unknown versions
+ */
+export function readSnapshotHeader(data) {
+    const view = toDataView(data);
+    if (view.byteLength < HEADER_BYTES || view.getUint8(0) !== SNAPSHOT_VERSION) return null;
+
+    return {
+        keyframe: (view.getUint8(1) & FLAG_KEYFRAME) !== 0,
+        seq: view.getUint32(2, true),
+        baselineSeq: view.getUint32(6, true),
+        timestamp: view.getFloat64(10, true),
+        origin: { x: view.getInt32(18, true), z: view.getInt32(22, true) }
+    };
+}
+
+/**
+ * @param {ArrayBuffer|Uint8Array} data
+ * @param {Function} resolve - netId -> { schema, target } (target receives the decoded fields), or null
+ * @returns {{seq, baselineSeq, keyframe, timestamp, tombstones: Array<number>, netIds: Array<number>}|null}
+ */
+export function decodeSnapshot(data, resolve) {
+    const header = readSnapshotHeader(data);
+    if (!header) return null;
+
+    const view = toDataView(data);
+    let o = HEADER_BYTES;
+
+    const tombstones = [];
+    const tombstoneCount = view.getUint16(o, true); o += 2;
+    for (let n = 0; n < tombstoneCount; n++) {
+        tombstones.push(view.getUint16(o, true)); o += 2;
+    }
+
+    const count = view.getUint16(o, true); o += 2;
+    const netIds = [];
+    for (let n = 0; n < count; n++) {
+        const netId = view.getUint16(o, true); o += 2;
+        const entry = resolve(netId);
+        // Unknown id means we lost the id table; the rest of the packet can't be parsed
+        if (!entry) return null;
+
+        for (const field of entry.schema.fields) {
+            field.read(view, o, header.origin, entry.target);
+            o += field.bytes;
+        }
+        netIds.push(netId);
+    }
+
+    return { ...header, tombstones, netIds };
+}
+
+export default {
+    SNAPSHOT_VERSION,
+    FLAG_KEYFRAME,
+    SnapshotSchemas,
+    getSchema,
+    getStaticData,
+    quantizeEntity,
+    quantizedEqual,
+    encodeSnapshot,
+    readSnapshotHeader,
+    decodeSnapshot
+};
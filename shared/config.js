@@ -10,6 +10,70 @@ export const serverConfig = {
     host: '0.0.0.0'
 };
 
+// Player input handling (server only)
+// Inputs are queued per player and exactly one is applied per tick
+export const inputConfig = {
+    maxQueue: 6,            // Older inputs are dropped beyond this (bounds added latency)
+    rateWindow: 1.0,        // Seconds per input-rate measurement
+    rateTolerance: 1.25,    // Allowed input rate as a multiple of serverConfig.tickRate
+    flagAfterWindows: 3     // Consecutive windows over the limit before a player is flagged
+};
+
+// World persistence (server only)
+// driver: 'json' writes a single snapshot file, 'memory' keeps nothing across restarts
+// saveInterval: milliseconds between automatic snapshots (a final one is written on shutdown)
+export const persistenceConfig = {
+    driver: 'json',
+    dataDir: 'data',
+    fileName: 'world.json',
+    saveInterval: 60000
+};
+
+// Accounts and sessions (server only)
+// Accounts are stored next to the world snapshot; sessions live in memory
+export const accountConfig = {
+    driver: 'json',            // 'json' or 'memory', like persistenceConfig
+    dataDir: 'data',
+    fileName: 'accounts.json',
+    nameMinLength: 3,
+    nameMaxLength: 12,
+    passwordMinLength: 6,
+    sessionTTL: 86400000,      // Milliseconds a session token stays valid without use
+    maxAuthAttempts: 5,        // Failed attempts before the socket is dropped
+    reconnectGracePeriod: 30000 // Milliseconds a disconnected player and their seat are held (0 = remove at once)
+};
+
+// Chunk streaming (server only)
+// Distances are in chunks, measured as a square around the player's chunk
+export const streamingConfig = {
+    viewDistance: 3,             // Chunks pushed to each client
+    unloadHysteresis: 1,         // Extra ring kept before a chunk is unloaded
+    colliderRadius: 1,           // Terrain colliders kept around players, vehicles and AI units
+    maxCachedChunks: 512,        // LRU budget for generated chunk data
+    updateInterval: 0.25,        // Seconds between streaming passes
+    maxGenerationsPerUpdate: 12, // New chunks generated per pass across all clients
+    maxChunksPerUpdate: 8,       // Chunks pushed to one client per pass
+    // Explicit CHUNK_REQUEST limits
+    requestSlack: 1,             // How far outside the view distance a request may reach
+    maxRequestBatch: 64,
+    requestsPerSecond: 20,
+    requestBurst: 60
+};
+
+// State replication (server only)
+// Each client only receives entities within its tier's radius (meters, XZ)
+export const replicationConfig = {
+    cellSize: 64,       // Spatial grid cell size
+    leaveMargin: 1.15,  // Entities leave view at radius * leaveMargin to avoid flicker at the edge
+    keyframeInterval: 120, // Ticks between full snapshots
+    historySize: 64,    // Snapshots kept per client as delta baselines (also used by the client)
+    tiers: {
+        character: 150, // Players and infantry
+        vehicle: 300,   // Ground vehicles and AI tanks/trucks
+        aircraft: 600   // Helicopters
+    }
+};
+
 // Client connection configuration
 // Set serverUrl to connect to a specific server address
 // null/empty = connect to same origin (default, works when served from the game server)
@@ -38,6 +102,494 @@ export const appearanceDefaults = {
     hairStyle: 'DEFAULT'
 };
 
+// On-foot character movement, shared by the server (Player) and client prediction
+export const movementConfig = {
+    speed: 10,
+    gravity: -40.0,
+    jumpStrength: 25.0,
+    groundedVelocity: -2.0, // Small downward push that keeps the controller grounded
+    snapToGround: 0.5       // Max drop the character sticks to when walking downhill
+};
+
+// Weapons, shared so the client can show the kill feed and predict projectile visuals
+// type: 'hitscan' resolves instantly, 'projectile' flies (speed m/s, gravityScale) and explodes
+// fireInterval: seconds between shots, damage: per hit (splash falls off linearly to splashRadius)
+export const weaponConfig = {
+    weapons: {
+        RIFLE: { name: 'Rifle', icon: '🔫', type: 'hitscan', damage: 20, fireInterval: 0.12, range: 250, spread: 0.006 },
+        LAUNCHER: { name: 'Launcher', icon: '🚀', type: 'projectile', damage: 90, splashRadius: 5, fireInterval: 1.5, speed: 70, gravityScale: 0.3, lifetime: 4 },
+        CANNON: { name: 'Cannon', icon: '💥', type: 'projectile', damage: 250, splashRadius: 7, fireInterval: 2.5, speed: 140, gravityScale: 0.5, lifetime: 5 },
+        // Not fireable: the blast of a destroyed vehicle (WeaponSystem.detonate)
+        VEHICLE_EXPLOSION: { name: 'Explosion', icon: '🔥', type: 'explosion', damage: 80, splashRadius: 8 }
+    },
+    vehicleWeapons: {                       // Mounted weapons and the seats that fire them
+        TANK: { weapon: 'CANNON', seats: [0, 1] }
+    },
+    unitWeapons: { SOLDIER: 'RIFLE', TANK: 'CANNON', HELICOPTER: 'RIFLE' },
+    gravity: -9.81,
+    // Server only
+    maxRewind: 300,         // Milliseconds a shot may be rewound for lag compensation
+    historyLength: 1000,    // Milliseconds of hitbox history kept
+    eventRadius: 400        // Clients this close to a shot/impact get the effect events
+};
+
+// Items, shared so the client can show the inventory window and hotbar (server/Inventory.js)
+// type: weapon, armor, tool, consumable, ammo, material or part; stack: most per slot; weight: kg each
+// weapon: weaponConfig.weapons entry it fires, one `ammo` item used up per shot
+// armor: share of incoming damage absorbed; tool: multipliers ({ mining, repair })
+// use: consumable effects { heal: health, repair: vehicle hull, ammo: { item, count } }
+export const itemConfig = {
+    items: {
+        rifle: { name: 'Rifle', icon: '🔫', type: 'weapon', stack: 1, weight: 4, rarity: 'common', weapon: 'RIFLE', ammo: 'rifle_rounds' },
+        launcher: { name: 'Launcher', icon: '🚀', type: 'weapon', stack: 1, weight: 9, rarity: 'rare', weapon: 'LAUNCHER', ammo: 'rocket' },
+        rifle_rounds: { name: 'Rifle Rounds', icon: '⁍', type: 'ammo', stack: 200, weight: 0.02, rarity: 'common' },
+        rocket: { name: 'Rocket', icon: '🧨', type: 'ammo', stack: 8, weight: 2, rarity: 'uncommon' },
+        light_armor: { name: 'Light Armor', icon: '🦺', type: 'armor', stack: 1, weight: 6, rarity: 'uncommon', armor: 0.2 },
+        heavy_armor: { name: 'Heavy Armor', icon: '🛡', type: 'armor', stack: 1, weight: 14, rarity: 'rare', armor: 0.4 },
+        pickaxe: { name: 'Pickaxe', icon: '⛏', type: 'tool', stack: 1, weight: 3, rarity: 'common', tool: { mining: 2 } },
+        wrench: { name: 'Wrench', icon: '🔧', type: 'tool', stack: 1, weight: 2, rarity: 'common', tool: { repair: 1.5 } },
+        bandage: { name: 'Bandage', icon: '🩹', type: 'consumable', stack: 10, weight: 0.1, rarity: 'common', use: { heal: 15 } },
+        medkit: { name: 'Medkit', icon: '💊', type: 'consumable', stack: 5, weight: 1, rarity: 'uncommon', use: { heal: 60 } },
+        ammo_box: { name: 'Ammo Box', icon: '📦', type: 'consumable', stack: 5, weight: 3, rarity: 'uncommon', use: { ammo: { item: 'rifle_rounds', count: 90 } } },
+        repair_kit: { name: 'Repair Kit', icon: '🧰', type: 'consumable', stack: 3, weight: 4, rarity: 'uncommon', use: { repair: 150 } },
+        scrap: { name: 'Scrap', icon: '🔩', type: 'material', stack: 100, weight: 0.5, rarity: 'common' },
+        ore: { name: 'Ore', icon: '🪨', type: 'material', stack: 100, weight: 1, rarity: 'common' },
+        crops: { name: 'Crops', icon: '🌾', type: 'material', stack: 100, weight: 0.3, rarity: 'common' },
+        parts: { name: 'Vehicle Parts', icon: '⚙', type: 'part', stack: 20, weight: 2, rarity: 'uncommon' }
+    },
+    rarities: {
+        common: 0xbbbbbb,
+        uncommon: 0x44dd44,
+        rare: 0x4488ff,
+        epic: 0xbb55ff,
+        legendary: 0xffaa00
+    },
+    equipment: { weapon: 'weapon', armor: 'armor', tool: 'tool' }, // Equipment slot -> item type it takes
+    slots: 20,               // Bag slots
+    hotbarSlots: 6,          // Bag slots 1..6 are on the hotbar
+    maxWeight: 60,           // kg carried; what would go over it is left behind
+    // Server only
+    starterKit: [            // Carried by new players and after every respawn
+        { item: 'rifle', equip: true },
+        { item: 'launcher' },
+        { item: 'rifle_rounds', count: 150 },
+        { item: 'rocket', count: 4 },
+        { item: 'bandage', count: 3 }
+    ],
+    useCooldown: 1000,       // ms between consumables
+    repairRange: 6           // A repair kit works on the vehicle the player is in or one this close
+};
+
+// Death and respawn (server only)
+export const deathConfig = {
+    respawnDelay: 10000,     // Milliseconds on the death screen before a player respawns
+    respawnOffset: { min: 10, max: 25 }, // Respawn this far from the settlement/POI centre
+    ragdollLifetime: 20000,  // Milliseconds before a ragdoll's bodies are removed
+    lootLifetime: 300000,    // Milliseconds a dropped loot container stays in the world
+    unitAmmo: [30, 90]       // Rounds of its weapon's ammo an AI soldier carries (dropped with the weapon)
+};
+
+// Vehicle damage, destruction and wrecks (server only)
+export const vehicleDamageConfig = {
+    componentDamageScale: 1.5,     // % of component health lost per % of hull health lost
+    minComponentEfficiency: 0.35,  // Handling a component still gives just before it breaks
+    collision: {
+        minImpactG: 40,            // Contact force (in multiples of the vehicle's weight) before a crash hurts
+        damagePerG: 0.5            // Hull damage per g above minImpactG, per tick of contact
+    },
+    explosionWeapon: 'VEHICLE_EXPLOSION', // weaponConfig.weapons entry for the blast
+    burnDuration: 30000,           // Milliseconds a wreck keeps burning
+    wreckLifetime: 180000          // Milliseconds before a wreck is removed
+};
+
+// AI navigation (server only). Slopes are rise over run; costs multiply the distance walked.
+export const navigationConfig = {
+    cellSize: 2,             // Metres per nav cell (must divide worldConfig.chunkSize)
+    maxCachedTiles: 512,     // Per-chunk nav tiles kept (LRU)
+    maxSearchNodes: 6000,    // A* expansions before settling for a partial path towards the goal
+    maxWadeDepth: 1.2,       // Deeper water can't be crossed on foot
+    profiles: {
+        // waterCost null: water is impassable
+        infantry: { maxSlope: 1.2, slopeCost: 3, waterCost: 5, roadCost: 1 },
+        tracked: { maxSlope: 0.8, slopeCost: 4, waterCost: null, roadCost: 0.8 },
+        wheeled: { maxSlope: 0.5, slopeCost: 6, waterCost: null, roadCost: 0.3 } // Sticks to roads
+    },
+    unitProfiles: { SOLDIER: 'infantry', TANK: 'tracked', TRUCK: 'wheeled' }, // Others fly straight
+    arrivalDistance: 2.0,    // Waypoint reached within this distance
+    repathDistance: 8,       // Plan again once the goal has moved this far
+    retryTime: 3000,         // Milliseconds before a goal without a path is searched again
+    stuckTime: 2.0,          // Seconds between progress checks while moving
+    stuckDistance: 0.5,      // Less progress than this means blocked: mark the cell ahead and replan
+    blockedCellTime: 20000   // Milliseconds a cell marked blocked is avoided
+};
+
+// AI drivers (server only)
+// AI tanks, trucks and helicopters are real Vehicles driven through
+// applyDriverInput, see server/AIDriver.js
+export const aiDriverConfig = {
+    vehicleTypes: { TANK: 'TANK', TRUCK: 'JEEP', HELICOPTER: 'HELICOPTER' }, // AIUnit type -> Vehicle type
+    cruiseSpeed: { TANK: 9, TRUCK: 14, HELICOPTER: 18 }, // m/s
+    brakeDecel: 3,           // m/s² planned for when slowing down for the end of a path
+    turnThrottle: 0.3,       // Least throttle in sharp turns (wheels only steer while rolling)
+    turnInPlaceAngle: 0.8,   // Tanks pivot on the spot beyond this heading error (radians)
+    reverseDistance: 15,     // Jeeps back up to goals behind them closer than this
+    waypointRadius: 4,       // Path waypoints count as reached this close
+    steer: { kp: 1.5, ki: 0, kd: 0.8, limit: 1 },
+    helicopter: {
+        cruiseAltitude: 25,  // Metres above the ground
+        probeDistance: 200,  // Ground further below than this isn't seen (hold altitude)
+        climbGain: 0.5,      // Climb rate (m/s) per metre of altitude error
+        maxClimbRate: 5,
+        speedGain: 0.6,      // Acceleration (m/s²) per m/s of speed error, flown by tilting
+        maxTilt: 0.4,        // Radians of pitch or bank at most
+        brakeDecel: 1.5,     // m/s² planned for when slowing down for the end of a path
+        turnDistance: 10,    // Closer goals are flown to without turning the nose
+        rpmMargin: 0.03,     // Rotor held this much above hover RPM
+        climb: { kp: 0.4, ki: 0.3, kd: 0, limit: 1 },     // Climb rate error -> collective
+        heading: { kp: 1.2, ki: 0, kd: 1.5, limit: 1 },   // Heading error -> yaw
+        attitude: { kp: 3, ki: 0, kd: 2.5, limit: 1 }     // Pitch / bank error -> cyclic
+    },
+    hijackSpeed: 3           // Players can pull an AI driver out below this speed (m/s)
+};
+
+// AI squads (server only)
+// Orders: move, attackMove, hold, defend, capture (see server/Squad.js)
+export const squadConfig = {
+    maxSize: 6,               // Members per squad (leader included)
+    spacing: 4,               // Metres between formation slots
+    slotTolerance: 2.5,       // A member is in formation this close to its slot
+    regroupRadius: 20,        // The leader waits while a member is farther away than this
+    orderRadius: 8,           // Order position reached within this
+    defendRadius: 30,         // Area guarded by a defend order
+    orderFormations: { move: 'column', attackMove: 'wedge', hold: 'line', defend: 'line', capture: 'wedge' },
+    convoyEscorts: 2          // Soldiers riding along with each harvest truck
+};
+
+// Leader of a squad: carry out the squad's order
+const squadOrders = { name: 'order', sequence: [{ condition: 'isLeader' }, { selector: [
+    { name: 'defend', sequence: [{ condition: 'orderIs', order: 'defend' }, { selector: [
+        { name: 'respond', sequence: [{ condition: 'squadThreat' }, { action: 'investigate' }] },
+        { action: 'garrison', wander: 0.005 }
+    ] }] },
+    { name: 'hold', sequence: [{ condition: 'orderIs', order: 'hold' }, { action: 'holdPosition' }] },
+    { action: 'advance' } // move, attackMove, capture
+] }] };
+
+// Fight unless under a plain move order; holding units don't chase
+const squadCombat = (...tactics) => ({ name: 'combat', sequence: [
+    { condition: 'hasEnemy' },
+    { condition: 'orderIs', order: 'move', not: true },
+    { selector: [
+        { name: 'hold', sequence: [{ condition: 'orderIs', order: 'hold' }, { action: 'engage', chase: false }] },
+        ...tactics,
+        { action: 'engage' }
+    ] }
+] });
+
+const regroup = { name: 'regroup', sequence: [{ condition: 'isLeader' }, { condition: 'squadScattered' }, { action: 'regroup' }] };
+
+// AI behavior (server only)
+// Trees per unit type, see server/BehaviorTree.js for the node format and
+// server/BehaviorNodes.js for the conditions and actions and their params
+export const behaviorConfig = {
+    threatMemory: 15000,     // Milliseconds a squad remembers where an enemy was seen
+    debugInterval: 0.5,      // Seconds between AI_DEBUG packets to clients that asked (isDebugOn only)
+    debugRadius: 150,        // Units this close to the player are included
+    trees: {
+        SOLDIER: { selector: [
+            { name: 'fall back', sequence: [{ condition: 'lowHealth', below: 0.3 }, { action: 'retreat' }] },
+            squadCombat(
+                { name: 'cover', sequence: [{ condition: 'outnumbered' }, { action: 'takeCover' }, { action: 'engage' }] },
+                { name: 'flank', sequence: [{ condition: 'allyEngaging' }, { condition: 'targetInRange', not: true }, { action: 'flank' }, { action: 'engage' }] }
+            ),
+            { name: 'escort', sequence: [{ condition: 'hasRole', role: 'escort' }, { condition: 'hasConvoy' }, { action: 'escortConvoy', distance: 8 }] },
+            regroup,
+            squadOrders,
+            { name: 'formation', sequence: [{ condition: 'isLeader', not: true }, { action: 'followLeader' }] },
+            { action: 'patrol', radius: 40 }
+        ] },
+        TANK: { selector: [
+            { name: 'fall back', sequence: [{ condition: 'lowHealth', below: 0.2 }, { action: 'retreat' }] },
+            squadCombat(),
+            regroup,
+            squadOrders,
+            { name: 'formation', sequence: [{ condition: 'isLeader', not: true }, { action: 'followLeader' }] },
+            { action: 'garrison', radius: 40, wander: 0.002 }
+        ] },
+        TRUCK: { selector: [
+            { name: 'fall back', sequence: [{ condition: 'lowHealth', below: 0.3 }, { action: 'retreat' }] },
+            regroup, // Convoy trucks wait for their escorts
+            { action: 'harvest', load: 50, duration: 10 },
+            { action: 'idle' }
+        ] },
+        HELICOPTER: { selector: [
+            { name: 'combat', sequence: [{ condition: 'hasEnemy' }, { action: 'engage' }] },
+            { action: 'patrol', radius: 80 }
+        ] }
+    }
+};
+
+// AI perception (server only)
+// What AI units see and hear, see server/PerceptionSystem.js
+export const perceptionConfig = {
+    sight: {                 // View range (m) and cone (degrees) per unit type
+        SOLDIER: { range: 60, fov: 120 },
+        TANK: { range: 80, fov: 100 },
+        TRUCK: { range: 40, fov: 120 },
+        HELICOPTER: { range: 120, fov: 360 }
+    },
+    awarenessRadius: 10,     // Noticed this close whichever way the unit faces (still needs line of sight)
+    eyeHeight: 0.6,          // Sight rays start this far above the unit's body centre
+    scanInterval: 0.4,       // Seconds between a unit's look-arounds
+    raycastBudget: 24,       // Line-of-sight rays per tick for all units; late scans wait for the next tick
+    sightMemory: 1000,       // Milliseconds a contact still counts as visible after it was last seen
+    memory: 20000,           // Milliseconds the last-known position of a contact is kept
+    hearing: {               // Metres a noise carries
+        gunfire: 150,
+        explosion: 300,
+        vehicle: 60          // A moving vehicle (faster than vehicleNoiseSpeed)
+    },
+    vehicleNoiseSpeed: 2,    // m/s
+    provokeMemory: 120000    // Milliseconds a faction stays hostile to a neutral player who attacked it
+};
+
+// War strategy (server only)
+// Where squads go in the territory war and how presence takes cells, see server/StrategicPlanner.js
+export const strategyConfig = {
+    planInterval: 10,        // Seconds between re-planning each faction's fronts
+    presenceInterval: 1,     // Seconds between counting units per cell and pushing captures
+    unitStrength: { SOLDIER: 4, TANK: 15, HELICOPTER: 6, TRUCK: 0 }, // Capture strength per unit in a cell
+    minSquadSize: 3,         // Smaller squads wait at home for reinforcements
+    maxSquadsPerTarget: 2,   // Squads sent to one cell at most
+    borderDepth: 150,        // Capture orders point this far into the target cell
+    orderUpdateDistance: 50, // A defend order follows the enemies once they moved this far
+    scores: {
+        capture: 10,         // Base score of an enemy border cell
+        defend: 15,          // Base score of one of our cells under threat
+        contested: 10,       // Bonus for a cell under contest
+        tier: { CAPITAL: 40, TOWN: 20, VILLAGE: 10, OUTPOST: 5 }, // Bonus for the cell's settlement
+        output: 0.5,         // Per point of economic output
+        threat: 1,           // Defend: per point of enemy strength in the cell
+        enemyPresence: 0.5,  // Capture: penalty per point of enemy strength in the cell
+        distance: 1          // Penalty per km from the faction base
+    }
+};
+
+// Faction economy (server only)
+// Typed stockpiles per faction, see server/FactionTreasury.js
+export const economyConfig = {
+    startingStock: { technology: 100, military: 150, food: 150, trade: 100 },
+    maxStock: 5000,          // Per resource, production beyond it is lost
+    outputScale: 0.02,       // Resources per second per point of settlement output (after devastation)
+    specialtyShare: 0.5,     // Part of a settlement's yield in its founders' specialty, the rest is split evenly
+    ownerBonus: 1.25,        // Multiplier on yield of the owner's own specialty
+    unitCosts: {
+        SOLDIER: { military: 30, food: 20 },
+        TANK: { military: 120, technology: 80 },
+        HELICOPTER: { technology: 120, military: 60, trade: 30 },
+        TRUCK: { trade: 60, food: 20 } // Comes with its escorts
+    },
+    maxUnits: { SOLDIER: 18, TANK: 3, TRUCK: 2, HELICOPTER: 1 }, // Per faction (escorts count as soldiers)
+    rateWindow: 60,          // Seconds income is averaged over for the overview
+    overviewInterval: 5      // Seconds between ECONOMY packets to clients
+};
+
+// Resource nodes (server only)
+// Deposits placed by POIManager, harvested and claimed through server/ResourceNodeSystem.js
+export const resourceNodeConfig = {
+    kinds: {
+        // Grid spacing and chance per cell for biome deposits; capacity in resource units, regen per second
+        SCRAP: { resource: 'technology', item: 'scrap', biomes: ['RUINED_CITY'], spacing: 1000, chance: 0.5, capacity: 400, regen: 0.5 },
+        ORE: { resource: 'military', item: 'ore', biomes: ['MOUNTAIN', 'SNOWY_MOUNTAIN'], spacing: 500, chance: 0.6, capacity: 600, regen: 0.3 },
+        CROPS: { resource: 'food', item: 'crops', nearCategory: 'AGRICULTURAL', perPOI: 2, distance: [40, 120], capacity: 300, regen: 1 }
+    },
+    reopenAt: 0.25,          // A node run dry can be worked again once regrown to this part of its capacity
+    mineAmount: 20,          // Taken per interact by a player
+    mineCooldown: 1500,      // ms between a player's mining actions
+    harvestRange: 6000,      // Trucks look this far from home for a node
+    enemyNodePenalty: 3,     // Trucks weigh the distance to nodes held by other factions by this
+    claimRadius: 25,         // Units and enlisted players this close hold or claim a node
+    claimTime: 8,            // Seconds of uncontested presence to claim a node
+    updateInterval: 1,       // Seconds between claim and collider passes
+    activationRadius: 300,   // Nodes this close to a player get a collider and are replicated
+    halfExtents: { x: 1.2, y: 0.6, z: 1.2 }
+};
+
+// POI loot caches (server only)
+// Caches placed in and around POIs as their chunks are generated, see server/LootSystem.js
+// Table entries: { item, weight, count: [min, max], minTier }; a cache rolls from its POI
+// category's table, the founding faction's table and `common`. The POI's lootTier (1-5)
+// sets the number of caches, rolls per cache, stack sizes and which entries (minTier) count.
+export const lootConfig = {
+    tiers: {
+        1: { caches: 1, rolls: [1, 2], countScale: 1 },
+        2: { caches: 2, rolls: [1, 3], countScale: 1 },
+        3: { caches: 2, rolls: [2, 3], countScale: 1.25 },
+        4: { caches: 3, rolls: [2, 4], countScale: 1.5 },
+        5: { caches: 4, rolls: [3, 5], countScale: 2 }
+    },
+    common: [
+        { item: 'bandage', weight: 3, count: [1, 2] },
+        { item: 'scrap', weight: 3, count: [2, 6] }
+    ],
+    categories: {
+        COMMERCIAL: [
+            { item: 'crops', weight: 3, count: [3, 8] },
+            { item: 'bandage', weight: 2, count: [1, 3] },
+            { item: 'ammo_box', weight: 1, count: [1, 1], minTier: 2 },
+            { item: 'repair_kit', weight: 1, count: [1, 1], minTier: 2 },
+            { item: 'parts', weight: 1, count: [1, 2], minTier: 2 }
+        ],
+        INDUSTRIAL: [
+            { item: 'scrap', weight: 5, count: [5, 15] },
+            { item: 'ore', weight: 3, count: [3, 10] },
+            { item: 'parts', weight: 3, count: [1, 3] },
+            { item: 'wrench', weight: 1, count: [1, 1] },
+            { item: 'pickaxe', weight: 1, count: [1, 1] },
+            { item: 'repair_kit', weight: 1, count: [1, 1], minTier: 3 }
+        ],
+        MILITARY: [
+            { item: 'rifle_rounds', weight: 5, count: [30, 90] },
+            { item: 'ammo_box', weight: 2, count: [1, 2] },
+            { item: 'medkit', weight: 2, count: [1, 2] },
+            { item: 'rifle', weight: 1, count: [1, 1], minTier: 2 },
+            { item: 'rocket', weight: 2, count: [1, 3], minTier: 3 },
+            { item: 'light_armor', weight: 1, count: [1, 1], minTier: 3 },
+            { item: 'heavy_armor', weight: 1, count: [1, 1], minTier: 4 },
+            { item: 'launcher', weight: 1, count: [1, 1], minTier: 4 }
+        ],
+        AGRICULTURAL: [
+            { item: 'crops', weight: 6, count: [5, 15] },
+            { item: 'bandage', weight: 2, count: [1, 3] },
+            { item: 'pickaxe', weight: 1, count: [1, 1] }
+        ],
+        SCIENTIFIC: [
+            { item: 'medkit', weight: 3, count: [1, 2] },
+            { item: 'parts', weight: 2, count: [1, 3] },
+            { item: 'light_armor', weight: 1, count: [1, 1], minTier: 3 },
+            { item: 'heavy_armor', weight: 1, count: [1, 1], minTier: 5 }
+        ],
+        UTILITY: [
+            { item: 'parts', weight: 3, count: [1, 3] },
+            { item: 'scrap', weight: 3, count: [3, 10] },
+            { item: 'wrench', weight: 1, count: [1, 1] },
+            { item: 'repair_kit', weight: 1, count: [1, 1], minTier: 3 }
+        ],
+        RESIDENTIAL: [
+            { item: 'crops', weight: 3, count: [2, 6] },
+            { item: 'rifle_rounds', weight: 2, count: [10, 30] },
+            { item: 'bandage', weight: 2, count: [1, 3] },
+            { item: 'pickaxe', weight: 1, count: [1, 1] }
+        ],
+        INFRASTRUCTURE: [
+            { item: 'parts', weight: 2, count: [1, 2] },
+            { item: 'scrap', weight: 2, count: [3, 8] },
+            { item: 'rifle_rounds', weight: 1, count: [10, 30] },
+            { item: 'repair_kit', weight: 1, count: [1, 1], minTier: 2 }
+        ],
+        RUINS: [
+            { item: 'scrap', weight: 6, count: [5, 20] },
+            { item: 'parts', weight: 2, count: [1, 3] },
+            { item: 'ore', weight: 2, count: [2, 6] },
+            { item: 'rifle', weight: 1, count: [1, 1], minTier: 3 }
+        ]
+    },
+    factions: {
+        IRON_SYNOD: [
+            { item: 'ore', weight: 3, count: [5, 12] },
+            { item: 'parts', weight: 2, count: [1, 3] },
+            { item: 'heavy_armor', weight: 1, count: [1, 1], minTier: 3 }
+        ],
+        CHROMA_CORP: [
+            { item: 'medkit', weight: 3, count: [1, 2] },
+            { item: 'repair_kit', weight: 1, count: [1, 1], minTier: 2 },
+            { item: 'light_armor', weight: 1, count: [1, 1], minTier: 3 }
+        ],
+        VERDANT_LINK: [
+            { item: 'crops', weight: 4, count: [5, 15] },
+            { item: 'medkit', weight: 2, count: [1, 2] },
+            { item: 'bandage', weight: 2, count: [2, 4] }
+        ],
+        NULL_DRIFTERS: [
+            { item: 'scrap', weight: 3, count: [5, 15] },
+            { item: 'rifle_rounds', weight: 3, count: [20, 60] },
+            { item: 'launcher', weight: 1, count: [1, 1], minTier: 3 }
+        ]
+    },
+    respawnTime: 600,        // Seconds from a cache's first looting until it is refilled
+    interactRange: 4,        // Players this close to a cache can take from it
+    interiorMargin: 2,       // Interior caches stay this far inside the footprint edge
+    minSpacing: 3,           // Metres between the caches of one POI
+    halfExtents: { x: 0.5, y: 0.4, z: 0.5 }
+};
+
+// Crafting and repair stations (server only)
+// POIs whose meshData has one of a station type's flags get a workbench, see
+// server/CraftingSystem.js. Recipes: { name, station, inputs: { item: count },
+// outputs: { item: count }, time (s) }; inputs are taken when the job is queued.
+export const craftingConfig = {
+    stations: {
+        GARAGE: { name: 'Garage', flags: ['hasGarage', 'hasRepairBay', 'hasWorkshop'] },
+        FORGE: { name: 'Forge', flags: ['hasMoltenMetal'] },
+        SCRAPPER: { name: 'Scrap Press', flags: ['hasCrusher'] }
+    },
+    recipes: {
+        press_parts: { name: 'Press Parts', station: 'SCRAPPER', inputs: { scrap: 6 }, outputs: { parts: 1 }, time: 6 },
+        ammo_box: { name: 'Ammo Box', station: 'SCRAPPER', inputs: { scrap: 4, ore: 2 }, outputs: { ammo_box: 1 }, time: 8 },
+        rifle_rounds: { name: 'Cast Rounds', station: 'FORGE', inputs: { ore: 2, scrap: 1 }, outputs: { rifle_rounds: 30 }, time: 5 },
+        rocket: { name: 'Rockets', station: 'FORGE', inputs: { ore: 4, parts: 1 }, outputs: { rocket: 2 }, time: 10 },
+        pickaxe: { name: 'Pickaxe', station: 'FORGE', inputs: { ore: 5, scrap: 2 }, outputs: { pickaxe: 1 }, time: 10 },
+        light_armor: { name: 'Light Armor', station: 'FORGE', inputs: { ore: 8, scrap: 6 }, outputs: { light_armor: 1 }, time: 20 },
+        heavy_armor: { name: 'Heavy Armor', station: 'FORGE', inputs: { ore: 16, parts: 4 }, outputs: { heavy_armor: 1 }, time: 40 },
+        salvage_parts: { name: 'Salvage Parts', station: 'GARAGE', inputs: { scrap: 8 }, outputs: { parts: 1 }, time: 8 },
+        wrench: { name: 'Wrench', station: 'GARAGE', inputs: { ore: 3, scrap: 3 }, outputs: { wrench: 1 }, time: 10 },
+        repair_kit: { name: 'Repair Kit', station: 'GARAGE', inputs: { parts: 2, scrap: 2 }, outputs: { repair_kit: 1 }, time: 8 }
+    },
+    queueSize: 5,            // Jobs a player can have queued
+    interactRange: 4,        // Players this close to a workbench can use it
+    benchOffset: 3,          // Workbench distance in front of the POI's footprint
+    halfExtents: { x: 1.0, y: 0.5, z: 0.5 },
+    // Garage repairs: a vehicle parked in the bay gets its hull and every
+    // component patched up by partRepair (share of full health) per part used
+    garage: {
+        bayRadius: 12,       // Vehicle's distance from the workbench
+        maxSpeed: 1,         // m/s, faster isn't parked
+        partRepair: 0.2
+    }
+};
+
+// Faction reputation (server only)
+// Per-player standing with each faction, see server/ReputationSystem.js
+export const reputationConfig = {
+    min: -100,
+    max: 100,
+    start: 0,                // Standing with a faction the player never dealt with
+    // Highest first. price: shop price multiplier (null: won't trade),
+    // toll: border toll multiplier (null: turned away at the checkpoint)
+    standings: [
+        { id: 'HONORED', min: 60, price: 0.8, toll: 0 },
+        { id: 'FRIENDLY', min: 20, price: 0.9, toll: 0.5 },
+        { id: 'NEUTRAL', min: -20, price: 1, toll: 1 },
+        { id: 'UNFRIENDLY', min: -50, price: 1.25, toll: 2 },
+        { id: 'HOSTILE', min: -Infinity, price: null, toll: null } // AI units attack on sight
+    ],
+    enlistMin: 40,           // Standing needed to enlist
+    enlistRivalPenalty: 15,  // Lost with every other faction on enlisting
+    resignPenalty: 30,       // Lost with the faction a player leaves (or is thrown out of)
+    // Changes per action: target is the faction acted on, rivals every other faction
+    actions: {
+        kill: { target: -10, rivals: 2 },       // Killed one of the faction's units (times killWeight)
+        killPlayer: { target: -5, rivals: 1 },  // Killed a player enlisted with the faction
+        capture: { target: 8, rivals: 0 },      // Was in a cell when the faction took it
+        cellLost: { target: -8, rivals: 0 },    // Was in a cell when the faction lost it
+        trade: { target: 1, rivals: 0 },
+        mission: { target: 10, rivals: -2 },
+        claim: { target: 4, rivals: 0 },       // Helped the faction claim a resource node
+        theft: { target: -2, rivals: 0 }        // Mined a node the faction owns
+    },
+    killWeight: { SOLDIER: 1, TRUCK: 1, TANK: 3, HELICOPTER: 3 }
+};
+
 export const gameplayConfig = {
     interactRange: 2.0,
     interpolationRate: 60,
@@ -137,9 +689,30 @@ export const vehicleConfig = {
 export default {
     isDebugOn,
     serverConfig,
+    inputConfig,
+    persistenceConfig,
+    accountConfig,
+    streamingConfig,
+    replicationConfig,
     clientConfig,
     worldConfig,
     appearanceDefaults,
+    movementConfig,
+    weaponConfig,
+    itemConfig,
+    deathConfig,
+    vehicleDamageConfig,
+    navigationConfig,
+    aiDriverConfig,
+    squadConfig,
+    behaviorConfig,
+    perceptionConfig,
+    strategyConfig,
+    economyConfig,
+    resourceNodeConfig,
+    lootConfig,
+    craftingConfig,
+    reputationConfig,
     gameplayConfig,
     renderingConfig,
     vehicleConfig